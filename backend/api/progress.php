@@ -10,6 +10,7 @@ require_once __DIR__ . '/../utils/helpers.php'; // Include helpers
 
 use ScreeningApp\Database;
 use ScreeningApp\QueueManager;
+use ScreeningApp\ScraperActivity;
 use function ScreeningApp\Utils\sendSuccess; // Import specific functions
 use function ScreeningApp\Utils\sendError;   // Import specific functions
 
@@ -99,6 +100,12 @@ function handleSSEProgress(string $action, Database $db, QueueManager $queueMana
                     }
                     break;
 
+                case 'scraper_activity':
+                    if ($batchId) {
+                        $data = getScraperActivityData($batchId);
+                    }
+                    break;
+
                 case 'job_progress':
                     if ($jobId) {
                         $data = getJobProgressData($jobId, $queueManager);
@@ -159,6 +166,13 @@ function handleSingleProgress(string $action, Database $db, QueueManager $queueM
             }
             return getBatchProgressData($batchId, $db);
 
+        case 'scraper_activity':
+            $batchId = $_GET['batch_id'] ?? null;
+            if (!$batchId) {
+                throw new Exception('batch_id requerido');
+            }
+            return getScraperActivityData($batchId);
+
         case 'job_progress':
             $jobId = $_GET['job_id'] ?? null;
             if (!$jobId) {
@@ -242,7 +256,26 @@ function getBatchProgressData(string $batchId, Database $db): array
         ],
         'completed' => ($progress['status'] ?? 'unknown') === 'completed',
         'estimated_remaining_time' => estimateRemainingTime($progress),
-        'current_phase' => getCurrentPhase($progress)
+        'current_phase' => getCurrentPhase($progress),
+        'scraper_activity' => getScraperActivityData($batchId)['sites']
+    ];
+}
+
+/**
+ * Último evento de progreso de cada sitio del lote (ver ScraperActivity)
+ * stalled marca los sitios en curso que llevan más de ScraperActivity::STALLED_AFTER_SECONDS sin avanzar.
+ * @return array<string, mixed>
+ */
+function getScraperActivityData(string $batchId): array
+{
+    $config = require __DIR__ . '/../config/app.php';
+    $activity = new ScraperActivity($config['paths']['results']);
+
+    return [
+        'success' => true,
+        'batch_id' => $batchId,
+        'stalled_after_seconds' => ScraperActivity::STALLED_AFTER_SECONDS,
+        'sites' => $activity->read($batchId)
     ];
 }
 
@@ -326,6 +359,7 @@ function getSystemStatusData(Database $db, QueueManager $queueManager): array
     $queueHealth = $queueManager->healthCheck();
     /** @var array<string, mixed> $systemStats */
     $systemStats = $db->getSystemStats();
+    $scraperHealth = getScraperHealthData($db);
 
     // Calcular uso de memoria y CPU (básico)
     $memoryUsage = memory_get_usage(true);
@@ -336,16 +370,134 @@ function getSystemStatusData(Database $db, QueueManager $queueManager): array
         'database' => $dbHealth,
         'queue' => $queueHealth,
         'system_stats' => $systemStats,
+        'scrapers' => $scraperHealth,
         'performance' => [
             'memory_usage_mb' => round($memoryUsage / (1024 * 1024), 2),
             'memory_peak_mb' => round($memoryPeak / (1024 * 1024), 2),
             'uptime_seconds' => time() - (int)($_SERVER['REQUEST_TIME_FLOAT'] ?? $_SERVER['REQUEST_TIME']),
             'php_version' => PHP_VERSION
         ],
-        'overall_status' => determineOverallStatus($dbHealth, $queueHealth)
+        'overall_status' => determineOverallStatus($dbHealth, $queueHealth, $scraperHealth)
     ];
 }
 
+/**
+ * Salud de los scrapers según el último reporte de scrapers/shared/healthCheck.js
+ * (npm run health-check). Sin reporte el estado es 'unknown'; un reporte más
+ * viejo que SCRAPER_HEALTH_MAX_AGE_HOURS se marca stale y baja a advertencia.
+ * @return array<string, mixed>
+ */
+function getScraperHealthData(Database $db): array
+{
+    $config = require __DIR__ . '/../config/app.php';
+    $reportFile = $config['paths']['root'] . '/' . ($_ENV['SCRAPER_HEALTH_FILE'] ?? 'logs/scraper_health.json');
+    $maxAgeHours = (int)($_ENV['SCRAPER_HEALTH_MAX_AGE_HOURS'] ?? 24);
+
+    $stmt = $db->query("SELECT COUNT(*) as count FROM scraper_sites WHERE is_active = true");
+    /** @var array{count: string}|false $row */
+    $row = $stmt->fetch(PDO::FETCH_ASSOC);
+    $activeSites = (int)($row['count'] ?? 0);
+
+    /** @var array<string, mixed>|null $report */
+    $report = is_readable($reportFile) ? json_decode((string)file_get_contents($reportFile), true) : null;
+    if (!is_array($report) || !isset($report['sites']) || !is_array($report['sites'])) {
+        return [
+            'status' => 'unknown',
+            'working_sites' => null,
+            'failing_sites' => null,
+            'unknown_sites' => $activeSites,
+            'total_sites' => $activeSites,
+            'checked_at' => null,
+            'stale' => false,
+            'by_type' => ['puppeteer' => 'unknown', 'axios' => 'unknown'],
+            'sites' => []
+        ];
+    }
+
+    /** @var array<int, array<string, mixed>> $sites */
+    $sites = array_map(static fn(array $site): array => [
+        'site' => $site['site'] ?? null,
+        'category' => $site['category'] ?? null,
+        'type' => $site['type'] ?? null,
+        'status' => $site['status'] ?? 'unknown',
+        'latency_ms' => $site['latency_ms'] ?? null,
+        'checked_at' => $site['checked_at'] ?? null,
+        'last_ok_at' => $site['last_ok_at'] ?? null,
+        'last_error' => $site['last_error'] ?? null,
+        'last_error_at' => $site['last_error_at'] ?? null
+    ], array_values(array_filter($report['sites'], 'is_array')));
+
+    $generatedAt = isset($report['generated_at']) ? strtotime((string)$report['generated_at']) : false;
+    $stale = $generatedAt === false || (time() - $generatedAt) > $maxAgeHours * 3600;
+
+    $status = aggregateSiteStatus($sites);
+    if ($stale && $status === 'healthy') {
+        $status = 'warning';
+    }
+    $counts = countSiteStatuses($sites);
+
+    return [
+        'status' => $status,
+        'working_sites' => $counts['working'],
+        'failing_sites' => $counts['failing'],
+        // Sitios activos que el reporte no alcanzó a probar (sin fixtures ni canario, o nuevos)
+        'unknown_sites' => max($counts['unknown'], $activeSites - $counts['working'] - $counts['failing']),
+        'total_sites' => $activeSites,
+        'checked_at' => $report['generated_at'] ?? null,
+        'stale' => $stale,
+        'by_type' => [
+            'puppeteer' => aggregateSiteStatus(array_filter($sites, static fn(array $site): bool => $site['type'] === 'puppeteer')),
+            'axios' => aggregateSiteStatus(array_filter($sites, static fn(array $site): bool => $site['type'] === 'axios'))
+        ],
+        'sites' => $sites
+    ];
+}
+
+/**
+ * Sitios que funcionan (healthy o warning), que fallan y que no se han probado
+ * @param array<int, array<string, mixed>> $sites
+ * @return array{working: int, failing: int, unknown: int, warning: int}
+ */
+function countSiteStatuses(array $sites): array
+{
+    $counts = ['working' => 0, 'failing' => 0, 'unknown' => 0, 'warning' => 0];
+    foreach ($sites as $site) {
+        $status = $site['status'] ?? 'unknown';
+        if ($status === 'healthy' || $status === 'warning') {
+            $counts['working']++;
+            $counts['warning'] += $status === 'warning' ? 1 : 0;
+        } elseif ($status === 'error') {
+            $counts['failing']++;
+        } else {
+            $counts['unknown']++;
+        }
+    }
+
+    return $counts;
+}
+
+/**
+ * Estado combinado de un grupo de sitios: error solo si ninguno funciona; los
+ * sitios sin probar no cuentan
+ * @param array<int, array<string, mixed>> $sites
+ */
+function aggregateSiteStatus(array $sites): string
+{
+    $counts = countSiteStatuses($sites);
+
+    if ($counts['working'] === 0 && $counts['failing'] === 0) {
+        return 'unknown';
+    }
+    if ($counts['working'] === 0) {
+        return 'error';
+    }
+    if ($counts['failing'] > 0 || $counts['warning'] > 0) {
+        return 'warning';
+    }
+
+    return 'healthy';
+}
+
 /**
  * Obtiene notificaciones recientes
  * @return array<string, mixed>
@@ -477,8 +629,9 @@ function getCurrentPhase(array $progress): string
  * Determina el estado general del sistema
  * @param array<string, mixed> $dbHealth
  * @param array<string, mixed> $queueHealth
+ * @param array<string, mixed> $scraperHealth
  */
-function determineOverallStatus(array $dbHealth, array $queueHealth): string
+function determineOverallStatus(array $dbHealth, array $queueHealth, array $scraperHealth = []): string
 {
     if (($dbHealth['status'] ?? 'unknown') === 'unhealthy') {
         return 'critical';
@@ -488,6 +641,11 @@ function determineOverallStatus(array $dbHealth, array $queueHealth): string
         return 'critical';
     }
 
+    // Scrapers caídos no detienen el sistema (la búsqueda local sigue), pero sí lo degradan
+    if (in_array($scraperHealth['status'] ?? 'unknown', ['error', 'warning'], true)) {
+        return 'warning';
+    }
+
     if (($dbHealth['status'] ?? 'unknown') === 'healthy' && ($queueHealth['status'] ?? 'unknown') === 'healthy') {
         return 'healthy';
     }
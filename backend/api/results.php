@@ -0,0 +1,89 @@
+<?php
+
+/**
+ * API del historial de resultados (results.html)
+ * Lista búsquedas individuales y lotes con filtros, orden y paginación en el servidor,
+ * devuelve el detalle de una búsqueda y borra búsquedas con sus resultados
+ */
+
+require_once __DIR__ . '/../../vendor/autoload.php';
+require_once __DIR__ . '/../utils/helpers.php';
+
+use ScreeningApp\Database;
+use ScreeningApp\SearchHistory;
+use function ScreeningApp\Utils\sendSuccess;
+use function ScreeningApp\Utils\sendError;
+
+// Headers CORS y JSON
+header('Content-Type: application/json');
+header('Access-Control-Allow-Origin: *');
+header('Access-Control-Allow-Methods: GET, POST, DELETE, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type, Authorization');
+
+// Manejar preflight OPTIONS
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    exit(0);
+}
+
+try {
+    $history = new SearchHistory();
+    $requestMethod = $_SERVER['REQUEST_METHOD'];
+    $action = $_GET['action'] ?? 'list';
+
+    if ($requestMethod === 'GET') {
+        switch ($action) {
+            case 'list':
+                // Página del historial; con batch_id, los candidatos de ese lote
+                sendSuccess($history->list([
+                    'batch_id' => $_GET['batch_id'] ?? '',
+                    'type' => $_GET['type'] ?? '',
+                    'status' => $_GET['status'] ?? '',
+                    'date' => $_GET['date'] ?? '',
+                    'q' => $_GET['q'] ?? '',
+                    'sort' => $_GET['sort'] ?? 'date',
+                    'direction' => $_GET['direction'] ?? 'desc',
+                    'page' => $_GET['page'] ?? 1,
+                    'per_page' => $_GET['per_page'] ?? SearchHistory::DEFAULT_PER_PAGE
+                ]));
+                break;
+
+            case 'detail':
+                $id = (string)($_GET['id'] ?? '');
+                if ($id === '') {
+                    throw new Exception('id requerido');
+                }
+                sendSuccess(['result' => $history->detail($id)]);
+                break;
+
+            default:
+                throw new Exception('Acción no válida');
+        }
+    }
+
+    // Borrado: POST ?action=delete o DELETE con {"ids": [...]}
+    if (!in_array($requestMethod, ['POST', 'DELETE'], true) || ($requestMethod === 'POST' && $action !== 'delete')) {
+        sendError('Método no permitido', 405);
+    }
+
+    $inputData = json_decode((string)file_get_contents('php://input'), true);
+    if (json_last_error() !== JSON_ERROR_NONE) {
+        sendError('JSON inválido en el cuerpo de la petición: ' . json_last_error_msg(), 400);
+    }
+
+    $ids = $inputData['ids'] ?? [];
+    if (!is_array($ids) || empty($ids)) {
+        throw new Exception('ids requerido');
+    }
+
+    $deleted = $history->delete(array_map('strval', $ids));
+    Database::getInstance()->log('INFO', 'results_api', 'Búsquedas eliminadas del historial', [
+        'ids' => $ids,
+        'deleted' => $deleted
+    ]);
+
+    sendSuccess(['deleted' => $deleted]);
+
+} catch (Exception $e) {
+    error_log("Error en results.php: " . $e->getMessage());
+    sendError($e->getMessage());
+}
@@ -74,6 +74,36 @@ try {
                 ]);
                 break;
 
+            case 'evidence':
+                // Archivo de evidencia guardado por un scraper (ruta relativa a la raíz del proyecto)
+                $file = (string)($_GET['file'] ?? '');
+                $resultsDir = realpath($config['paths']['results']);
+                $path = realpath($config['paths']['root'] . '/' . $file);
+
+                if ($resultsDir === false || $path === false || !is_file($path)
+                    || !str_starts_with($path, $resultsDir . DIRECTORY_SEPARATOR)) {
+                    sendError('Evidencia no encontrada', 404);
+                }
+
+                // El HTML archivado se entrega como texto: sus scripts no deben ejecutarse en este origen
+                $contentTypes = [
+                    'png' => 'image/png',
+                    'pdf' => 'application/pdf',
+                    'html' => 'text/plain; charset=utf-8',
+                    'json' => 'application/json'
+                ];
+                $extension = strtolower(pathinfo((string)$path, PATHINFO_EXTENSION));
+                if (!isset($contentTypes[$extension])) {
+                    sendError('Tipo de evidencia no permitido', 403);
+                }
+
+                header('Content-Type: ' . $contentTypes[$extension]);
+                header('Content-Length: ' . filesize((string)$path));
+                header('Content-Disposition: inline; filename="' . basename((string)$path) . '"');
+                header('X-Content-Type-Options: nosniff');
+                readfile((string)$path);
+                break;
+
             default:
                 throw new Exception('Acción no válida');
         }
@@ -192,7 +222,9 @@ function handleIndividualSearch(array $input, array $config, Database $db): arra
         if ($includeExternal && !empty($selectedSites)) {
             $startTime = microtime(true);
             $scraperManager = new ScraperManager();
-            $externalResult = $scraperManager->searchIndividual($searchTerm, $selectedSites);
+            $externalResult = $scraperManager->searchIndividual($searchTerm, $selectedSites, [
+                'no_cache' => (bool)($input['no_cache'] ?? false)
+            ]);
             $results['external_results'] = $externalResult;
             $results['execution_times']['external'] = (microtime(true) - $startTime) * 1000;
         }
@@ -226,7 +258,8 @@ function handleIndividualSearch(array $input, array $config, Database $db): arra
             'include_local' => $includeLocal,
             'include_external' => $includeExternal,
             'selected_sites' => $selectedSites,
-            'min_similarity' => $minSimilarity
+            'min_similarity' => $minSimilarity,
+            'no_cache' => (bool)($input['no_cache'] ?? false)
         ], 3); // Prioridad alta para búsquedas individuales
         /** @var array<string,mixed> $returnData */
         $returnData = [
@@ -410,7 +410,7 @@ class Database
                 $result['search_query'] ?? '',
                 $result['has_results'] ?? false,
                 $result['results_count'] ?? 0,
-                json_encode($result['results_data'] ?? []),
+                self::encodeExternalResultsData($result),
                 $result['similarity_score'] ?? null,
                 $result['scraper_status'] ?? 'completed',
                 $result['direct_link'] ?? null,
@@ -422,6 +422,43 @@ class Database
         return $this->bulkInsert('external_results', $columns, $data);
     }
 
+    /**
+     * results_data de external_results: las filas del scraper junto a la evidencia
+     * (capturas y HTML) y el motivo del bloqueo, para mostrarlos desde el historial
+     * @param array<string, mixed> $result
+     */
+    public static function encodeExternalResultsData(array $result): string
+    {
+        return (string)json_encode([
+            'data' => $result['results_data'] ?? [],
+            'evidence' => $result['evidence'] ?? [],
+            'block' => $result['block'] ?? null
+        ]);
+    }
+
+    /**
+     * Lee el results_data guardado por saveExternalResults; los registros anteriores
+     * guardaban solo la lista de filas
+     * @return array{data: array<int|string, mixed>, evidence: array<int|string, mixed>, block: mixed}
+     */
+    public static function decodeExternalResultsData(?string $json): array
+    {
+        $decoded = json_decode((string)($json ?? '[]'), true);
+        if (!is_array($decoded)) {
+            $decoded = [];
+        }
+
+        if (!array_key_exists('data', $decoded)) {
+            return ['data' => $decoded, 'evidence' => [], 'block' => null];
+        }
+
+        return [
+            'data' => is_array($decoded['data'] ?? null) ? $decoded['data'] : [],
+            'evidence' => is_array($decoded['evidence'] ?? null) ? $decoded['evidence'] : [],
+            'block' => $decoded['block'] ?? null
+        ];
+    }
+
     /**
      * Obtiene el progreso de un lote
      * @param string $batchId
@@ -251,7 +251,9 @@ class QueueManager
         if ($includeExternal) {
             $startTime = microtime(true);
             $scraperManager = new ScraperManager();
-            $externalResult = $scraperManager->searchIndividual($searchTerm, $selectedSites);
+            $externalResult = $scraperManager->searchIndividual($searchTerm, $selectedSites, [
+                'no_cache' => (bool)($data['no_cache'] ?? false)
+            ]);
             $results['external_results'] = $externalResult;
             $results['execution_times']['external'] = (microtime(true) - $startTime) * 1000;
 
@@ -0,0 +1,111 @@
+<?php
+
+namespace ScreeningApp;
+
+/**
+ * Clase ScraperActivity - Último evento de progreso de cada sitio en un lote
+ * El runtime de los scrapers publica en stderr eventos como navigating, searching,
+ * page (2 de 5) o extracting; ScraperManager guarda el último de cada sitio y
+ * progress.php lo entrega a batch-search.html para mostrar en qué sitio está cada
+ * candidato y si dejó de avanzar. Se guarda en RESULTS_DIR/{batch_id}/scraper-activity.json,
+ * junto a la evidencia del lote.
+ */
+class ScraperActivity
+{
+    // Segundos sin eventos tras los que un sitio en curso se muestra como detenido
+    public const STALLED_AFTER_SECONDS = 30;
+
+    private string $resultsDir;
+
+    public function __construct(string $resultsDir)
+    {
+        $this->resultsDir = rtrim($resultsDir, '/');
+    }
+
+    /**
+     * Guarda el último evento de progreso de un sitio
+     * @param array<string, mixed> $event Evento del runtime ({event, site, search_term, stage, page, pages, ...})
+     */
+    public function record(string $batchId, string $siteName, array $event): void
+    {
+        $file = $this->getFile($batchId);
+        if (!is_dir(dirname($file)) && !@mkdir(dirname($file), 0775, true)) {
+            return;
+        }
+
+        $handle = @fopen($file, 'c+');
+        if ($handle === false) {
+            return;
+        }
+
+        try {
+            flock($handle, LOCK_EX);
+            /** @var array<string, array<string, mixed>>|null $activity */
+            $activity = json_decode((string)stream_get_contents($handle), true);
+            $activity = is_array($activity) ? $activity : [];
+
+            $activity[$siteName] = [
+                'site_name' => $siteName,
+                'search_id' => isset($event['id']) ? (string)$event['id'] : null,
+                'search_term' => $event['search_term'] ?? null,
+                'stage' => $event['stage'] ?? null,
+                'page' => $event['page'] ?? null,
+                'pages' => $event['pages'] ?? null,
+                'results' => $event['results'] ?? null,
+                'url' => $event['url'] ?? null,
+                'status' => $event['status'] ?? null,
+                'elapsed_ms' => $event['elapsed_ms'] ?? null,
+                'updated_at' => date('c')
+            ];
+
+            ftruncate($handle, 0);
+            rewind($handle);
+            fwrite($handle, (string)json_encode($activity, JSON_UNESCAPED_UNICODE));
+            fflush($handle);
+        } finally {
+            flock($handle, LOCK_UN);
+            fclose($handle);
+        }
+    }
+
+    /**
+     * Actividad del lote: un registro por sitio con su etapa y si lleva tiempo sin avanzar
+     * @return array<int, array<string, mixed>>
+     */
+    public function read(string $batchId): array
+    {
+        $file = $this->getFile($batchId);
+        if (!is_file($file)) {
+            return [];
+        }
+
+        /** @var array<string, array<string, mixed>>|null $activity */
+        $activity = json_decode((string)file_get_contents($file), true);
+        if (!is_array($activity)) {
+            return [];
+        }
+
+        $now = time();
+        $sites = [];
+        foreach ($activity as $site) {
+            $idleSeconds = max(0, $now - (int)strtotime((string)($site['updated_at'] ?? 'now')));
+            $running = ($site['stage'] ?? null) !== 'finished';
+            $sites[] = array_merge($site, [
+                'running' => $running,
+                'idle_seconds' => $idleSeconds,
+                'stalled' => $running && $idleSeconds >= self::STALLED_AFTER_SECONDS
+            ]);
+        }
+
+        return $sites;
+    }
+
+    /**
+     * Archivo de actividad del lote; el id se limpia igual que en la carpeta de evidencia
+     */
+    private function getFile(string $batchId): string
+    {
+        $segment = trim((string)preg_replace('/[^A-Za-z0-9_-]+/', '-', $batchId), '-') ?: 'sin-nombre';
+        return "{$this->resultsDir}/{$segment}/scraper-activity.json";
+    }
+}
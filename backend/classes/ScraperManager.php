@@ -5,6 +5,7 @@ namespace ScreeningApp;
 use Exception;
 use Monolog\Logger;
 use Monolog\Handler\StreamHandler;
+use PhpOffice\PhpSpreadsheet\Shared\Date as ExcelDate;
 
 /**
  * Clase ScraperManager - Administrador de scrapers externos
@@ -12,6 +13,9 @@ use Monolog\Handler\StreamHandler;
  */
 class ScraperManager
 {
+    // Segundos que se espera el sobre parcial tras SIGTERM antes de forzar el cierre
+    private const STOP_GRACE_SECONDS = 6;
+
     private Database $db;
     private Logger $logger;
     /** @var array<string, mixed> */
@@ -21,6 +25,7 @@ class ScraperManager
     private array $activeSites;
     /** @var array<string, int|float> */
     private array $scraperStats;
+    private ScraperActivity $activity;
 
     public function __construct()
     {
@@ -30,6 +35,7 @@ class ScraperManager
         $this->setupLogger();
         $this->loadActiveSites();
         $this->resetStats();
+        $this->activity = new ScraperActivity($this->config['paths']['results']);
     }
 
     /**
@@ -70,6 +76,8 @@ class ScraperManager
             'failed_searches' => 0,
             'timeout_searches' => 0,
             'blocked_searches' => 0,
+            'captcha_searches' => 0,
+            'partial_searches' => 0,
             'total_execution_time' => 0,
             'sites_with_results' => 0
         ];
@@ -194,46 +202,57 @@ class ScraperManager
             // Validar sitios
             $validSites = $this->validateSelectedSites($selectedSites ?: array_keys($this->activeSites));
 
+            // La evidencia de los scrapers se agrupa por lote en exports/results/{batch_id}/
+            $options['batch_id'] = $batchId;
+
             $processed = 0;
             $totalResults = 0;
 
-            foreach ($searches as $search) {
-                try {
-                    $this->logger->debug("Procesando búsqueda externa", [
-                        'search_id' => $search['id'],
-                        'name' => $search['full_name']
-                    ]);
-
-                    // Ejecutar scrapers para esta búsqueda
-                    $searchResults = $this->executeScrapersForSearch($search, $validSites, $options);
-
-                    // Guardar resultados en base de datos
-                    if (!empty($searchResults)) {
-                        $this->db->saveExternalResults($search['id'], $searchResults);
-                        $totalResults += count($searchResults);
-                    }
-
-                    $processed++;
-
-                    // Notificación de progreso cada 5 búsquedas
-                    if ($processed % 5 === 0) {
-                        $this->createProgressNotification($batchId, $processed, count($searches), 'external');
-                    }
-
-                    // Pausa entre búsquedas para no saturar sitios
-                    $delay = $options['delay_between_searches'] ?? $this->config['scrapers']['rate_limit_delay'] ?? 2000;
-                    if ($delay > 0 && $processed < count($searches)) {
-                        usleep($delay * 1000);
+            // Modo lote: un proceso por sitio para todas las búsquedas en lugar de uno por sitio y término
+            if (!empty($this->config['scrapers']['batch_mode']) && empty($this->config['scrapers']['manager']['enabled'])) {
+                // Cada resultado se guarda al llegar; processed cuenta las búsquedas con todos sus sitios
+                $summary = $this->executeSearchesInBatchMode($batchId, $searches, $validSites, $options);
+                $processed = $summary['processed'];
+                $totalResults = $summary['total_results'];
+            } else {
+                foreach ($searches as $search) {
+                    try {
+                        $this->logger->debug("Procesando búsqueda externa", [
+                            'search_id' => $search['id'],
+                            'name' => $search['full_name']
+                        ]);
+
+                        // Ejecutar scrapers para esta búsqueda
+                        $searchResults = $this->executeScrapersForSearch($search, $validSites, $options);
+
+                        // Guardar resultados en base de datos
+                        if (!empty($searchResults)) {
+                            $this->db->saveExternalResults($search['id'], $searchResults);
+                            $totalResults += count($searchResults);
+                        }
+
+                        $processed++;
+
+                        // Notificación de progreso cada 5 búsquedas
+                        if ($processed % 5 === 0) {
+                            $this->createProgressNotification($batchId, $processed, count($searches), 'external');
+                        }
+
+                        // Pausa entre búsquedas para no saturar sitios
+                        $delay = $options['delay_between_searches'] ?? $this->config['scrapers']['rate_limit_delay'] ?? 2000;
+                        if ($delay > 0 && $processed < count($searches)) {
+                            usleep($delay * 1000);
+                        }
+                    } catch (Exception $e) {
+                        $this->logger->error("Error procesando búsqueda externa", [
+                            'search_id' => $search['id'],
+                            'error' => $e->getMessage()
+                        ]);
+
+                        // Guardar error en resultados
+                        $errorResults = $this->createErrorResults($search, $validSites, $e->getMessage());
+                        $this->db->saveExternalResults($search['id'], $errorResults);
                     }
-                } catch (Exception $e) {
-                    $this->logger->error("Error procesando búsqueda externa", [
-                        'search_id' => $search['id'],
-                        'error' => $e->getMessage()
-                    ]);
-
-                    // Guardar error en resultados
-                    $errorResults = $this->createErrorResults($search, $validSites, $e->getMessage());
-                    $this->db->saveExternalResults($search['id'], $errorResults);
                 }
             }
 
@@ -276,6 +295,14 @@ class ScraperManager
      */
     private function processScraperGroup(string $searchTerm, array $sites, array $options): array
     {
+        // Preferir el servicio residente si está habilitado; si no responde, usar procesos
+        if (!empty($this->config['scrapers']['manager']['enabled'])) {
+            $serviceResults = $this->runScrapersViaService($searchTerm, $sites, $options);
+            if ($serviceResults !== null) {
+                return $serviceResults;
+            }
+        }
+
         /** @var array<int, array<string, mixed>> $results */
         $results = [];
         /** @var array<string, array<string, mixed>> $processes */
@@ -307,6 +334,163 @@ class ScraperManager
         return $results;
     }
 
+    /**
+     * Ejecuta un grupo de scrapers en el servicio residente (scrapers/scraper-manager.js)
+     * @param string $searchTerm
+     * @param array<int, array<string, mixed>> $sites
+     * @param array<string, mixed> $options
+     * @return array<int, array<string, mixed>>|null Null si el servicio no está disponible
+     */
+    private function runScrapersViaService(string $searchTerm, array $sites, array $options = []): ?array
+    {
+        /** @var array<int, array<string, mixed>> $results */
+        $results = [];
+        /** @var array<string, array<string, mixed>> $serviceSites */
+        $serviceSites = [];
+        /** @var array<int, array<string, mixed>> $payloadSites */
+        $payloadSites = [];
+        $maxTimeout = 0;
+
+        foreach ($sites as $site) {
+            if ($site['scraper_type'] === 'direct_link') {
+                try {
+                    $results[] = $this->waitForScraperResult($this->createDirectLink($searchTerm, $site), $site);
+                } catch (Exception $e) {
+                    $results[] = $this->createErrorResult($site['site_name'], $searchTerm, $e->getMessage());
+                }
+                continue;
+            }
+
+            $configData = is_string($site['config_data'] ?? null) ? json_decode($site['config_data'], true) : ($site['config_data'] ?? []);
+            $timeout = (int)($site['max_timeout_seconds'] ?? 30);
+            $maxTimeout = max($maxTimeout, $timeout);
+
+            $serviceSites[$this->serviceSiteKey((string)$site['category'], (string)$site['site_name'])] = $site;
+            $payloadSites[] = [
+                'site_name' => $site['site_name'],
+                'category' => $site['category'],
+                'timeout' => $timeout,
+                // La identificación y la fecha de nacimiento del candidato priman sobre config_data
+                'config' => array_merge(is_array($configData) ? $configData : [], $this->getSubjectOptions($options))
+            ];
+        }
+
+        if (empty($serviceSites)) {
+            return $results;
+        }
+
+        $startTime = microtime(true);
+        $url = rtrim((string)$this->config['scrapers']['manager']['url'], '/') . '/jobs';
+        $payload = json_encode([
+            'search_term' => $searchTerm,
+            'sites' => $payloadSites,
+            'wait' => true,
+            'no_cache' => !empty($options['no_cache']),
+            'batch_id' => $options['batch_id'] ?? null
+        ]);
+
+        $curl = curl_init($url);
+        if ($curl === false || $payload === false) {
+            return null;
+        }
+
+        curl_setopt_array($curl, [
+            CURLOPT_POST => true,
+            CURLOPT_POSTFIELDS => $payload,
+            CURLOPT_HTTPHEADER => ['Content-Type: application/json'],
+            CURLOPT_RETURNTRANSFER => true,
+            CURLOPT_CONNECTTIMEOUT => 2,
+            // Los sitios corren en paralelo limitado; margen para la cola del servicio
+            CURLOPT_TIMEOUT => $maxTimeout * count($serviceSites) + 5
+        ]);
+
+        $response = curl_exec($curl);
+        $httpCode = (int)curl_getinfo($curl, CURLINFO_HTTP_CODE);
+        $curlError = curl_error($curl);
+        curl_close($curl);
+
+        /** @var array<string, mixed>|null $job */
+        $job = is_string($response) ? json_decode($response, true) : null;
+
+        if ($httpCode !== 200 || !is_array($job) || !is_array($job['results'] ?? null)) {
+            $this->logger->warning("Servicio de scrapers no disponible, usando procesos", [
+                'url' => $url,
+                'http_code' => $httpCode,
+                'error' => $curlError
+            ]);
+            return null;
+        }
+
+        $executionTime = round((microtime(true) - $startTime) * 1000, 2);
+
+        foreach ($job['results'] as $envelope) {
+            $siteKey = $this->serviceSiteKey((string)($envelope['category'] ?? ''), (string)($envelope['site'] ?? ''));
+            if (!isset($serviceSites[$siteKey])) {
+                continue;
+            }
+
+            $results[] = $this->mapScraperEnvelope($envelope, $serviceSites[$siteKey], $searchTerm, (float)($envelope['execution_time'] ?? $executionTime));
+            unset($serviceSites[$siteKey]);
+        }
+
+        // Sitios sin sobre en la respuesta del servicio
+        foreach ($serviceSites as $site) {
+            $results[] = $this->createErrorResult($site['site_name'], $searchTerm, 'El servicio de scrapers no devolvió resultado');
+        }
+
+        return $results;
+    }
+
+    /**
+     * Clave de un sitio en la respuesta del servicio: categoría y nombre normalizado,
+     * porque dos categorías pueden tener un sitio con el mismo nombre
+     */
+    private function serviceSiteKey(string $category, string $siteName): string
+    {
+        return $category . '/' . $this->normalizeFileName($siteName);
+    }
+
+    /**
+     * Convierte el sobre JSON de un scraper en el resultado que se guarda en external_results
+     * @param array<string, mixed> $envelope
+     * @param array<string, mixed> $site
+     * @return array<string, mixed>
+     */
+    private function mapScraperEnvelope(array $envelope, array $site, string $searchTerm, float $executionTime): array
+    {
+        $result = [
+            'site_name' => $site['site_name'],
+            'site_category' => $site['category'],
+            'search_query' => $searchTerm,
+            'has_results' => $envelope['has_results'] ?? false,
+            'results_count' => $envelope['results_count'] ?? 0,
+            'truncated' => (bool)($envelope['truncated'] ?? false),
+            'reported_total' => isset($envelope['reported_total']) ? (int)$envelope['reported_total'] : null,
+            'results_data' => $envelope['data'] ?? [],
+            // max_similarity del sobre va a la columna similarity_score
+            'similarity_score' => isset($envelope['max_similarity']) ? (float)$envelope['max_similarity'] : null,
+            'scraper_status' => $envelope['status'] ?? 'completed',
+            'direct_link' => $envelope['direct_link'] ?? null,
+            'metadata' => $envelope['meta'] ?? [],
+            'network' => $envelope['network'] ?? null,
+            'identity' => $envelope['identity'] ?? null,
+            'cached' => (bool)($envelope['cached'] ?? false),
+            'fetched_at' => $envelope['fetched_at'] ?? null,
+            'evidence' => $envelope['evidence'] ?? [],
+            'block' => $envelope['block'] ?? null,
+            'schema_version' => isset($envelope['schema_version']) ? (int)$envelope['schema_version'] : null,
+            'invalid_results' => (int)($envelope['invalid_results'] ?? 0),
+            'validation_errors' => $envelope['validation_errors'] ?? [],
+            'execution_time' => $executionTime
+        ];
+
+        if (!empty($envelope['error'])) {
+            $result['error_details'] = (string)$envelope['error'];
+        }
+
+        return $result;
+    }
+
     /**
      * Inicia proceso de scraper
      * @param string $searchTerm
@@ -358,29 +542,44 @@ class ScraperManager
         /** @var int $timeout */
         $timeout = $site['max_timeout_seconds'] ?? 30;
 
+        // Lista de argumentos: proc_open inicia Node sin shell y el SIGTERM le llega directo
         $command = [
             $this->config['scrapers']['node_path'] ?? 'node',
             $scraperFile,
-            '--search-term=' . escapeshellarg($searchTerm),
+            // En modo lote los términos van por stdin (ver startSiteBatch)
+            !empty($options['batch']) ? '--batch' : '--search-term=' . $searchTerm,
             '--timeout=' . $timeout,
-            '--headless=' . ($this->config['scrapers']['puppeteer']['headless'] ? 'true' : 'false')
+            '--headless=' . ($this->config['scrapers']['puppeteer']['headless'] ? 'true' : 'false'),
+            '--site-name=' . (string)$site['site_name'],
+            '--category=' . (string)$site['category']
         ];
 
         // Agregar configuración adicional
-        if (!empty($site['config_data'])) {
-            $configDataString = json_encode($site['config_data']);
-            if ($configDataString === false) {
-                throw new Exception("No se pudo codificar config_data a JSON para el sitio {$site['site_name']}");
-            }
-            $command[] = '--config=' . escapeshellarg($configDataString);
+        $configArgument = $this->buildConfigArgument($site);
+        if ($configArgument !== null) {
+            $command[] = $configArgument;
+        }
+
+        if (empty($options['batch'])) {
+            $command = array_merge($command, $this->buildSubjectArguments($options));
+        }
+
+        // Forzar la visita aunque haya un resultado vigente en la caché de los scrapers
+        if (!empty($options['no_cache'])) {
+            $command[] = '--no-cache';
+        }
+
+        if (!empty($options['batch_id'])) {
+            $command[] = '--batch-id=' . (string)$options['batch_id'];
         }
 
         return [
             'type' => 'puppeteer',
-            'command' => implode(' ', $command),
+            'command' => $command,
             'site' => $site,
             'start_time' => microtime(true),
-            'search_term' => $searchTerm
+            'search_term' => $searchTerm,
+            'batch_id' => $options['batch_id'] ?? null
         ];
     }
 
@@ -397,22 +596,95 @@ class ScraperManager
         /** @var int $timeout */
         $timeout = $site['max_timeout_seconds'] ?? 30;
 
+        // Lista de argumentos: proc_open inicia Node sin shell y el SIGTERM le llega directo
         $command = [
             $this->config['scrapers']['node_path'] ?? 'node',
             $scraperFile,
-            '--search-term=' . escapeshellarg($searchTerm),
-            '--timeout=' . $timeout
+            // En modo lote los términos van por stdin (ver startSiteBatch)
+            !empty($options['batch']) ? '--batch' : '--search-term=' . $searchTerm,
+            '--timeout=' . $timeout,
+            '--site-name=' . (string)$site['site_name'],
+            '--category=' . (string)$site['category']
         ];
 
+        $configArgument = $this->buildConfigArgument($site);
+        if ($configArgument !== null) {
+            $command[] = $configArgument;
+        }
+
+        if (empty($options['batch'])) {
+            $command = array_merge($command, $this->buildSubjectArguments($options));
+        }
+
+        // Forzar la visita aunque haya un resultado vigente en la caché de los scrapers
+        if (!empty($options['no_cache'])) {
+            $command[] = '--no-cache';
+        }
+
+        if (!empty($options['batch_id'])) {
+            $command[] = '--batch-id=' . (string)$options['batch_id'];
+        }
+
         return [
             'type' => 'axios',
-            'command' => implode(' ', $command),
+            'command' => $command,
             'site' => $site,
             'start_time' => microtime(true),
-            'search_term' => $searchTerm
+            'search_term' => $searchTerm,
+            'batch_id' => $options['batch_id'] ?? null
         ];
     }
 
+    /**
+     * Construye el argumento --config con la config_data del sitio
+     * @param array<string, mixed> $site
+     */
+    private function buildConfigArgument(array $site): ?string
+    {
+        if (empty($site['config_data'])) {
+            return null;
+        }
+
+        $configDataString = json_encode($site['config_data']);
+        if ($configDataString === false) {
+            throw new Exception("No se pudo codificar config_data a JSON para el sitio {$site['site_name']}");
+        }
+
+        return '--config=' . $configDataString;
+    }
+
+    /**
+     * Identificación y fecha de nacimiento del candidato que van con cada solicitud
+     * (options['subject'], ver getSearchSubject); los scrapers las usan para puntuar
+     * @param array<string, mixed> $options
+     * @return array<string, string>
+     */
+    private function getSubjectOptions(array $options): array
+    {
+        /** @var array<string, mixed> $subject */
+        $subject = is_array($options['subject'] ?? null) ? $options['subject'] : [];
+
+        return array_filter([
+            'identification' => trim((string)($subject['identification'] ?? '')),
+            'birth_date' => trim((string)($subject['birth_date'] ?? ''))
+        ], fn(string $value): bool => $value !== '');
+    }
+
+    /**
+     * Argumentos --identification y --birth-date del candidato
+     * @param array<string, mixed> $options
+     * @return string[]
+     */
+    private function buildSubjectArguments(array $options): array
+    {
+        $arguments = [];
+        foreach ($this->getSubjectOptions($options) as $key => $value) {
+            $arguments[] = '--' . str_replace('_', '-', $key) . '=' . $value;
+        }
+
+        return $arguments;
+    }
+
     /**
      * Crea enlace directo (para sitios como Google)
      * @param string $searchTerm
@@ -478,7 +750,9 @@ class ScraperManager
         // Para scrapers que requieren ejecución
         $output = '';
         $error = '';
+        $stderr = '';
         $exitCode = 0;
+        $batchId = isset($process['batch_id']) ? (string)$process['batch_id'] : null;
 
         try {
             // Ejecutar comando con timeout
@@ -499,14 +773,16 @@ class ScraperManager
                 stream_set_blocking($pipes[2], false);
 
                 $startWait = microtime(true);
+                $timedOut = false;
                 while (proc_get_status($process_handle)['running']) {
                     $output .= fread($pipes[1], 8192);
-                    $error .= fread($pipes[2], 8192);
+                    $stderr = $this->consumeScraperStderr($stderr . fread($pipes[2], 8192), $site, $batchId, $error);
 
-                    // Verificar timeout
+                    // Verificar timeout: SIGTERM y se espera el sobre parcial
                     if ((microtime(true) - $startWait) * 1000 > $maxTimeoutMs) {
-                        proc_terminate($process_handle);
-                        throw new Exception("Timeout después de {$maxTimeoutMs}ms");
+                        $timedOut = true;
+                        $this->stopScraperProcess($process_handle, $pipes, $output, $stderr);
+                        break;
                     }
 
                     usleep(100000); // 100ms
@@ -514,38 +790,34 @@ class ScraperManager
 
                 // Leer salida restante
                 $output .= stream_get_contents($pipes[1]);
-                $error .= stream_get_contents($pipes[2]);
+                $this->consumeScraperStderr($stderr . stream_get_contents($pipes[2]) . "\n", $site, $batchId, $error);
 
                 fclose($pipes[1]);
                 fclose($pipes[2]);
 
                 $exitCode = proc_close($process_handle);
+
+                if ($timedOut && !$this->hasEnvelope($output)) {
+                    throw new Exception("Timeout después de {$maxTimeoutMs}ms");
+                }
             }
 
             $executionTime = round((microtime(true) - $startTime) * 1000, 2);
 
-            // Procesar resultado
-            if ($exitCode === 0 && !empty($output)) {
+            // Procesar resultado: el runtime escribe el sobre también cuando falla (código 1),
+            // con status failed, timeout, blocked o captcha_required y la evidencia del bloqueo,
+            // o partial con lo obtenido si se detuvo por timeout
+            if (!empty($output)) {
                 /** @var array<string,mixed>|null $scraperResult */
                 $scraperResult = json_decode($output, true);
 
-                if ($scraperResult !== null && json_last_error() === JSON_ERROR_NONE) {
-                    return [
-                        'site_name' => $site['site_name'],
-                        'site_category' => $site['category'],
-                        'search_query' => $process['search_term'],
-                        'has_results' => $scraperResult['has_results'] ?? false,
-                        'results_count' => $scraperResult['results_count'] ?? 0,
-                        'results_data' => $scraperResult['data'] ?? [],
-                        'scraper_status' => 'completed',
-                        'direct_link' => $scraperResult['direct_link'] ?? null,
-                        'execution_time' => $executionTime
-                    ];
+                if (is_array($scraperResult) && json_last_error() === JSON_ERROR_NONE && isset($scraperResult['status'])) {
+                    return $this->mapScraperEnvelope($scraperResult, $site, $process['search_term'], $executionTime);
                 }
             }
 
             // Si llegamos aquí, hubo un error
-            throw new Exception("Scraper falló: " . ($error ?: 'Salida inválida'));
+            throw new Exception("Scraper falló (código {$exitCode}): " . ($error ?: 'Salida inválida'));
         } catch (Exception $e) {
             $executionTime = round((microtime(true) - $startTime) * 1000, 2);
 
@@ -563,6 +835,433 @@ class ScraperManager
         }
     }
 
+    /**
+     * Ejecuta las búsquedas de un lote con un proceso --batch por sitio
+     * Hasta max_concurrent_scrapers sitios corren a la vez. Cada resultado se guarda en cuanto
+     * llegan las líneas de todos los términos de su búsqueda, y el progreso se notifica cada
+     * 5 búsquedas con todos sus sitios: si el worker cae, lo guardado no se pierde.
+     * Los enlaces directos no necesitan proceso y se arman por búsqueda.
+     * @param string $batchId
+     * @param array<int, array<string, mixed>> $searches
+     * @param array<int, array<string, mixed>> $sites
+     * @param array<string, mixed> $options
+     * @return array{processed: int, total_results: int}
+     */
+    private function executeSearchesInBatchMode(string $batchId, array $searches, array $sites, array $options): array
+    {
+        $total = count($searches);
+        $processed = 0;
+        $totalResults = 0;
+        /** @var array<string, int> $pendingSites Sitios sin resultado guardado, por búsqueda */
+        $pendingSites = [];
+        foreach ($searches as $search) {
+            $pendingSites[(string)$search['id']] = count($sites);
+        }
+
+        $save = function (string $searchId, array $result) use ($batchId, $total, &$pendingSites, &$processed, &$totalResults): void {
+            try {
+                $this->db->saveExternalResults($searchId, [$result]);
+                $totalResults++;
+            } catch (Exception $e) {
+                $this->logger->error("Error guardando resultado externo", [
+                    'search_id' => $searchId,
+                    'site' => $result['site_name'] ?? null,
+                    'error' => $e->getMessage()
+                ]);
+            }
+
+            $pendingSites[$searchId]--;
+            if ($pendingSites[$searchId] === 0) {
+                $processed++;
+                if ($processed % 5 === 0) {
+                    $this->createProgressNotification($batchId, $processed, $total, 'external');
+                }
+            }
+        };
+
+        /** @var array<int, array<string, mixed>> $queue */
+        $queue = [];
+        foreach ($sites as $site) {
+            if ($site['scraper_type'] !== 'direct_link') {
+                $queue[] = $site;
+                continue;
+            }
+            foreach ($searches as $search) {
+                $term = $this->getSearchTerms($search)[0] ?? '';
+                try {
+                    $result = $this->waitForScraperResult($this->createDirectLink($term, $site), $site);
+                } catch (Exception $e) {
+                    $result = $this->createErrorResult((string)$site['site_name'], $term, $e->getMessage());
+                }
+                $save((string)$search['id'], $result);
+            }
+        }
+
+        // Procesos --batch concurrentes, uno por sitio
+        $limit = max(1, (int)($this->config['search']['max_concurrent_scrapers'] ?? 3));
+        /** @var array<int, array<string, mixed>> $running */
+        $running = [];
+        while (!empty($queue) || !empty($running)) {
+            while (!empty($queue) && count($running) < $limit) {
+                $running[] = $this->startSiteBatch(array_shift($queue), $searches, $options, $save);
+            }
+
+            foreach (array_keys($running) as $index) {
+                if (!$this->pumpSiteBatch($running[$index])) {
+                    $this->finishSiteBatch($running[$index]);
+                    unset($running[$index]);
+                }
+            }
+
+            if (!empty($running)) {
+                usleep(100000); // 100ms
+            }
+        }
+
+        if ($processed > 0 && $processed % 5 !== 0) {
+            $this->createProgressNotification($batchId, $processed, $total, 'external');
+        }
+
+        return ['processed' => $processed, 'total_results' => $totalResults];
+    }
+
+    /**
+     * Términos de una búsqueda del lote: el nombre y la identificación, como executeScrapersForSearch
+     * @param array<string, mixed> $search
+     * @return string[]
+     */
+    private function getSearchTerms(array $search): array
+    {
+        return array_values(array_filter([
+            (string)($search['full_name'] ?? ''),
+            (string)($search['identification'] ?? '')
+        ], fn(string $term): bool => trim($term) !== ''));
+    }
+
+    /**
+     * Datos del candidato para puntuar: su identificación y la fecha de nacimiento,
+     * si el Excel traía una columna reconocible (queda en original_row_data)
+     * @param array<string, mixed> $search
+     * @return array{identification: string, birth_date: string}
+     */
+    private function getSearchSubject(array $search): array
+    {
+        $rowData = $search['original_row_data'] ?? [];
+        if (is_string($rowData)) {
+            $rowData = json_decode($rowData, true);
+        }
+
+        $birthDate = '';
+        foreach (is_array($rowData) ? $rowData : [] as $header => $value) {
+            $normalized = str_replace(['á', 'é', 'í', 'ó', 'ú', '_', '.'], ['a', 'e', 'i', 'o', 'u', ' ', ' '], mb_strtolower((string)$header));
+            if (preg_match('/\b(nacimiento|f nac|birth ?date|date of birth|dob)\b/u', $normalized)) {
+                $birthDate = trim((string)$value);
+                break;
+            }
+        }
+
+        // Celda con formato de fecha: Excel la entrega como número de serie (un año suelto queda igual)
+        if (is_numeric($birthDate) && (float)$birthDate > 3000) {
+            $birthDate = ExcelDate::excelToDateTimeObject((float)$birthDate)->format('Y-m-d');
+        }
+
+        return [
+            'identification' => trim((string)($search['identification'] ?? '')),
+            'birth_date' => $birthDate
+        ];
+    }
+
+    /**
+     * Inicia el proceso --batch de un sitio para todas las búsquedas del lote
+     * Las solicitudes van por stdin como NDJSON, una por término ("{id}#{n}"), y cada línea de
+     * stdout es el sobre de una de ellas; el navegador y el inicio de sesión se reutilizan.
+     * Cuando una búsqueda tiene las líneas de todos sus términos, $onResult recibe su resultado.
+     * @param array<string, mixed> $site
+     * @param array<int, array<string, mixed>> $searches
+     * @param array<string, mixed> $options
+     * @param callable(string, array<string, mixed>): void $onResult
+     * @return array<string, mixed> Estado para pumpSiteBatch y finishSiteBatch
+     */
+    private function startSiteBatch(array $site, array $searches, array $options, callable $onResult): array
+    {
+        $input = '';
+        $requests = 0;
+        /** @var array<string, array{terms: string[], results: array<int, array<string, mixed>>}> $pending */
+        $pending = [];
+        foreach ($searches as $search) {
+            $searchId = (string)$search['id'];
+            $terms = $this->getSearchTerms($search);
+            if (empty($terms)) {
+                $onResult($searchId, $this->createErrorResult((string)$site['site_name'], '', 'Búsqueda sin nombre ni identificación'));
+                continue;
+            }
+            $pending[$searchId] = ['terms' => $terms, 'results' => []];
+            $subject = $this->getSubjectOptions(['subject' => $this->getSearchSubject($search)]);
+            foreach ($terms as $index => $term) {
+                $input .= json_encode(['id' => "{$searchId}#{$index}", 'term' => $term] + $subject) . "\n";
+                $requests++;
+            }
+        }
+
+        $batch = [
+            'site' => $site,
+            'pending' => $pending,
+            'on_result' => $onResult,
+            'input' => $input,
+            'start_time' => microtime(true),
+            // Cada término tiene su timeout en Node; el proceso, el de todos más el arranque
+            'max_timeout_ms' => ((int)($site['max_timeout_seconds'] ?? 30) * $requests + 30) * 1000,
+            'batch_id' => isset($options['batch_id']) ? (string)$options['batch_id'] : null,
+            'handle' => null,
+            'pipes' => [],
+            'stdin_open' => false,
+            'buffer' => '',
+            'stderr' => '',
+            'error' => '',
+            'status' => 'failed',
+            'failure' => null
+        ];
+
+        $process = $this->startScraperProcess('', $site, $options + ['batch' => true]);
+        $handle = $process !== null
+            ? proc_open($process['command'], [0 => ['pipe', 'r'], 1 => ['pipe', 'w'], 2 => ['pipe', 'w']], $pipes)
+            : false;
+
+        if (!is_resource($handle)) {
+            $batch['failure'] = 'No se pudo iniciar el scraper en modo lote';
+            return $batch;
+        }
+
+        foreach ($pipes as $pipe) {
+            stream_set_blocking($pipe, false);
+        }
+        $batch['handle'] = $handle;
+        $batch['pipes'] = $pipes;
+        $batch['stdin_open'] = true;
+
+        return $batch;
+    }
+
+    /**
+     * Avanza un proceso --batch sin bloquear: escribe stdin, lee stdout y stderr y entrega los resultados
+     * @param array<string, mixed> $batch Estado de startSiteBatch
+     * @return bool false cuando el proceso terminó o se detuvo por timeout
+     */
+    private function pumpSiteBatch(array &$batch): bool
+    {
+        if ($batch['handle'] === null) {
+            return false;
+        }
+        /** @var array<int, resource> $pipes */
+        $pipes = $batch['pipes'];
+
+        // stdin se escribe por partes: el scraper responde mientras lee
+        if ($batch['stdin_open']) {
+            $written = fwrite($pipes[0], $batch['input']);
+            $batch['input'] = substr($batch['input'], $written ?: 0);
+            if ($batch['input'] === '') {
+                fclose($pipes[0]);
+                $batch['stdin_open'] = false;
+            }
+        }
+
+        $error = (string)$batch['error'];
+        $batch['stderr'] = $this->consumeScraperStderr($batch['stderr'] . fread($pipes[2], 8192), $batch['site'], $batch['batch_id'], $error);
+        $batch['error'] = $error;
+        $batch['buffer'] = $this->collectBatchLines($batch['buffer'] . fread($pipes[1], 8192), $batch['site'], function (string $requestId, array $result) use (&$batch): void {
+            $this->deliverBatchResult($batch, $requestId, $result);
+        });
+
+        if (!proc_get_status($batch['handle'])['running']) {
+            return false;
+        }
+        if ((microtime(true) - $batch['start_time']) * 1000 > $batch['max_timeout_ms']) {
+            // El término en curso llega como partial; los pendientes quedan en timeout
+            $buffer = (string)$batch['buffer'];
+            $stderr = (string)$batch['stderr'];
+            $this->stopScraperProcess($batch['handle'], $pipes, $buffer, $stderr);
+            $batch['buffer'] = $buffer;
+            $batch['stderr'] = $stderr;
+            $batch['status'] = 'timeout';
+            $batch['failure'] = "Timeout del lote después de {$batch['max_timeout_ms']}ms";
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Cierra un proceso --batch: lee lo que quede y entrega las búsquedas sin respuesta con el error del proceso
+     * @param array<string, mixed> $batch Estado de startSiteBatch
+     */
+    private function finishSiteBatch(array &$batch): void
+    {
+        /** @var string $siteName */
+        $siteName = $batch['site']['site_name'];
+
+        if ($batch['handle'] !== null) {
+            /** @var array<int, resource> $pipes */
+            $pipes = $batch['pipes'];
+            if ($batch['stdin_open']) {
+                fclose($pipes[0]);
+            }
+
+            $error = (string)$batch['error'];
+            $this->consumeScraperStderr($batch['stderr'] . stream_get_contents($pipes[2]) . "\n", $batch['site'], $batch['batch_id'], $error);
+            $this->collectBatchLines($batch['buffer'] . stream_get_contents($pipes[1]) . "\n", $batch['site'], function (string $requestId, array $result) use (&$batch): void {
+                $this->deliverBatchResult($batch, $requestId, $result);
+            });
+            fclose($pipes[1]);
+            fclose($pipes[2]);
+
+            $exitCode = proc_close($batch['handle']);
+            $batch['handle'] = null;
+            $batch['failure'] = $batch['failure'] ?? "Scraper falló (código {$exitCode}): " . ($error ?: 'sin respuesta para la búsqueda');
+        }
+
+        $this->logger->info("Lote de scraper completado", [
+            'site' => $siteName,
+            'answered' => (int)($batch['answered'] ?? 0),
+            'unanswered' => count($batch['pending']),
+            'execution_time_ms' => round((microtime(true) - $batch['start_time']) * 1000, 2)
+        ]);
+
+        // Los términos sin línea de respuesta quedan con el error del proceso
+        foreach ($batch['pending'] as $searchId => $search) {
+            foreach ($search['terms'] as $index => $term) {
+                if (!isset($batch['pending'][$searchId]['results'][$index])) {
+                    $this->deliverBatchResult($batch, "{$searchId}#{$index}", array_merge(
+                        $this->createErrorResult($siteName, $term, (string)$batch['failure']),
+                        ['scraper_status' => $batch['status']]
+                    ));
+                }
+            }
+        }
+    }
+
+    /**
+     * Registra la respuesta de un término y, si la búsqueda ya tiene todos, entrega su resultado
+     * @param array<string, mixed> $batch
+     * @param string $requestId "{id de búsqueda}#{término}"
+     * @param array<string, mixed> $result
+     */
+    private function deliverBatchResult(array &$batch, string $requestId, array $result): void
+    {
+        $separator = strrpos($requestId, '#');
+        $searchId = $separator === false ? $requestId : substr($requestId, 0, $separator);
+        $index = $separator === false ? 0 : (int)substr($requestId, $separator + 1);
+        if (!isset($batch['pending'][$searchId])) {
+            return;
+        }
+
+        $batch['pending'][$searchId]['results'][$index] = $result;
+        $results = $batch['pending'][$searchId]['results'];
+        if (count($results) < count($batch['pending'][$searchId]['terms'])) {
+            return;
+        }
+
+        ksort($results);
+        unset($batch['pending'][$searchId]);
+        $batch['answered'] = (int)($batch['answered'] ?? 0) + 1;
+        ($batch['on_result'])($searchId, $this->mergeTermResults(array_values($results)));
+    }
+
+    /**
+     * Convierte las líneas completas de la salida --batch en resultados
+     * @param string $buffer Salida pendiente de procesar
+     * @param array<string, mixed> $site
+     * @param callable(string, array<string, mixed>): void $onLine Recibe el id de la solicitud y su resultado
+     * @return string Resto de la salida sin salto de línea final
+     */
+    private function collectBatchLines(string $buffer, array $site, callable $onLine): string
+    {
+        while (($newline = strpos($buffer, "\n")) !== false) {
+            $line = trim(substr($buffer, 0, $newline));
+            $buffer = substr($buffer, $newline + 1);
+            if ($line === '') {
+                continue;
+            }
+
+            /** @var array<string, mixed>|null $envelope */
+            $envelope = json_decode($line, true);
+            if (!is_array($envelope) || !isset($envelope['status']) || ($envelope['id'] ?? null) === null) {
+                $this->logger->warning("Línea inválida en la salida del scraper", ['site' => $site['site_name'], 'line' => substr($line, 0, 200)]);
+                continue;
+            }
+
+            $onLine((string)$envelope['id'], $this->mapScraperEnvelope(
+                $envelope,
+                $site,
+                (string)($envelope['search_term'] ?? ''),
+                (float)($envelope['execution_time'] ?? 0)
+            ));
+        }
+
+        return $buffer;
+    }
+
+    /**
+     * Separa de stderr los eventos de progreso del runtime (una línea JSON con "event")
+     * Cada evento actualiza la actividad del lote; las demás líneas se agregan a $error.
+     * @param string $buffer stderr pendiente de procesar
+     * @param array<string, mixed> $site
+     * @return string Resto sin salto de línea final
+     */
+    private function consumeScraperStderr(string $buffer, array $site, ?string $batchId, string &$error): string
+    {
+        while (($newline = strpos($buffer, "\n")) !== false) {
+            $line = substr($buffer, 0, $newline);
+            $buffer = substr($buffer, $newline + 1);
+
+            /** @var array<string, mixed>|null $event */
+            $event = str_starts_with($line, '{') ? json_decode($line, true) : null;
+            if (is_array($event) && ($event['event'] ?? null) === 'progress') {
+                if ($batchId !== null) {
+                    $this->activity->record($batchId, (string)$site['site_name'], $event);
+                }
+                continue;
+            }
+            if (trim($line) !== '') {
+                $error .= $line . "\n";
+            }
+        }
+
+        return $buffer;
+    }
+
+    /**
+     * Detiene un scraper con SIGTERM para que cierre el navegador y escriba su sobre parcial
+     * Si no termina en STOP_GRACE_SECONDS se fuerza con SIGKILL.
+     * @param resource $handle
+     * @param array<int, resource> $pipes
+     */
+    private function stopScraperProcess($handle, array $pipes, string &$output, string &$stderr): void
+    {
+        proc_terminate($handle, 15);
+
+        $deadline = microtime(true) + self::STOP_GRACE_SECONDS;
+        while (proc_get_status($handle)['running'] && microtime(true) < $deadline) {
+            $output .= (string)fread($pipes[1], 8192);
+            $stderr .= (string)fread($pipes[2], 8192);
+            usleep(100000); // 100ms
+        }
+
+        if (proc_get_status($handle)['running']) {
+            $this->logger->warning("El scraper no terminó tras SIGTERM; se fuerza el cierre");
+            proc_terminate($handle, 9);
+        }
+    }
+
+    /**
+     * ¿La salida de un scraper contiene un sobre JSON?
+     */
+    private function hasEnvelope(string $output): bool
+    {
+        /** @var mixed $envelope */
+        $envelope = json_decode(trim($output), true);
+        return is_array($envelope) && isset($envelope['status']);
+    }
+
     /**
      * Obtiene ruta del archivo scraper
      * @param array<string, mixed> $site
@@ -579,12 +1278,29 @@ class ScraperManager
         $scraperPath = $this->config['paths']['root'] . "/scrapers/{$category}/{$siteName}.js";
 
         if (!file_exists($scraperPath)) {
+            // Sitios definidos solo con datos: usar el motor declarativo compartido
+            if ($this->hasDeclarativeDefinition($site)) {
+                return $this->config['paths']['root'] . '/scrapers/shared/declarative.js';
+            }
+
             throw new Exception("Archivo scraper no encontrado: {$scraperPath}");
         }
 
         return $scraperPath;
     }
 
+    /**
+     * Indica si config_data contiene una definición declarativa (selectores de resultados)
+     * @param array<string, mixed> $site
+     */
+    private function hasDeclarativeDefinition(array $site): bool
+    {
+        /** @var array<string, mixed>|null $configData */
+        $configData = is_string($site['config_data'] ?? null) ? json_decode($site['config_data'], true) : ($site['config_data'] ?? null);
+
+        return is_array($configData) && isset($configData['results']);
+    }
+
     /**
      * Normaliza nombre de archivo
      */
@@ -642,25 +1358,41 @@ class ScraperManager
         /** @var array<int, array<string, mixed>> $allResults */
         $allResults = [];
 
+        // Ambos términos se puntúan con la identificación y la fecha de nacimiento del candidato
+        $options['subject'] = $this->getSearchSubject($search);
+
         foreach ($searchTerms as $term) {
             // No need for empty check here as array_filter already removed them
             $termResults = $this->processScraperGroup($term, $sites, $options);
             $allResults = array_merge($allResults, $termResults);
         }
 
-        // Eliminar duplicados por sitio
-        $uniqueResults = [];
-        $processed = [];
-
+        // Un resultado por sitio
+        /** @var array<string, array<int, array<string, mixed>>> $bySite */
+        $bySite = [];
         foreach ($allResults as $result) {
-            $siteKey = $result['site_name'];
-            if (!isset($processed[$siteKey])) {
-                $uniqueResults[] = $result;
-                $processed[$siteKey] = true;
+            $bySite[(string)$result['site_name']][] = $result;
+        }
+
+        return array_values(array_map([$this, 'mergeTermResults'], $bySite));
+    }
+
+    /**
+     * Resultado de un sitio para una búsqueda consultada por nombre y por identificación
+     * Se queda el primero con coincidencias (una identificación encontrada no se pierde
+     * porque el nombre no dio nada) y, si ninguno tiene, el del primer término.
+     * @param array<int, array<string, mixed>> $termResults En el orden de los términos
+     * @return array<string, mixed>
+     */
+    private function mergeTermResults(array $termResults): array
+    {
+        foreach ($termResults as $result) {
+            if (!empty($result['has_results'])) {
+                return $result;
             }
         }
 
-        return $uniqueResults;
+        return $termResults[0];
     }
 
     /**
@@ -720,7 +1452,7 @@ class ScraperManager
      */
     private function getPendingBatchSearches(string $batchId, int $limit): array
     {
-        $sql = "SELECT id, identification, full_name 
+        $sql = "SELECT id, identification, full_name, original_row_data
                 FROM bulk_searches 
                 WHERE batch_id = ? AND status = 'completed'
                 AND id NOT IN (
@@ -803,6 +1535,12 @@ class ScraperManager
                 case 'blocked':
                     $this->scraperStats['blocked_searches'] = ($this->scraperStats['blocked_searches'] ?? 0) + 1;
                     break;
+                case 'captcha_required':
+                    $this->scraperStats['captcha_searches'] = ($this->scraperStats['captcha_searches'] ?? 0) + 1;
+                    break;
+                case 'partial':
+                    $this->scraperStats['partial_searches'] = ($this->scraperStats['partial_searches'] ?? 0) + 1;
+                    break;
             }
         }
     }
@@ -0,0 +1,366 @@
+<?php
+
+namespace ScreeningApp;
+
+use Exception;
+use PDO;
+
+/**
+ * Clase SearchHistory - Historial de búsquedas individuales y masivas para results.html
+ * Une individual_searches y search_batches (o los candidatos de un lote en bulk_searches)
+ * en una sola lista con filtros, orden y paginación en la base de datos. Cada fila se
+ * identifica como "individual:{id}", "batch:{id}" o "candidate:{id}".
+ */
+class SearchHistory
+{
+    public const DEFAULT_PER_PAGE = 25;
+    public const MAX_PER_PAGE = 100;
+
+    // Campo de orden del frontend -> expresión SQL sobre la lista unificada
+    private const SORT_FIELDS = [
+        'name' => 'LOWER(name)',
+        'type' => 'type',
+        'date' => 'date',
+        'status' => 'status',
+        'matches' => '(local_matches + external_matches)'
+    ];
+
+    private const DATE_FILTERS = [
+        'today' => 'date >= CURRENT_DATE',
+        'week' => "date >= NOW() - INTERVAL '7 days'",
+        'month' => "date >= NOW() - INTERVAL '30 days'"
+    ];
+
+    // Estados de cada tabla agrupados en los tres que muestra la página
+    private const STATUS_SQL = "CASE
+            WHEN %1\$s = 'completed' THEN 'completed'
+            WHEN %1\$s IN ('failed', 'error', 'cancelled') THEN 'failed'
+            ELSE 'processing'
+        END";
+
+    private Database $db;
+
+    public function __construct(?Database $db = null)
+    {
+        $this->db = $db ?? Database::getInstance();
+    }
+
+    /**
+     * Página del historial
+     * @param array<string, mixed> $filters type, status, date (today|week|month), q, sort, direction, page, per_page
+     *   y batch_id: con batch_id la lista son los candidatos de ese lote
+     * @return array{results: array<int, array<string, mixed>>, pagination: array<string, int>,
+     *               stats: array<string, int|float>, batch: array<string, mixed>|null}
+     * @throws Exception
+     */
+    public function list(array $filters): array
+    {
+        $batchId = trim((string)($filters['batch_id'] ?? ''));
+        $batch = null;
+        /** @var array<int, mixed> $params */
+        $params = [];
+
+        if ($batchId !== '') {
+            $batch = $this->db->getBatchProgress($batchId);
+            if (empty($batch)) {
+                throw new Exception('Lote no encontrado');
+            }
+            $source = $this->candidatesSql();
+            $params[] = $batchId;
+        } else {
+            $source = $this->historySql();
+        }
+
+        [$where, $whereParams] = $this->buildWhere($filters);
+        $params = array_merge($params, $whereParams);
+
+        $statsStmt = $this->db->query("WITH history AS ({$source})
+            SELECT COUNT(*) AS total,
+                   COUNT(*) FILTER (WHERE status = 'completed') AS completed,
+                   COALESCE(SUM(local_matches + external_matches), 0) AS total_matches,
+                   COALESCE(AVG(execution_time) FILTER (WHERE status = 'completed'), 0) AS avg_execution_time
+            FROM history {$where}", $params);
+        /** @var array<string, int|string|float|null> $stats */
+        $stats = $statsStmt->fetch(PDO::FETCH_ASSOC) ?: [];
+        $total = (int)($stats['total'] ?? 0);
+
+        $perPage = min(max((int)($filters['per_page'] ?? self::DEFAULT_PER_PAGE), 1), self::MAX_PER_PAGE);
+        $totalPages = max((int)ceil($total / $perPage), 1);
+        $page = min(max((int)($filters['page'] ?? 1), 1), $totalPages);
+
+        $sortField = (string)($filters['sort'] ?? 'date');
+        $sort = self::SORT_FIELDS[$sortField] ?? self::SORT_FIELDS['date'];
+        $direction = strtolower((string)($filters['direction'] ?? 'desc')) === 'asc' ? 'ASC' : 'DESC';
+
+        $stmt = $this->db->query("WITH history AS ({$source})
+            SELECT * FROM history {$where}
+            ORDER BY {$sort} {$direction}, date DESC, id
+            LIMIT ? OFFSET ?", array_merge($params, [$perPage, ($page - 1) * $perPage]));
+
+        return [
+            'results' => array_map([$this, 'formatRow'], $stmt->fetchAll(PDO::FETCH_ASSOC)),
+            'pagination' => [
+                'page' => $page,
+                'per_page' => $perPage,
+                'total' => $total,
+                'total_pages' => $totalPages
+            ],
+            'stats' => [
+                'total' => $total,
+                'completed' => (int)($stats['completed'] ?? 0),
+                'total_matches' => (int)($stats['total_matches'] ?? 0),
+                'avg_execution_time' => round((float)($stats['avg_execution_time'] ?? 0), 1)
+            ],
+            'batch' => $batch
+        ];
+    }
+
+    /**
+     * Detalle de una fila del historial; un candidato trae sus coincidencias locales y los sitios consultados
+     * @return array<string, mixed>
+     * @throws Exception
+     */
+    public function detail(string $id): array
+    {
+        [$type, $key] = self::parseId($id);
+
+        if ($type === 'candidate') {
+            $stmt = $this->db->query("WITH history AS ({$this->candidatesSql('bs.id::text = ?')}) SELECT * FROM history", [$key]);
+        } else {
+            $stmt = $this->db->query("WITH history AS ({$this->historySql()}) SELECT * FROM history WHERE id = ?", [$id]);
+        }
+
+        /** @var array<string, mixed>|false $row */
+        $row = $stmt->fetch(PDO::FETCH_ASSOC);
+        if (!$row) {
+            throw new Exception('Búsqueda no encontrada');
+        }
+        $detail = $this->formatRow($row);
+
+        if ($type === 'candidate') {
+            $detail['localResults'] = $this->db->query(
+                "SELECT r.similarity_percentage, r.match_type, l.full_name, l.identification, l.source_name
+                 FROM search_results r
+                 LEFT JOIN local_database_records l ON l.id = r.local_record_id
+                 WHERE r.bulk_search_id::text = ?
+                 ORDER BY r.similarity_percentage DESC",
+                [$key]
+            )->fetchAll(PDO::FETCH_ASSOC);
+
+            $external = $this->db->query(
+                "SELECT site_name, site_category, has_results, results_count, results_data, similarity_score,
+                        scraper_status, direct_link, execution_time, error_details
+                 FROM external_results
+                 WHERE bulk_search_id::text = ?
+                 ORDER BY has_results DESC, site_name",
+                [$key]
+            )->fetchAll(PDO::FETCH_ASSOC);
+            $detail['externalResults'] = array_map(function (array $result): array {
+                $result['has_results'] = (bool)$result['has_results'];
+                $result['results_count'] = (int)$result['results_count'];
+                $result['similarity_score'] = isset($result['similarity_score']) ? (float)$result['similarity_score'] : null;
+                // results_data trae también la evidencia y el bloqueo (ver Database::saveExternalResults)
+                $stored = Database::decodeExternalResultsData($result['results_data'] ?? null);
+                $result['results_data'] = $stored['data'];
+                $result['evidence'] = $stored['evidence'];
+                $result['block'] = $stored['block'];
+                return $result;
+            }, $external);
+        }
+
+        return $detail;
+    }
+
+    /**
+     * Borra búsquedas del historial con sus resultados; un lote se borra con todos sus candidatos
+     * @param string[] $ids Identificadores de la lista ("batch:{id}", ...)
+     * @return int Filas del historial borradas
+     * @throws Exception
+     */
+    public function delete(array $ids): int
+    {
+        /** @var array<string, string[]> $byType */
+        $byType = ['individual' => [], 'batch' => [], 'candidate' => []];
+        foreach ($ids as $id) {
+            [$type, $key] = self::parseId((string)$id);
+            $byType[$type][] = $key;
+        }
+
+        $connection = $this->db->getConnection();
+        $connection->beginTransaction();
+        try {
+            $deleted = 0;
+
+            if (!empty($byType['batch'])) {
+                $in = $this->placeholders($byType['batch']);
+                $candidates = "SELECT id FROM bulk_searches WHERE batch_id::text IN ({$in})";
+                $this->db->query("DELETE FROM search_results WHERE bulk_search_id IN ({$candidates})", $byType['batch']);
+                $this->db->query("DELETE FROM external_results WHERE bulk_search_id IN ({$candidates})", $byType['batch']);
+                $this->db->query("DELETE FROM bulk_searches WHERE batch_id::text IN ({$in})", $byType['batch']);
+                $deleted += $this->db->query("DELETE FROM search_batches WHERE id::text IN ({$in})", $byType['batch'])->rowCount();
+            }
+
+            if (!empty($byType['candidate'])) {
+                $in = $this->placeholders($byType['candidate']);
+                $this->db->query("DELETE FROM search_results WHERE bulk_search_id::text IN ({$in})", $byType['candidate']);
+                $this->db->query("DELETE FROM external_results WHERE bulk_search_id::text IN ({$in})", $byType['candidate']);
+                $deleted += $this->db->query("DELETE FROM bulk_searches WHERE id::text IN ({$in})", $byType['candidate'])->rowCount();
+            }
+
+            if (!empty($byType['individual'])) {
+                $in = $this->placeholders($byType['individual']);
+                $deleted += $this->db->query("DELETE FROM individual_searches WHERE id::text IN ({$in})", $byType['individual'])->rowCount();
+            }
+
+            $connection->commit();
+            return $deleted;
+        } catch (Exception $e) {
+            $connection->rollBack();
+            throw $e;
+        }
+    }
+
+    /**
+     * Separa "tipo:id"
+     * @return array{0: string, 1: string}
+     * @throws Exception
+     */
+    public static function parseId(string $id): array
+    {
+        $parts = explode(':', $id, 2);
+        if (count($parts) !== 2 || $parts[1] === '' || !in_array($parts[0], ['individual', 'batch', 'candidate'], true)) {
+            throw new Exception("Identificador de búsqueda inválido: {$id}");
+        }
+        return [$parts[0], $parts[1]];
+    }
+
+    /**
+     * Búsquedas individuales y lotes con las mismas columnas
+     */
+    private function historySql(): string
+    {
+        $individualStatus = sprintf(self::STATUS_SQL, 's.status');
+        $batchStatus = sprintf(self::STATUS_SQL, 'b.status');
+
+        return "SELECT 'individual:' || s.id::text AS id,
+                       'individual' AS type,
+                       s.search_term AS name,
+                       NULL::text AS identification,
+                       s.created_at AS date,
+                       {$individualStatus} AS status,
+                       COALESCE((s.results_summary::jsonb->>'local_matches')::int, 0) AS local_matches,
+                       COALESCE((s.results_summary::jsonb->>'external_sites_with_results')::int, 0) AS external_matches,
+                       NULL::numeric AS execution_time,
+                       1 AS records_processed,
+                       NULL::text AS batch_id
+                FROM individual_searches s
+                UNION ALL
+                SELECT 'batch:' || b.id::text,
+                       'batch',
+                       b.batch_name,
+                       NULL::text,
+                       b.created_at,
+                       {$batchStatus},
+                       (SELECT COUNT(*) FROM search_results r
+                        JOIN bulk_searches bs ON bs.id = r.bulk_search_id WHERE bs.batch_id = b.id)::int,
+                       (SELECT COUNT(*) FROM external_results e
+                        JOIN bulk_searches bs ON bs.id = e.bulk_search_id WHERE bs.batch_id = b.id AND e.has_results)::int,
+                       EXTRACT(EPOCH FROM (b.completed_at - b.started_at))::numeric,
+                       b.total_records,
+                       b.id::text
+                FROM search_batches b";
+    }
+
+    /**
+     * Candidatos de un lote (bulk_searches) con las columnas del historial
+     * @param string $condition Condición sobre bs con un parámetro (por defecto, el lote)
+     */
+    private function candidatesSql(string $condition = 'bs.batch_id::text = ?'): string
+    {
+        $status = sprintf(self::STATUS_SQL, 'bs.status');
+
+        return "SELECT 'candidate:' || bs.id::text AS id,
+                       'candidate' AS type,
+                       bs.full_name AS name,
+                       bs.identification::text AS identification,
+                       COALESCE(bs.processed_at, bs.created_at) AS date,
+                       {$status} AS status,
+                       (SELECT COUNT(*) FROM search_results r WHERE r.bulk_search_id = bs.id)::int AS local_matches,
+                       (SELECT COUNT(*) FROM external_results e
+                        WHERE e.bulk_search_id = bs.id AND e.has_results)::int AS external_matches,
+                       NULL::numeric AS execution_time,
+                       1 AS records_processed,
+                       bs.batch_id::text AS batch_id
+                FROM bulk_searches bs
+                WHERE {$condition}";
+    }
+
+    /**
+     * WHERE de los filtros sobre la lista unificada
+     * @param array<string, mixed> $filters
+     * @return array{0: string, 1: array<int, string>}
+     */
+    private function buildWhere(array $filters): array
+    {
+        $conditions = [];
+        $params = [];
+
+        $type = (string)($filters['type'] ?? '');
+        if (in_array($type, ['individual', 'batch'], true)) {
+            $conditions[] = 'type = ?';
+            $params[] = $type;
+        }
+
+        $status = (string)($filters['status'] ?? '');
+        if (in_array($status, ['completed', 'processing', 'failed'], true)) {
+            $conditions[] = 'status = ?';
+            $params[] = $status;
+        }
+
+        $date = (string)($filters['date'] ?? '');
+        if (isset(self::DATE_FILTERS[$date])) {
+            $conditions[] = self::DATE_FILTERS[$date];
+        }
+
+        $text = trim((string)($filters['q'] ?? ''));
+        if ($text !== '') {
+            $conditions[] = "(name ILIKE ? OR identification ILIKE ?)";
+            $pattern = '%' . addcslashes($text, '%_\\') . '%';
+            $params[] = $pattern;
+            $params[] = $pattern;
+        }
+
+        return [empty($conditions) ? '' : 'WHERE ' . implode(' AND ', $conditions), $params];
+    }
+
+    /**
+     * Fila en la forma que usa results.html
+     * @param array<string, mixed> $row
+     * @return array<string, mixed>
+     */
+    private function formatRow(array $row): array
+    {
+        return [
+            'id' => (string)$row['id'],
+            'type' => (string)$row['type'],
+            'name' => (string)($row['name'] ?? ''),
+            'identification' => $row['identification'] ?? null,
+            'date' => $row['date'] !== null ? date('c', (int)strtotime((string)$row['date'])) : null,
+            'status' => (string)$row['status'],
+            'localMatches' => (int)$row['local_matches'],
+            'externalMatches' => (int)$row['external_matches'],
+            'executionTime' => $row['execution_time'] !== null ? (int)round((float)$row['execution_time']) : null,
+            'recordsProcessed' => (int)$row['records_processed'],
+            'batchId' => $row['batch_id'] ?? null
+        ];
+    }
+
+    /**
+     * Marcadores ?, ?, ... para IN
+     * @param array<int, mixed> $values
+     */
+    private function placeholders(array $values): string
+    {
+        return implode(', ', array_fill(0, count($values), '?'));
+    }
+}
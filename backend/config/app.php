@@ -34,6 +34,7 @@ return [
         'scrapers' => dirname(__DIR__, 2) . '/scrapers',
         'uploads' => dirname(__DIR__, 2) . '/' . ($_ENV['UPLOAD_DIR'] ?? 'uploads'),
         'exports' => dirname(__DIR__, 2) . '/' . ($_ENV['EXPORT_DIR'] ?? 'exports'),
+        'results' => dirname(__DIR__, 2) . '/' . ($_ENV['RESULTS_DIR'] ?? 'exports/results'),
         'logs' => dirname(__DIR__, 2) . '/' . ($_ENV['LOGS_DIR'] ?? 'logs'),
         'config' => __DIR__,
         'database' => dirname(__DIR__, 2) . '/database',
@@ -75,6 +76,15 @@ return [
         'node_path' => $_ENV['NODE_PATH'] ?? 'node',
         'npm_path' => $_ENV['NPM_PATH'] ?? 'npm',
 
+        // Búsquedas masivas con un proceso --batch por sitio (navegador y login reutilizados)
+        'batch_mode' => filter_var($_ENV['SCRAPER_BATCH_MODE'] ?? false, FILTER_VALIDATE_BOOLEAN),
+
+        // Servicio residente de scrapers (scrapers/scraper-manager.js)
+        'manager' => [
+            'enabled' => filter_var($_ENV['SCRAPER_MANAGER_ENABLED'] ?? false, FILTER_VALIDATE_BOOLEAN),
+            'url' => $_ENV['SCRAPER_MANAGER_URL'] ?? 'http://127.0.0.1:3100',
+        ],
+
         // Configuración Puppeteer
         'puppeteer' => [
             'headless' => filter_var($_ENV['PUPPETEER_HEADLESS'] ?? true, FILTER_VALIDATE_BOOLEAN),
@@ -0,0 +1,41 @@
+<?php
+
+/**
+ * Verifica la convención de archivos de scrapers contra scraper_sites
+ * Envía las filas a scrapers/shared/scaffold.js lint, que lista los sitios sin
+ * scrapers/{category}/{site}.js o con un archivo mal nombrado.
+ * Sale con código 1 si algún sitio tiene problemas.
+ */
+
+require_once __DIR__ . '/../../vendor/autoload.php';
+
+use ScreeningApp\Database;
+
+$config = require __DIR__ . '/../config/app.php';
+
+try {
+    $db = Database::getInstance();
+    $stmt = $db->query("SELECT site_name, category, scraper_type, config_data, is_active FROM scraper_sites ORDER BY category, site_name");
+    /** @var array<int, array<string, mixed>> $sites */
+    $sites = $stmt->fetchAll(PDO::FETCH_ASSOC);
+} catch (Exception $e) {
+    echo "❌ No se pudo leer scraper_sites: " . $e->getMessage() . "\n";
+    exit(1);
+}
+
+$command = [
+    $config['scrapers']['node_path'] ?? 'node',
+    $config['paths']['scrapers'] . '/shared/scaffold.js',
+    'lint'
+];
+
+$process = proc_open($command, [0 => ['pipe', 'r'], 1 => STDOUT, 2 => STDERR], $pipes, $config['paths']['scrapers']);
+if (!is_resource($process)) {
+    echo "❌ No se pudo ejecutar Node.js\n";
+    exit(1);
+}
+
+fwrite($pipes[0], (string)json_encode($sites));
+fclose($pipes[0]);
+
+exit(proc_close($process));
@@ -283,13 +283,26 @@ class ScreeningApp {
         // Actualizar contadores principales
         this.updateElement('localRecordsCount', this.formatNumber(data.system_stats?.tables?.local_database_records || 0));
         this.updateElement('searchesToday', this.formatNumber(data.system_stats?.tables?.bulk_searches || 0));
-        this.updateElement('activeSites', '22'); // Total de sitios configurados
+        this.updateElement('activeSites', this.formatActiveSites(data.scrapers));
         this.updateElement('queuedJobs', data.queue?.queued || 0);
         
         // Actualizar indicador de estado del sistema
         this.updateSystemStatusIndicator(data.overall_status);
     }
     
+    /**
+     * Sitios funcionando según el último chequeo de salud, sobre los sitios activos;
+     * los que no se han probado se indican aparte para no contarlos como caídos
+     */
+    formatActiveSites(scrapers) {
+        if (!scrapers) return '-';
+        if (scrapers.working_sites === null || scrapers.working_sites === undefined) {
+            return String(scrapers.total_sites ?? '-');
+        }
+        const untested = scrapers.unknown_sites > 0 ? ` (${scrapers.unknown_sites} sin probar)` : '';
+        return `${scrapers.working_sites}/${scrapers.total_sites}${untested}`;
+    }
+    
     /**
      * Actualiza indicador de estado del sistema
      */
@@ -431,6 +444,7 @@ class ScreeningApp {
         const dbStatus = data.database?.status || 'unknown';
         const queueStatus = data.queue?.status || 'unknown';
         const overallStatus = data.overall_status || 'unknown';
+        const scrapers = data.scrapers || {};
         
         container.innerHTML = `
             <div class="mb-3">
@@ -458,18 +472,20 @@ class ScreeningApp {
                 </div>
                 <div class="col-6 mb-2">
                     <div class="d-flex align-items-center">
-                        <span class="status-indicator status-healthy"></span>
+                        <span class="status-indicator status-${scrapers.by_type?.puppeteer || 'unknown'}"></span>
                         <small>Scrapers</small>
                     </div>
                 </div>
                 <div class="col-6 mb-2">
                     <div class="d-flex align-items-center">
-                        <span class="status-indicator status-healthy"></span>
+                        <span class="status-indicator status-${scrapers.by_type?.axios || 'unknown'}"></span>
                         <small>APIs</small>
                     </div>
                 </div>
             </div>
             
+            ${this.renderSiteHealth(scrapers)}
+            
             <div class="mt-3 pt-3 border-top">
                 <div class="row text-center">
                     <div class="col-4">
@@ -481,6 +497,43 @@ class ScreeningApp {
         `;
     }
     
+    /**
+     * Lista de sitios del último chequeo de salud, con los que fallan primero
+     */
+    renderSiteHealth(scrapers) {
+        if (!scrapers.checked_at) {
+            return `
+            <div class="mt-3 pt-3 border-top small text-muted">
+                Sin chequeo de salud de scrapers (npm run health-check)
+            </div>`;
+        }
+        
+        const order = { 'error': 0, 'warning': 1, 'unknown': 2, 'healthy': 3 };
+        const sites = [...(scrapers.sites || [])].sort((a, b) => (order[a.status] ?? 2) - (order[b.status] ?? 2));
+        
+        return `
+            <div class="mt-3 pt-3 border-top">
+                <div class="d-flex justify-content-between small mb-2">
+                    <span class="fw-semibold">Sitios externos</span>
+                    <span class="${scrapers.stale ? 'text-warning' : 'text-muted'}" title="${this.formatDateTime(scrapers.checked_at)}">
+                        Revisado ${this.getTimeAgo(scrapers.checked_at)}
+                    </span>
+                </div>
+                <div style="max-height: 180px; overflow-y: auto;">
+                    ${sites.map(site => `
+                        <div class="d-flex align-items-center small mb-1" title="${this.escapeHtml(site.last_error || '')}">
+                            <span class="status-indicator status-${site.status}"></span>
+                            <span class="flex-grow-1 text-truncate">${this.escapeHtml(site.site)}</span>
+                            <span class="text-muted ms-2">${site.latency_ms !== null ? `${site.latency_ms} ms` : '-'}</span>
+                        </div>
+                        ${site.status !== 'healthy' && site.last_error ? `
+                            <div class="small text-muted text-truncate ms-4 mb-1">${this.escapeHtml(site.last_error)}</div>
+                        ` : ''}
+                    `).join('')}
+                </div>
+            </div>`;
+    }
+    
     /**
      * Obtiene color para estado del sistema
      */
@@ -798,6 +851,33 @@ class ScreeningApp {
         div.textContent = text;
         return div.innerHTML;
     }
+
+    /**
+     * Enlaces "ver evidencia" de un resultado externo (capturas guardadas por el scraper)
+     * El enlace principal abre la captura PNG si existe; el resto de archivos van al lado.
+     */
+    renderEvidenceLinks(evidence) {
+        const captures = (Array.isArray(evidence) ? evidence : []).filter(record => record && Array.isArray(record.files) && record.files.length > 0);
+        if (captures.length === 0) {
+            return '';
+        }
+
+        const labels = { png: 'Captura', pdf: 'PDF', html: 'HTML' };
+        const link = (file, text, classes) => `
+            <a href="${CONFIG.API_BASE_URL}/search.php?action=evidence&file=${encodeURIComponent(file.path)}" target="_blank" rel="noopener"
+               class="${classes}" title="SHA-256: ${this.escapeHtml(file.sha256)}">${text}</a>`;
+
+        return captures.map(record => {
+            const main = record.files.find(file => file.type === 'png') || record.files[0];
+            const others = record.files.filter(file => file !== main);
+            return `
+                <div class="small mt-1">
+                    ${link(main, '<i class="bi bi-camera me-1"></i>Ver evidencia', 'btn btn-sm btn-outline-secondary')}
+                    ${others.map(file => link(file, labels[file.type] || file.type, 'ms-2 text-muted')).join('')}
+                    <span class="d-block text-muted">${this.escapeHtml(this.formatDateTime(record.captured_at))}</span>
+                </div>`;
+        }).join('');
+    }
     
     /**
      * Valida archivo antes de subir
@@ -0,0 +1,178 @@
+const http = require('http');
+const { runScraper } = require('../shared/runtime');
+const { createScheduler } = require('../shared/scheduler');
+const { compileTaxonomy, loadTaxonomy, analyzeText, assessArticle, findMentions, textTokens } = require('../media/lib/adverseMedia');
+const milenio = require('../media/milenio');
+const googleMexico = require('../media/google-m-xico');
+
+const TAXONOMY = compileTaxonomy(loadTaxonomy());
+
+const latin1 = html => Buffer.from(html, 'latin1');
+
+const SEARCH_PAGE = `<html><body>
+  <article><h2><a href="/policia/nota-lavado">Detienen a empresario por lavado</a></h2><time datetime="2024-03-01">1 mar</time></article>
+  <article><h2><a href="/politica/nota-evento">Inauguran obra en Cancún</a></h2></article>
+  <article><h2><a href="/deportes/nota-futbol">Resultados de la jornada</a></h2></article>
+  <article><h2><a href="/policia/nota-lavado">Enlace repetido</a></h2></article>
+  <article><h2><a href="/policia/nota-borrada">Nota eliminada</a></h2><p>Juan Pérez Gómez, acusado de fraude.</p></article>
+</body></html>`;
+
+const ARTICLES = {
+  '/policia/nota-lavado': `<html><head><meta charset="iso-8859-1">
+    <meta property="og:title" content="Detienen a empresario por lavado de dinero en Quintana Roo">
+    <meta property="article:published_time" content="2024-03-01T10:00:00-06:00"></head>
+    <body><article><h1>Detienen a empresario</h1>
+    <p>La Fiscalía General informó el operativo realizado en Cancún.</p>
+    <p>Juan Pérez Gómez, vinculado a proceso por operaciones con recursos de procedencia ilícita y lavado de dinero.</p>
+    </article></body></html>`,
+  '/politica/nota-evento': `<html><head><script type="application/ld+json">{"@type":"NewsArticle","datePublished":"2024-02-10T09:00:00Z"}</script></head>
+    <body><article><h1>Inauguran obra en Cancún</h1><p>Al evento asistió el empresario Juan Pérez Gómez.</p></article></body></html>`,
+  '/deportes/nota-futbol': '<html><body><article><h1>Resultados</h1><p>El cártel de goleadores siguió intacto.</p></article></body></html>'
+};
+
+describe('Adverse media', () => {
+  it('should tag the paragraph mentioning the candidate and rank by distance to the adverse terms', () => {
+    const near = analyzeText('Juan Pérez Gómez, detenido por fraude', 'Juan Pérez Gómez', TAXONOMY);
+    const far = analyzeText(`Juan Pérez Gómez ${'habló con la prensa '.repeat(6)}sobre el fraude`, 'Juan Perez Gomez', TAXONOMY);
+
+    expect(near.mention).toMatchObject({ text: 'Juan Pérez Gómez', score: 100 });
+    expect(near.terms.map(hit => hit.category)).toEqual(['proceso_judicial', 'fraude']);
+    expect(near.relevance).toBe(100);
+    expect(far.relevance).toBeLessThan(near.relevance);
+    expect(far.relevance).toBeGreaterThanOrEqual(50);
+    expect(analyzeText('Pedro Ramírez fue detenido por fraude', 'Juan Pérez Gómez', TAXONOMY)).toBeNull();
+  });
+
+  it('should find a first name and a surname without the words around them', () => {
+    const mentions = (text, term) => findMentions(textTokens(text), term).map(mention => [mention.text, mention.score]);
+
+    expect(mentions('Detuvieron a Juan Pérez, alias el Güero, por fraude', 'Juan Carlos Pérez Gómez')).toEqual([['Juan Pérez', 100]]);
+    expect(mentions('Juan Pérez de la Cruz rindió declaración', 'Juan Pérez')).toEqual([['Juan Pérez', 100]]);
+    expect(mentions('Declaró María de la Luz Gómez ante el juez', 'María de la Luz Gómez Ruiz')).toEqual([['María de la Luz Gómez', 100]]);
+    expect(mentions('Carlos Perez Gomez y Juan Gómez', 'Juan Carlos Pérez Gómez')).toEqual([['Carlos Perez Gomez', 100], ['Juan Gómez', 100]]);
+    // Solo apellidos, u otro nombre de pila entre medio, no identifican al candidato
+    expect(mentions('La Fiscalía acusó a Pérez Gómez de fraude', 'Juan Pérez Gómez')).toEqual([]);
+    expect(mentions('Juan Antonio Pérez, detenido', 'Juan Pérez Gómez')).toEqual([]);
+  });
+
+  it('should accept taxonomy overrides from config_data', () => {
+    const taxonomy = compileTaxonomy(loadTaxonomy(), {
+      fraude: null,
+      ambiental: { label: 'Delito ambiental', keywords: ['tala ilegal', 'deforest*'] }
+    });
+    const article = assessArticle({
+      url: 'https://medio.test/nota',
+      headline: 'Juan Pérez, señalado por fraude y deforestación en la selva maya'
+    }, 'Juan Pérez', taxonomy);
+
+    expect(article).toMatchObject({ matched_name: 'Juan Pérez', risk_categories: ['ambiental'], risk_labels: ['Delito ambiental'] });
+  });
+
+  describe('against a news site', () => {
+    let server;
+    let baseUrl;
+
+    beforeEach(async () => {
+      server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname === '/buscador') {
+          res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+          res.end(SEARCH_PAGE);
+        } else if (url.pathname === '/rss') {
+          res.writeHead(200, { 'Content-Type': 'application/rss+xml; charset=utf-8' });
+          res.end(`<?xml version="1.0"?><rss><channel>
+            <item><title>Juan Pérez Gómez, detenido por extorsión - Novedades Quintana Roo</title>
+              <link>https://news.google.com/articles/a1</link><pubDate>Tue, 05 Mar 2024 12:00:00 GMT</pubDate>
+              <description>&lt;a href="https://news.google.com/articles/a1"&gt;Juan Pérez Gómez, detenido por extorsión&lt;/a&gt;</description>
+              <source url="https://sipse.com">Novedades Quintana Roo</source></item>
+            <item><title>Juan Pérez Gómez presenta libro</title><link>https://news.google.com/articles/a2</link></item>
+          </channel></rss>`);
+        } else if (ARTICLES[url.pathname]) {
+          // Sin charset en la cabecera: la nota de policía lo declara en <meta>
+          const html = ARTICLES[url.pathname];
+          res.writeHead(200, { 'Content-Type': 'text/html' });
+          res.end(html.includes('iso-8859-1') ? latin1(html) : html);
+        } else {
+          res.writeHead(404);
+          res.end();
+        }
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    const run = (scraper, config) => runScraper(scraper, { searchTerm: 'Juan Pérez Gómez', config }, {
+      cache: null,
+      scheduler: createScheduler({ requestsPerMinute: 0 })
+    });
+
+    it('should fetch each article and keep only the adverse coverage', async () => {
+      const envelope = await run(milenio, { search_url: `${baseUrl}/buscador?text={TERM}` });
+
+      expect(envelope).toMatchObject({ status: 'completed', category: 'media', results_count: 2, max_similarity: 100 });
+      expect(envelope.direct_link).toBe(`${baseUrl}/buscador?text=Juan%20P%C3%A9rez%20G%C3%B3mez`);
+      expect(envelope.data[0]).toMatchObject({
+        headline: 'Detienen a empresario por lavado de dinero en Quintana Roo',
+        published_at: '2024-03-01T16:00:00.000Z',
+        url: `${baseUrl}/policia/nota-lavado`,
+        source: 'Milenio',
+        paragraph: 'Juan Pérez Gómez, vinculado a proceso por operaciones con recursos de procedencia ilícita y lavado de dinero.',
+        risk_categories: ['proceso_judicial', 'lavado'],
+        relevance: 100
+      });
+      // La nota borrada se evalúa con el resumen del listado
+      expect(envelope.data[1]).toMatchObject({ url: `${baseUrl}/policia/nota-borrada`, risk_categories: ['proceso_judicial', 'fraude'] });
+      expect(envelope.meta).toMatchObject({ articles_found: 4, articles_reviewed: 4 });
+      expect(envelope.meta.articles_failed).toEqual([expect.objectContaining({ url: `${baseUrl}/policia/nota-borrada` })]);
+
+      const untagged = await run(milenio, { search_url: `${baseUrl}/buscador?text={TERM}`, include_untagged: true, max_articles: 2 });
+      expect(untagged.data.map(row => [row.published_at, row.relevance])).toEqual([
+        ['2024-03-01T16:00:00.000Z', 100],
+        ['2024-02-10T09:00:00.000Z', 0]
+      ]);
+    });
+
+    it('should stop fetching articles before the timeout and assess the rest from the listing', async () => {
+      const startedAt = Date.now();
+      const envelope = await runScraper(milenio, {
+        searchTerm: 'Juan Pérez Gómez',
+        timeoutMs: 5000,
+        config: { search_url: `${baseUrl}/buscador?text={TERM}` }
+      }, {
+        cache: null,
+        // Una nota cada 1,2 s: con 5 s de timeout solo alcanza la primera
+        scheduler: createScheduler({ requestsPerMinute: 0, minDelayMs: 1200 })
+      });
+
+      expect(Date.now() - startedAt).toBeLessThan(3000);
+      expect(envelope.status).toBe('completed');
+      expect(envelope.meta).toMatchObject({ articles_found: 4, articles_reviewed: 4, articles_failed: [] });
+      expect(envelope.meta.articles_not_fetched).toEqual([
+        `${baseUrl}/politica/nota-evento`,
+        `${baseUrl}/deportes/nota-futbol`,
+        `${baseUrl}/policia/nota-borrada`
+      ]);
+      expect(envelope.data.map(row => [row.url, row.paragraph])).toEqual([
+        [`${baseUrl}/policia/nota-lavado`, 'Juan Pérez Gómez, vinculado a proceso por operaciones con recursos de procedencia ilícita y lavado de dinero.'],
+        [`${baseUrl}/policia/nota-borrada`, 'Juan Pérez Gómez, acusado de fraude.']
+      ]);
+    });
+
+    it('should classify Google News items from the feed', async () => {
+      const envelope = await run(googleMexico, { feed_url: `${baseUrl}/rss?q={TERM}` });
+
+      expect(envelope.results_count).toBe(1);
+      expect(envelope.data[0]).toMatchObject({
+        url: 'https://news.google.com/articles/a1',
+        source: 'Novedades Quintana Roo',
+        published_at: '2024-03-05T12:00:00.000Z',
+        risk_categories: ['proceso_judicial', 'extorsion']
+      });
+      expect(envelope.direct_link).toContain('news.google.com/search');
+    });
+  });
+});
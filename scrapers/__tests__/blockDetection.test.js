@@ -0,0 +1,149 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { defineScraper, runScraper } = require('../shared/runtime');
+const { createScheduler } = require('../shared/scheduler');
+const { detectBlock, blockError } = require('../shared/blockDetection');
+
+const PNG_BYTES = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const RECAPTCHA_PAGE = `<html><body><form><div class="g-recaptcha" data-sitekey="x"></div>
+  <iframe src="https://www.google.com/recaptcha/api2/anchor?k=x"></iframe></form></body></html>`;
+const NO_RESULTS_PAGE = '<html><body><p>No se encontraron registros para la consulta</p></body></html>';
+
+describe('Block detection', () => {
+  it('should recognise CAPTCHAs, WAF challenges, login walls and HTTP 403', () => {
+    const reason = snapshot => {
+      const block = detectBlock({ url: 'https://portal.test/consulta', status: 200, ...snapshot });
+      return block && [block.status, block.reason];
+    };
+
+    expect(reason({ html: RECAPTCHA_PAGE })).toEqual(['captcha_required', 'recaptcha']);
+    expect(reason({ html: '<iframe src="https://newassets.hcaptcha.com/captcha/v1/x"></iframe>' }))
+      .toEqual(['captcha_required', 'hcaptcha']);
+    expect(reason({ html: '<img id="imgCaptcha" src="Captcha.aspx"><input name="txtCaptcha">' }))
+      .toEqual(['captcha_required', 'image_captcha']);
+    expect(reason({ status: 403, html: '<html><head><title>Just a moment...</title></head><body><div class="cf-turnstile"></div></body></html>' }))
+      .toEqual(['blocked', 'cloudflare_challenge']);
+    expect(reason({ status: 403, html: '<html><head><title>Access Denied</title></head><body>Reference #18.2f3c1402.1700000000.5a1b</body></html>' }))
+      .toEqual(['blocked', 'akamai']);
+    expect(reason({ url: 'https://portal.test/Account/Login?ReturnUrl=%2Fconsulta', html: '<form><input type="password" name="clave"></form>' }))
+      .toEqual(['blocked', 'login_wall']);
+    expect(reason({ status: 403, html: 'Forbidden' })).toEqual(['blocked', 'http_403']);
+
+    // Un formulario de consulta con contraseña fuera de una página de login no es un muro
+    expect(reason({ html: '<form><input type="password" name="pin"></form>' })).toBeNull();
+    expect(reason({ html: NO_RESULTS_PAGE })).toBeNull();
+    expect(reason({ html: '<script src="https://www.google.com/recaptcha/api.js?render=clave"></script>' })).toBeNull();
+  });
+
+  describe('in the runtime', () => {
+    let tmpDir;
+    let server;
+    let baseUrl;
+
+    const deps = () => ({
+      cache: null,
+      scheduler: createScheduler({ requestsPerMinute: 0 }),
+      evidence: { mode: 'off', formats: [], dir: tmpDir }
+    });
+
+    beforeEach(async () => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'block-'));
+      server = http.createServer((req, res) => {
+        if (req.url.startsWith('/prohibido')) {
+          res.writeHead(403, { 'Content-Type': 'text/html' });
+          res.end('<html><body>Forbidden</body></html>');
+        } else if (req.url.startsWith('/captcha')) {
+          res.writeHead(200, { 'Content-Type': 'text/html' });
+          res.end(RECAPTCHA_PAGE);
+        } else {
+          res.writeHead(200, { 'Content-Type': 'text/html' });
+          res.end(NO_RESULTS_PAGE);
+        }
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => server.close(resolve));
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    const axiosScraper = pathname => defineScraper({
+      name: 'portal-consulta',
+      category: 'judicial',
+      type: 'axios',
+      async search({ term, http: client }) {
+        const { data } = await client.get(`${baseUrl}${pathname}`, { params: { q: term } });
+        return { data: data.includes('JUAN') ? [{ nombre: 'JUAN PEREZ' }] : [] };
+      }
+    });
+
+    it('should report HTTP 403 and CAPTCHA pages instead of a clean negative', async () => {
+      const forbidden = await runScraper(axiosScraper('/prohibido'), { searchTerm: 'Juan Perez', batchId: 'lote-1' }, deps());
+      const captcha = await runScraper(axiosScraper('/captcha'), { searchTerm: 'Juan Perez' }, deps());
+      const negative = await runScraper(axiosScraper('/consulta'), { searchTerm: 'Juan Perez' }, deps());
+
+      expect(forbidden).toMatchObject({
+        success: false,
+        status: 'blocked',
+        has_results: false,
+        block: { reason: 'http_403', http_status: 403, url: `${baseUrl}/prohibido?q=Juan+Perez` }
+      });
+      expect(forbidden.error).toContain('requiere revisión manual');
+      expect(forbidden.evidence[0].files.map(file => file.type)).toEqual(['html']);
+      expect(fs.existsSync(path.join(tmpDir, 'lote-1', 'portal-consulta'))).toBe(true);
+
+      expect(captcha).toMatchObject({ status: 'captcha_required', block: { reason: 'recaptcha', http_status: 200 } });
+      expect(negative).toMatchObject({ success: true, status: 'completed', block: null, evidence: [] });
+    });
+
+    it('should screenshot the page when a puppeteer search fails on a CAPTCHA', async () => {
+      const page = {
+        setDefaultTimeout: jest.fn(),
+        setDefaultNavigationTimeout: jest.fn(),
+        setViewport: jest.fn(async () => {}),
+        on: jest.fn(),
+        goto: jest.fn(async () => ({ status: () => 200 })),
+        url: () => 'https://portal.test/consulta',
+        content: jest.fn(async () => RECAPTCHA_PAGE),
+        screenshot: jest.fn(async () => PNG_BYTES)
+      };
+      const context = { newPage: async () => page, close: async () => {} };
+      const launchBrowser = async () => ({ createIncognitoBrowserContext: async () => context, close: async () => {} });
+      const scraper = defineScraper({
+        name: 'portal-captcha',
+        category: 'government',
+        async search({ goto }) {
+          await goto('https://portal.test/consulta');
+          throw new Error('No se encontró #tablaResultados');
+        }
+      });
+
+      const envelope = await runScraper(scraper, { searchTerm: 'Juan Perez' }, { ...deps(), launchBrowser });
+
+      expect(envelope).toMatchObject({ status: 'captcha_required', block: { reason: 'recaptcha', http_status: 200 } });
+      expect(page.screenshot).toHaveBeenCalledWith({ fullPage: true, type: 'png' });
+      expect(envelope.evidence[0]).toMatchObject({ label: 'captcha_required', url: 'https://portal.test/consulta' });
+      expect(envelope.evidence[0].files.map(file => file.type)).toEqual(['png', 'html']);
+    });
+
+    it('should let scrapers report a block they recognise themselves', async () => {
+      const scraper = defineScraper({
+        name: 'portal-sesion',
+        category: 'database',
+        type: 'axios',
+        async search() {
+          throw blockError({ status: 'blocked', reason: 'session_limit', message: 'Límite de consultas diarias alcanzado' });
+        }
+      });
+
+      const envelope = await runScraper(scraper, { searchTerm: 'Juan Perez' }, deps());
+
+      expect(envelope).toMatchObject({ status: 'blocked', block: { reason: 'session_limit', url: null } });
+      expect(envelope.error).toBe('Límite de consultas diarias alcanzado; requiere revisión manual');
+    });
+  });
+});
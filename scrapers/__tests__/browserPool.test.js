@@ -0,0 +1,112 @@
+const { createBrowserPool } = require('../shared/browserPool');
+
+function createFakeBrowser() {
+  const listeners = {};
+  const browser = {
+    contexts: [],
+    on: jest.fn((event, listener) => {
+      listeners[event] = listener;
+    }),
+    emit: event => listeners[event] && listeners[event](),
+    close: jest.fn(async () => {}),
+    createIncognitoBrowserContext: jest.fn(async () => {
+      const page = {
+        setViewport: jest.fn(async () => {}),
+        setDefaultTimeout: jest.fn(),
+        setDefaultNavigationTimeout: jest.fn(),
+        on: jest.fn()
+      };
+      const context = { page, newPage: jest.fn(async () => page), close: jest.fn(async () => {}) };
+      browser.contexts.push(context);
+      return context;
+    })
+  };
+  return browser;
+}
+
+describe('Browser pool', () => {
+  let launched;
+  let launchBrowser;
+
+  beforeEach(() => {
+    launched = [];
+    launchBrowser = jest.fn(async () => {
+      const browser = createFakeBrowser();
+      launched.push(browser);
+      return browser;
+    });
+  });
+
+  it('should reuse a warm browser and give each search its own incognito context', async () => {
+    const pool = createBrowserPool({ size: 2, launchBrowser });
+
+    const first = await pool.acquire();
+    await first.release();
+    const second = await pool.acquire();
+    await second.release();
+
+    expect(launchBrowser).toHaveBeenCalledTimes(1);
+    expect(launched[0].createIncognitoBrowserContext).toHaveBeenCalledTimes(2);
+    expect(first.context).not.toBe(second.context);
+    expect(first.context.close).toHaveBeenCalled();
+  });
+
+  it('should apply viewport and timeout settings to every page', async () => {
+    const viewport = { width: 1280, height: 720 };
+    const pool = createBrowserPool({ launchBrowser, viewport, timeoutMs: 15000 });
+
+    const lease = await pool.acquire();
+
+    expect(lease.page.setViewport).toHaveBeenCalledWith(viewport);
+    expect(lease.page.setDefaultNavigationTimeout).toHaveBeenCalledWith(15000);
+    await lease.release();
+  });
+
+  it('should spread concurrent searches across up to size browsers', async () => {
+    const pool = createBrowserPool({ size: 2, launchBrowser });
+
+    const leases = await Promise.all([pool.acquire(), pool.acquire(), pool.acquire()]);
+
+    expect(launchBrowser).toHaveBeenCalledTimes(2);
+    expect(pool.stats()).toMatchObject({ browsers: 2, activePages: 3 });
+    await Promise.all(leases.map(lease => lease.release()));
+  });
+
+  it('should recycle a browser after maxPagesPerBrowser pages', async () => {
+    const pool = createBrowserPool({ size: 1, maxPagesPerBrowser: 2, launchBrowser });
+
+    for (let i = 0; i < 3; i++) {
+      const lease = await pool.acquire();
+      await lease.release();
+    }
+
+    expect(launchBrowser).toHaveBeenCalledTimes(2);
+    expect(launched[0].close).toHaveBeenCalled();
+    expect(pool.stats().recycled).toBe(1);
+  });
+
+  it('should replace a browser that crashed', async () => {
+    const pool = createBrowserPool({ size: 1, launchBrowser });
+
+    const lease = await pool.acquire();
+    await lease.release();
+    launched[0].emit('disconnected');
+
+    const next = await pool.acquire();
+    await next.release();
+
+    expect(launchBrowser).toHaveBeenCalledTimes(2);
+    expect(next.browser).toBe(launched[1]);
+  });
+
+  it('should close every browser on drain', async () => {
+    const pool = createBrowserPool({ size: 2, launchBrowser });
+    const leases = await Promise.all([pool.acquire(), pool.acquire()]);
+    await Promise.all(leases.map(lease => lease.release()));
+
+    await pool.drain();
+
+    expect(launched.every(browser => browser.close.mock.calls.length > 0)).toBe(true);
+    expect(pool.stats().browsers).toBe(0);
+  });
+});
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { defineScraper, runScraper, parseArgs } = require('../shared/runtime');
+const { createScheduler } = require('../shared/scheduler');
+const { createResultCache, cacheKey } = require('../shared/cache');
+
+describe('Result cache', () => {
+  let tmpDir;
+  let clock;
+  let cache;
+
+  const deps = () => ({ cache, scheduler: createScheduler({ requestsPerMinute: 0 }) });
+
+  const countingScraper = (overrides = {}) => {
+    const search = jest.fn(async ({ term }) => [{ nombre: term.toUpperCase(), radicado: '2024-001' }]);
+    return { search, scraper: defineScraper({ name: 'rama-judicial', category: 'judicial', type: 'axios', search, ...overrides }) };
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-cache-'));
+    clock = Date.now();
+    cache = createResultCache({ dir: tmpDir, ttlSeconds: 3600, now: () => clock });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should key by site, normalized term and config regardless of key order', () => {
+    const site = { name: 'rama-judicial', category: 'judicial' };
+
+    expect(cacheKey(site, 'Juan Pérez', { a: 1, b: 2 })).toBe(cacheKey(site, '  JUAN perez ', { b: 2, a: 1 }));
+    expect(cacheKey(site, 'Juan Pérez', { a: 1 })).toBe(cacheKey(site, 'Juan Perez', { a: 1, cache_ttl_seconds: 60 }));
+    expect(cacheKey(site, 'Juan Pérez', { a: 1 })).not.toBe(cacheKey(site, 'Juan Pérez', { a: 2 }));
+    expect(cacheKey(site, 'Juan Pérez')).not.toBe(cacheKey({ ...site, name: 'sirna' }, 'Juan Pérez'));
+  });
+
+  it('should serve a repeated search from cache with the original fetch time', async () => {
+    const { scraper, search } = countingScraper();
+
+    const first = await runScraper(scraper, { searchTerm: 'Juan Pérez' }, deps());
+    const second = await runScraper(scraper, { searchTerm: 'JUAN PEREZ' }, deps());
+
+    expect(search).toHaveBeenCalledTimes(1);
+    expect(first).toMatchObject({ cached: false, fetched_at: first.timestamp });
+    expect(second).toMatchObject({
+      cached: true,
+      fetched_at: first.timestamp,
+      search_term: 'JUAN PEREZ',
+      results_count: 1,
+      data: first.data
+    });
+  });
+
+  it('should bypass and refresh the entry with --no-cache', async () => {
+    const { scraper, search } = countingScraper();
+    await runScraper(scraper, { searchTerm: 'Juan Pérez' }, deps());
+
+    clock += 60000;
+    const options = parseArgs(['--search-term=Juan Pérez', '--no-cache']);
+    expect(options.cache).toBe(false);
+
+    const refreshed = await runScraper(scraper, options, deps());
+    const afterRefresh = await runScraper(scraper, { searchTerm: 'Juan Pérez' }, deps());
+
+    expect(search).toHaveBeenCalledTimes(2);
+    expect(refreshed.cached).toBe(false);
+    expect(afterRefresh).toMatchObject({ cached: true, fetched_at: refreshed.fetched_at });
+  });
+
+  it('should not cache failed searches', async () => {
+    const search = jest.fn(async () => {
+      throw new Error('portal caído');
+    });
+    const scraper = defineScraper({ name: 'sirna', category: 'judicial', type: 'axios', search });
+
+    await runScraper(scraper, { searchTerm: 'Juan Pérez' }, deps());
+    const retried = await runScraper(scraper, { searchTerm: 'Juan Pérez' }, deps());
+
+    expect(search).toHaveBeenCalledTimes(2);
+    expect(retried).toMatchObject({ status: 'failed', cached: false });
+  });
+
+  it('should expire entries after the site TTL', async () => {
+    const { scraper, search } = countingScraper();
+    const config = { cache_ttl_seconds: 60 };
+
+    const first = await runScraper(scraper, { searchTerm: 'Juan Pérez', config }, deps());
+    // La vigencia se cuenta desde la visita
+    clock = Date.parse(first.fetched_at) + 59000;
+    expect((await runScraper(scraper, { searchTerm: 'Juan Pérez', config }, deps())).cached).toBe(true);
+
+    clock = Date.parse(first.fetched_at) + 61000;
+    expect((await runScraper(scraper, { searchTerm: 'Juan Pérez', config }, deps())).cached).toBe(false);
+    expect(search).toHaveBeenCalledTimes(2);
+  });
+
+  it('should take the TTL from site config, then the scraper definition, then the default', () => {
+    const plain = { name: 'a', category: 'judicial' };
+    const local = { name: 'ofac', category: 'financial', cacheTtlSeconds: 0 };
+
+    expect(cache.ttlFor(plain, {})).toBe(3600);
+    expect(cache.ttlFor(local, {})).toBe(0);
+    expect(cache.ttlFor(local, { cache_ttl_seconds: '120' })).toBe(120);
+    expect(cache.ttlFor(plain, { cache_ttl_seconds: 0 })).toBe(0);
+  });
+
+  it('should skip sites whose TTL is zero', async () => {
+    const { scraper, search } = countingScraper({ cacheTtlSeconds: 0 });
+
+    await runScraper(scraper, { searchTerm: 'Juan Pérez' }, deps());
+    await runScraper(scraper, { searchTerm: 'Juan Pérez' }, deps());
+
+    expect(search).toHaveBeenCalledTimes(2);
+    expect(fs.readdirSync(tmpDir)).toEqual([]);
+  });
+
+  it('should clear the entries of one site', async () => {
+    const { scraper } = countingScraper();
+    await runScraper(scraper, { searchTerm: 'Juan Pérez' }, deps());
+    await runScraper(scraper, { searchTerm: 'Ana Gómez' }, deps());
+
+    expect(cache.clear('rama-judicial')).toBe(2);
+    expect(cache.get(scraper, 'Juan Pérez', {})).toBeNull();
+  });
+});
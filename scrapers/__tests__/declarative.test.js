@@ -0,0 +1,132 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { createDeclarativeScraper, validateDefinition, extractPage } = require('../shared/declarative');
+const { runScraper } = require('../shared/runtime');
+const { createScheduler } = require('../shared/scheduler');
+
+const FIXTURES = path.resolve(__dirname, '../fixtures/declarative');
+// Sin espaciado entre peticiones al servidor local
+const deps = { scheduler: createScheduler({ requestsPerMinute: 0 }) };
+
+const definition = {
+  engine: 'cheerio',
+  search_url: 'https://portal.example/buscar?q={TERM}',
+  results: {
+    row: 'table.resultados tbody tr',
+    fields: {
+      nombre: 'td.nombre',
+      radicado: 'td.radicado',
+      enlace: { selector: 'a', attribute: 'href' }
+    }
+  },
+  no_results: { text: 'No se encontraron registros' },
+  pagination: { next: 'a.siguiente', max_pages: 3 }
+};
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+describe('Declarative scrapers', () => {
+  describe('validateDefinition', () => {
+    it('should accept a complete definition', () => {
+      expect(() => validateDefinition(definition)).not.toThrow();
+    });
+
+    it('should report the path of missing fields', () => {
+      expect(() => validateDefinition({ search_url: 'https://x.example', results: { fields: {} } }))
+        .toThrow('config_data.results.row: es requerido');
+    });
+
+    it('should require either search_url or form', () => {
+      expect(() => validateDefinition({ results: definition.results })).toThrow('se requiere search_url o form');
+    });
+
+    it('should reject unknown extractor options', () => {
+      const invalid = {
+        ...definition,
+        results: { row: 'tr', fields: { nombre: { selector: 'td', attr: 'title' } } }
+      };
+      expect(() => validateDefinition(invalid)).toThrow('config_data.results.fields.nombre');
+    });
+
+    it('should validate the base definition when the module is loaded', () => {
+      expect(() => createDeclarativeScraper({
+        name: 'fiscalia',
+        category: 'judicial',
+        definition: { search_url: 'ftp://x', results: definition.results }
+      })).toThrow('fiscalia.definition inválido');
+    });
+  });
+
+  describe('extractPage', () => {
+    it('should extract every row with resolved links', () => {
+      const page = extractPage(readFixture('page1.html'), definition, 'https://portal.example/buscar?q=x');
+
+      expect(page.rows).toEqual([
+        { nombre: 'JUAN PÉREZ GARCÍA', radicado: '2021-00123', enlace: 'https://portal.example/proceso/123' },
+        { nombre: 'JUAN PÉREZ LÓPEZ', radicado: '2022-00456', enlace: 'https://portal.example/proceso/456' }
+      ]);
+      expect(page.nextUrl).toBe('https://portal.example/buscar?page=2');
+    });
+
+    it('should honour the no-results marker', () => {
+      const page = extractPage(readFixture('no-results.html'), definition, 'https://portal.example/');
+      expect(page).toEqual({ rows: [], noResults: true, nextUrl: null });
+    });
+  });
+
+  describe('cheerio engine', () => {
+    let server;
+    let baseUrl;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        let file = 'page1.html';
+        if (url.searchParams.get('page') === '2') file = 'page2.html';
+        if (url.searchParams.get('q') === 'NADIE') file = 'no-results.html';
+
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(readFixture(file));
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    it('should follow pagination and drop duplicate rows', async () => {
+      const scraper = createDeclarativeScraper({ name: 'rama-judicial', category: 'judicial', type: 'axios' });
+      const config = { ...definition, search_url: `${baseUrl}/buscar?q={TERM}` };
+
+      const envelope = await runScraper(scraper, { searchTerm: 'Juan Pérez', config }, deps);
+
+      expect(envelope.status).toBe('completed');
+      expect(envelope.results_count).toBe(3);
+      expect(envelope.data.map(row => row.radicado)).toEqual(['2021-00123', '2022-00456', '2023-00789']);
+      expect(envelope.direct_link).toBe(`${baseUrl}/buscar?q=Juan%20P%C3%A9rez`);
+      expect(envelope.network).toMatchObject({ requests: 2, retries: 0 });
+    });
+
+    it('should return no results when the marker is present', async () => {
+      const scraper = createDeclarativeScraper({ name: 'rama-judicial', category: 'judicial', type: 'axios' });
+      const config = { ...definition, search_url: `${baseUrl}/buscar?q={TERM}` };
+
+      const envelope = await runScraper(scraper, { searchTerm: 'NADIE', config }, deps);
+
+      expect(envelope.has_results).toBe(false);
+      expect(envelope.status).toBe('completed');
+    });
+
+    it('should fail with the validation errors when config_data is invalid', async () => {
+      const scraper = createDeclarativeScraper({ name: 'rama-judicial', category: 'judicial', type: 'axios' });
+
+      const envelope = await runScraper(scraper, { searchTerm: 'x', config: { search_url: baseUrl } });
+
+      expect(envelope.status).toBe('failed');
+      expect(envelope.error).toContain('config_data.results: es requerido');
+    });
+  });
+});
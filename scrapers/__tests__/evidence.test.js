@@ -0,0 +1,174 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { defineScraper, runScraper, parseArgs } = require('../shared/runtime');
+const { createScheduler } = require('../shared/scheduler');
+const { captureEvidence, resolveEvidenceOptions, evidenceDir } = require('../shared/evidence');
+
+const PNG_BYTES = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const RESULTS_HTML = '<html><body><table><tr><td>JUAN PEREZ</td></tr></table></body></html>';
+
+function createFakePage() {
+  return {
+    setViewport: jest.fn(async () => {}),
+    setDefaultTimeout: jest.fn(),
+    setDefaultNavigationTimeout: jest.fn(),
+    on: jest.fn(),
+    url: () => 'https://consulta.portal.test/resultados?q=Juan%20Perez',
+    screenshot: jest.fn(async () => PNG_BYTES),
+    pdf: jest.fn(async () => Buffer.from('%PDF-1.4')),
+    content: jest.fn(async () => RESULTS_HTML)
+  };
+}
+
+function createLauncher(page) {
+  const context = { newPage: async () => page, close: async () => {} };
+  return async () => ({ createIncognitoBrowserContext: async () => context, close: async () => {} });
+}
+
+const sha256 = buffer => crypto.createHash('sha256').update(buffer).digest('hex');
+
+describe('Evidence capture', () => {
+  let tmpDir;
+  let resultsDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evidence-'));
+    resultsDir = path.join(tmpDir, 'exports', 'results');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should save full-page captures and HTML with their SHA-256 hashes', async () => {
+    const page = createFakePage();
+    const dir = evidenceDir(resultsDir, 'lote_2024_01', 'rama-judicial');
+
+    const record = await captureEvidence(page, {
+      dir,
+      site: 'rama-judicial',
+      searchTerm: 'Juan Pérez',
+      formats: ['png', 'pdf', 'html'],
+      projectRoot: tmpDir,
+      now: () => Date.parse('2024-05-02T14:03:09.120Z')
+    });
+
+    expect(page.screenshot).toHaveBeenCalledWith({ fullPage: true, type: 'png' });
+    expect(record).toMatchObject({
+      site: 'rama-judicial',
+      url: 'https://consulta.portal.test/resultados?q=Juan%20Perez',
+      captured_at: '2024-05-02T14:03:09.120Z',
+      manifest: 'exports/results/lote_2024_01/rama-judicial/20240502T140309Z-juan-perez.json'
+    });
+    expect(record.files.map(file => file.path)).toEqual([
+      'exports/results/lote_2024_01/rama-judicial/20240502T140309Z-juan-perez.png',
+      'exports/results/lote_2024_01/rama-judicial/20240502T140309Z-juan-perez.pdf',
+      'exports/results/lote_2024_01/rama-judicial/20240502T140309Z-juan-perez.html'
+    ]);
+
+    record.files.forEach(file => {
+      const contents = fs.readFileSync(path.join(tmpDir, file.path));
+      expect(file.sha256).toBe(sha256(contents));
+      expect(file.bytes).toBe(contents.length);
+    });
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(tmpDir, record.manifest), 'utf8'));
+    expect(manifest.files).toEqual(record.files);
+    expect(manifest.search_term).toBe('Juan Pérez');
+  });
+
+  it('should keep batch and site identifiers from escaping the results directory', () => {
+    expect(evidenceDir(resultsDir, '../../etc', 'rama-judicial'))
+      .toBe(path.join(resultsDir, 'etc', 'rama-judicial'));
+    expect(evidenceDir(resultsDir, null, 'rama-judicial'))
+      .toBe(path.join(resultsDir, 'individual', 'rama-judicial'));
+  });
+
+  it('should let site config override the capture mode and reject unknown values', () => {
+    const defaults = { mode: 'off', formats: ['png', 'html'], dir: resultsDir };
+
+    expect(resolveEvidenceOptions(defaults, { evidence: 'all' })).toEqual({ ...defaults, mode: 'all' });
+    expect(resolveEvidenceOptions(defaults, { evidence_formats: ['PDF'] }).formats).toEqual(['pdf']);
+    expect(() => resolveEvidenceOptions(defaults, { evidence: 'siempre' })).toThrow('Modo de evidencia');
+    expect(() => resolveEvidenceOptions(defaults, { evidence_formats: ['gif'] })).toThrow('Formato de evidencia');
+  });
+
+  describe('in the runtime', () => {
+    const deps = (page, mode = 'hits') => ({
+      launchBrowser: createLauncher(page),
+      scheduler: createScheduler({ requestsPerMinute: 0 }),
+      cache: null,
+      evidence: { mode, formats: ['png', 'html'], dir: resultsDir }
+    });
+
+    it('should capture the results page of a hit and list the files in the envelope', async () => {
+      const page = createFakePage();
+      const scraper = defineScraper({
+        name: 'rama-judicial',
+        category: 'judicial',
+        search: async () => [{ nombre: 'JUAN PEREZ' }]
+      });
+      const options = parseArgs(['--search-term=Juan Perez', '--batch-id=lote-7']);
+
+      const envelope = await runScraper(scraper, options, deps(page));
+
+      expect(envelope.status).toBe('completed');
+      expect(envelope.evidence).toHaveLength(1);
+      expect(envelope.evidence[0].files.map(file => file.type)).toEqual(['png', 'html']);
+      const file = envelope.evidence[0].files[1].path;
+      expect(file).toMatch(/lote-7\/rama-judicial\/\d{8}T\d{6}Z-juan-perez\.html$/);
+      expect(fs.existsSync(path.join(resultsDir, 'lote-7', 'rama-judicial'))).toBe(true);
+    });
+
+    it('should skip pages without results unless the mode is all', async () => {
+      const scraper = defineScraper({ name: 'sirna', category: 'judicial', search: async () => [] });
+
+      const hitsOnly = await runScraper(scraper, { searchTerm: 'Juan Perez' }, deps(createFakePage()));
+      const all = await runScraper(scraper, { searchTerm: 'Juan Perez' }, deps(createFakePage(), 'all'));
+      const off = await runScraper(scraper, { searchTerm: 'Juan Perez' }, deps(createFakePage(), 'off'));
+
+      expect(hitsOnly.evidence).toEqual([]);
+      expect(all.evidence).toHaveLength(1);
+      expect(off.evidence).toEqual([]);
+    });
+
+    it('should use the captures a scraper takes itself instead of the final page', async () => {
+      const page = createFakePage();
+      const scraper = defineScraper({
+        name: 'rama-judicial',
+        category: 'judicial',
+        search: async ({ captureEvidence: capture }) => {
+          await capture('detalle');
+          return [{ nombre: 'JUAN PEREZ' }];
+        }
+      });
+
+      const envelope = await runScraper(scraper, { searchTerm: 'Juan Perez' }, deps(page));
+
+      expect(envelope.evidence).toHaveLength(1);
+      expect(envelope.evidence[0].label).toBe('detalle');
+      expect(page.screenshot).toHaveBeenCalledTimes(1);
+    });
+
+    it('should record a failed capture without failing the search', async () => {
+      const page = createFakePage();
+      page.screenshot = jest.fn(async () => {
+        throw new Error('Target closed');
+      });
+      const scraper = defineScraper({
+        name: 'rama-judicial',
+        category: 'judicial',
+        search: async () => [{ nombre: 'JUAN PEREZ' }]
+      });
+
+      const envelope = await runScraper(scraper, { searchTerm: 'Juan Perez' }, deps(page));
+
+      expect(envelope.status).toBe('completed');
+      expect(envelope.evidence).toEqual([
+        { captured_at: expect.any(String), error: 'No se pudo guardar la evidencia: Target closed' }
+      ]);
+    });
+  });
+});
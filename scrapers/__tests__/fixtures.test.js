@@ -0,0 +1,225 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { EventEmitter } = require('events');
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { defineScraper } = require('../shared/runtime');
+const {
+  recordScenario,
+  replayScenario,
+  compareOutputs,
+  listRecordings,
+  requestKey
+} = require('../shared/fixtures');
+
+/**
+ * Navegador falso: goto() emite request/response como Puppeteer. Sin
+ * interceptación responde desde `site`; con interceptación espera respond().
+ */
+function createFakeLauncher(site) {
+  return async () => {
+    const page = new EventEmitter();
+    let intercept = false;
+    let html = '';
+
+    page.setViewport = async () => {};
+    page.setDefaultTimeout = () => {};
+    page.setDefaultNavigationTimeout = () => {};
+    page.setUserAgent = async () => {};
+    page.authenticate = async () => {};
+    page.setRequestInterception = async value => {
+      intercept = value;
+    };
+    page.content = async () => html;
+    page.goto = url => new Promise((resolve, reject) => {
+      const request = {
+        url: () => url,
+        method: () => 'GET',
+        postData: () => undefined,
+        resourceType: () => 'document',
+        failure: () => null,
+        respond: ({ status, body }) => {
+          html = String(body);
+          resolve({ status: () => status });
+        },
+        abort: () => reject(new Error('net::ERR_FAILED'))
+      };
+      page.emit('request', request);
+
+      if (!intercept) {
+        const body = site[url.replace(/&_=\d+/, '')];
+        html = body || '';
+        page.emit('response', {
+          request: () => request,
+          status: () => (body ? 200 : 404),
+          headers: () => ({ 'content-type': 'text/html; charset=utf-8' }),
+          buffer: async () => Buffer.from(html)
+        });
+        resolve({ status: () => (body ? 200 : 404) });
+      }
+    });
+
+    const context = { newPage: async () => page, close: async () => {} };
+    return { createIncognitoBrowserContext: async () => context, close: async () => {} };
+  };
+}
+
+const portalScraper = defineScraper({
+  name: 'portal-prueba',
+  category: 'judicial',
+  type: 'puppeteer',
+  async search({ page, term }) {
+    await page.goto(`https://portal.test/buscar?q=${encodeURIComponent(term)}&_=${Date.now()}`);
+    const $ = cheerio.load(await page.content());
+    return $('tr.resultado').toArray().map(row => ({
+      nombre: $(row).find('.nombre').text().trim(),
+      radicado: $(row).find('.radicado').text().trim()
+    }));
+  }
+});
+
+const resultsPage = rows => `<table>${rows.map(([nombre, radicado]) => `
+  <tr class="resultado"><td class="nombre">${nombre}</td><td class="radicado">${radicado}</td></tr>`).join('')}
+</table>`;
+
+describe('Fixture record and replay', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should ignore cache-busting parameters when matching requests', () => {
+    expect(requestKey('get', 'https://a.test/x?q=1&_=123#top', null))
+      .toBe(requestKey('GET', 'https://a.test/x?q=1&_=999', null));
+    expect(requestKey('POST', 'https://a.test/x', 'a=1')).not.toBe(requestKey('POST', 'https://a.test/x', 'a=2'));
+  });
+
+  it('should record page responses and replay them through interception', async () => {
+    const url = 'https://portal.test/buscar?q=Juan%20Perez';
+    const launchBrowser = createFakeLauncher({ [url]: resultsPage([['JUAN PEREZ', '2024-001']]) });
+
+    const recorded = await recordScenario(portalScraper, {
+      site: 'portal-prueba',
+      searchTerm: 'Juan Perez',
+      fixturesDir: tmpDir,
+      launchBrowser
+    });
+
+    expect(recorded.dir).toBe(path.join(tmpDir, 'portal-prueba', 'juan-perez'));
+    expect(recorded.manifest.requests).toHaveLength(1);
+    expect(recorded.manifest.requests[0]).toMatchObject({
+      seq: 1,
+      method: 'GET',
+      resource_type: 'document',
+      status: 200,
+      body_file: 'responses/001-document.html'
+    });
+
+    // El sitio ya no responde: todo sale de la grabación
+    const replayed = await replayScenario(portalScraper, recorded.dir, { launchBrowser: createFakeLauncher({}) });
+
+    expect(replayed.misses).toEqual([]);
+    expect(replayed.data).toEqual([{ nombre: 'JUAN PEREZ', radicado: '2024-001' }]);
+    expect(replayed.comparison.ok).toBe(true);
+    expect(replayed.envelope.data[0].similarity).toBe(100);
+  });
+
+  it('should keep the expected output and list broken extractors after a markup change', async () => {
+    const url = 'https://portal.test/buscar?q=Juan%20Perez';
+    await recordScenario(portalScraper, {
+      site: 'portal-prueba',
+      searchTerm: 'Juan Perez',
+      fixturesDir: tmpDir,
+      launchBrowser: createFakeLauncher({ [url]: resultsPage([['JUAN PEREZ', '2024-001'], ['JUAN PEREZ GIL', '2023-114']]) })
+    });
+
+    const changedMarkup = '<table><tr class="resultado"><td class="name">JUAN PEREZ</td><td class="radicado">2024-001</td></tr></table>';
+    const rerecorded = await recordScenario(portalScraper, {
+      site: 'portal-prueba',
+      searchTerm: 'Juan Perez',
+      fixturesDir: tmpDir,
+      launchBrowser: createFakeLauncher({ [url]: changedMarkup })
+    });
+
+    expect(rerecorded.expectedUpdated).toBe(false);
+    expect(rerecorded.comparison).toMatchObject({
+      ok: false,
+      expected_rows: 2,
+      actual_rows: 1,
+      broken_fields: ['nombre'],
+      degraded_fields: [{ field: 'radicado', expected: 2, actual: 1 }]
+    });
+
+    const replayed = await replayScenario(portalScraper, rerecorded.dir, { launchBrowser: createFakeLauncher({}) });
+    expect(replayed.comparison.ok).toBe(false);
+  });
+
+  it('should record and replay axios scrapers without network', async () => {
+    const server = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ registros: [{ razon_social: 'ACME SAS', nit: '900123456' }] }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const apiScraper = defineScraper({
+      name: 'api-prueba',
+      category: 'database',
+      type: 'axios',
+      async search({ term }) {
+        const response = await axios.get(`${baseUrl}/consulta`, { params: { q: term } });
+        return response.data.registros;
+      }
+    });
+
+    let recorded;
+    try {
+      recorded = await recordScenario(apiScraper, { site: 'api-prueba', searchTerm: 'ACME', fixturesDir: tmpDir });
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+
+    expect(recorded.manifest.requests[0]).toMatchObject({
+      method: 'GET',
+      url: `${baseUrl}/consulta?q=ACME`,
+      resource_type: 'axios',
+      body_file: 'responses/001-axios.json'
+    });
+
+    const replayed = await replayScenario(apiScraper, recorded.dir);
+    expect(replayed.data).toEqual([{ razon_social: 'ACME SAS', nit: '900123456' }]);
+    expect(replayed.misses).toEqual([]);
+  });
+
+  it('should report rows that disappeared even when fields are intact', () => {
+    const comparison = compareOutputs([{ a: 1 }, { a: 2 }], [{ a: 1 }]);
+
+    expect(comparison.ok).toBe(false);
+    expect(comparison.degraded_fields).toEqual([{ field: 'a', expected: 2, actual: 1 }]);
+  });
+
+  it('should discover recorded scenarios', async () => {
+    const url = 'https://portal.test/buscar?q=Ana';
+    await recordScenario(portalScraper, {
+      site: 'portal-prueba',
+      searchTerm: 'Ana',
+      scenario: 'sin-resultados',
+      fixturesDir: tmpDir,
+      launchBrowser: createFakeLauncher({ [url]: resultsPage([]) })
+    });
+
+    expect(listRecordings(tmpDir)).toEqual([{
+      site: 'portal-prueba',
+      category: 'judicial',
+      scenario: 'sin-resultados',
+      dir: path.join(tmpDir, 'portal-prueba', 'sin-resultados')
+    }]);
+  });
+});
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const axios = require('axios');
+const { defineScraper } = require('../shared/runtime');
+const { createScheduler } = require('../shared/scheduler');
+const { recordScenario } = require('../shared/fixtures');
+const { runHealthCheck, readReport, writeReport } = require('../shared/healthCheck');
+
+const REGISTROS = [
+  { razon_social: 'ACME SAS', nit: '900123456' },
+  { razon_social: 'ACME LTDA', nit: '900654321' }
+];
+
+const registryOf = (...scrapers) => ({
+  sites: new Map(scrapers.map(scraper => [`${scraper.category}/${scraper.name}`, {
+    id: scraper.name,
+    category: scraper.category,
+    scraper
+  }]))
+});
+
+describe('Scraper health check', () => {
+  let tmpDir;
+  let baseUrl;
+  let apiScraper;
+  let bodyFile;
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'health-'));
+
+    const server = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ registros: REGISTROS }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    apiScraper = defineScraper({
+      name: 'api-prueba',
+      category: 'database',
+      type: 'axios',
+      async search({ term }) {
+        const response = await axios.get(`${baseUrl}/consulta`, { params: { q: term } });
+        return response.data.registros;
+      }
+    });
+
+    try {
+      const recorded = await recordScenario(apiScraper, { site: 'api-prueba', searchTerm: 'ACME', fixturesDir: tmpDir });
+      bodyFile = path.join(recorded.dir, recorded.manifest.requests[0].body_file);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should report a site healthy when its fixtures still extract every field', async () => {
+    const report = await runHealthCheck({ registry: registryOf(apiScraper), fixturesDir: tmpDir });
+
+    expect(report.summary).toEqual({ total: 1, healthy: 1, warning: 0, error: 0, unknown: 0, working: 1 });
+    expect(report.sites[0]).toMatchObject({
+      site: 'api-prueba',
+      category: 'database',
+      type: 'axios',
+      status: 'healthy',
+      latency_ms: expect.any(Number),
+      last_error: null,
+      last_ok_at: report.sites[0].checked_at
+    });
+    expect(report.sites[0].checks).toEqual([
+      expect.objectContaining({ type: 'fixture', scenario: 'acme', status: 'healthy', error: null })
+    ]);
+  });
+
+  it('should flag broken selectors and keep the last healthy check', async () => {
+    const first = await runHealthCheck({ registry: registryOf(apiScraper), fixturesDir: tmpDir });
+
+    // El portal renombró el campo: el extractor ya no llena razon_social
+    fs.writeFileSync(bodyFile, JSON.stringify({ registros: [{ nombre: 'ACME SAS', nit: '900123456' }] }));
+    const second = await runHealthCheck({ registry: registryOf(apiScraper), fixturesDir: tmpDir, previous: first });
+
+    expect(second.summary).toMatchObject({ error: 1, working: 0 });
+    expect(second.sites[0]).toMatchObject({
+      status: 'error',
+      last_ok_at: first.sites[0].checked_at,
+      last_error_at: second.sites[0].checked_at
+    });
+    expect(second.sites[0].last_error).toContain('razon_social');
+  });
+
+  it('should warn when an extractor loses rows but still works', async () => {
+    fs.writeFileSync(bodyFile, JSON.stringify({ registros: REGISTROS.slice(0, 1) }));
+
+    const report = await runHealthCheck({ registry: registryOf(apiScraper), fixturesDir: tmpDir });
+
+    expect(report.sites[0].status).toBe('warning');
+    expect(report.sites[0].last_error).toContain('1 de 2 registro(s)');
+    expect(report.summary.working).toBe(1);
+  });
+
+  it('should run the canary term only when asked and fail it without results', async () => {
+    const search = jest.fn(async () => []);
+    const silent = defineScraper({ name: 'sirna', category: 'judicial', type: 'axios', canaryTerm: 'JUAN PEREZ', search });
+    const options = {
+      registry: registryOf(silent),
+      fixturesDir: tmpDir,
+      deps: { scheduler: createScheduler({ requestsPerMinute: 0 }) }
+    };
+
+    const withoutCanary = await runHealthCheck(options);
+    expect(withoutCanary.sites[0]).toMatchObject({ status: 'unknown', latency_ms: null, checks: [] });
+    expect(withoutCanary.summary).toMatchObject({ total: 1, working: 0, error: 0, unknown: 1 });
+    expect(search).not.toHaveBeenCalled();
+
+    const withCanary = await runHealthCheck({ ...options, canary: true });
+    expect(search).toHaveBeenCalledWith(expect.objectContaining({ term: 'JUAN PEREZ' }));
+    expect(withCanary.sites[0]).toMatchObject({
+      status: 'error',
+      latency_ms: expect.any(Number),
+      last_error: 'El término canario "JUAN PEREZ" no devolvió resultados'
+    });
+  });
+
+  it('should keep previous entries of sites outside the filter', async () => {
+    const other = defineScraper({ name: 'sirna', category: 'judicial', type: 'axios', search: async () => [] });
+    const registry = registryOf(apiScraper, other);
+    const reportFile = path.join(tmpDir, 'logs', 'scraper_health.json');
+
+    writeReport(reportFile, await runHealthCheck({ registry, fixturesDir: tmpDir }));
+    const previous = readReport(reportFile);
+    const filtered = await runHealthCheck({ registry, fixturesDir: tmpDir, site: 'Sirna', previous });
+
+    expect(filtered.sites.map(site => site.site)).toEqual(['api-prueba', 'sirna']);
+    expect(filtered.sites[0]).toEqual(previous.sites[0]);
+    expect(readReport(path.join(tmpDir, 'no-existe.json'))).toBeNull();
+  });
+});
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { validateId, detectIdType, classifySearchTerm, nitCheckDigit } = require('../shared/idDocuments');
+
+describe('idDocuments', () => {
+  it('should compute and check the NIT verification digit', () => {
+    expect(nitCheckDigit('890903938')).toBe(8);
+    expect(nitCheckDigit('899999068')).toBe(1);
+
+    expect(validateId('890.903.938-8', 'nit')).toMatchObject({
+      valid: true,
+      normalized: '890903938-8',
+      details: { check_digit: 8, check_digit_provided: true }
+    });
+    expect(validateId('860034313', 'nit')).toMatchObject({ valid: true, normalized: '860034313-7', details: { check_digit_provided: false } });
+    expect(validateId('860034313-2', 'nit')).toMatchObject({ valid: false, errors: ['Dígito de verificación incorrecto: es 7'] });
+  });
+
+  it('should check the shape of Colombian cédulas', () => {
+    expect(validateId('79.123.456', 'cedula_co')).toMatchObject({ valid: true, normalized: '79123456' });
+    expect(validateId('1020304050', 'cedula_co').valid).toBe(true);
+    expect(validateId('5020304050', 'cedula_co').errors).toEqual(['Una cédula de 10 dígitos empieza por 1']);
+    expect(validateId('0123456', 'cedula_co').valid).toBe(false);
+    expect(validateId('79A23456', 'cedula_co').valid).toBe(false);
+  });
+
+  it('should read birth date, sex and state from a CURP', () => {
+    expect(validateId('mahj280603msprrv09', 'curp')).toEqual({
+      type: 'curp',
+      label: 'CURP (MX)',
+      valid: true,
+      normalized: 'MAHJ280603MSPRRV09',
+      errors: [],
+      details: { birth_date: '1928-06-03', sex: 'female', state: 'SP' }
+    });
+    // Nacidos desde 2000: el carácter 17 es letra
+    expect(validateId('PEGJ050214HJCRMNA2', 'curp')).toMatchObject({ valid: true, details: { birth_date: '2005-02-14', sex: 'male' } });
+    expect(validateId('MAHJ280603MSPRRV08', 'curp').errors).toEqual(['Dígito verificador incorrecto']);
+    expect(validateId('MAHJ280230MSPRRV09', 'curp').errors).toContain('La fecha de nacimiento de la CURP no existe');
+    expect(validateId('MAHJ280603MZZRRV09', 'curp').errors).toContain('Entidad federativa desconocida: ZZ');
+  });
+
+  it('should check the RFC homoclave of people and companies', () => {
+    expect(validateId('GODE-561231-GR8', 'rfc')).toMatchObject({
+      valid: true,
+      normalized: 'GODE561231GR8',
+      details: { person: 'fisica', birth_date: '1956-12-31' }
+    });
+    expect(validateId('SAT970701NN3', 'rfc')).toMatchObject({ valid: true, details: { person: 'moral', incorporation_date: '1997-07-01' } });
+    expect(validateId('XAXX010101000', 'rfc')).toMatchObject({ valid: true, details: { generic: true } });
+    expect(validateId('GODE561231GR9', 'rfc').errors).toEqual(['Dígito verificador de la homoclave incorrecto']);
+    expect(validateId('GODE561331GR8', 'rfc').errors).toContain('La fecha del RFC no existe');
+  });
+
+  it('should accept the Panamanian cédula variants', () => {
+    expect(validateId('8-123-456', 'cedula_pa')).toMatchObject({ valid: true, details: { province: 'Panamá', category: 'Panameño' } });
+    expect(validateId('pe 012 00345', 'cedula_pa')).toMatchObject({ valid: true, normalized: 'PE-12-345', details: { province: null } });
+    expect(validateId('1AV-12-345', 'cedula_pa').details.category).toBe('Antes de la vigencia');
+    expect(validateId('14-123-456', 'cedula_pa').valid).toBe(false);
+    expect(validateId('8123456', 'cedula_pa').valid).toBe(false);
+  });
+
+  it('should tell identifications from names', () => {
+    const kind = term => {
+      const { kind: found, id } = classifySearchTerm(term);
+      return id ? [found, id.type, id.valid] : [found];
+    };
+
+    expect(kind('Juan Pérez García')).toEqual(['name']);
+    expect(kind('Inversiones 2020 S.A.S.')).toEqual(['name']);
+    expect(kind('GODE561231GR8')).toEqual(['identification', 'rfc', true]);
+    expect(kind('MAHJ280603MSPRRV08')).toEqual(['identification', 'curp', false]);
+    expect(kind('900.123.456-8')).toEqual(['identification', 'nit', true]);
+    expect(kind('8909039388')).toEqual(['identification', 'nit', true]);
+    expect(kind('79123456')).toEqual(['identification', 'cedula_co', true]);
+    expect(kind('E-8-12345')).toEqual(['identification', 'cedula_pa', true]);
+    expect(detectIdType('123')).toBeNull();
+  });
+
+  it('should load in the browser as window.IdDocuments', () => {
+    const source = fs.readFileSync(path.resolve(__dirname, '../shared/idDocuments.js'), 'utf8');
+    const window = {};
+    window.self = window;
+    vm.runInNewContext(source, window);
+
+    expect(window.IdDocuments.validateId('890903938-8', 'nit').valid).toBe(true);
+  });
+});
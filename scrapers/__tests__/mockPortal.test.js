@@ -0,0 +1,172 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { createMockPortal, sampleRecords } = require('./support/mockPortal');
+const { createDeclarativeScraper } = require('../shared/declarative');
+const { defineStaticScraper, createStaticClient } = require('../shared/staticPage');
+const { runScraper } = require('../shared/runtime');
+const { createScheduler } = require('../shared/scheduler');
+
+// "Juan Pérez" coincide con 15 de los 23 registros de ejemplo: dos páginas de 10
+const MATCHES = sampleRecords(23).filter(record => /JUAN/.test(record.nombre) && /PÉREZ/.test(record.nombre));
+
+describe('Scrapers against the mock government portal', () => {
+  let portal;
+  let baseUrl;
+  let tmpDir;
+
+  const deps = () => ({
+    cache: null,
+    scheduler: createScheduler({ requestsPerMinute: 0 }),
+    evidence: { mode: 'off', formats: [], dir: tmpDir }
+  });
+
+  const listing = () => createDeclarativeScraper({
+    name: 'portal-procesos',
+    category: 'judicial',
+    definition: {
+      engine: 'cheerio',
+      search_url: `${baseUrl}/consulta?q={TERM}`,
+      results: {
+        row: 'table.resultados tbody tr',
+        fields: {
+          nombre: 'td.nombre',
+          documento: 'td.documento',
+          radicado: 'td.radicado',
+          enlace: { selector: 'a', attribute: 'href' }
+        }
+      },
+      no_results: { selector: '.sin-resultados' },
+      pagination: { next: 'a.siguiente', total: '.resumen' }
+    }
+  });
+
+  // Formulario ASP.NET: buscar y recorrer el GridView con __doPostBack
+  const antecedentes = extra => defineStaticScraper({
+    name: 'portal-antecedentes',
+    category: 'government',
+    ...extra,
+    async search({ term, client }) {
+      const form = await client.get(`${baseUrl}/Consulta.aspx`);
+      let page = await form.submit('#form1', { txtNombre: term }, { submitter: '#btnBuscar' });
+      const data = [];
+      for (let number = 2; ; number++) {
+        if (page.$('.error').length > 0) {
+          throw new Error(page.$('.error').text());
+        }
+        data.push(...page.table('#gvResultados'));
+        if (page.$(`#gvResultados a[href*="Page$${number}"]`).length === 0) {
+          return { data, direct_link: null };
+        }
+        page = await page.postBack('gvResultados', `Page$${number}`);
+      }
+    }
+  });
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'portal-'));
+    portal = createMockPortal({ records: sampleRecords(23), pageSize: 10 });
+    baseUrl = await portal.start();
+  });
+
+  afterEach(async () => {
+    await portal.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should page through the listing with a declarative scraper', async () => {
+    const envelope = await runScraper(listing(), { searchTerm: 'Juan Pérez' }, deps());
+
+    expect(envelope).toMatchObject({ status: 'completed', results_count: 15, pages_fetched: 2, reported_total: 15, truncated: false });
+    expect(envelope.data.map(row => row.radicado)).toEqual(MATCHES.map(record => record.radicado));
+    expect(envelope.data[0].enlace).toBe(`${baseUrl}/proceso/2023-00001`);
+    expect(portal.requests.map(request => request.path)).toEqual(['/consulta?q=Juan%20P%C3%A9rez', '/consulta?q=Juan%20P%C3%A9rez&pagina=2']);
+
+    const none = await runScraper(listing(), { searchTerm: 'Nadie Registrado' }, deps());
+    expect(none).toMatchObject({ status: 'completed', has_results: false });
+  });
+
+  it('should extract the same rows from malformed HTML', async () => {
+    const clean = await runScraper(listing(), { searchTerm: 'Juan Pérez' }, deps());
+    portal.faults.malformed = true;
+    const malformed = await runScraper(listing(), { searchTerm: 'Juan Pérez' }, deps());
+
+    expect(malformed).toMatchObject({ status: 'completed', results_count: 15 });
+    expect(malformed.data.map(({ nombre, documento, radicado, enlace }) => ({ nombre, documento, radicado, enlace })))
+      .toEqual(clean.data.map(({ nombre, documento, radicado, enlace }) => ({ nombre, documento, radicado, enlace })));
+  });
+
+  it('should keep the session and the latest __VIEWSTATE across ASP.NET post-backs', async () => {
+    const envelope = await runScraper(antecedentes(), { searchTerm: 'Juan Pérez' }, deps());
+
+    expect(envelope.status).toBe('completed');
+    expect(envelope.data.map(row => row.documento)).toEqual(MATCHES.map(record => record.documento));
+    expect(portal.requests.map(request => `${request.method} ${request.status}`)).toEqual(['GET 200', 'POST 200', 'POST 200']);
+    expect(portal.sessions.size).toBe(1);
+
+    // El formulario de una respuesta anterior ya no vale
+    const client = createStaticClient(axios);
+    const form = await client.get(`${baseUrl}/Consulta.aspx`);
+    await form.submit('#form1', { txtNombre: 'Ana' }, { submitter: '#btnBuscar' });
+    const stale = await form.submit('#form1', { txtNombre: 'Ana' }, { submitter: '#btnBuscar' });
+    expect(stale.$('.error').text()).toContain('La sesión ha expirado');
+  });
+
+  it('should log in before searching and report the login wall otherwise', async () => {
+    await portal.close();
+    portal = createMockPortal({ records: sampleRecords(23), credentials: { user: 'consulta', password: 'secreta' } });
+    baseUrl = await portal.start();
+
+    const login = async ({ client }) => {
+      const page = await client.get(`${baseUrl}/login`);
+      const welcome = await page.submit('#formLogin', { usuario: 'consulta', clave: 'secreta' });
+      if (welcome.$('.bienvenida').length === 0) {
+        throw new Error('No se pudo iniciar sesión');
+      }
+    };
+
+    const loggedIn = await runScraper(antecedentes({ login }), { searchTerm: 'Ana María' }, deps());
+    const anonymous = await runScraper(antecedentes(), { searchTerm: 'Ana María' }, deps());
+
+    expect(loggedIn).toMatchObject({ status: 'completed', results_count: 4 });
+    expect(anonymous).toMatchObject({ status: 'blocked', block: { reason: 'login_wall' } });
+  });
+
+  it('should retry the 429 responses and honour Retry-After', async () => {
+    portal.faults.rateLimit = 2;
+
+    const envelope = await runScraper(listing(), { searchTerm: 'Juan Pérez' }, deps());
+
+    expect(envelope).toMatchObject({ status: 'completed', results_count: 15 });
+    expect(envelope.network).toMatchObject({ requests: 4, retries: 2, rate_limited: 2 });
+    expect(portal.requests.map(request => request.status)).toEqual([429, 429, 200, 200]);
+  });
+
+  it('should report a CAPTCHA page instead of a clean negative', async () => {
+    portal.faults.captcha = true;
+
+    const envelope = await runScraper(listing(), { searchTerm: 'Juan Pérez' }, deps());
+
+    expect(envelope).toMatchObject({ success: false, status: 'captcha_required', block: { reason: 'recaptcha' } });
+    expect(envelope.evidence[0].files.map(file => file.type)).toEqual(['html']);
+  });
+
+  it('should time out on a slow portal', async () => {
+    portal.faults.latencyMs = 3000;
+
+    const envelope = await runScraper(listing(), { searchTerm: 'Juan Pérez', timeoutMs: 2500 }, deps());
+
+    expect(envelope).toMatchObject({ success: false, status: 'timeout', has_results: false });
+  });
+
+  it('should decode portals served as ISO-8859-1', async () => {
+    await portal.close();
+    portal = createMockPortal({ records: sampleRecords(23), charset: 'iso-8859-1' });
+    baseUrl = await portal.start();
+
+    const envelope = await runScraper(antecedentes(), { searchTerm: 'Luis Ríos' }, deps());
+
+    expect(envelope.data.map(row => row.nombre)).toEqual(['LUIS FERNANDO RÍOS', 'LUIS FERNANDO RÍOS', 'LUIS FERNANDO RÍOS', 'LUIS FERNANDO RÍOS']);
+  });
+});
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const {
+  normalizeName,
+  tokenize,
+  levenshtein,
+  jaroWinkler,
+  phoneticKey,
+  compareNames
+} = require('../shared/nameMatcher');
+
+describe('nameMatcher', () => {
+  it('should fold accents and ñ and drop particles', () => {
+    expect(normalizeName('  Peña-Nieto, José ')).toBe('PENA NIETO JOSE');
+    expect(tokenize('María de los Ángeles Cruz y Rivera')).toEqual(['MARIA', 'ANGELES', 'CRUZ', 'RIVERA']);
+    expect(tokenize('De La')).toEqual(['DE', 'LA']);
+  });
+
+  it('should compute Levenshtein and Jaro-Winkler', () => {
+    expect(levenshtein('GONZALEZ', 'GONSALES')).toBe(2);
+    expect(levenshtein('', 'ABC')).toBe(3);
+    expect(jaroWinkler('MARTHA', 'MARHTA')).toBeCloseTo(0.961, 3);
+    expect(jaroWinkler('ABC', 'XYZ')).toBe(0);
+  });
+
+  it('should give Spanish homophones the same phonetic key', () => {
+    expect(phoneticKey('Gonzalez')).toBe(phoneticKey('Gonsales'));
+    expect(phoneticKey('Vargas')).toBe(phoneticKey('Bargas'));
+    expect(phoneticKey('Hernandez')).toBe(phoneticKey('Ernandes'));
+    expect(phoneticKey('Castillo')).toBe(phoneticKey('Castiyo'));
+    expect(phoneticKey('Ibarra')).toBe(phoneticKey('Ybarra'));
+    expect(phoneticKey('Cecilia')).toBe(phoneticKey('Sesilia'));
+    expect(phoneticKey('Chávez')).not.toBe(phoneticKey('Cavez'));
+  });
+
+  it('should score reordered compound surnames as exact', () => {
+    const result = compareNames('Ernesto Quintero Ramírez', 'QUINTERO RAMIREZ, Ernesto');
+
+    expect(result.score).toBe(100);
+    expect(result.explanation).toContain('orden de nombres distinto');
+  });
+
+  it('should match initials and phonetic variants with an explanation', () => {
+    const result = compareNames('J. Gonsález', 'Juan González');
+
+    expect(result.score).toBeGreaterThanOrEqual(90);
+    expect(result.matches).toEqual([
+      { query: 'J', candidate: 'JUAN', type: 'initial', score: 90 },
+      { query: 'GONSALEZ', candidate: 'GONZALEZ', type: 'phonetic', score: 95 }
+    ]);
+  });
+
+  it('should penalize a missing second surname', () => {
+    const result = compareNames('Juan Pérez', 'Juan Pérez García');
+
+    expect(result.score).toBe(80);
+    expect(result.explanation).toContain('GARCIA no buscado');
+  });
+
+  it('should keep different people below the usual thresholds', () => {
+    expect(compareNames('Juan Pérez', 'Pedro López').score).toBeLessThan(50);
+    expect(compareNames('Juan Pérez', 'Juan Pedro López').score).toBeLessThan(70);
+  });
+
+  it('should fall back to the whole string for joined names', () => {
+    const result = compareNames('María José', 'MARIAJOSE');
+
+    expect(result.score).toBe(90);
+    expect(result.explanation).toContain('puntaje por similitud del texto completo');
+  });
+
+  it('should load in a browser context as window.NameMatcher', () => {
+    const source = fs.readFileSync(path.resolve(__dirname, '../shared/nameMatcher.js'), 'utf8');
+    const window = {};
+    window.self = window;
+    vm.runInNewContext(source, window);
+
+    expect(window.NameMatcher.compareNames('Ana Ruiz', 'Ruiz Ana').score).toBe(100);
+  });
+});
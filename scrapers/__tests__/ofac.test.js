@@ -0,0 +1,115 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { importOfac, loadOfacStore, parseRemarks } = require('../financial/lib/ofacList');
+const { runScraper } = require('../shared/runtime');
+const ofac = require('../financial/ofac');
+
+const FIXTURES = path.resolve(__dirname, '../fixtures/ofac');
+
+describe('OFAC offline list', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ofac-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should parse DOB, nationality and ID documents from CSV remarks', () => {
+    const remarks = parseRemarks('DOB 01 Jan 1960; POB Culiacan, Sinaloa, Mexico; nationality Mexico; ' +
+      'citizen Mexico; C.U.R.P. QURE600101HSLNMR09 (Mexico); Passport G12345678 (Mexico).');
+
+    expect(remarks.dates_of_birth).toEqual(['01 Jan 1960']);
+    expect(remarks.nationalities).toEqual(['Mexico']);
+    expect(remarks.ids).toEqual([
+      { type: 'C.U.R.P.', number: 'QURE600101HSLNMR09', country: 'Mexico' },
+      { type: 'Passport', number: 'G12345678', country: 'Mexico' }
+    ]);
+  });
+
+  it('should import the SDN XML with aliases, programs and publish date', () => {
+    const output = path.join(tmpDir, 'ofac.index');
+    const summary = importOfac(path.join(FIXTURES, 'xml'), output);
+
+    expect(summary.total).toBe(2);
+    expect(summary.lists.SDN).toMatchObject({ file: 'sdn.xml', count: 2, published_at: '2024-03-14T00:00:00.000Z' });
+
+    const [hit] = loadOfacStore(output).search('Ernesto Quintero Ramírez');
+    expect(hit.entry).toMatchObject({
+      name: 'QUINTERO RAMIREZ, Ernesto',
+      type: 'individual',
+      programs: ['SDNTK', 'ILLICIT-DRUGS-EO14059'],
+      dates_of_birth: ['01 Jan 1960'],
+      nationalities: ['Mexico']
+    });
+    expect(hit.score).toBe(100);
+  });
+
+  it('should import SDN and Consolidated CSV files together', () => {
+    const output = path.join(tmpDir, 'ofac.index');
+    const summary = importOfac(path.join(FIXTURES, 'csv'), output);
+
+    expect(summary.total).toBe(3);
+    expect(Object.keys(summary.lists)).toEqual(['SDN', 'CONS']);
+  });
+
+  it('should ask to import again when the index is the former JSON file', () => {
+    const legacy = path.join(tmpDir, 'ofac-index.json');
+    fs.writeFileSync(legacy, JSON.stringify({ version: 1, imported_at: '2024-03-14T00:00:00.000Z', lists: {}, entries: [] }));
+
+    expect(() => loadOfacStore(legacy)).toThrow('Vuelva a importar la lista');
+  });
+
+  it('should fail clearly when the directory has no OFAC files', () => {
+    expect(() => importOfac(tmpDir, path.join(tmpDir, 'ofac.index'))).toThrow('No se encontraron archivos OFAC');
+  });
+
+  describe('financial/ofac scraper', () => {
+    let indexFile;
+
+    beforeEach(() => {
+      indexFile = path.join(tmpDir, 'ofac.index');
+      importOfac(path.join(FIXTURES, 'csv'), indexFile);
+    });
+
+    it('should report the matched alias and program codes', async () => {
+      const envelope = await runScraper(ofac, { searchTerm: 'El Profe', config: { index_file: indexFile } });
+
+      expect(envelope.status).toBe('completed');
+      expect(envelope.data[0]).toMatchObject({
+        source_id: '9001',
+        list: 'SDN',
+        matched_name: 'EL PROFE',
+        matched_field: 'alias',
+        is_alias: true,
+        programs: ['SDNTK', 'ILLICIT-DRUGS-EO14059']
+      });
+    });
+
+    it('should match ID documents exactly', async () => {
+      const envelope = await runScraper(ofac, { searchTerm: '900.123.456-7', config: { index_file: indexFile } });
+
+      expect(envelope.data).toHaveLength(1);
+      expect(envelope.data[0]).toMatchObject({ name: 'INVERSIONES DEL PACIFICO S.A.S.', matched_field: 'identification' });
+    });
+
+    it('should include list freshness in the envelope', async () => {
+      const envelope = await runScraper(ofac, { searchTerm: 'Nadie Conocido', config: { index_file: indexFile } });
+
+      expect(envelope.has_results).toBe(false);
+      expect(envelope.meta).toMatchObject({ source: 'OFAC', stale: false });
+      expect(envelope.meta.imported_at).toEqual(expect.any(String));
+      expect(envelope.meta.source_updated_at).toEqual(expect.any(String));
+    });
+
+    it('should fail with import instructions when the index is missing', async () => {
+      const envelope = await runScraper(ofac, { searchTerm: 'x', config: { index_file: path.join(tmpDir, 'none.json') } });
+
+      expect(envelope.status).toBe('failed');
+      expect(envelope.error).toContain('npm run import-ofac');
+    });
+  });
+});
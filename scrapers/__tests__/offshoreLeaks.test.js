@@ -0,0 +1,129 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { importOffshoreLeaks, loadOffshoreLeaksStore } = require('../database/lib/offshoreLeaksIndex');
+const { runScraper } = require('../shared/runtime');
+const icij = require('../database/icij-offshore-leaks');
+const { writeIcijDataset, PLANTED } = require('./support/largeDatasets');
+
+const SOURCE = path.resolve(__dirname, '../fixtures/icij');
+
+describe('ICIJ Offshore Leaks local index', () => {
+  let tmpDir;
+  let indexFile;
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'icij-'));
+    indexFile = path.join(tmpDir, 'offshore-leaks.index');
+    await importOffshoreLeaks(SOURCE, indexFile);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should import nodes and keep only the structural relationships', async () => {
+    const summary = await importOffshoreLeaks(SOURCE, indexFile);
+
+    expect(summary).toMatchObject({
+      nodes: 9,
+      node_types: { entity: 3, officer: 3, intermediary: 1, address: 2, other: 0 },
+      relationships: 8,
+      // "similar" y la relación hacia un nodo inexistente
+      skipped_relationships: 2
+    });
+  });
+
+  it('should return one- and two-hop connections of an officer', () => {
+    const store = loadOffshoreLeaksStore(indexFile);
+    const [hit] = store.search('Juan Carlos Perez Gomez');
+    const { connections, truncated } = store.connections(hit.node.id);
+
+    expect(hit.node).toMatchObject({ id: '12000001', type: 'officer', countries: ['Mexico'] });
+    expect(truncated).toBe(false);
+    expect(connections.map(({ hop, via, direction, rel_type: relType, node }) => [hop, via, direction, relType, node.name])).toEqual([
+      [1, '12000001', 'out', 'officer_of', 'ISTMO HOLDINGS INC.'],
+      [1, '12000001', 'out', 'registered_address', 'AV. PASEO DE LA REFORMA 505, CUAUHTÉMOC, CIUDAD DE MÉXICO'],
+      [2, '10000001', 'in', 'officer_of', 'MARÍA FERNANDA RUIZ'],
+      [2, '10000001', 'in', 'intermediary_of', 'MOSSACK FONSECA & CO. (PANAMA)'],
+      [2, '10000001', 'out', 'registered_address', 'CALLE 50, TORRE GLOBAL, PISO 12, PANAMÁ']
+    ]);
+    expect(store.connections(hit.node.id, { hops: 1 }).connections).toHaveLength(2);
+    expect(store.connections(hit.node.id, { maxConnections: 3 })).toMatchObject({ truncated: true });
+  });
+
+  it('should find companies by former name and registration number but not addresses', () => {
+    const store = loadOffshoreLeaksStore(indexFile);
+
+    expect(store.search('Caribe Investments Ltd')[0]).toMatchObject({ node: { id: '10000002' }, alias: true, matchedField: 'alias' });
+    expect(store.search('25123')[0]).toMatchObject({ node: { id: '10000001' }, matchedField: 'identification' });
+    expect(store.search('Torre Global Panama')).toEqual([]);
+  });
+
+  it('should list the missing CSV files', async () => {
+    await expect(importOffshoreLeaks(tmpDir, indexFile)).rejects.toThrow('nodes-entities.csv, nodes-officers.csv, relationships.csv');
+  });
+
+  it('should refuse an index in the previous NDJSON format', () => {
+    const legacyFile = path.join(tmpDir, 'offshore-leaks-index.ndjson');
+    fs.writeFileSync(legacyFile, `${JSON.stringify({ version: 1, nodes: 0, relationships: 0 })}\n`);
+
+    expect(() => loadOffshoreLeaksStore(legacyFile)).toThrow('no soportada: 1. Vuelva a importar');
+  });
+
+  it('should answer from a large export reading only what each search needs', async () => {
+    const sourceDir = path.join(tmpDir, 'full-oldb');
+    const largeIndex = path.join(tmpDir, 'large.index');
+    const generated = writeIcijDataset(sourceDir, { entities: 40000, officers: 40000, addresses: 20000 });
+
+    const summary = await importOffshoreLeaks(sourceDir, largeIndex);
+    expect(summary).toMatchObject({ nodes: generated.nodes, relationships: generated.relationships - 4000, skipped_relationships: 4000 });
+    expect(fs.readdirSync(tmpDir).filter(file => file.includes('.tmp-'))).toEqual([]);
+
+    const heapBefore = process.memoryUsage().heapUsed;
+    const store = loadOffshoreLeaksStore(largeIndex);
+    const [hit] = store.search('Esteban Quintero Zapata');
+    const graph = store.connections(hit.node.id);
+    const hub = store.connections(PLANTED.hub.id, { maxConnections: 50 });
+    const heapGrowth = process.memoryUsage().heapUsed - heapBefore;
+
+    expect(hit).toMatchObject({ node: { id: PLANTED.officer.id }, score: 100 });
+    expect(graph.connections.map(({ hop, node }) => [hop, node.id])).toEqual([
+      [1, PLANTED.entity.id],
+      [2, PLANTED.hub.id]
+    ]);
+    // El intermediario tiene 20.001 sociedades: se corta en el tope sin recorrerlas todas
+    expect(hub).toMatchObject({ truncated: true });
+    expect(hub.connections).toHaveLength(50);
+    expect(store.search('77001')[0]).toMatchObject({ node: { id: PLANTED.entity.id }, matchedField: 'identification' });
+    expect(heapGrowth).toBeLessThan(fs.statSync(largeIndex).size / 4);
+  }, 60000);
+
+  describe('database/icij-offshore-leaks scraper', () => {
+    it('should return the offshore structure tied to the candidate', async () => {
+      const envelope = await runScraper(icij, { searchTerm: 'Maria Fernanda Ruiz', config: { index_file: indexFile } });
+
+      expect(envelope).toMatchObject({ status: 'completed', category: 'database', results_count: 1 });
+      expect(envelope.data[0]).toMatchObject({
+        node_id: '12000002',
+        node_type: 'officer',
+        source: 'Panama Papers',
+        score: 100,
+        source_url: 'https://offshoreleaks.icij.org/nodes/12000002',
+        connections_truncated: false
+      });
+      expect(envelope.data[0].connections.filter(connection => connection.hop === 1)).toEqual([
+        expect.objectContaining({ name: 'ISTMO HOLDINGS INC.', link: 'director of', jurisdiction: 'Panama' }),
+        expect.objectContaining({ name: 'CARIBE TRADING LTD.', start_date: '03-JUN-2010', end_date: '15-JAN-2014' })
+      ]);
+      expect(envelope.meta).toMatchObject({ source: 'ICIJ Offshore Leaks', nodes: 9, relationships: 8, hops: 2 });
+    });
+
+    it('should fail with import instructions when the index is missing', async () => {
+      const envelope = await runScraper(icij, { searchTerm: 'x', config: { index_file: path.join(tmpDir, 'none.index') } });
+
+      expect(envelope.status).toBe('failed');
+      expect(envelope.error).toContain('npm run import-icij');
+    });
+  });
+});
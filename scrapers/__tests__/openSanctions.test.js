@@ -0,0 +1,155 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { importOpenSanctions, loadOpenSanctionsStore, riskCategories } = require('../financial/lib/openSanctionsIndex');
+const { runScraper } = require('../shared/runtime');
+const opensanctions = require('../financial/opensanctions');
+const { writeOpenSanctionsDataset, PLANTED } = require('./support/largeDatasets');
+
+const SOURCE = path.resolve(__dirname, '../fixtures/opensanctions/entities.ftm.json');
+
+describe('OpenSanctions local index', () => {
+  let tmpDir;
+  let indexFile;
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'opensanctions-'));
+    indexFile = path.join(tmpDir, 'entities.index');
+    await importOpenSanctions(SOURCE, indexFile);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should index people and companies and attach sanction programs', async () => {
+    const summary = await importOpenSanctions(SOURCE, indexFile);
+
+    expect(summary).toMatchObject({ count: 4, skipped: 1, sanctions: 1, source_file: 'entities.ftm.json' });
+
+    const [hit] = loadOpenSanctionsStore(indexFile).match({ name: 'El Profe' });
+    expect(hit.entry.sanctions).toEqual([{ authority: 'Office of Foreign Assets Control', program: 'SDNTK' }]);
+    expect(hit.matchedField).toBe('alias');
+  });
+
+  it('should map topics to sanctions, PEP and crime categories', () => {
+    expect(riskCategories(['sanction', 'crime.traffick'])).toEqual(['sanctions', 'crime']);
+    expect(riskCategories(['role.pep'])).toEqual(['pep']);
+    expect(riskCategories(['role.rca'])).toEqual(['pep']);
+    expect(riskCategories([])).toEqual([]);
+  });
+
+  it('should rank the namesake with the matching birth date first', () => {
+    const hits = loadOpenSanctionsStore(indexFile).match({ name: 'Maria Jose Gomez Perez', birthDate: '1975-06-20' });
+
+    expect(hits.map(hit => hit.entry.id)).toEqual(['co-pep-gomez']);
+    expect(hits[0].reasons).toContain('fecha de nacimiento coincide');
+  });
+
+  it('should accept a birth year against a full date', () => {
+    const [hit] = loadOpenSanctionsStore(indexFile).match({ name: 'Maria Jose Gomez Perez', birthDate: '1990' });
+
+    expect(hit.entry.id).toBe('co-pep-gomez-2');
+  });
+
+  it('should raise the score when the identification matches', () => {
+    const [hit] = loadOpenSanctionsStore(indexFile).match(
+      { name: 'Ernesto Quintero', identification: 'QURE600101HSLNMR09' },
+      { minScore: 90 }
+    );
+
+    expect(hit.entry.id).toBe('mx-sat-quintero');
+    expect(hit.score).toBe(100);
+    expect(hit.reasons).toContain('identificación coincide');
+  });
+
+  it('should report the line of malformed JSON', async () => {
+    const broken = path.join(tmpDir, 'broken.json');
+    fs.writeFileSync(broken, '{"id":"a","schema":"Person","properties":{}}\n{not json\n');
+
+    await expect(importOpenSanctions(broken, indexFile)).rejects.toThrow('línea 2');
+  });
+
+  it('should answer from a large export reading only what each search needs', async () => {
+    const sourceFile = path.join(tmpDir, 'large.ftm.json');
+    const largeIndex = path.join(tmpDir, 'large.index');
+    const generated = writeOpenSanctionsDataset(sourceFile, { entities: 60000 });
+
+    const summary = await importOpenSanctions(sourceFile, largeIndex);
+    expect(summary).toMatchObject({ count: generated.entities, sanctions: 1, skipped: 1200 });
+    expect(fs.readdirSync(tmpDir).filter(file => file.includes('.tmp-'))).toEqual([]);
+
+    const heapBefore = process.memoryUsage().heapUsed;
+    const store = loadOpenSanctionsStore(largeIndex);
+    const [hit] = store.match({ name: PLANTED.person.name, birthDate: '1971' });
+    const byId = store.match({ name: PLANTED.person.idNumber });
+    const heapGrowth = process.memoryUsage().heapUsed - heapBefore;
+
+    expect(hit).toMatchObject({ entry: { id: PLANTED.person.id }, score: 100 });
+    // La sanción viene antes que la entidad en la exportación
+    expect(hit.entry.sanctions).toEqual([{ authority: 'Office of Foreign Assets Control', program: 'SDNTK' }]);
+    expect(hit.reasons).toContain('fecha de nacimiento coincide');
+    expect(byId.map(({ entry }) => entry.id)).toEqual([PLANTED.person.id]);
+    expect(heapGrowth).toBeLessThan(fs.statSync(largeIndex).size / 4);
+  }, 60000);
+
+  it('should refuse an index in the previous NDJSON format', () => {
+    const legacyFile = path.join(tmpDir, 'entities-index.ndjson');
+    fs.writeFileSync(legacyFile, `${JSON.stringify({ version: 1, count: 0 })}\n`);
+
+    expect(() => loadOpenSanctionsStore(legacyFile)).toThrow('no soportada: 1. Vuelva a importar');
+  });
+
+  describe('financial/opensanctions scraper', () => {
+    it('should return datasets, topics and risk categories', async () => {
+      const envelope = await runScraper(opensanctions, {
+        searchTerm: 'Ernesto Quintero Ramirez',
+        config: { index_file: indexFile }
+      });
+
+      expect(envelope.status).toBe('completed');
+      expect(envelope.data[0]).toMatchObject({
+        source_id: 'mx-sat-quintero',
+        schema: 'Person',
+        datasets: ['us_ofac_sdn', 'mx_sat_69b'],
+        risk_categories: ['sanctions', 'crime'],
+        score: 100,
+        source_url: 'https://www.opensanctions.org/entities/mx-sat-quintero/'
+      });
+      expect(envelope.meta).toMatchObject({ source: 'OpenSanctions', entities: 4, stale: false });
+    });
+
+    it('should find companies by registration number', async () => {
+      const envelope = await runScraper(opensanctions, { searchTerm: '155612345', config: { index_file: indexFile } });
+
+      expect(envelope.data).toHaveLength(1);
+      expect(envelope.data[0]).toMatchObject({ name: 'Inversiones del Istmo S.A.', matched_field: 'identification' });
+    });
+
+    it('should score with the birth date and identification of each request', async () => {
+      const byBirthDate = await runScraper(opensanctions, {
+        searchTerm: 'Maria Jose Gomez Perez',
+        config: { index_file: indexFile, birth_date: '02/11/1990' }
+      });
+      // Sin fecha, la del CURP válido
+      const byCurp = await runScraper(opensanctions, {
+        searchTerm: 'Maria Jose Gomez Perez',
+        config: { index_file: indexFile, identification: 'GOPM750620MDFMRR09' }
+      });
+
+      expect(byBirthDate.data.map(row => row.source_id)).toEqual(['co-pep-gomez-2']);
+      expect(byCurp.data.map(row => row.source_id)).toEqual(['co-pep-gomez']);
+      expect(byCurp.data[0].score_reasons).toContain('fecha de nacimiento coincide');
+    });
+
+    it('should fail with import instructions when the index is missing', async () => {
+      const envelope = await runScraper(opensanctions, {
+        searchTerm: 'x',
+        config: { index_file: path.join(tmpDir, 'none.index') }
+      });
+
+      expect(envelope.status).toBe('failed');
+      expect(envelope.error).toContain('npm run import-opensanctions');
+    });
+  });
+});
@@ -0,0 +1,197 @@
+const http = require('http');
+const { paginate, parseReportedTotal, resolveLimits, clickNext } = require('../shared/pagination');
+const { createDeclarativeScraper } = require('../shared/declarative');
+const { defineScraper, runScraper } = require('../shared/runtime');
+const { createScheduler } = require('../shared/scheduler');
+
+const deps = () => ({ cache: null, scheduler: createScheduler({ requestsPerMinute: 0 }) });
+
+// Portal de prueba: 23 procesos, 10 por página; cada página repite el último registro de la anterior
+const PROCESSES = Array.from({ length: 23 }, (_, index) => `2024-${String(index + 1).padStart(5, '0')}`);
+
+function resultsPage(pageNumber) {
+  const start = Math.max((pageNumber - 1) * 10 - 1, 0);
+  const rows = PROCESSES.slice(start, pageNumber * 10);
+  return `<html><body>
+    <p class="resumen">Mostrando ${start + 1} - ${pageNumber * 10} de ${PROCESSES.length} registros</p>
+    <table class="resultados">${rows.map(radicado => `<tr><td class="nombre">JUAN PÉREZ</td><td class="radicado">${radicado}</td></tr>`).join('')}</table>
+  </body></html>`;
+}
+
+describe('Pagination', () => {
+  it('should read the total reported by the site', () => {
+    expect(parseReportedTotal('Mostrando 1 - 10 de 1.245 registros')).toBe(1245);
+    expect(parseReportedTotal('Se encontraron 57 resultados para JUAN')).toBe(57);
+    expect(parseReportedTotal('Página 1 de 25 (245 resultados)')).toBe(245);
+    expect(parseReportedTotal('Total de procesos: 1,032')).toBe(1032);
+    expect(parseReportedTotal('Sin coincidencias')).toBeNull();
+    expect(parseReportedTotal(12)).toBe(12);
+  });
+
+  it('should take the caps from config_data over the defaults', () => {
+    expect(resolveLimits({})).toEqual({ maxPages: 5, maxResults: 200 });
+    expect(resolveLimits({ max_pages: '2', max_results: 30 })).toEqual({ maxPages: 2, maxResults: 30 });
+    expect(resolveLimits({ max_pages: 8, pagination: { max_pages: 3 } }).maxPages).toBe(3);
+  });
+
+  it('should dedupe rows across pages and report truncation by page or result cap', async () => {
+    const pages = [
+      { rows: [{ id: 1 }, { id: 2 }], more: true, total: 'Se encontraron 9 resultados' },
+      { rows: [{ id: 2 }, { id: 3 }, { id: 4 }], more: true },
+      { rows: [{ id: 5 }], more: false }
+    ];
+    const loadPage = jest.fn(async number => pages[number - 1]);
+
+    await expect(paginate(loadPage)).resolves.toEqual({
+      data: [{ id: 1 }, { id: 2 }, { id: 3 }, { id: 4 }, { id: 5 }],
+      pagination: { pages: 3, truncated: false, reported_total: 9 }
+    });
+    await expect(paginate(loadPage, { maxPages: 2 })).resolves.toMatchObject({
+      pagination: { pages: 2, truncated: true }
+    });
+
+    loadPage.mockClear();
+    const capped = await paginate(loadPage, { maxResults: 3 });
+    expect(capped.data).toEqual([{ id: 1 }, { id: 2 }, { id: 3 }]);
+    expect(capped.pagination.truncated).toBe(true);
+    expect(loadPage).toHaveBeenCalledTimes(2);
+
+    // Un sitio que devuelve siempre la misma página no se recorre sin fin
+    const repeated = await paginate(async () => ({ rows: [{ id: 1 }], more: true }), { maxPages: 50 });
+    expect(repeated.pagination).toEqual({ pages: 2, truncated: false, reported_total: null });
+  });
+
+  it('should not click a disabled next button', async () => {
+    const page = {
+      $: jest.fn(async () => ({})),
+      $eval: jest.fn(async () => true),
+      url: () => 'https://portal.test/consulta',
+      click: jest.fn()
+    };
+
+    await expect(clickNext({ page, schedule: jest.fn() }, 'a.siguiente')).resolves.toBe(false);
+    expect(page.click).not.toHaveBeenCalled();
+  });
+
+  describe('with a pager that replaces the table in place', () => {
+    // Página falsa de Puppeteer: evalúa las funciones contra un document con las filas actuales
+    let rows;
+    const page = {
+      $: async () => ({}),
+      $eval: async () => false,
+      url: () => 'https://portal.test/Consulta.aspx',
+      evaluate: async (fn, ...args) => fn(...args),
+      // Un UpdatePanel no navega: la espera solo termina por timeout
+      waitForNavigation: ({ timeout }) => new Promise((resolve, reject) => {
+        setTimeout(() => reject(new Error('Navigation timeout')), timeout).unref();
+      }),
+      waitForFunction: (fn, { timeout }, ...args) => new Promise((resolve, reject) => {
+        const startedAt = Date.now();
+        const poll = () => {
+          if (fn(...args)) {
+            resolve(true);
+          } else if (Date.now() - startedAt >= timeout) {
+            reject(new Error('Waiting failed'));
+          } else {
+            setTimeout(poll, 10);
+          }
+        };
+        poll();
+      }),
+      click: jest.fn()
+    };
+    const schedule = (url, task) => task();
+
+    beforeEach(() => {
+      rows = ['2024-00001', '2024-00002'];
+      global.document = { querySelectorAll: () => rows.map(textContent => ({ textContent })) };
+    });
+
+    afterEach(() => {
+      delete global.document;
+    });
+
+    it('should return as soon as the rows change instead of waiting for a navigation', async () => {
+      page.click.mockImplementation(async () => {
+        setTimeout(() => {
+          rows = ['2024-00011', '2024-00012'];
+        }, 50);
+      });
+
+      const startedAt = Date.now();
+      await expect(clickNext({ page, schedule }, 'a.siguiente', { rows: 'tr' })).resolves.toBe(true);
+      expect(Date.now() - startedAt).toBeLessThan(1000);
+    });
+
+    it('should report that the page did not change when the rows stay the same', async () => {
+      page.click.mockImplementation(async () => {});
+
+      await expect(clickNext({ page, schedule }, 'a.siguiente', { rows: 'tr', timeoutMs: 200 })).resolves.toBe(false);
+    });
+  });
+
+  describe('against a paginated portal', () => {
+    let server;
+    let baseUrl;
+    let requests;
+
+    beforeEach(async () => {
+      requests = [];
+      server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        requests.push(url.search);
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(resultsPage(parseInt(url.searchParams.get('pagina') || '1', 10)));
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    const definition = () => ({
+      engine: 'cheerio',
+      search_url: `${baseUrl}/consulta?q={TERM}`,
+      results: { row: 'table.resultados tr', fields: { nombre: 'td.nombre', radicado: 'td.radicado' } },
+      pagination: { page_url: `${baseUrl}/consulta?q={TERM}&pagina={PAGE}`, total: '.resumen' }
+    });
+
+    it('should walk page numbers until the last page and report the site total', async () => {
+      const scraper = createDeclarativeScraper({ name: 'rama-judicial', category: 'judicial', type: 'axios' });
+
+      const envelope = await runScraper(scraper, { searchTerm: 'Juan Pérez', config: definition() }, deps());
+
+      expect(envelope).toMatchObject({ results_count: 23, truncated: false, reported_total: 23, pages_fetched: 4 });
+      expect(envelope.data.map(row => row.radicado)).toEqual(PROCESSES);
+      // La cuarta página ya no trae registros nuevos y termina el recorrido
+      expect(requests).toHaveLength(4);
+    });
+
+    it('should stop at the per-site caps and mark the envelope as truncated', async () => {
+      const scraper = createDeclarativeScraper({ name: 'rama-judicial', category: 'judicial', type: 'axios' });
+
+      const byPages = await runScraper(scraper, { searchTerm: 'Juan', config: { ...definition(), max_pages: 2 } }, deps());
+      const byResults = await runScraper(scraper, { searchTerm: 'Juan', config: { ...definition(), max_results: 12 } }, deps());
+
+      expect(byPages).toMatchObject({ results_count: 20, truncated: true, reported_total: 23, pages_fetched: 2 });
+      expect(byResults).toMatchObject({ results_count: 12, truncated: true, reported_total: 23, pages_fetched: 2 });
+    });
+  });
+
+  it('should apply max_results to scrapers that do not paginate', async () => {
+    const scraper = defineScraper({
+      name: 'lista-local',
+      category: 'financial',
+      type: 'axios',
+      search: async () => Array.from({ length: 8 }, (_, index) => ({ nombre: `PERSONA ${index}` }))
+    });
+
+    const capped = await runScraper(scraper, { searchTerm: 'Persona', config: { max_results: 5 } }, deps());
+    const complete = await runScraper(scraper, { searchTerm: 'Persona' }, deps());
+
+    expect(capped).toMatchObject({ results_count: 5, truncated: true, reported_total: null, pages_fetched: null });
+    expect(complete).toMatchObject({ results_count: 8, truncated: false });
+  });
+});
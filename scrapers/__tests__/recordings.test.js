@@ -0,0 +1,42 @@
+const fs = require('fs');
+const { loadRegistry } = require('../shared/registry');
+const { listRecordings, replayScenario } = require('../shared/fixtures');
+
+// Reproduce cada escenario grabado en scrapers/fixtures/{site}/ (npm run record-fixture)
+const recordings = listRecordings();
+const registry = loadRegistry();
+
+/**
+ * Los scrapers Puppeteer necesitan Chromium instalado aunque no haya red
+ */
+function hasChromium() {
+  try {
+    return fs.existsSync(require('puppeteer').executablePath());
+  } catch (error) {
+    return false;
+  }
+}
+
+describe('Recorded site scenarios', () => {
+  if (recordings.length === 0) {
+    it.skip('no hay escenarios grabados', () => {});
+    return;
+  }
+
+  const browserAvailable = hasChromium();
+
+  recordings.forEach(recording => {
+    const site = registry.sites.get(`${recording.category}/${recording.site}`);
+    const run = site && site.scraper.type === 'puppeteer' && !browserAvailable ? it.skip : it;
+
+    run(`${recording.category}/${recording.site}: ${recording.scenario}`, async () => {
+      expect(site).toBeDefined();
+
+      const { data, expected, comparison, misses } = await replayScenario(site.scraper, recording.dir);
+
+      expect(misses).toEqual([]);
+      expect(comparison).toMatchObject({ ok: true, broken_fields: [], degraded_fields: [] });
+      expect(data).toEqual(expected);
+    }, 30000);
+  });
+});
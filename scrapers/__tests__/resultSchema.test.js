@@ -0,0 +1,133 @@
+const { toHit, validateHits, partialDate } = require('../shared/resultSchema');
+const { defineScraper, runScraper } = require('../shared/runtime');
+const { createScheduler } = require('../shared/scheduler');
+
+describe('Common result schema', () => {
+  it('should normalize partial birth dates', () => {
+    expect(partialDate('1960-01-01T00:00:00')).toBe('1960-01-01');
+    expect(partialDate('1975-06')).toBe('1975-06');
+    expect(partialDate('3/7/1980')).toBe('1980-07-03');
+    expect(partialDate('12 Jan 1960')).toBe('1960-01-12');
+    expect(partialDate('circa 1960')).toBeNull();
+    expect(partialDate(undefined)).toBeNull();
+  });
+
+  it('should derive the common fields from the usual row names', () => {
+    const hit = toHit({ nombre: 'Juan Pérez', enlace: 'https://portal/p/1', source_id: 77, matched_field: 'name', radicado: 'X' });
+
+    expect(hit).toEqual({
+      nombre: 'Juan Pérez',
+      enlace: 'https://portal/p/1',
+      source_id: 77,
+      matched_field: 'name',
+      radicado: 'X',
+      entity_type: 'unknown',
+      full_name: 'Juan Pérez',
+      aliases: [],
+      identifiers: [],
+      birth_date: null,
+      country: null,
+      source_url: 'https://portal/p/1',
+      source_record_id: '77',
+      snippet: null,
+      matched_fields: ['name']
+    });
+    expect(toHit({ nombre: 'Juan' }, () => ({ entity_type: 'person' })).entity_type).toBe('person');
+    expect(validateHits([hit])).toEqual([]);
+  });
+
+  it('should keep only absolute http(s) links and normalize the site birth dates', () => {
+    const postBack = toHit({ nombre: 'Juan Pérez', enlace: "javascript:__doPostBack('gvResultados','Select$0')", birth_date: '15/03/1980' });
+    const relative = toHit({ name: 'Ana', source_url: '/relativa', birth_date: 'circa 1960' });
+
+    expect(postBack).toMatchObject({ source_url: null, birth_date: '1980-03-15', enlace: "javascript:__doPostBack('gvResultados','Select$0')" });
+    expect(relative).toMatchObject({ source_url: null, birth_date: null });
+    expect(validateHits([postBack, relative])).toEqual([]);
+  });
+
+  it('should report every field that breaks the schema with its path', () => {
+    const errors = validateHits([
+      toHit({ name: 'Ana' }),
+      toHit({ name: 'Luis' }, () => ({ birth_date: '01/02/1980', source_url: '/relativa', identifiers: [{ type: 'cc', value: '' }] }))
+    ]);
+
+    expect(errors).toEqual([
+      'data[1].identifiers[0].value: no puede estar vacío',
+      expect.stringMatching(/^data\[1\]\.birth_date: no cumple el formato/),
+      'data[1].source_url: debe ser una URL absoluta'
+    ]);
+  });
+
+  it('should fail the envelope with validation_errors instead of returning broken rows', async () => {
+    const scraper = defineScraper({
+      name: 'broken-portal',
+      category: 'judicial',
+      type: 'axios',
+      async search() {
+        return { data: [{ nombre: 'Juan Pérez', fecha: '1980' }] };
+      },
+      hit: row => ({ entity_type: 'persona', birth_date: row.fecha })
+    });
+
+    const envelope = await runScraper(scraper, {
+      searchTerm: 'Juan Pérez',
+      cache: null,
+      scheduler: createScheduler({ requestsPerMinute: 0 })
+    });
+
+    expect(envelope).toMatchObject({ success: false, status: 'failed', schema_version: 1, data: [] });
+    expect(envelope.validation_errors).toEqual([expect.stringMatching(/^data\[0\]\.entity_type: debe ser uno de person/)]);
+    expect(envelope.error).toContain('esquema de registros v1');
+  });
+
+  it('should drop only the rows that break the schema', async () => {
+    const scraper = defineScraper({
+      name: 'gridview-portal',
+      category: 'judicial',
+      type: 'axios',
+      async search() {
+        return {
+          data: [
+            { nombre: 'Juan Pérez', enlace: "javascript:__doPostBack('gvResultados','Select$0')", birth_date: '15/03/1980' },
+            { nombre: 'Juan Pérez Gómez', identifiers: [{ type: 'cc', value: '' }] },
+            { nombre: 'Juan Pérez', enlace: 'https://portal.gov.co/proceso/1' }
+          ]
+        };
+      }
+    });
+
+    const envelope = await runScraper(scraper, {
+      searchTerm: 'Juan Pérez',
+      cache: null,
+      scheduler: createScheduler({ requestsPerMinute: 0 })
+    });
+
+    expect(envelope).toMatchObject({ success: true, status: 'completed', results_count: 2, invalid_results: 1 });
+    expect(envelope.data.map(row => [row.source_url, row.birth_date])).toEqual([
+      [null, '1980-03-15'],
+      ['https://portal.gov.co/proceso/1', null]
+    ]);
+    expect(envelope.validation_errors).toEqual(['data[1].identifiers[0].value: no puede estar vacío']);
+  });
+
+  it('should keep valid hits with their site fields and similarity', async () => {
+    const scraper = defineScraper({
+      name: 'good-portal',
+      category: 'judicial',
+      type: 'axios',
+      async search() {
+        return { data: [{ nombre: 'Juan Pérez', fecha: '1980-05' }] };
+      },
+      hit: row => ({ entity_type: 'person', birth_date: row.fecha })
+    });
+
+    const envelope = await runScraper(scraper, {
+      searchTerm: 'Juan Pérez',
+      cache: null,
+      scheduler: createScheduler({ requestsPerMinute: 0 })
+    });
+
+    expect(envelope).toMatchObject({ status: 'completed', schema_version: 1, invalid_results: 0, validation_errors: [] });
+    expect(envelope.data[0]).toMatchObject({ nombre: 'Juan Pérez', full_name: 'Juan Pérez', birth_date: '1980-05', similarity: 100 });
+  });
+});
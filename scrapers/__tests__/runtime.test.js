@@ -0,0 +1,428 @@
+const http = require('http');
+const { EventEmitter } = require('events');
+const { Readable } = require('stream');
+const { parseArgs, defineScraper, runScraper, runCli } = require('../shared/runtime');
+const { defineStaticScraper } = require('../shared/staticPage');
+const { createScheduler } = require('../shared/scheduler');
+
+function createFakeBrowser() {
+  const page = {
+    setViewport: jest.fn(async () => {}),
+    setDefaultTimeout: jest.fn(),
+    setDefaultNavigationTimeout: jest.fn(),
+    setUserAgent: jest.fn(async () => {}),
+    authenticate: jest.fn(async () => {}),
+    on: jest.fn()
+  };
+  const context = { newPage: jest.fn(async () => page), close: jest.fn(async () => {}) };
+  return {
+    page,
+    context,
+    createIncognitoBrowserContext: jest.fn(async () => context),
+    close: jest.fn(async () => {})
+  };
+}
+
+function createWritable() {
+  return {
+    output: '',
+    write(chunk, callback) {
+      this.output += chunk;
+      if (callback) callback();
+      return true;
+    }
+  };
+}
+
+describe('Scraper runtime', () => {
+  describe('parseArgs', () => {
+    it('should parse the flags sent by ScraperManager', () => {
+      const options = parseArgs([
+        '--search-term=Juan Pérez',
+        '--timeout=45',
+        '--headless=false',
+        '--config={"search_url":"https://example.com?q={TERM}"}'
+      ]);
+
+      expect(options.searchTerm).toBe('Juan Pérez');
+      expect(options.timeoutMs).toBe(45000);
+      expect(options.headless).toBe(false);
+      expect(options.config).toEqual({ search_url: 'https://example.com?q={TERM}' });
+    });
+
+    it('should accept values given as a separate argument', () => {
+      const options = parseArgs(['--search-term', 'Juan Pérez', '--headless', '--no-cache', '--site-name', 'Rama Judicial']);
+
+      expect(options.searchTerm).toBe('Juan Pérez');
+      expect(options.headless).toBe(true);
+      expect(options.cache).toBe(false);
+      expect(options.flags.siteName).toBe('Rama Judicial');
+    });
+
+    it('should decode double-encoded config_data', () => {
+      const options = parseArgs(['--search-term=x', `--config=${JSON.stringify('{"a":1}')}`]);
+      expect(options.config).toEqual({ a: 1 });
+    });
+
+    it('should pass the identification and birth date of the request to config', () => {
+      const options = parseArgs([
+        '--search-term=Juan Pérez',
+        '--identification', '79123456',
+        '--birth-date=1980-03-15',
+        '--config={"identification":"sitio","min_score":85}'
+      ]);
+
+      expect(options.config).toEqual({ identification: '79123456', birth_date: '1980-03-15', min_score: 85 });
+      expect(parseArgs(['--search-term=x', '--identification=']).config).toEqual({});
+    });
+
+    it('should not require a search term in batch mode', () => {
+      expect(parseArgs(['--batch', '--timeout=20'])).toMatchObject({ searchTerm: '', timeoutMs: 20000 });
+    });
+
+    it('should reject a missing search term', () => {
+      expect(() => parseArgs(['--timeout=10'])).toThrow('--search-term');
+    });
+
+    it('should reject invalid config JSON', () => {
+      expect(() => parseArgs(['--search-term=x', '--config={bad'])).toThrow('--config');
+    });
+  });
+
+  describe('defineScraper', () => {
+    it('should default to the puppeteer type', () => {
+      const scraper = defineScraper({ name: 'fbi', category: 'government', search: async () => [] });
+      expect(scraper.type).toBe('puppeteer');
+    });
+
+    it('should reject unknown scraper types', () => {
+      expect(() => defineScraper({ name: 'x', category: 'media', type: 'curl', search: async () => [] }))
+        .toThrow('Tipo de scraper no soportado');
+    });
+  });
+
+  describe('runScraper', () => {
+    it('should wrap axios scraper results in the standard envelope', async () => {
+      const scraper = defineScraper({
+        name: 'sic-consultas',
+        category: 'database',
+        type: 'axios',
+        search: async ({ term }) => ({ data: [{ name: term }], direct_link: 'https://sic.gov.co' })
+      });
+
+      const envelope = await runScraper(scraper, { searchTerm: 'ACME SAS' });
+
+      expect(envelope).toMatchObject({
+        success: true,
+        status: 'completed',
+        site: 'sic-consultas',
+        has_results: true,
+        results_count: 1,
+        data: [{ name: 'ACME SAS' }],
+        direct_link: 'https://sic.gov.co',
+        error: null
+      });
+    });
+
+    it('should score name fields against the search term', async () => {
+      const scraper = defineScraper({
+        name: 'rues',
+        category: 'database',
+        type: 'axios',
+        search: async () => [
+          { nombre: 'GOMEZ PEREZ MARIA JOSE' },
+          { nombre: 'LOPEZ RUIZ PEDRO' },
+          { nombre: 'Otra', similarity: 42 },
+          { radicado: '2024-001' }
+        ]
+      });
+
+      const envelope = await runScraper(scraper, { searchTerm: 'María José Gómez Pérez' });
+
+      expect(envelope.data[0]).toMatchObject({ similarity: 100 });
+      expect(envelope.data[0].similarity_explanation).toContain('GOMEZ = GOMEZ');
+      expect(envelope.data[1].similarity).toBeLessThan(50);
+      expect(envelope.data[2].similarity).toBe(42);
+      expect(envelope.data[3]).toMatchObject({ radicado: '2024-001', full_name: null });
+      expect(envelope.data[3]).not.toHaveProperty('similarity');
+      expect(envelope.max_similarity).toBe(100);
+    });
+
+    it('should not score identification searches', async () => {
+      const scraper = defineScraper({
+        name: 'rues',
+        category: 'database',
+        type: 'axios',
+        search: async () => [{ nombre: 'GOMEZ PEREZ MARIA JOSE' }]
+      });
+
+      const envelope = await runScraper(scraper, { searchTerm: '52.123.456' });
+
+      expect(envelope.data[0].similarity).toBeUndefined();
+      expect(envelope.max_similarity).toBeNull();
+    });
+
+    it('should report a timeout when search() exceeds the limit', async () => {
+      const scraper = defineScraper({
+        name: 'slow',
+        category: 'judicial',
+        type: 'axios',
+        search: () => new Promise(resolve => setTimeout(resolve, 300))
+      });
+
+      const envelope = await runScraper(scraper, { searchTerm: 'x', timeoutMs: 600 });
+
+      expect(envelope.status).toBe('timeout');
+      expect(envelope.success).toBe(false);
+      expect(envelope.results_count).toBe(0);
+    });
+
+    it('should give puppeteer scrapers a page and always close the browser', async () => {
+      const browser = createFakeBrowser();
+      const scraper = defineScraper({
+        name: 'dea',
+        category: 'government',
+        search: async ({ page }) => {
+          expect(page).toBe(browser.page);
+          throw new Error('selector no encontrado');
+        }
+      });
+
+      const envelope = await runScraper(scraper, { searchTerm: 'x' }, { launchBrowser: async () => browser });
+
+      expect(envelope.status).toBe('failed');
+      expect(envelope.error).toBe('selector no encontrado');
+      expect(browser.context.close).toHaveBeenCalled();
+      expect(browser.close).toHaveBeenCalled();
+    });
+  });
+
+  describe('runCli', () => {
+    it('should write one JSON line and exit with a non-zero code on failure', async () => {
+      const stdout = createWritable();
+      const stderr = createWritable();
+      const exit = jest.fn();
+      const scraper = defineScraper({ name: 'ofac', category: 'financial', type: 'axios', search: async () => [] });
+
+      await runCli(scraper, { argv: ['--timeout=10'], stdout, stderr, exit });
+
+      const lines = stdout.output.trim().split('\n');
+      expect(lines).toHaveLength(1);
+      expect(JSON.parse(lines[0]).status).toBe('failed');
+      expect(stderr.output).toContain('--search-term');
+      expect(exit).toHaveBeenCalledWith(1);
+    });
+
+    it('should exit with code 0 on success', async () => {
+      const stdout = createWritable();
+      const exit = jest.fn();
+      const scraper = defineScraper({ name: 'ofac', category: 'financial', type: 'axios', search: async () => [] });
+
+      await runCli(scraper, { argv: ['--search-term=x'], stdout, stderr: createWritable(), exit });
+
+      expect(JSON.parse(stdout.output).has_results).toBe(false);
+      expect(exit).toHaveBeenCalledWith(0);
+    });
+  });
+
+  describe('progress and cancellation', () => {
+    it('should report each stage and the pages read', async () => {
+      const events = [];
+      const scraper = defineScraper({
+        name: 'rues',
+        category: 'database',
+        type: 'axios',
+        search: async ({ term, progress }) => {
+          const rows = [{ nombre: term }];
+          progress('page', { page: 1, pages: 5, rows, reported_total: 12 });
+          return rows;
+        }
+      });
+
+      await runScraper(scraper, { searchTerm: 'Juan Pérez' }, { onProgress: event => events.push(event) });
+
+      expect(events.map(event => event.stage)).toEqual(['starting', 'searching', 'page', 'extracting', 'finished']);
+      expect(events[2]).toMatchObject({
+        event: 'progress',
+        site: 'rues',
+        search_term: 'Juan Pérez',
+        page: 1,
+        pages: 5,
+        results: 1,
+        reported_total: 12
+      });
+      expect(events[2]).not.toHaveProperty('rows');
+      expect(events[4]).toMatchObject({ status: 'completed', results: 1, cached: false });
+    });
+
+    it('should close the browser and deliver partial results on SIGTERM', async () => {
+      const browser = createFakeBrowser();
+      const signals = new EventEmitter();
+      const scraper = defineScraper({
+        name: 'rama-judicial',
+        category: 'judicial',
+        search: ({ progress }) => {
+          progress('page', { page: 1, pages: 5, rows: [{ nombre: 'JUAN PEREZ' }, { nombre: 'JUAN PEREZ GOMEZ' }] });
+          setImmediate(() => signals.emit('SIGTERM', 'SIGTERM'));
+          return new Promise(() => {});
+        }
+      });
+      const stdout = createWritable();
+      const stderr = createWritable();
+      const exit = jest.fn();
+
+      await runCli(scraper, {
+        argv: ['--search-term=Juan Perez', '--no-cache'],
+        stdout,
+        stderr,
+        exit,
+        signals,
+        deps: { launchBrowser: async () => browser }
+      });
+
+      const envelope = JSON.parse(stdout.output);
+      expect(envelope).toMatchObject({
+        success: false,
+        status: 'partial',
+        results_count: 2,
+        truncated: true,
+        pages_fetched: 1,
+        error: 'Ejecución cancelada por SIGTERM'
+      });
+      expect(envelope.data[0].similarity).toBe(100);
+      expect(browser.close).toHaveBeenCalled();
+      expect(exit).toHaveBeenCalledWith(1);
+      expect(signals.listenerCount('SIGTERM')).toBe(0);
+
+      const progress = stderr.output.split('\n').filter(line => line.startsWith('{')).map(line => JSON.parse(line));
+      expect(progress.map(event => event.stage)).toEqual(['starting', 'searching', 'page', 'finished']);
+      expect(progress[3].status).toBe('partial');
+    });
+  });
+
+  describe('runCli --batch', () => {
+    const ndjson = requests => Readable.from([requests.map(request => (
+      typeof request === 'string' ? request : JSON.stringify(request))).join('\n')]);
+
+    it('should answer every NDJSON request in order reusing one page and one login', async () => {
+      const browser = createFakeBrowser();
+      const login = jest.fn(async ({ page }) => expect(page).toBe(browser.page));
+      const scraper = defineScraper({
+        name: 'rama-judicial',
+        category: 'judicial',
+        login,
+        search: async ({ term, config }) => ({
+          data: [{ nombre: term, cedula: config.identification || null, nacimiento: config.birth_date || null }]
+        })
+      });
+      const stdout = createWritable();
+      const exit = jest.fn();
+
+      await runCli(scraper, {
+        argv: ['--batch', '--no-cache'],
+        stdin: ndjson([
+          { id: 1, term: 'Juan Pérez', identification: '79123456', birth_date: '1980-03-15' },
+          '',
+          { id: 'b', term: 'Ana Gómez', options: { timeout: 5 } },
+          { id: 3 },
+          '{roto'
+        ]),
+        stdout,
+        stderr: createWritable(),
+        exit,
+        deps: { launchBrowser: async () => browser, scheduler: createScheduler({ requestsPerMinute: 0 }) }
+      });
+
+      const lines = stdout.output.trim().split('\n').map(line => JSON.parse(line));
+      expect(lines.map(line => [line.id, line.status, line.search_term])).toEqual([
+        [1, 'completed', 'Juan Pérez'],
+        ['b', 'completed', 'Ana Gómez'],
+        [3, 'failed', ''],
+        [null, 'failed', '']
+      ]);
+      expect(lines[0].data[0]).toMatchObject({ nombre: 'Juan Pérez', cedula: '79123456', nacimiento: '1980-03-15' });
+      expect(lines[2].error).toBe('Falta term en la solicitud');
+      expect(login).toHaveBeenCalledTimes(1);
+      expect(browser.createIncognitoBrowserContext).toHaveBeenCalledTimes(1);
+      expect(browser.close).toHaveBeenCalled();
+      expect(exit).toHaveBeenCalledWith(1);
+    });
+
+    it('should start a new session after a failed request', async () => {
+      const browser = createFakeBrowser();
+      const login = jest.fn(async () => {});
+      const scraper = defineScraper({
+        name: 'rama-judicial',
+        category: 'judicial',
+        login,
+        search: async ({ term }) => {
+          if (term === 'falla') {
+            throw new Error('sesión vencida');
+          }
+          return [];
+        }
+      });
+      const stdout = createWritable();
+
+      await runCli(scraper, {
+        argv: ['--batch', '--no-cache'],
+        stdin: ndjson([{ id: 1, term: 'uno' }, { id: 2, term: 'falla' }, { id: 3, term: 'tres' }]),
+        stdout,
+        stderr: createWritable(),
+        exit: jest.fn(),
+        deps: { launchBrowser: async () => browser, scheduler: createScheduler({ requestsPerMinute: 0 }) }
+      });
+
+      expect(stdout.output.trim().split('\n').map(line => JSON.parse(line).status)).toEqual(['completed', 'failed', 'completed']);
+      expect(login).toHaveBeenCalledTimes(2);
+      expect(browser.createIncognitoBrowserContext).toHaveBeenCalledTimes(2);
+      expect(browser.context.close).toHaveBeenCalledTimes(2);
+    });
+
+    it('should keep the portal cookies of a static scraper across the batch', async () => {
+      const server = http.createServer((req, res) => {
+        if (req.url === '/login') {
+          res.writeHead(200, { 'Set-Cookie': 'ASP.NET_SessionId=abc; path=/', 'Content-Type': 'text/html' });
+          res.end('<p>ok</p>');
+          return;
+        }
+        const loggedIn = (req.headers.cookie || '').includes('ASP.NET_SessionId=abc');
+        res.writeHead(loggedIn ? 200 : 403, { 'Content-Type': 'text/html' });
+        res.end(loggedIn ? '<table id="r"><tr><th>Nombre</th></tr><tr><td>JUAN PEREZ</td></tr></table>' : 'Sesión expirada');
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      const base = `http://127.0.0.1:${server.address().port}`;
+      const logins = [];
+
+      try {
+        const scraper = defineStaticScraper({
+          name: 'portal-con-login',
+          category: 'judicial',
+          async login({ client }) {
+            logins.push(await client.get(`${base}/login`));
+          },
+          async search({ term, client }) {
+            const page = await client.get(`${base}/buscar?q=${encodeURIComponent(term)}`);
+            return page.table('#r');
+          }
+        });
+        const stdout = createWritable();
+
+        await runCli(scraper, {
+          argv: ['--batch', '--no-cache'],
+          stdin: ndjson([{ id: 1, term: 'Juan Perez' }, { id: 2, term: 'Juan Perez Gomez' }]),
+          stdout,
+          stderr: createWritable(),
+          exit: jest.fn(),
+          deps: { scheduler: createScheduler({ requestsPerMinute: 0 }) }
+        });
+
+        const lines = stdout.output.trim().split('\n').map(line => JSON.parse(line));
+        expect(lines.map(line => line.results_count)).toEqual([1, 1]);
+        expect(logins).toHaveLength(1);
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+  });
+});
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { runScraper } = require('../shared/runtime');
+const { createScheduler } = require('../shared/scheduler');
+const { createScraper, lintSites } = require('../shared/scaffold');
+
+const SCRAPERS_DIR = path.resolve(__dirname, '..');
+
+describe('Scraper scaffolding', () => {
+  let rootDir;
+
+  beforeEach(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scaffold-'));
+    // Los módulos generados resuelven ../shared y sus dependencias como en el árbol real
+    fs.symlinkSync(path.join(SCRAPERS_DIR, 'shared'), path.join(rootDir, 'shared'), 'dir');
+    fs.symlinkSync(path.join(SCRAPERS_DIR, 'node_modules'), path.join(rootDir, 'node_modules'), 'dir');
+  });
+
+  afterEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('should create the module, fixture folder and test under the ScraperManager names', () => {
+    const { id, files } = createScraper({ site: 'Rama Judicial', category: 'judicial', rootDir });
+
+    expect(id).toBe('rama-judicial');
+    expect(files).toEqual([
+      'judicial/rama-judicial.js',
+      'fixtures/rama-judicial/.gitkeep',
+      '__tests__/rama-judicial.test.js'
+    ]);
+    files.forEach(file => expect(fs.existsSync(path.join(rootDir, file))).toBe(true));
+
+    const scraper = require(path.join(rootDir, 'judicial/rama-judicial.js'));
+    expect(scraper).toMatchObject({ name: 'rama-judicial', category: 'judicial', type: 'puppeteer' });
+    expect(fs.readFileSync(path.join(rootDir, '__tests__/rama-judicial.test.js'), 'utf8'))
+      .toContain("require('../judicial/rama-judicial')");
+  });
+
+  it('should generate an axios module that runs through the shared runtime', async () => {
+    const server = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end('<table><tr><th>Nombre</th></tr><tr><td>JUAN PEREZ</td></tr></table>');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      createScraper({ site: 'SIC Colombia (Registro)', category: 'database', type: 'axios', rootDir });
+      const scraper = require(path.join(rootDir, 'database/sic-colombia-registro.js'));
+
+      const envelope = await runScraper(scraper, {
+        searchTerm: 'Juan Perez',
+        config: { search_url: `http://127.0.0.1:${server.address().port}/consulta` }
+      }, { cache: null, scheduler: createScheduler({ requestsPerMinute: 0 }) });
+
+      expect(envelope).toMatchObject({ status: 'completed', site: 'sic-colombia-registro', results_count: 1 });
+      expect(envelope.data[0].nombre).toBe('JUAN PEREZ');
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it('should refuse to overwrite an existing scraper or use an unknown category', () => {
+    createScraper({ site: 'DEA', category: 'government', rootDir });
+
+    expect(() => createScraper({ site: 'DEA', category: 'government', rootDir })).toThrow('--force');
+    expect(() => createScraper({ site: 'DEA', category: 'government', rootDir, force: true })).not.toThrow();
+    expect(() => createScraper({ site: 'DEA', category: 'gobierno', rootDir })).toThrow('Categoría no válida');
+    expect(() => createScraper({ site: '', category: 'government', rootDir })).toThrow('new-scraper');
+  });
+
+  it('should list missing, misnamed and unused scraper files', () => {
+    createScraper({ site: 'Rama Judicial', category: 'judicial', rootDir });
+    fs.mkdirSync(path.join(rootDir, 'government'));
+    fs.writeFileSync(path.join(rootDir, 'government', 'fbi.js'), 'module.exports = {};\n');
+    fs.mkdirSync(path.join(rootDir, 'scrapers'));
+    fs.writeFileSync(path.join(rootDir, 'scrapers', 'exampleScraper.js'), 'module.exports = {};\n');
+    // ScraperManager convierte cada byte acentuado en guion: espera rgano-judicial-panam.js
+    fs.writeFileSync(path.join(rootDir, 'judicial', 'organo-judicial-panama.js'), 'module.exports = {};\n');
+
+    const { issues, unclaimed } = lintSites([
+      { site_name: 'Rama Judicial', category: 'judicial', scraper_type: 'puppeteer' },
+      { site_name: 'Órgano Judicial Panamá', category: 'judicial', scraper_type: 'puppeteer' },
+      { site_name: 'FBI', category: 'government', scraper_type: 'puppeteer' },
+      { site_name: 'Fiscalía Colombia', category: 'judicial', scraper_type: 'axios' },
+      { site_name: 'Google México', category: 'media', scraper_type: 'direct_link' },
+      { site_name: 'Treasury', category: 'financial', scraper_type: 'puppeteer', config_data: '{"results":{"row":"tr"}}' }
+    ], { rootDir });
+
+    expect(issues).toEqual([
+      expect.objectContaining({
+        site_name: 'Órgano Judicial Panamá',
+        problem: 'misnamed',
+        expected: 'judicial/rgano-judicial-panam.js',
+        found: ['judicial/organo-judicial-panama.js']
+      }),
+      expect.objectContaining({ site_name: 'FBI', problem: 'invalid', message: 'no exporta un scraper de defineScraper' }),
+      expect.objectContaining({ site_name: 'Fiscalía Colombia', problem: 'missing', expected: 'judicial/fiscal-a-colombia.js' })
+    ]);
+    expect(unclaimed).toEqual([
+      expect.objectContaining({ file: 'scrapers/exampleScraper.js', problem: 'outside_convention' })
+    ]);
+  });
+});
@@ -0,0 +1,199 @@
+const http = require('http');
+const { createScheduler, parseRetryAfter } = require('../shared/scheduler');
+const { defineScraper, runScraper } = require('../shared/runtime');
+
+/**
+ * Reloj falso: sleep() avanza el tiempo sin esperar
+ */
+function createClock() {
+  const clock = { time: 0, sleeps: [] };
+  clock.now = () => clock.time;
+  clock.sleep = async ms => {
+    clock.sleeps.push(ms);
+    clock.time += ms;
+  };
+  return clock;
+}
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, headers }
+});
+
+describe('Request scheduler', () => {
+  let clock;
+
+  beforeEach(() => {
+    clock = createClock();
+  });
+
+  const scheduler = options => createScheduler({ now: clock.now, sleep: clock.sleep, random: () => 0, ...options });
+
+  it('should space requests to the same domain only', async () => {
+    const session = scheduler({ requestsPerMinute: 0, minDelayMs: 2000 }).createSession();
+    const started = [];
+    const task = url => session.schedule(url, async () => started.push([url, clock.time]));
+
+    await Promise.all([
+      task('https://consulta.gov.co/a'),
+      task('https://consulta.gov.co/b'),
+      task('https://otro.gob.mx/c')
+    ]);
+    await task('https://consulta.gov.co/d');
+
+    expect(started).toEqual([
+      ['https://consulta.gov.co/a', 0],
+      ['https://otro.gob.mx/c', 0],
+      ['https://consulta.gov.co/b', 2000],
+      ['https://consulta.gov.co/d', 4000]
+    ]);
+    expect(session.stats()).toMatchObject({ requests: 4, retries: 0, wait_ms: 4000 });
+  });
+
+  it('should refill the token bucket at the configured rate', async () => {
+    const session = scheduler({ requestsPerMinute: 60, burst: 2 }).createSession();
+
+    for (let i = 0; i < 3; i++) {
+      await session.schedule('https://portal.gov.co/', async () => null);
+    }
+
+    expect(clock.time).toBe(1000);
+  });
+
+  it('should retry 5xx with exponential backoff', async () => {
+    const session = scheduler({ requestsPerMinute: 0, baseDelayMs: 1000 }).createSession();
+    let calls = 0;
+
+    const result = await session.schedule('https://portal.gov.co/', async () => {
+      calls++;
+      if (calls < 3) throw httpError(503);
+      return 'ok';
+    });
+
+    expect(result).toBe('ok');
+    // random() = 0: la mitad del techo exponencial (1000, 2000)
+    expect(clock.sleeps).toEqual([500, 1000]);
+    expect(session.stats()).toMatchObject({ requests: 3, retries: 2, wait_ms: 1500 });
+  });
+
+  it('should honour Retry-After for every request to the domain', async () => {
+    const instance = scheduler({ requestsPerMinute: 0 });
+    const first = instance.createSession();
+    const second = instance.createSession();
+    let limited = true;
+
+    await first.schedule('https://portal.gov.co/a', async () => {
+      if (limited) {
+        limited = false;
+        throw httpError(429, { 'retry-after': '5' });
+      }
+      return 'ok';
+    });
+    expect(clock.time).toBe(5000);
+    expect(first.stats()).toMatchObject({ retries: 1, rate_limited: 1, wait_ms: 5000 });
+
+    // Un 429 nuevo bloquea también a la otra sesión
+    let blockedOnce = false;
+    const blocker = first.schedule('https://portal.gov.co/b', async () => {
+      if (!blockedOnce) {
+        blockedOnce = true;
+        throw httpError(429, { 'retry-after': '10' });
+      }
+      return 'ok';
+    });
+    await blocker;
+    const before = clock.time;
+    await second.schedule('https://portal.gov.co/c', async () => 'ok');
+    expect(before).toBe(15000);
+    expect(clock.time).toBe(15000);
+  });
+
+  it('should give up after the configured attempts', async () => {
+    const session = scheduler({ requestsPerMinute: 0, retryAttempts: 1 }).createSession();
+    const task = jest.fn(async () => {
+      throw httpError(500);
+    });
+
+    await expect(session.schedule('https://portal.gov.co/', task)).rejects.toThrow('status code 500');
+    expect(task).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not retry other client errors', async () => {
+    const session = scheduler({ requestsPerMinute: 0 }).createSession();
+    const task = jest.fn(async () => {
+      throw httpError(404);
+    });
+
+    await expect(session.schedule('https://portal.gov.co/', task)).rejects.toThrow('404');
+    expect(task).toHaveBeenCalledTimes(1);
+  });
+
+  it('should retry navigation timeouts and Puppeteer 5xx responses', async () => {
+    const session = scheduler({ requestsPerMinute: 0, retryAttempts: 2 }).createSession();
+    const responses = [
+      () => {
+        throw Object.assign(new Error('Navigation timeout of 30000 ms exceeded'), { name: 'TimeoutError' });
+      },
+      () => ({ status: () => 502, headers: () => ({}) }),
+      () => ({ status: () => 200, headers: () => ({}) })
+    ];
+
+    const response = await session.schedule('https://portal.gov.co/', async () => responses.shift()());
+
+    expect(response.status()).toBe(200);
+    expect(session.stats().retries).toBe(2);
+  });
+
+  it('should refuse Retry-After waits longer than the maximum', async () => {
+    const session = scheduler({ requestsPerMinute: 0, maxRetryAfterMs: 60000 }).createSession();
+    const task = jest.fn(async () => {
+      throw httpError(429, { 'retry-after': '3600' });
+    });
+
+    await expect(session.schedule('https://portal.gov.co/', task)).rejects.toThrow('429');
+    expect(task).toHaveBeenCalledTimes(1);
+  });
+
+  it('should parse Retry-After seconds and HTTP dates', () => {
+    const now = Date.parse('2024-05-01T10:00:00Z');
+
+    expect(parseRetryAfter('120', now)).toBe(120000);
+    expect(parseRetryAfter('Wed, 01 May 2024 10:00:30 GMT', now)).toBe(30000);
+    expect(parseRetryAfter(undefined, now)).toBeNull();
+    expect(parseRetryAfter('pronto', now)).toBeNull();
+  });
+
+  it('should schedule the axios client given to scrapers and report it in the envelope', async () => {
+    let hits = 0;
+    const server = http.createServer((req, res) => {
+      hits++;
+      if (hits === 1) {
+        res.writeHead(429, { 'Retry-After': '2' });
+        res.end('Demasiadas solicitudes');
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify([{ nombre: 'ACME SAS' }]));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const scraper = defineScraper({
+      name: 'portal',
+      category: 'database',
+      type: 'axios',
+      async search({ http: client }) {
+        return (await client.get(`${baseUrl}/consulta`)).data;
+      }
+    });
+
+    try {
+      const envelope = await runScraper(scraper, { searchTerm: 'ACME' }, { scheduler: scheduler({ requestsPerMinute: 0 }) });
+
+      expect(envelope.status).toBe('completed');
+      expect(envelope.data[0].nombre).toBe('ACME SAS');
+      expect(envelope.network).toEqual({ requests: 2, retries: 1, wait_ms: 2000, rate_limited: 1 });
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,110 @@
+const path = require('path');
+const axios = require('axios');
+const { createManager, createServer } = require('../scraper-manager');
+const slowPortal = require('../fixtures/sites/government/slow-portal');
+
+describe('Scraper manager', () => {
+  let manager;
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    manager = createManager({
+      rootDir: path.resolve(__dirname, '../fixtures/sites'),
+      concurrency: 1,
+      timeoutMs: 5000
+    });
+    server = createServer(manager);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await manager.close();
+  });
+
+  it('should list the registered fixture scrapers', async () => {
+    const response = await axios.get(`${baseUrl}/sites`);
+    const ids = response.data.sites.map(site => `${site.category}/${site.id}`);
+
+    expect(ids).toEqual(['government/slow-portal', 'judicial/rama-judicial']);
+  });
+
+  it('should run a job end-to-end and return standard envelopes', async () => {
+    const response = await axios.post(`${baseUrl}/jobs`, {
+      search_term: 'Juan Pérez',
+      sites: ['Rama Judicial', { site_name: 'slow-portal', category: 'government', config: { delay_ms: 10 } }],
+      wait: true
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.data.status).toBe('completed');
+    expect(response.data.sites_completed).toBe(2);
+
+    const rama = response.data.results.find(result => result.site === 'rama-judicial');
+    expect(rama).toMatchObject({
+      status: 'completed',
+      has_results: true,
+      results_count: 1,
+      data: [{ term: 'Juan Pérez', heading: 'Hello Scraper' }]
+    });
+  });
+
+  it('should accept asynchronous jobs and expose their progress', async () => {
+    const created = await axios.post(`${baseUrl}/jobs`, {
+      search_term: 'ACME',
+      sites: [{ site_name: 'slow-portal', config: { delay_ms: 100 } }]
+    });
+    expect(created.status).toBe(202);
+
+    await manager.getJob(created.data.job_id).done;
+    const fetched = await axios.get(`${baseUrl}/jobs/${created.data.job_id}`);
+
+    expect(fetched.data.status).toBe('completed');
+    expect(fetched.data.results[0].site).toBe('slow-portal');
+  });
+
+  it('should never run more scrapers than the concurrency limit', async () => {
+    const sites = [1, 2, 3].map(() => ({ site_name: 'slow-portal', config: { delay_ms: 30 } }));
+    slowPortal.activity.peak = 0;
+
+    const job = manager.submit({ search_term: 'x', sites });
+    await job.done;
+    expect(job.results).toHaveLength(3);
+    expect(slowPortal.activity.peak).toBe(1);
+
+    // Con un límite mayor las búsquedas sí se solapan: el máximo registrado lo detecta
+    const wider = createManager({ rootDir: path.resolve(__dirname, '../fixtures/sites'), concurrency: 2, timeoutMs: 5000 });
+    slowPortal.activity.peak = 0;
+    try {
+      await wider.submit({ search_term: 'x', sites }).done;
+      expect(slowPortal.activity.peak).toBe(2);
+    } finally {
+      await wider.close();
+    }
+  });
+
+  it('should return a failed envelope for unknown sites', async () => {
+    const response = await axios.post(`${baseUrl}/jobs`, { search_term: 'x', sites: ['No Existe'], wait: true });
+
+    expect(response.data.results[0]).toMatchObject({ status: 'failed', success: false });
+    expect(response.data.results[0].error).toContain('no registrado');
+  });
+
+  it('should name the envelope of an unknown site like ScraperManager::normalizeFileName', async () => {
+    const response = await axios.post(`${baseUrl}/jobs`, {
+      search_term: 'x',
+      sites: [{ site_name: 'Portal No Existe', category: 'government' }],
+      wait: true
+    });
+
+    expect(response.data.results[0]).toMatchObject({ site: 'portal-no-existe', category: 'government', status: 'failed' });
+  });
+
+  it('should reject jobs without a search term', async () => {
+    await expect(axios.post(`${baseUrl}/jobs`, { sites: [] })).rejects.toMatchObject({
+      response: { status: 400 }
+    });
+  });
+});
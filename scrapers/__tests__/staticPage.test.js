@@ -0,0 +1,181 @@
+const http = require('http');
+const cheerio = require('cheerio');
+const { runScraper } = require('../shared/runtime');
+const { createScheduler } = require('../shared/scheduler');
+const { defineStaticScraper, parseTable, readForm, decodeBody, encodeForm } = require('../shared/staticPage');
+const { parseForm } = require('./support/mockPortal');
+
+const latin1 = html => Buffer.from(html, 'latin1');
+
+const FORM_PAGE = `<html><head><meta http-equiv="Content-Type" content="text/html; charset=iso-8859-1"></head>
+<body><form id="form1" method="post" action="./Consulta.aspx">
+  <input type="hidden" name="__VIEWSTATE" value="vs-inicial" />
+  <input type="hidden" name="__EVENTVALIDATION" value="ev-inicial" />
+  <input type="hidden" name="__EVENTTARGET" value="" />
+  <input type="text" name="txtNombre" value="" />
+  <select name="ddlTipo"><option value="CC">Cédula</option><option value="NIT" selected>NIT</option></select>
+  <input type="checkbox" name="chkHistorico" value="1" />
+  <input type="submit" name="btnBuscar" value="Buscar" id="btnBuscar" />
+  <input type="submit" name="btnLimpiar" value="Limpiar" />
+</form></body></html>`;
+
+const resultsPage = (rows, viewState) => `<html><body><form id="form1" method="post" action="Consulta.aspx">
+  <input type="hidden" name="__VIEWSTATE" value="${viewState}" />
+  <input type="hidden" name="__EVENTVALIDATION" value="ev-${viewState}" />
+  <input type="hidden" name="__EVENTTARGET" value="" />
+  <input type="hidden" name="__EVENTARGUMENT" value="" />
+  <table id="gvResultados">
+    <tr><th>Nombre</th><th>Número de Identificación</th><th>Ciudad</th></tr>
+    ${rows.map(([nombre, id, ciudad]) => `<tr><td>${nombre}</td><td>${id}</td><td>${ciudad}</td></tr>`).join('')}
+    <tr><td></td><td></td><td></td></tr>
+    <tr><td colspan="3"><table><tr><td>1</td><td>2</td></tr></table></td></tr>
+  </table>
+</form></body></html>`;
+
+/**
+ * Portal ASP.NET de prueba: exige la cookie de sesión y el __VIEWSTATE de la respuesta anterior
+ */
+function createAspNetPortal() {
+  const posts = [];
+  const server = http.createServer((req, res) => {
+    if (req.method === 'GET') {
+      res.writeHead(200, { 'Content-Type': 'text/html', 'Set-Cookie': 'ASP.NET_SessionId=sesion-1; path=/; HttpOnly' });
+      res.end(latin1(FORM_PAGE));
+      return;
+    }
+
+    const chunks = [];
+    req.on('data', chunk => {
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const fields = parseForm(Buffer.concat(chunks), 'iso-8859-1');
+      posts.push({ cookie: req.headers.cookie, fields });
+
+      if (req.headers.cookie !== 'ASP.NET_SessionId=sesion-1') {
+        res.writeHead(500);
+        res.end('Sesión expirada');
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=ISO-8859-1' });
+      if (fields.__EVENTTARGET === 'gvResultados' && fields.__VIEWSTATE === 'vs-pagina-1') {
+        res.end(latin1(resultsPage([['MARÍA PÉREZ', '52.123.456', 'MEDELLÍN']], 'vs-pagina-2')));
+      } else if (fields.__VIEWSTATE === 'vs-inicial' && fields.btnBuscar === 'Buscar') {
+        res.end(latin1(resultsPage([['JOSÉ PÉREZ', '79.555.123', 'BOGOTÁ']], 'vs-pagina-1')));
+      } else {
+        res.end(latin1('<html><body>Solicitud inválida</body></html>'));
+      }
+    });
+  });
+  return { server, posts };
+}
+
+describe('Static page scraper base', () => {
+  it('should decode ISO-8859-1 pages declared in the header or a meta tag', () => {
+    const body = latin1('<p>Órgano Judicial de Panamá</p>');
+
+    expect(decodeBody(body, 'text/html; charset=ISO-8859-1')).toEqual({
+      html: '<p>Órgano Judicial de Panamá</p>',
+      charset: 'iso-8859-1'
+    });
+    expect(decodeBody(latin1(FORM_PAGE), 'text/html').html).toContain('Cédula');
+    expect(decodeBody(Buffer.from('<p>Bogotá</p>'), 'text/html').html).toBe('<p>Bogotá</p>');
+    expect(decodeBody(Buffer.from('<p>Bogotá</p>'), 'text/html; charset=x-desconocido').charset).toBe('utf-8');
+  });
+
+  it('should turn tables into records keyed by their headers', () => {
+    const $ = cheerio.load(resultsPage([['JOSÉ PÉREZ', '79.555.123', 'BOGOTÁ']], 'vs'));
+
+    expect(parseTable($, '#gvResultados')).toEqual([
+      { nombre: 'JOSÉ PÉREZ', numero_de_identificacion: '79.555.123', ciudad: 'BOGOTÁ' }
+    ]);
+    expect(parseTable($, '#gvResultados', { columns: { 'Número de Identificación': 'documento', Nombre: 'nombre' } }))
+      .toEqual([{ nombre: 'JOSÉ PÉREZ', documento: '79.555.123' }]);
+    expect(parseTable($, '#gvResultados', { columns: ['nombre'] })[0]).toEqual({
+      nombre: 'JOSÉ PÉREZ',
+      columna_2: '79.555.123',
+      columna_3: 'BOGOTÁ'
+    });
+    expect(parseTable($, '#no-existe')).toEqual([]);
+  });
+
+  it('should read the fields a browser would submit', () => {
+    const $ = cheerio.load(FORM_PAGE);
+
+    expect(readForm($, '#form1', 'https://portal.test/app/Consulta.aspx')).toEqual({
+      action: 'https://portal.test/app/Consulta.aspx',
+      method: 'POST',
+      charset: null,
+      fields: { __VIEWSTATE: 'vs-inicial', __EVENTVALIDATION: 'ev-inicial', __EVENTTARGET: '', txtNombre: '', ddlTipo: 'NIT' }
+    });
+    expect(() => readForm($, '#otro', 'https://portal.test/')).toThrow('#otro');
+  });
+
+  it('should encode form fields in the page charset as a browser does', () => {
+    expect(encodeForm({ txtNombre: 'MARÍA PÉREZ', q: 'a&b' }, 'iso-8859-1')).toBe('txtNombre=MAR%CDA+P%C9REZ&q=a%26b');
+    expect(encodeForm({ txtNombre: 'PÉREZ 中' }, 'iso-8859-1')).toBe('txtNombre=P%C9REZ+%26%2320013%3B');
+    expect(encodeForm({ txtNombre: 'PÉREZ' }, 'utf-8')).toBe('txtNombre=P%C3%89REZ');
+
+    const $ = cheerio.load('<form id="f" method="get" action="/buscar?x=1" accept-charset="UTF-8 ISO-8859-1"></form>');
+    expect(readForm($, '#f', 'https://portal.test/').charset).toBe('utf-8');
+  });
+
+  describe('against an ASP.NET portal', () => {
+    let portal;
+    let baseUrl;
+
+    beforeEach(async () => {
+      portal = createAspNetPortal();
+      await new Promise(resolve => portal.server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${portal.server.address().port}`;
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => portal.server.close(resolve));
+    });
+
+    it('should post the form with its view state and session cookie and page with __doPostBack', async () => {
+      const scraper = defineStaticScraper({
+        name: 'portal-aspnet',
+        category: 'judicial',
+        async search({ term, client }) {
+          const form = await client.get(`${baseUrl}/app/Consulta.aspx`);
+          const first = await form.submit('#form1', { txtNombre: term }, { submitter: '#btnBuscar' });
+          const second = await first.postBack('gvResultados', 'Page$2');
+          return { data: [...first.table('#gvResultados'), ...second.table('#gvResultados')], direct_link: form.url };
+        }
+      });
+
+      const envelope = await runScraper(scraper, { searchTerm: 'Pérez' }, {
+        cache: null,
+        scheduler: createScheduler({ requestsPerMinute: 0 })
+      });
+
+      expect(scraper.type).toBe('axios');
+      expect(envelope).toMatchObject({ status: 'completed', site: 'portal-aspnet', results_count: 2 });
+      expect(envelope.data.map(row => [row.nombre, row.ciudad])).toEqual([
+        ['JOSÉ PÉREZ', 'BOGOTÁ'],
+        ['MARÍA PÉREZ', 'MEDELLÍN']
+      ]);
+
+      expect(portal.posts[0]).toEqual({
+        cookie: 'ASP.NET_SessionId=sesion-1',
+        fields: {
+          __VIEWSTATE: 'vs-inicial',
+          __EVENTVALIDATION: 'ev-inicial',
+          __EVENTTARGET: '',
+          txtNombre: 'Pérez',
+          ddlTipo: 'NIT',
+          btnBuscar: 'Buscar'
+        }
+      });
+      expect(portal.posts[1].fields).toMatchObject({
+        __VIEWSTATE: 'vs-pagina-1',
+        __EVENTVALIDATION: 'ev-vs-pagina-1',
+        __EVENTTARGET: 'gvResultados',
+        __EVENTARGUMENT: 'Page$2'
+      });
+    });
+  });
+});
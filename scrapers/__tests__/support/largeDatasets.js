@@ -0,0 +1,227 @@
+/**
+ * Exportaciones sintéticas de tamaño real para probar los índices en disco
+ * Generan con una semilla fija los CSV del ICIJ (full-oldb) y el NDJSON FtM de
+ * OpenSanctions con nombres hispanos repetidos, un intermediario con miles de
+ * sociedades y registros conocidos para buscar.
+ *
+ *   writeIcijDataset(dir, { entities: 40000, officers: 40000, addresses: 20000 });
+ *   writeOpenSanctionsDataset(file, { entities: 50000 });
+ *
+ * Uso manual (tamaño de la exportación completa):
+ *   node __tests__/support/largeDatasets.js --icij=/tmp/full-oldb --entities=810000 --officers=770000 --addresses=400000
+ *   node __tests__/support/largeDatasets.js --opensanctions=/tmp/entities.ftm.json --entities=1000000
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseFlags } = require('../../shared/runtime');
+
+const FIRST_NAMES = ['JUAN', 'CARLOS', 'MARÍA', 'ANA', 'LUIS', 'JOSÉ', 'FERNANDA', 'PEDRO', 'LAURA', 'JORGE',
+  'ANDRÉS', 'CAMILA', 'DIEGO', 'SOFÍA', 'MIGUEL', 'VALENTINA', 'RAFAEL', 'ISABEL', 'MANUEL', 'PATRICIA'];
+const SURNAMES = ['PÉREZ', 'GÓMEZ', 'RODRÍGUEZ', 'MARTÍNEZ', 'LÓPEZ', 'GONZÁLEZ', 'HERNÁNDEZ', 'RUIZ', 'DÍAZ',
+  'MORENO', 'MUÑOZ', 'ÁLVAREZ', 'ROMERO', 'TORRES', 'RAMÍREZ', 'VARGAS', 'CASTRO', 'ORTIZ', 'SILVA', 'ROJAS'];
+const COMPANY_WORDS = ['ISTMO', 'CARIBE', 'PACÍFICO', 'ANDES', 'GLOBAL', 'ATLÁNTICO', 'SIERRA', 'DELTA', 'NORTE',
+  'AURORA', 'CÓNDOR', 'JAGUAR', 'PUERTO', 'VALLE', 'CORAL', 'BAHÍA', 'LAGUNA', 'MERIDIAN', 'ORIÓN', 'SOL'];
+const COMPANY_SUFFIXES = ['HOLDINGS INC.', 'INVESTMENTS LTD.', 'TRADING S.A.', 'LIMITED', 'CORP.', 'FOUNDATION'];
+
+// Registros que las pruebas buscan en medio del volumen
+const PLANTED = {
+  officer: { id: '99000001', name: 'ESTEBAN QUINTERO ZAPATA' },
+  entity: { id: '99000002', name: 'QUINTERO ZAPATA OVERSEAS LTD.' },
+  hub: { id: '99000003', name: 'FIDUCIARIA ISTMEÑA & ASOCIADOS' },
+  person: { id: 'os-planted-1', name: 'Esteban Quintero Zapata', birthDate: '1971-08-14', idNumber: '71845123' }
+};
+
+/**
+ * Generador pseudoaleatorio con semilla (mulberry32)
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Escritura de líneas por bloques
+ */
+function lineWriter(file) {
+  const fd = fs.openSync(file, 'w');
+  let pending = [];
+  const flush = () => {
+    if (pending.length > 0) {
+      fs.writeSync(fd, pending.join(''));
+      pending = [];
+    }
+  };
+  return {
+    line(text) {
+      pending.push(`${text}\n`);
+      if (pending.length >= 10000) {
+        flush();
+      }
+    },
+    close() {
+      flush();
+      fs.closeSync(fd);
+    }
+  };
+}
+
+const csvField = value => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+/**
+ * Escribe nodes-*.csv y relationships.csv con el volumen pedido
+ * Cada sociedad tiene dos officers, una dirección y (una de cada dos) el
+ * intermediario PLANTED.hub; también hay relaciones "similar" que se descartan.
+ * @param {string} dir
+ * @param {{entities?: number, officers?: number, addresses?: number, seed?: number}} sizes
+ * @returns {{nodes: number, relationships: number}}
+ */
+function writeIcijDataset(dir, sizes = {}) {
+  const entities = sizes.entities || 40000;
+  const officers = sizes.officers || 40000;
+  const addresses = sizes.addresses || 20000;
+  const random = seededRandom(sizes.seed || 1);
+  const pick = list => list[Math.floor(random() * list.length)];
+  fs.mkdirSync(dir, { recursive: true });
+
+  const entityFile = lineWriter(path.join(dir, 'nodes-entities.csv'));
+  entityFile.line('node_id,name,original_name,former_name,jurisdiction,jurisdiction_description,company_type,address,'
+    + 'internal_id,incorporation_date,inactivation_date,struck_off_date,dorm_date,status,service_provider,ibcRUC,'
+    + 'country_codes,countries,note,valid_until,sourceID');
+  entityFile.line(`${PLANTED.entity.id},${PLANTED.entity.name},,,PMA,Panama,,,,01-JAN-2010,,,,Active,,77001,PAN,Panama,,,Panama Papers`);
+  for (let i = 0; i < entities; i++) {
+    const name = `${pick(COMPANY_WORDS)} ${pick(COMPANY_WORDS)} ${pick(COMPANY_SUFFIXES)}`;
+    entityFile.line([10000000 + i, csvField(name), '', '', 'PMA', 'Panama', '', '', '', '12-MAR-2008', '', '', '',
+      'Active', 'Mossack Fonseca', 20000 + i, 'PAN', 'Panama', '', '', 'Panama Papers'].join(','));
+  }
+  entityFile.close();
+
+  const officerFile = lineWriter(path.join(dir, 'nodes-officers.csv'));
+  officerFile.line('node_id,name,countries,country_codes,sourceID,valid_until,note');
+  officerFile.line(`${PLANTED.officer.id},${PLANTED.officer.name},Colombia,COL,Pandora Papers,,`);
+  for (let i = 0; i < officers; i++) {
+    const name = `${pick(FIRST_NAMES)} ${pick(FIRST_NAMES)} ${pick(SURNAMES)} ${pick(SURNAMES)}`;
+    officerFile.line(`${20000000 + i},${name},Mexico,MEX,Panama Papers,,`);
+  }
+  officerFile.close();
+
+  const intermediaryFile = lineWriter(path.join(dir, 'nodes-intermediaries.csv'));
+  intermediaryFile.line('node_id,name,status,internal_id,address,countries,country_codes,sourceID,valid_until,note');
+  intermediaryFile.line(`${PLANTED.hub.id},${PLANTED.hub.name},ACTIVE,,,Panama,PAN,Panama Papers,,`);
+  intermediaryFile.close();
+
+  const addressFile = lineWriter(path.join(dir, 'nodes-addresses.csv'));
+  addressFile.line('node_id,address,name,countries,country_codes,sourceID,valid_until,note');
+  for (let i = 0; i < addresses; i++) {
+    addressFile.line(`${30000000 + i},"CALLE ${i % 100}, ${pick(COMPANY_WORDS)}, PANAMÁ",,Panama,PAN,Panama Papers,,`);
+  }
+  addressFile.close();
+
+  const relationshipFile = lineWriter(path.join(dir, 'relationships.csv'));
+  relationshipFile.line('node_id_start,node_id_end,rel_type,link,status,start_date,end_date,sourceID');
+  let relationships = 0;
+  const relate = (start, end, relType, link) => {
+    relationshipFile.line(`${start},${end},${relType},${link},,,,Panama Papers`);
+    relationships++;
+  };
+  relate(PLANTED.officer.id, PLANTED.entity.id, 'officer_of', 'director of');
+  relate(PLANTED.hub.id, PLANTED.entity.id, 'intermediary_of', 'intermediary of');
+  for (let i = 0; i < entities; i++) {
+    const entityId = 10000000 + i;
+    relate(20000000 + Math.floor(random() * officers), entityId, 'officer_of', 'shareholder of');
+    relate(20000000 + Math.floor(random() * officers), entityId, 'officer_of', 'director of');
+    relate(entityId, 30000000 + Math.floor(random() * addresses), 'registered_address', 'registered address');
+    if (i % 2 === 0) {
+      relate(PLANTED.hub.id, entityId, 'intermediary_of', 'intermediary of');
+    }
+    if (i % 10 === 0) {
+      relate(entityId, 10000000 + Math.floor(random() * entities), 'similar', 'similar name and address as');
+    }
+  }
+  relationshipFile.close();
+
+  return { nodes: entities + officers + addresses + 3, relationships };
+}
+
+/**
+ * Escribe una exportación entities.ftm.json con personas, empresas y sanciones
+ * Las sanciones van antes que la entidad sancionada, como en el orden por id de la exportación.
+ * @param {string} file
+ * @param {{entities?: number, seed?: number}} sizes
+ * @returns {{entities: number}}
+ */
+function writeOpenSanctionsDataset(file, sizes = {}) {
+  const entities = sizes.entities || 50000;
+  const random = seededRandom(sizes.seed || 2);
+  const pick = list => list[Math.floor(random() * list.length)];
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const output = lineWriter(file);
+
+  output.line(JSON.stringify({
+    id: 'os-sanction-planted',
+    schema: 'Sanction',
+    properties: { entity: [PLANTED.person.id], authority: ['Office of Foreign Assets Control'], program: ['SDNTK'] },
+    datasets: ['us_ofac_sdn']
+  }));
+  output.line(JSON.stringify({
+    id: PLANTED.person.id,
+    schema: 'Person',
+    caption: PLANTED.person.name,
+    properties: {
+      name: [PLANTED.person.name],
+      birthDate: [PLANTED.person.birthDate],
+      idNumber: [PLANTED.person.idNumber],
+      nationality: ['co'],
+      topics: ['sanction']
+    },
+    datasets: ['us_ofac_sdn']
+  }));
+
+  for (let i = 0; i < entities; i++) {
+    const person = i % 3 !== 0;
+    const name = person
+      ? `${pick(FIRST_NAMES)} ${pick(SURNAMES)} ${pick(SURNAMES)}`
+      : `${pick(COMPANY_WORDS)} ${pick(COMPANY_WORDS)} ${pick(COMPANY_SUFFIXES)}`;
+    output.line(JSON.stringify({
+      id: `os-${i}`,
+      schema: person ? 'Person' : 'Company',
+      caption: name,
+      properties: person
+        ? { name: [name], alias: [`${pick(FIRST_NAMES)} ${pick(SURNAMES)}`], birthDate: [`19${50 + (i % 50)}`], topics: ['role.pep'] }
+        : { name: [name], registrationNumber: [`RN${100000 + i}`], topics: ['sanction'] },
+      datasets: person ? ['everypolitician'] : ['eu_fsf'],
+      last_change: '2024-05-01T00:00:00'
+    }));
+    if (i % 50 === 0) {
+      output.line(JSON.stringify({ id: `os-address-${i}`, schema: 'Address', properties: { full: [`CALLE ${i}`] } }));
+    }
+  }
+  output.close();
+
+  return { entities: entities + 1 };
+}
+
+module.exports = { writeIcijDataset, writeOpenSanctionsDataset, PLANTED };
+
+if (require.main === module) {
+  const flags = parseFlags(process.argv.slice(2));
+  const sizes = {
+    entities: Number(flags.entities) || undefined,
+    officers: Number(flags.officers) || undefined,
+    addresses: Number(flags.addresses) || undefined
+  };
+  if (typeof flags.icij === 'string') {
+    console.log(JSON.stringify(writeIcijDataset(path.resolve(flags.icij), sizes)));
+  } else if (typeof flags.opensanctions === 'string') {
+    console.log(JSON.stringify(writeOpenSanctionsDataset(path.resolve(flags.opensanctions), sizes)));
+  } else {
+    console.error('Uso: node __tests__/support/largeDatasets.js --icij=<carpeta> | --opensanctions=<archivo> [--entities=N] [--officers=N] [--addresses=N]');
+    process.exit(1);
+  }
+}
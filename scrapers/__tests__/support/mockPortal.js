@@ -0,0 +1,399 @@
+/**
+ * Portal gubernamental simulado para pruebas de integración de los scrapers
+ * Sirve en 127.0.0.1 lo que los fixtures grabados no reproducen: formularios de
+ * varios pasos, cookies de sesión, __VIEWSTATE que cambia en cada respuesta,
+ * tablas paginadas, inicio de sesión y las fallas de los sitios reales (lentitud,
+ * 429, CAPTCHA, HTML mal formado), para ejercitar de punta a punta en Jest los
+ * scrapers declarativos y propios, el programador con sus reintentos y la paginación.
+ *
+ *   const portal = createMockPortal({ records: sampleRecords(23), pageSize: 10 });
+ *   const baseUrl = await portal.start();
+ *   portal.faults.rateLimit = 2; // las dos próximas peticiones responden 429
+ *   ...
+ *   await portal.close();
+ *
+ * Rutas:
+ *   GET  /consulta?q=&pagina=  listado por query string: table.resultados, p.resumen, a.siguiente
+ *   GET  /Consulta.aspx        formulario ASP.NET #form1 con __VIEWSTATE y cookie de sesión
+ *   POST /Consulta.aspx        búsqueda (btnBuscar) y páginas por __doPostBack('gvResultados', 'Page$N');
+ *                              sin sesión o con un __VIEWSTATE anterior responde "La sesión ha expirado"
+ *   GET  /proceso/{radicado}   detalle de un registro
+ *   GET/POST /login            con options.credentials, las demás rutas redirigen aquí hasta iniciar sesión
+ *
+ * Uso manual: node __tests__/support/mockPortal.js --port=8090
+ */
+
+const http = require('http');
+const { parseFlags } = require('../../shared/runtime');
+
+const SESSION_COOKIE = 'ASP.NET_SessionId';
+const NAMES = ['JUAN PÉREZ GARCÍA', 'JUAN PÉREZ LÓPEZ', 'JUAN CARLOS PÉREZ', 'ANA MARÍA GÓMEZ', 'LUIS FERNANDO RÍOS'];
+
+/**
+ * Registros de ejemplo: nombre, documento y radicado, con los nombres repetidos en orden
+ * @param {number} count
+ * @returns {{nombre: string, documento: string, radicado: string}[]}
+ */
+function sampleRecords(count = 23) {
+  return Array.from({ length: count }, (_, index) => ({
+    nombre: NAMES[index % NAMES.length],
+    documento: String(79000000 + index * 137),
+    radicado: `2023-${String(index + 1).padStart(5, '0')}`
+  }));
+}
+
+/**
+ * Texto comparable: mayúsculas y sin tildes
+ */
+function normalize(text) {
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toUpperCase().trim();
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function readCookie(req, name) {
+  const pair = String(req.headers.cookie || '').split(';').map(part => part.trim()).find(part => part.startsWith(`${name}=`));
+  return pair ? pair.slice(name.length + 1) : null;
+}
+
+/**
+ * Campos de un cuerpo application/x-www-form-urlencoded, leídos en el charset del portal
+ * como ASP.NET con requestEncoding: en ISO-8859-1, P%C9REZ es "PÉREZ" y P%C3%89REZ no
+ * @param {Buffer} body
+ * @param {string} charset
+ * @returns {Object<string, string>}
+ */
+function parseForm(body, charset) {
+  const decode = text => {
+    const bytes = [];
+    for (let index = 0; index < text.length; index++) {
+      const match = text[index] === '%' && /^[0-9A-F]{2}$/i.test(text.slice(index + 1, index + 3));
+      if (match) {
+        bytes.push(parseInt(text.slice(index + 1, index + 3), 16));
+        index += 2;
+      } else {
+        bytes.push(text[index] === '+' ? 0x20 : text.charCodeAt(index));
+      }
+    }
+    return new TextDecoder(charset).decode(Uint8Array.from(bytes));
+  };
+
+  return Object.fromEntries(body.toString('latin1').split('&').filter(Boolean).map(pair => {
+    const separator = pair.indexOf('=');
+    return separator < 0 ? [decode(pair), ''] : [decode(pair.slice(0, separator)), decode(pair.slice(separator + 1))];
+  }));
+}
+
+function readBody(req, charset) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => {
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(parseForm(Buffer.concat(chunks), charset)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Documento HTML completo
+ */
+function layout(title, body) {
+  return `<!DOCTYPE html><html><head><title>${title}</title></head><body>${body}</body></html>`;
+}
+
+/**
+ * Filas de resultados; con malformed se omiten los cierres de celda y fila y se cuela marcado suelto,
+ * como en los portales que arman el HTML concatenando texto
+ */
+function resultRows(records, malformed) {
+  return records.map(record => {
+    const link = `/proceso/${encodeURIComponent(record.radicado)}`;
+    if (malformed) {
+      return `<tr><td class=nombre><font>${escapeHtml(record.nombre)}\n<td class=documento>${escapeHtml(record.documento)}</span>\n`
+        + `<td class=radicado><a href=${link}>${escapeHtml(record.radicado)}</a></div>`;
+    }
+    return `<tr><td class="nombre">${escapeHtml(record.nombre)}</td><td class="documento">${escapeHtml(record.documento)}</td>`
+      + `<td class="radicado"><a href="${link}">${escapeHtml(record.radicado)}</a></td></tr>`;
+  }).join('\n');
+}
+
+const CAPTCHA_PAGE = layout('Verificación', `<form method="post">
+  <p>Confirme que no es un robot para continuar con la consulta.</p>
+  <div class="g-recaptcha" data-sitekey="clave-de-prueba"></div>
+  <iframe src="https://www.google.com/recaptcha/api2/anchor?k=clave-de-prueba"></iframe>
+</form>`);
+
+const EXPIRED_PAGE = layout('Error', '<div class="error">La sesión ha expirado. Vuelva a realizar la consulta.</div>');
+
+const LOGIN_PAGE = message => layout('Iniciar sesión', `${message ? `<div class="error">${message}</div>` : ''}
+<form id="formLogin" method="post" action="/login">
+  <input type="text" name="usuario" value="" />
+  <input type="password" name="clave" value="" />
+  <input type="submit" name="btnIngresar" value="Ingresar" />
+</form>`);
+
+/**
+ * Crea el portal simulado
+ * @param {{records?: Object[], pageSize?: number, charset?: string,
+ *          credentials?: {user: string, password: string}, faults?: Object}} options
+ *   records: registros que se buscan por nombre (todas las palabras del término, sin tildes);
+ *   charset: 'utf-8' o 'iso-8859-1', el de las páginas y el de los formularios recibidos;
+ *   faults: valores iniciales de portal.faults
+ * @returns {{start: function(number=): Promise<string>, close: function(): Promise<void>, url: function(string): string,
+ *            faults: {latencyMs: number, rateLimit: number, retryAfter: string, captcha: boolean, malformed: boolean},
+ *            requests: {method: string, path: string, status: number}[], sessions: Map}}
+ *   faults se puede cambiar entre peticiones; requests registra cada respuesta enviada
+ */
+function createMockPortal(options = {}) {
+  const records = options.records || sampleRecords();
+  const pageSize = options.pageSize || 10;
+  const charset = options.charset || 'utf-8';
+  const faults = {
+    latencyMs: 0,
+    rateLimit: 0,
+    retryAfter: '0',
+    captcha: false,
+    malformed: false,
+    ...options.faults
+  };
+  const requests = [];
+  // Sesiones por cookie: {viewState, version, term, authenticated}
+  const sessions = new Map();
+  const timers = new Set();
+  let server = null;
+  let baseUrl = null;
+  let nextSession = 1;
+
+  const search = term => {
+    const words = normalize(term).split(/\s+/).filter(Boolean);
+    return words.length === 0 ? [] : records.filter(record => words.every(word => normalize(record.nombre).includes(word)));
+  };
+
+  const pageOf = (found, page) => found.slice((page - 1) * pageSize, page * pageSize);
+  const pageCount = found => Math.max(Math.ceil(found.length / pageSize), 1);
+
+  const send = (req, res, status, body, headers = {}) => {
+    requests.push({ method: req.method, path: req.url, status });
+    const encoded = charset === 'utf-8' ? Buffer.from(body, 'utf8') : Buffer.from(body, 'latin1');
+    res.writeHead(status, { 'Content-Type': `text/html; charset=${charset}`, ...headers });
+    res.end(encoded);
+  };
+
+  const sessionOf = (req, headers) => {
+    const id = readCookie(req, SESSION_COOKIE);
+    if (id && sessions.has(id)) {
+      return sessions.get(id);
+    }
+    const created = { id: `sesion-${nextSession++}`, viewState: null, version: 0, term: '', authenticated: false };
+    sessions.set(created.id, created);
+    headers['Set-Cookie'] = `${SESSION_COOKIE}=${created.id}; path=/; HttpOnly`;
+    return created;
+  };
+
+  // Cada respuesta del formulario lleva un __VIEWSTATE nuevo; solo el último es válido
+  const rotateViewState = session => {
+    session.version++;
+    session.viewState = `vs-${session.id}-${session.version}`;
+    return session.viewState;
+  };
+
+  const listingPage = (term, page) => {
+    const found = search(term);
+    if (found.length === 0) {
+      return layout('Consulta de procesos', '<p class="sin-resultados">No se encontraron registros para la consulta</p>');
+    }
+    const next = page < pageCount(found)
+      ? `<a class="siguiente" href="/consulta?q=${encodeURIComponent(term)}&pagina=${page + 1}">Siguiente</a>` : '';
+    return layout('Consulta de procesos', `<p class="resumen">${found.length} registros encontrados</p>
+<table class="resultados"><thead><tr><th>Nombre</th><th>Documento</th><th>Radicado</th></tr></thead>
+<tbody>
+${resultRows(pageOf(found, page), faults.malformed)}
+</tbody></table>
+${next}`);
+  };
+
+  const aspNetPage = (session, page) => {
+    const viewState = rotateViewState(session);
+    let grid = '';
+    if (session.term) {
+      const found = search(session.term);
+      const pager = Array.from({ length: pageCount(found) }, (_, index) => index + 1)
+        .map(number => (number === page
+          ? `<td><span>${number}</span></td>`
+          : `<td><a href="javascript:__doPostBack('gvResultados','Page$${number}')">${number}</a></td>`))
+        .join('');
+      grid = found.length === 0
+        ? '<table id="gvResultados"><tr><td colspan="3">No se encontraron registros</td></tr></table>'
+        : `<span id="lblTotal">${found.length} registros</span>
+<table id="gvResultados">
+<tr><th>Nombre</th><th>Documento</th><th>Radicado</th></tr>
+${resultRows(pageOf(found, page), faults.malformed)}
+<tr class="pager"><td colspan="3"><table><tr>${pager}</tr></table></td></tr>
+</table>`;
+    }
+    return layout('Consulta de antecedentes', `<form id="form1" method="post" action="./Consulta.aspx">
+  <input type="hidden" name="__EVENTTARGET" value="" />
+  <input type="hidden" name="__EVENTARGUMENT" value="" />
+  <input type="hidden" name="__VIEWSTATE" value="${viewState}" />
+  <input type="hidden" name="__EVENTVALIDATION" value="ev-${viewState}" />
+  <input type="text" name="txtNombre" value="${escapeHtml(session.term)}" />
+  <input type="submit" name="btnBuscar" value="Buscar" id="btnBuscar" />
+  ${grid}
+</form>`);
+  };
+
+  const route = async (req, res) => {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    const headers = {};
+
+    if (faults.rateLimit > 0) {
+      faults.rateLimit--;
+      send(req, res, 429, layout('429', '<p>Demasiadas solicitudes</p>'), { 'Retry-After': faults.retryAfter });
+      return;
+    }
+
+    if (url.pathname === '/login') {
+      const session = sessionOf(req, headers);
+      if (req.method === 'POST') {
+        const fields = await readBody(req, charset);
+        const valid = options.credentials && fields.usuario === options.credentials.user
+          && fields.clave === options.credentials.password;
+        session.authenticated = Boolean(valid);
+        send(req, res, 200, valid
+          ? layout('Bienvenido', '<p class="bienvenida">Sesión iniciada</p><a href="/Consulta.aspx">Consultar</a>')
+          : LOGIN_PAGE('Usuario o clave incorrectos'), headers);
+        return;
+      }
+      send(req, res, 200, LOGIN_PAGE(''), headers);
+      return;
+    }
+
+    if (options.credentials) {
+      const session = sessionOf(req, headers);
+      if (!session.authenticated) {
+        requests.push({ method: req.method, path: req.url, status: 302 });
+        res.writeHead(302, { ...headers, Location: `/login?ReturnUrl=${encodeURIComponent(url.pathname)}` });
+        res.end();
+        return;
+      }
+    }
+
+    if (faults.captcha && ['/consulta', '/Consulta.aspx'].includes(url.pathname)) {
+      send(req, res, 200, CAPTCHA_PAGE, headers);
+      return;
+    }
+
+    if (url.pathname === '/consulta') {
+      send(req, res, 200, listingPage(url.searchParams.get('q') || '', parseInt(url.searchParams.get('pagina') || '1', 10)), headers);
+      return;
+    }
+
+    if (url.pathname === '/Consulta.aspx' && req.method === 'GET') {
+      const session = sessionOf(req, headers);
+      session.term = '';
+      send(req, res, 200, aspNetPage(session, 1), headers);
+      return;
+    }
+
+    if (url.pathname === '/Consulta.aspx' && req.method === 'POST') {
+      const fields = await readBody(req, charset);
+      const id = readCookie(req, SESSION_COOKIE);
+      const session = id ? sessions.get(id) : null;
+      if (!session || !session.viewState || fields.__VIEWSTATE !== session.viewState
+        || fields.__EVENTVALIDATION !== `ev-${session.viewState}`) {
+        send(req, res, 200, EXPIRED_PAGE, headers);
+        return;
+      }
+
+      let page = 1;
+      if (fields.__EVENTTARGET === 'gvResultados') {
+        page = parseInt(String(fields.__EVENTARGUMENT || '').replace('Page$', ''), 10) || 1;
+      } else if (fields.btnBuscar !== undefined) {
+        session.term = fields.txtNombre || '';
+      }
+      send(req, res, 200, aspNetPage(session, page), headers);
+      return;
+    }
+
+    const detail = url.pathname.match(/^\/proceso\/([^/]+)$/);
+    const record = detail && records.find(candidate => candidate.radicado === decodeURIComponent(detail[1]));
+    if (record) {
+      send(req, res, 200, layout(`Proceso ${escapeHtml(record.radicado)}`, `<dl class="detalle">
+  <dt>Nombre</dt><dd class="nombre">${escapeHtml(record.nombre)}</dd>
+  <dt>Documento</dt><dd class="documento">${escapeHtml(record.documento)}</dd>
+  <dt>Radicado</dt><dd class="radicado">${escapeHtml(record.radicado)}</dd>
+</dl>`), headers);
+      return;
+    }
+
+    send(req, res, 404, layout('404', '<p>Página no encontrada</p>'), headers);
+  };
+
+  const handle = (req, res) => {
+    const respond = () => route(req, res).catch(error => {
+      if (!res.headersSent) {
+        send(req, res, 500, layout('500', `<p>${escapeHtml(error.message)}</p>`));
+      }
+    });
+
+    if (faults.latencyMs > 0) {
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        respond();
+      }, faults.latencyMs);
+      timers.add(timer);
+      return;
+    }
+    respond();
+  };
+
+  return {
+    faults,
+    requests,
+    sessions,
+
+    /**
+     * Abre el servidor (puerto 0: uno libre) y devuelve su URL base
+     */
+    async start(port = 0) {
+      server = http.createServer(handle);
+      await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      return baseUrl;
+    },
+
+    url: path => `${baseUrl}${path}`,
+
+    /**
+     * Cierra el servidor sin esperar las respuestas lentas pendientes
+     */
+    async close() {
+      timers.forEach(timer => clearTimeout(timer));
+      timers.clear();
+      if (server) {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+        server = null;
+      }
+    }
+  };
+}
+
+module.exports = { createMockPortal, sampleRecords, parseForm };
+
+if (require.main === module) {
+  const flags = parseFlags(process.argv.slice(2));
+  const portal = createMockPortal({
+    faults: {
+      latencyMs: Number(flags.latency || 0),
+      captcha: flags.captcha === true,
+      malformed: flags.malformed === true
+    }
+  });
+  portal.start(Number(flags.port || 8090)).then(baseUrl => {
+    console.log(`Portal simulado en ${baseUrl} (/consulta?q=Juan, /Consulta.aspx, /proceso/2023-00001)`);
+  });
+}
@@ -0,0 +1,97 @@
+/**
+ * Scraper ICIJ Offshore Leaks
+ * Responde desde el índice local importado con database/lib/offshoreLeaksIndex.js:
+ * cada coincidencia trae la estructura offshore ligada al candidato o la
+ * empresa (sociedades, intermediarios y direcciones a uno y dos saltos).
+ *
+ * config_data opcional: hops (1 o 2) y max_connections por coincidencia.
+ */
+
+const { defineScraper, runCli } = require('../shared/runtime');
+const { loadConfig } = require('../shared/config');
+const { loadOffshoreLeaksStore, NODE_URL } = require('./lib/offshoreLeaksIndex');
+
+// Tipos de nodo en el esquema de registros; un officer puede ser persona o sociedad
+const ENTITY_TYPES = { entity: 'company', intermediary: 'company', officer: 'unknown', address: 'address', other: 'organization' };
+
+/**
+ * Nodo del grafo como lo muestra el frontend
+ */
+function describeNode(node) {
+  return {
+    node_id: node.id,
+    name: node.name,
+    node_type: node.type,
+    jurisdiction: node.jurisdiction || null,
+    countries: node.countries,
+    source: node.source || null,
+    source_url: `${NODE_URL}${node.id}`
+  };
+}
+
+const scraper = defineScraper({
+  name: 'icij-offshore-leaks',
+  category: 'database',
+  type: 'axios',
+  // El índice local responde al instante y cambia con cada importación
+  cacheTtlSeconds: 0,
+  // Intermediario presente en los Panama Papers; sin resultados el índice no sirve
+  canaryTerm: 'MOSSACK FONSECA',
+  async search({ term, config }) {
+    const store = loadOffshoreLeaksStore(config.index_file || undefined);
+    const hops = Number(config.hops) === 1 ? 1 : 2;
+    const maxConnections = config.max_connections || loadConfig().icij.maxConnections;
+
+    const hits = store.search(term, {
+      minScore: config.min_score !== undefined ? Number(config.min_score) : 80,
+      limit: config.limit || 20
+    });
+
+    return {
+      data: hits.map(({ node, matchedName, alias, score, matchedField }) => {
+        const graph = store.connections(node.id, { hops, maxConnections });
+        return {
+          ...describeNode(node),
+          matched_name: matchedName,
+          matched_field: matchedField,
+          is_alias: alias,
+          score,
+          aliases: node.aliases,
+          company_type: node.company_type || null,
+          incorporation_date: node.incorporation_date || null,
+          inactivation_date: node.inactivation_date || null,
+          status: node.status || null,
+          service_provider: node.service_provider || null,
+          address: node.address || null,
+          registration_number: node.registration_number || null,
+          connections: graph.connections.map(({ node: connected, ...edge }) => ({ ...edge, ...describeNode(connected) })),
+          connections_truncated: graph.truncated
+        };
+      }),
+      meta: {
+        source: 'ICIJ Offshore Leaks',
+        nodes: store.meta.nodes,
+        relationships: store.meta.relationships,
+        imported_at: store.meta.imported_at,
+        source_updated_at: store.meta.source_updated_at,
+        hops
+      }
+    };
+  },
+  hit(row) {
+    return {
+      entity_type: ENTITY_TYPES[row.node_type] || 'unknown',
+      country: row.countries[0] || null,
+      source_record_id: row.node_id,
+      identifiers: row.registration_number
+        ? [{ type: 'registration_number', value: row.registration_number, country: row.jurisdiction }]
+        : []
+    };
+  }
+});
+
+module.exports = scraper;
+
+if (require.main === module) {
+  runCli(scraper);
+}
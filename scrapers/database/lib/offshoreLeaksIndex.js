@@ -0,0 +1,293 @@
+/**
+ * Índice local de ICIJ Offshore Leaks
+ * Importa los CSV de nodos y relaciones que publica el ICIJ (Panama Papers,
+ * Paradise Papers, Pandora Papers...) a un índice en disco y responde búsquedas
+ * por nombre con el nodo encontrado y sus conexiones a uno y dos saltos
+ * (officer_of, intermediary_of, registered_address): la estructura offshore
+ * a la que está ligado un candidato o una empresa.
+ *
+ * Importación (carpeta con nodes-*.csv y relationships.csv del archivo full-oldb):
+ *   node database/lib/offshoreLeaksIndex.js --source=/ruta/full-oldb [--output=/ruta/offshore-leaks.index]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseFlags } = require('../../shared/runtime');
+const { createIndexWriter, openIndex, addNames, searchNames } = require('../../shared/diskIndex');
+const { streamCsvRecords } = require('../../shared/csv');
+const { loadConfig } = require('../../shared/config');
+
+const INDEX_VERSION = 2;
+const NODE_URL = 'https://offshoreleaks.icij.org/nodes/';
+
+// Archivo de nodos por tipo; nodes-others.csv (fundaciones, fideicomisos) no siempre viene
+const NODE_FILES = {
+  entity: 'nodes-entities.csv',
+  officer: 'nodes-officers.csv',
+  intermediary: 'nodes-intermediaries.csv',
+  address: 'nodes-addresses.csv',
+  other: 'nodes-others.csv'
+};
+const RELATIONSHIPS_FILE = 'relationships.csv';
+
+// Relaciones que forman la estructura; similar, same_name_as y afines se descartan
+const RELATIONSHIP_TYPES = ['officer_of', 'intermediary_of', 'registered_address'];
+
+// Las direcciones se alcanzan por sus relaciones, no por nombre
+const SEARCHABLE_TYPES = ['entity', 'officer', 'intermediary', 'other'];
+
+/**
+ * Ruta por defecto del índice importado
+ * @returns {string}
+ */
+function defaultIndexFile() {
+  return path.join(loadConfig().localDbDir, 'icij', 'offshore-leaks.index');
+}
+
+/**
+ * Lista separada por ";" como la usa el ICIJ en countries y country_codes
+ */
+function splitList(value) {
+  return String(value || '').split(';').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Reduce una fila de nodes-*.csv a los campos que se muestran; omite los vacíos
+ * @param {Object<string, string>} record
+ * @param {string} type entity, officer, intermediary, address u other
+ * @returns {Object}
+ */
+function compactNode(record, type) {
+  const text = key => (record[key] || '').trim();
+  const name = text('name') || (type === 'address' ? text('address') : '');
+  const aliases = [text('original_name'), text('former_name')]
+    .filter((alias, index, all) => alias && alias !== name && all.indexOf(alias) === index);
+
+  const node = {
+    id: text('node_id'),
+    type,
+    name,
+    aliases,
+    countries: splitList(record.countries),
+    jurisdiction: text('jurisdiction_description') || text('jurisdiction'),
+    company_type: text('company_type') || text('type'),
+    incorporation_date: text('incorporation_date'),
+    inactivation_date: text('inactivation_date') || text('struck_off_date') || text('closed_date'),
+    status: text('status'),
+    service_provider: text('service_provider'),
+    address: type === 'address' ? '' : text('address'),
+    registration_number: text('ibcRUC'),
+    source: text('sourceID')
+  };
+
+  return Object.fromEntries(Object.entries(node).filter(([key, value]) => (
+    ['id', 'type', 'name', 'aliases', 'countries'].includes(key) || value
+  )));
+}
+
+/**
+ * Importa los CSV del ICIJ y escribe el índice en disco (shared/diskIndex.js)
+ * Tablas: nodes (nodo por node_id), edges (relaciones de cada nodo como arreglo
+ * [otro nodo, out|in, rel_type, link, start_date, end_date]) y names/ids para la búsqueda.
+ * En memoria solo queda el conjunto de node_id, para descartar relaciones hacia
+ * nodos que no vienen en los CSV.
+ * @param {string} sourceDir Carpeta con los CSV
+ * @param {string} outputFile
+ * @returns {Promise<Object>} Resumen de la importación
+ */
+async function importOffshoreLeaks(sourceDir, outputFile = defaultIndexFile()) {
+  const missing = [NODE_FILES.entity, NODE_FILES.officer, RELATIONSHIPS_FILE]
+    .filter(file => !fs.existsSync(path.join(sourceDir, file)));
+  if (missing.length > 0) {
+    throw new Error(`Faltan archivos de ICIJ Offshore Leaks en ${sourceDir}: ${missing.join(', ')}`);
+  }
+
+  const writer = createIndexWriter(outputFile);
+  try {
+    const nodeIds = new Set();
+    const nodeCounts = {};
+    for (const [type, file] of Object.entries(NODE_FILES)) {
+      const filePath = path.join(sourceDir, file);
+      nodeCounts[type] = 0;
+      if (!fs.existsSync(filePath)) {
+        continue;
+      }
+      await streamCsvRecords(filePath, record => {
+        const node = compactNode(record, type);
+        if (!node.id || !node.name || nodeIds.has(node.id)) {
+          return;
+        }
+        nodeIds.add(node.id);
+        nodeCounts[type]++;
+        writer.table('nodes').add(node.id, node);
+        if (SEARCHABLE_TYPES.includes(type)) {
+          addNames(writer, node.id, [
+            { name: node.name, alias: false },
+            ...node.aliases.map(name => ({ name, alias: true }))
+          ], node.registration_number ? [node.registration_number] : []);
+        }
+      });
+    }
+
+    let relationships = 0;
+    let skipped = 0;
+    await streamCsvRecords(path.join(sourceDir, RELATIONSHIPS_FILE), record => {
+      const start = (record.node_id_start || '').trim();
+      const end = (record.node_id_end || '').trim();
+      if (!RELATIONSHIP_TYPES.includes(record.rel_type) || !nodeIds.has(start) || !nodeIds.has(end)) {
+        skipped++;
+        return;
+      }
+      const details = [record.rel_type, (record.link || '').trim(),
+        (record.start_date || '').trim(), (record.end_date || '').trim()];
+      writer.table('edges').add(start, [end, 'out', ...details]);
+      writer.table('edges').add(end, [start, 'in', ...details]);
+      relationships++;
+    });
+
+    const sourceUpdatedAt = Object.values(NODE_FILES).concat(RELATIONSHIPS_FILE)
+      .map(file => path.join(sourceDir, file))
+      .filter(filePath => fs.existsSync(filePath))
+      .map(filePath => fs.statSync(filePath).mtime)
+      .reduce((latest, mtime) => (mtime > latest ? mtime : latest))
+      .toISOString();
+
+    const meta = {
+      version: INDEX_VERSION,
+      imported_at: new Date().toISOString(),
+      source_dir: path.basename(sourceDir),
+      source_updated_at: sourceUpdatedAt,
+      nodes: nodeIds.size,
+      node_types: nodeCounts,
+      relationships
+    };
+    writer.finish(meta);
+
+    return { ...meta, skipped_relationships: skipped, output: outputFile };
+  } catch (error) {
+    writer.abort();
+    throw error;
+  }
+}
+
+// Índices ya abiertos, por ruta y fecha de modificación
+const storeCache = new Map();
+
+/**
+ * Abre el índice y devuelve la búsqueda por nombre y el recorrido del grafo
+ * Cada consulta lee del disco solo los nodos y relaciones que recorre.
+ * @param {string} indexFile
+ * @returns {{meta: Object, search: function(string, Object=): Object[], connections: function(string, Object=): Object}}
+ */
+function loadOffshoreLeaksStore(indexFile = defaultIndexFile()) {
+  if (!fs.existsSync(indexFile)) {
+    throw new Error(`ICIJ Offshore Leaks no importado (${indexFile}). Ejecute: npm run import-icij -- --source=<carpeta con los CSV>`);
+  }
+
+  const { mtimeMs } = fs.statSync(indexFile);
+  const cached = storeCache.get(indexFile);
+  if (cached && cached.mtimeMs === mtimeMs) {
+    return cached.store;
+  }
+
+  const index = openIndex(indexFile);
+  const { meta } = index;
+  if (meta.version !== INDEX_VERSION) {
+    index.close();
+    throw new Error(`Versión de índice ICIJ Offshore Leaks no soportada: ${meta.version}. Vuelva a importar`);
+  }
+  if (cached) {
+    cached.close();
+  }
+
+  const nodeById = nodeId => index.lookup('nodes', nodeId)[0] || null;
+
+  /**
+   * Nodos cuyo nombre, nombre anterior o número de registro coincide con el término
+   * @param {string} term
+   * @param {{minScore?: number, limit?: number}} options
+   */
+  const search = (term, options = {}) => searchNames(index, term, options)
+    .map(({ ref, ...hit }) => ({ node: nodeById(ref), ...hit }))
+    .filter(hit => hit.node);
+
+  /**
+   * Conexiones de un nodo en orden de cercanía; cada nodo aparece una sola vez
+   * via es el nodo desde el que se llegó y direction indica si ese nodo es el
+   * origen (out) o el destino (in) de la relación.
+   * @param {string} nodeId
+   * @param {{hops?: number, maxConnections?: number}} options
+   * @returns {{connections: Object[], truncated: boolean}}
+   */
+  const connections = (nodeId, options = {}) => {
+    const hops = options.hops || 2;
+    const maxConnections = options.maxConnections || Infinity;
+    const visited = new Set([nodeId]);
+    const found = [];
+    let frontier = [nodeId];
+
+    for (let hop = 1; hop <= hops; hop++) {
+      const next = [];
+      for (const fromId of frontier) {
+        for (const value of index.values('edges', fromId)) {
+          const [otherId, direction, relType, label, startDate, endDate] = JSON.parse(value);
+          if (visited.has(otherId)) {
+            continue;
+          }
+          if (found.length >= maxConnections) {
+            return { connections: found, truncated: true };
+          }
+          visited.add(otherId);
+          next.push(otherId);
+          found.push({
+            hop,
+            via: fromId,
+            direction,
+            rel_type: relType,
+            link: label || null,
+            start_date: startDate || null,
+            end_date: endDate || null,
+            node: nodeById(otherId)
+          });
+        }
+      }
+      frontier = next;
+    }
+
+    return { connections: found, truncated: false };
+  };
+
+  const store = { meta, search, connections };
+  storeCache.set(indexFile, { mtimeMs, store, close: index.close });
+  return store;
+}
+
+/**
+ * Importación desde línea de comandos
+ */
+function main() {
+  const flags = parseFlags(process.argv.slice(2));
+  if (typeof flags.source !== 'string') {
+    console.error('Uso: node database/lib/offshoreLeaksIndex.js --source=<carpeta con los CSV> [--output=<archivo>]');
+    process.exit(1);
+  }
+
+  importOffshoreLeaks(path.resolve(flags.source), typeof flags.output === 'string' ? path.resolve(flags.output) : undefined)
+    .then(summary => console.log(JSON.stringify(summary, null, 2)))
+    .catch(error => {
+      console.error(error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  importOffshoreLeaks,
+  loadOffshoreLeaksStore,
+  defaultIndexFile,
+  NODE_URL,
+  RELATIONSHIP_TYPES
+};
+
+if (require.main === module) {
+  main();
+}
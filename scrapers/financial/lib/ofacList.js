@@ -0,0 +1,333 @@
+/**
+ * Lista OFAC local (SDN y Consolidated)
+ * Importa los archivos publicados por el Tesoro de EE.UU. (XML o CSV) a un
+ * índice en disco (shared/diskIndex.js) para consultarlo sin red desde el scraper
+ * financial/ofac; cada proceso lee solo los candidatos de su consulta.
+ *
+ * Importación:
+ *   node financial/lib/ofacList.js --source=/ruta/descargas [--output=/ruta/ofac.index]
+ *
+ * Archivos reconocidos en --source:
+ *   sdn.xml | sdn.csv + alt.csv              -> lista SDN
+ *   consolidated.xml | cons_prim.csv + cons_alt.csv -> lista Consolidated (no SDN)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const { parseCsvRecords } = require('../../shared/csv');
+const { parseFlags } = require('../../shared/runtime');
+const { createIndexWriter, openIndex, addNames, searchNames } = require('../../shared/diskIndex');
+const { loadConfig } = require('../../shared/config');
+
+const INDEX_VERSION = 2;
+const DETAILS_URL = 'https://sanctionssearch.ofac.treas.gov/Details.aspx?id=';
+
+const SDN_COLUMNS = ['ent_num', 'SDN_Name', 'SDN_Type', 'Program', 'Title', 'Call_Sign',
+  'Vess_type', 'Tonnage', 'GRT', 'Vess_flag', 'Vess_owner', 'Remarks'];
+const ALT_COLUMNS = ['ent_num', 'alt_num', 'alt_type', 'alt_name', 'alt_remarks'];
+
+const LIST_FILES = {
+  SDN: { xml: 'sdn.xml', primary: 'sdn.csv', alt: 'alt.csv' },
+  CONS: { xml: 'consolidated.xml', primary: 'cons_prim.csv', alt: 'cons_alt.csv' }
+};
+
+// Documentos de identidad que OFAC incluye en Remarks del CSV
+const ID_PATTERN = /^(?:alt\.\s+)?(Passport|Cedula No\.|C\.U\.R\.P\.|R\.F\.C\.|NIT #|National ID No\.|D\.N\.I\.|RUC #|Tax ID No\.|Identification Number|SSN)\s+([A-Za-z0-9-]+)(?:\s+\(([^)]+)\))?/i;
+
+/**
+ * Ruta por defecto del índice importado
+ * @returns {string}
+ */
+function defaultIndexFile() {
+  return path.join(loadConfig().localDbDir, 'ofac', 'ofac.index');
+}
+
+/**
+ * OFAC usa "-0-" como valor vacío en los CSV
+ */
+function clean(value) {
+  const text = String(value || '').trim();
+  return text === '-0-' ? '' : text;
+}
+
+/**
+ * Extrae fechas de nacimiento, nacionalidades e identificaciones del campo Remarks
+ * @param {string} remarks
+ * @returns {{dates_of_birth: string[], nationalities: string[], ids: Object[]}}
+ */
+function parseRemarks(remarks) {
+  const result = { dates_of_birth: [], nationalities: [], ids: [] };
+
+  clean(remarks).replace(/\.$/, '').split(';').map(part => part.trim()).forEach(part => {
+    let match = part.match(/^(?:alt\.\s+)?DOB\s+(.+)$/i);
+    if (match) {
+      result.dates_of_birth.push(match[1].trim());
+      return;
+    }
+
+    match = part.match(/^(?:nationality|citizen)\s+(.+)$/i);
+    if (match) {
+      if (!result.nationalities.includes(match[1].trim())) {
+        result.nationalities.push(match[1].trim());
+      }
+      return;
+    }
+
+    match = part.match(ID_PATTERN);
+    if (match) {
+      result.ids.push({ type: match[1], number: match[2], country: match[3] || null });
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Tipo de entrada normalizado
+ */
+function normalizeType(type) {
+  const value = clean(type).toLowerCase();
+  return ['individual', 'vessel', 'aircraft'].includes(value) ? value : 'entity';
+}
+
+/**
+ * Interpreta un archivo XML de OFAC (sdn.xml o consolidated.xml)
+ * @param {string} xml
+ * @param {string} list SDN o CONS
+ * @returns {{entries: Object[], publishedAt: string|null}}
+ */
+function parseOfacXml(xml, list) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const text = (node, selector) => $(node).children(selector).first().text().trim();
+  const fullName = node => [text(node, 'lastName'), text(node, 'firstName')].filter(Boolean).join(', ');
+
+  const entries = $('sdnEntry').toArray().map(node => {
+    const uid = text(node, 'uid');
+
+    return {
+      uid: `${list}-${uid}`,
+      source_id: uid,
+      list,
+      name: fullName(node),
+      type: normalizeType(text(node, 'sdnType')),
+      programs: $(node).find('programList > program').toArray().map(program => $(program).text().trim()),
+      aliases: $(node).find('akaList > aka').toArray().map(aka => ({
+        name: fullName(aka),
+        type: text(aka, 'type'),
+        quality: text(aka, 'category') || null
+      })),
+      dates_of_birth: $(node).find('dateOfBirthList dateOfBirth').toArray().map(dob => $(dob).text().trim()),
+      nationalities: $(node).find('nationalityList country, citizenshipList country').toArray()
+        .map(country => $(country).text().trim())
+        .filter((country, index, all) => all.indexOf(country) === index),
+      ids: $(node).find('idList > id').toArray().map(id => ({
+        type: text(id, 'idType'),
+        number: text(id, 'idNumber'),
+        country: text(id, 'idCountry') || null
+      })),
+      remarks: text(node, 'remarks') || null
+    };
+  });
+
+  const publishDate = $('publshInformation > Publish_Date').first().text().trim();
+  const [month, day, year] = publishDate.split('/');
+  const publishedAt = year ? new Date(Date.UTC(Number(year), Number(month) - 1, Number(day))).toISOString() : null;
+
+  return { entries, publishedAt };
+}
+
+/**
+ * Interpreta el par de CSV de una lista (principal + alias)
+ * @param {string} primaryCsv
+ * @param {string} altCsv
+ * @param {string} list
+ * @returns {Object[]}
+ */
+function parseOfacCsv(primaryCsv, altCsv, list) {
+  const aliases = new Map();
+  parseCsvRecords(altCsv || '', { headers: ALT_COLUMNS }).forEach(row => {
+    const id = clean(row.ent_num);
+    if (!aliases.has(id)) {
+      aliases.set(id, []);
+    }
+    aliases.get(id).push({ name: clean(row.alt_name), type: clean(row.alt_type), quality: null });
+  });
+
+  return parseCsvRecords(primaryCsv, { headers: SDN_COLUMNS })
+    .filter(row => clean(row.ent_num) && clean(row.SDN_Name))
+    .map(row => {
+      const id = clean(row.ent_num);
+      const remarks = parseRemarks(row.Remarks);
+
+      return {
+        uid: `${list}-${id}`,
+        source_id: id,
+        list,
+        name: clean(row.SDN_Name),
+        type: normalizeType(row.SDN_Type),
+        programs: clean(row.Program).replace(/^\[|\]$/g, '').split(/\]\s*\[/).map(p => p.trim()).filter(Boolean),
+        aliases: aliases.get(id) || [],
+        dates_of_birth: remarks.dates_of_birth,
+        nationalities: remarks.nationalities,
+        ids: remarks.ids,
+        remarks: clean(row.Remarks) || null
+      };
+    });
+}
+
+/**
+ * Importa las listas encontradas en un directorio y escribe el índice en disco
+ * Tablas: entries (entrada por uid) y names/ids para la búsqueda.
+ * @param {string} sourceDir
+ * @param {string} outputFile
+ * @returns {Object} Resumen de la importación (metadatos del índice)
+ */
+function importOfac(sourceDir, outputFile = defaultIndexFile()) {
+  const entries = [];
+  const lists = {};
+
+  Object.entries(LIST_FILES).forEach(([list, files]) => {
+    const xmlPath = path.join(sourceDir, files.xml);
+    const primaryPath = path.join(sourceDir, files.primary);
+
+    if (fs.existsSync(xmlPath)) {
+      const parsed = parseOfacXml(fs.readFileSync(xmlPath, 'utf8'), list);
+      entries.push(...parsed.entries);
+      lists[list] = {
+        file: files.xml,
+        count: parsed.entries.length,
+        published_at: parsed.publishedAt || fs.statSync(xmlPath).mtime.toISOString()
+      };
+    } else if (fs.existsSync(primaryPath)) {
+      const altPath = path.join(sourceDir, files.alt);
+      const parsed = parseOfacCsv(
+        fs.readFileSync(primaryPath, 'utf8'),
+        fs.existsSync(altPath) ? fs.readFileSync(altPath, 'utf8') : '',
+        list
+      );
+      entries.push(...parsed);
+      lists[list] = {
+        file: files.primary,
+        count: parsed.length,
+        published_at: fs.statSync(primaryPath).mtime.toISOString()
+      };
+    }
+  });
+
+  if (entries.length === 0) {
+    throw new Error(`No se encontraron archivos OFAC en ${sourceDir} (sdn.xml, sdn.csv, consolidated.xml, cons_prim.csv)`);
+  }
+
+  const meta = { version: INDEX_VERSION, imported_at: new Date().toISOString(), lists };
+  const writer = createIndexWriter(outputFile);
+  try {
+    entries.forEach(entry => {
+      writer.table('entries').add(entry.uid, entry);
+      addNames(writer, entry.uid, [
+        { name: entry.name, alias: false },
+        ...entry.aliases.map(alias => ({ name: alias.name, alias: true }))
+      ], entry.ids.map(id => id.number));
+    });
+    writer.finish(meta);
+  } catch (error) {
+    writer.abort();
+    throw error;
+  }
+
+  return { ...meta, total: entries.length, output: outputFile };
+}
+
+// Índices ya abiertos, por ruta y fecha de modificación
+const storeCache = new Map();
+
+/**
+ * Abre el índice importado y prepara la búsqueda
+ * @param {string} indexFile
+ * @returns {{meta: Object, search: function(string, Object=): Object[]}}
+ */
+function loadOfacStore(indexFile = defaultIndexFile()) {
+  if (!fs.existsSync(indexFile)) {
+    throw new Error(`Lista OFAC no importada (${indexFile}). Ejecute: npm run import-ofac -- --source=<directorio>`);
+  }
+
+  const { mtimeMs } = fs.statSync(indexFile);
+  const cached = storeCache.get(indexFile);
+  if (cached && cached.mtimeMs === mtimeMs) {
+    return cached.store;
+  }
+
+  let index;
+  try {
+    index = openIndex(indexFile);
+  } catch (error) {
+    // El índice JSON de la versión 1 no tiene cabecera de diskIndex.js
+    throw new Error(`${error.message}. Vuelva a importar la lista: npm run import-ofac -- --source=<directorio>`);
+  }
+  const { meta } = index;
+  if (meta.version !== INDEX_VERSION) {
+    index.close();
+    throw new Error(`Versión de índice OFAC no soportada: ${meta.version}. Vuelva a importar la lista`);
+  }
+  if (cached) {
+    cached.close();
+  }
+
+  /**
+   * Busca por nombre, alias o identificación
+   * @param {string} term
+   * @param {{minScore?: number, limit?: number}} options
+   * @returns {{entry: Object, matchedName: string|null, alias: boolean, score: number, matchedField: string}[]}
+   */
+  const search = (term, options = {}) => searchNames(index, term, options)
+    .map(({ ref, ...hit }) => ({ entry: index.lookup('entries', ref)[0], ...hit }))
+    .filter(hit => hit.entry);
+
+  const store = { meta, search };
+  storeCache.set(indexFile, { mtimeMs, store, close: index.close });
+  return store;
+}
+
+/**
+ * Fecha de publicación más antigua entre las listas importadas
+ * @param {Object} meta
+ * @returns {string|null}
+ */
+function oldestPublication(meta) {
+  const dates = Object.values(meta.lists || {}).map(list => list.published_at).filter(Boolean).sort();
+  return dates[0] || null;
+}
+
+/**
+ * Importación desde línea de comandos
+ */
+function main() {
+  const flags = parseFlags(process.argv.slice(2));
+  if (typeof flags.source !== 'string') {
+    console.error('Uso: node financial/lib/ofacList.js --source=<directorio> [--output=<archivo>]');
+    process.exit(1);
+  }
+
+  try {
+    const summary = importOfac(path.resolve(flags.source), typeof flags.output === 'string' ? path.resolve(flags.output) : undefined);
+    console.log(JSON.stringify(summary, null, 2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  importOfac,
+  loadOfacStore,
+  parseOfacXml,
+  parseOfacCsv,
+  parseRemarks,
+  oldestPublication,
+  defaultIndexFile,
+  DETAILS_URL
+};
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,281 @@
+/**
+ * Índice local de OpenSanctions (formato FollowTheMoney)
+ * Importa por streaming la exportación masiva entities.ftm.json (NDJSON) a un
+ * índice compacto en disco y puntúa candidatos por nombre, alias, fecha de
+ * nacimiento e identificaciones.
+ *
+ * Importación:
+ *   node financial/lib/openSanctionsIndex.js --source=/ruta/entities.ftm.json [--output=/ruta/entities.index]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { parseFlags } = require('../../shared/runtime');
+const { foldIdentifier } = require('../../shared/nameIndex');
+const { createIndexWriter, openIndex, addNames, searchNames } = require('../../shared/diskIndex');
+const { loadConfig } = require('../../shared/config');
+
+const INDEX_VERSION = 2;
+const ENTITY_URL = 'https://www.opensanctions.org/entities/';
+
+// Esquemas FtM que representan personas u organizaciones consultables
+const MATCHABLE_SCHEMAS = ['Person', 'Company', 'Organization', 'LegalEntity', 'PublicBody', 'Vessel', 'Airplane'];
+const ID_PROPERTIES = ['idNumber', 'passportNumber', 'taxNumber', 'registrationNumber', 'innCode', 'vatCode',
+  'ogrnCode', 'leiCode', 'swiftBic', 'imoNumber'];
+
+// Ajustes del puntaje combinado
+const BIRTH_DATE_BONUS = 10;
+const BIRTH_DATE_PENALTY = 25;
+
+/**
+ * Ruta por defecto del índice importado
+ * @returns {string}
+ */
+function defaultIndexFile() {
+  return path.join(loadConfig().localDbDir, 'opensanctions', 'entities.index');
+}
+
+/**
+ * Categorías de riesgo a partir de los topics de OpenSanctions
+ * @param {string[]} topics
+ * @returns {string[]}
+ */
+function riskCategories(topics) {
+  const categories = [];
+  if (topics.some(topic => topic === 'sanction' || topic.startsWith('sanction.'))) categories.push('sanctions');
+  if (topics.some(topic => topic.startsWith('role.pep') || topic === 'role.rca')) categories.push('pep');
+  if (topics.some(topic => topic === 'crime' || topic.startsWith('crime.') || topic === 'wanted')) categories.push('crime');
+  if (topics.some(topic => topic === 'debarment')) categories.push('debarment');
+  return categories;
+}
+
+/**
+ * Reduce una entidad FtM a los campos que usa el matcher
+ * @param {Object} entity
+ * @returns {Object}
+ */
+function compactEntity(entity) {
+  const props = entity.properties || {};
+  const list = key => (Array.isArray(props[key]) ? props[key] : []);
+
+  return {
+    id: entity.id,
+    schema: entity.schema,
+    caption: entity.caption || list('name')[0] || entity.id,
+    names: list('name'),
+    aliases: [...list('alias'), ...list('weakAlias'), ...list('previousName')],
+    birth_dates: list('birthDate'),
+    countries: [...list('nationality'), ...list('citizenship'), ...list('country')]
+      .filter((country, index, all) => all.indexOf(country) === index),
+    identifiers: ID_PROPERTIES.flatMap(key => list(key).map(value => ({ type: key, value }))),
+    topics: list('topics'),
+    datasets: entity.datasets || [],
+    last_change: entity.last_change || null
+  };
+}
+
+/**
+ * Importa el NDJSON de OpenSanctions y escribe el índice en disco (shared/diskIndex.js)
+ * Tablas: entities (entidad compacta por id), sanctions (programa y autoridad por
+ * entidad sancionada) y names/ids para la búsqueda. Las entidades Sanction pueden
+ * venir antes que la entidad sancionada, por eso se guardan aparte y se unen al consultar.
+ * @param {string} sourceFile
+ * @param {string} outputFile
+ * @returns {Promise<Object>} Resumen de la importación
+ */
+async function importOpenSanctions(sourceFile, outputFile = defaultIndexFile()) {
+  if (!fs.existsSync(sourceFile)) {
+    throw new Error(`Archivo de OpenSanctions no encontrado: ${sourceFile}`);
+  }
+
+  const writer = createIndexWriter(outputFile);
+  try {
+    let count = 0;
+    let sanctions = 0;
+    let lineNumber = 0;
+    let skipped = 0;
+
+    const lines = readline.createInterface({
+      input: fs.createReadStream(sourceFile, { encoding: 'utf8' }),
+      crlfDelay: Infinity
+    });
+
+    for await (const line of lines) {
+      lineNumber++;
+      if (!line.trim()) {
+        continue;
+      }
+
+      let entity;
+      try {
+        entity = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`JSON inválido en la línea ${lineNumber} de ${path.basename(sourceFile)}`);
+      }
+
+      if (entity.schema === 'Sanction') {
+        const props = entity.properties || {};
+        (props.entity || []).forEach(targetId => {
+          writer.table('sanctions').add(targetId, {
+            authority: (props.authority || [])[0] || null,
+            program: (props.program || [])[0] || null
+          });
+          sanctions++;
+        });
+      } else if (MATCHABLE_SCHEMAS.includes(entity.schema)) {
+        const compact = compactEntity(entity);
+        writer.table('entities').add(compact.id, compact);
+        addNames(writer, compact.id, [
+          ...compact.names.map(name => ({ name, alias: false })),
+          ...compact.aliases.map(name => ({ name, alias: true }))
+        ], compact.identifiers.map(identifier => identifier.value));
+        count++;
+      } else {
+        skipped++;
+      }
+    }
+
+    const meta = {
+      version: INDEX_VERSION,
+      imported_at: new Date().toISOString(),
+      source_file: path.basename(sourceFile),
+      source_updated_at: fs.statSync(sourceFile).mtime.toISOString(),
+      count
+    };
+    writer.finish(meta);
+
+    return { ...meta, skipped, sanctions, output: outputFile };
+  } catch (error) {
+    writer.abort();
+    throw error;
+  }
+}
+
+/**
+ * Compara una fecha de nacimiento con las de la entidad (admite año o año-mes)
+ * @returns {boolean|null} null si no hay datos para comparar
+ */
+function birthDateMatches(entityDates, birthDate) {
+  if (!birthDate || entityDates.length === 0) {
+    return null;
+  }
+  return entityDates.some(date => date.startsWith(birthDate) || birthDate.startsWith(date));
+}
+
+// Índices ya abiertos, por ruta y fecha de modificación
+const storeCache = new Map();
+
+/**
+ * Abre el índice y devuelve el matcher
+ * Cada consulta lee del disco solo los candidatos de sus nombres e identificaciones.
+ * @param {string} indexFile
+ * @returns {{meta: Object, match: function(Object, Object=): Object[]}}
+ */
+function loadOpenSanctionsStore(indexFile = defaultIndexFile()) {
+  if (!fs.existsSync(indexFile)) {
+    throw new Error(`OpenSanctions no importado (${indexFile}). Ejecute: npm run import-opensanctions -- --source=<entities.ftm.json>`);
+  }
+
+  const { mtimeMs } = fs.statSync(indexFile);
+  const cached = storeCache.get(indexFile);
+  if (cached && cached.mtimeMs === mtimeMs) {
+    return cached.store;
+  }
+
+  const index = openIndex(indexFile);
+  const { meta } = index;
+  if (meta.version !== INDEX_VERSION) {
+    index.close();
+    throw new Error(`Versión de índice OpenSanctions no soportada: ${meta.version}. Vuelva a importar`);
+  }
+  if (cached) {
+    cached.close();
+  }
+
+  const entityById = id => {
+    const entity = index.lookup('entities', id)[0];
+    return entity ? { ...entity, sanctions: index.lookup('sanctions', id) } : null;
+  };
+
+  /**
+   * Puntúa candidatos por nombre/alias y ajusta por fecha de nacimiento e identificación
+   * @param {{name: string, birthDate?: string, identification?: string}} query
+   * @param {{minScore?: number, limit?: number}} options
+   */
+  const match = (query, options = {}) => {
+    const minScore = options.minScore !== undefined ? options.minScore : 80;
+    const wantedId = foldIdentifier(query.identification);
+    const hits = searchNames(index, query.name, { minScore: Math.max(minScore - BIRTH_DATE_BONUS, 0), limit: 100 });
+
+    if (wantedId && wantedId !== foldIdentifier(query.name)) {
+      searchNames(index, query.identification, { minScore: 101, limit: 100 })
+        .filter(hit => !hits.some(existing => existing.ref === hit.ref))
+        .forEach(hit => hits.push(hit));
+    }
+
+    return hits.map(({ ref, ...hit }) => ({ entry: entityById(ref), ...hit }))
+      .filter(hit => hit.entry)
+      .map(hit => {
+        const reasons = [hit.matchedField === 'identification'
+          ? 'identificación exacta'
+          : `${hit.alias ? 'alias' : 'nombre'} ${hit.score}%`];
+        let score = hit.score;
+
+        const dob = birthDateMatches(hit.entry.birth_dates, query.birthDate);
+        if (dob === true) {
+          score = Math.min(score + BIRTH_DATE_BONUS, 100);
+          reasons.push('fecha de nacimiento coincide');
+        } else if (dob === false) {
+          score = Math.max(score - BIRTH_DATE_PENALTY, 0);
+          reasons.push('fecha de nacimiento distinta');
+        }
+
+        if (wantedId && hit.entry.identifiers.some(identifier => foldIdentifier(identifier.value) === wantedId)) {
+          score = 100;
+          if (hit.matchedField !== 'identification') {
+            reasons.push('identificación coincide');
+          }
+        }
+
+        return { ...hit, score, reasons };
+      })
+      .filter(hit => hit.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, options.limit || 20);
+  };
+
+  const store = { meta, match };
+  storeCache.set(indexFile, { mtimeMs, store, close: index.close });
+  return store;
+}
+
+/**
+ * Importación desde línea de comandos
+ */
+function main() {
+  const flags = parseFlags(process.argv.slice(2));
+  if (typeof flags.source !== 'string') {
+    console.error('Uso: node financial/lib/openSanctionsIndex.js --source=<entities.ftm.json> [--output=<archivo>]');
+    process.exit(1);
+  }
+
+  importOpenSanctions(path.resolve(flags.source), typeof flags.output === 'string' ? path.resolve(flags.output) : undefined)
+    .then(summary => console.log(JSON.stringify(summary, null, 2)))
+    .catch(error => {
+      console.error(error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  importOpenSanctions,
+  loadOpenSanctionsStore,
+  riskCategories,
+  defaultIndexFile,
+  ENTITY_URL
+};
+
+if (require.main === module) {
+  main();
+}
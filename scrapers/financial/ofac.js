@@ -0,0 +1,78 @@
+/**
+ * Scraper OFAC (SDN y Consolidated)
+ * Responde desde el índice local importado con financial/lib/ofacList.js,
+ * sin consultar el formulario en línea.
+ */
+
+const { defineScraper, runCli } = require('../shared/runtime');
+const { loadConfig } = require('../shared/config');
+const { partialDate } = require('../shared/resultSchema');
+const { loadOfacStore, oldestPublication, DETAILS_URL } = require('./lib/ofacList');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tipos de la lista SDN en el esquema de registros
+const ENTITY_TYPES = { individual: 'person', entity: 'company', vessel: 'vessel', aircraft: 'aircraft' };
+
+const scraper = defineScraper({
+  name: 'ofac',
+  category: 'financial',
+  type: 'axios',
+  // Búsqueda en un índice local: cachearla solo arriesgaría servir datos de antes de una reimportación
+  cacheTtlSeconds: 0,
+  // En la lista SDN desde 2017: si no aparece, el índice está vacío o la importación falló
+  canaryTerm: 'NICOLAS MADURO MOROS',
+  async search({ term, config }) {
+    const store = loadOfacStore(config.index_file || undefined);
+    const hits = store.search(term, {
+      minScore: config.min_score !== undefined ? Number(config.min_score) : 80,
+      limit: config.limit || 20
+    });
+
+    const sourceUpdatedAt = oldestPublication(store.meta);
+    const maxAgeDays = config.max_age_days || loadConfig().ofac.maxAgeDays;
+
+    return {
+      data: hits.map(({ entry, matchedName, alias, score, matchedField }) => ({
+        source_id: entry.source_id,
+        list: entry.list,
+        name: entry.name,
+        type: entry.type,
+        programs: entry.programs,
+        matched_name: matchedName,
+        matched_field: matchedField,
+        is_alias: alias,
+        score,
+        aliases: entry.aliases.map(aka => aka.name),
+        dates_of_birth: entry.dates_of_birth,
+        nationalities: entry.nationalities,
+        identifiers: entry.ids,
+        remarks: entry.remarks,
+        source_url: `${DETAILS_URL}${entry.source_id}`
+      })),
+      meta: {
+        source: 'OFAC',
+        lists: store.meta.lists,
+        imported_at: store.meta.imported_at,
+        source_updated_at: sourceUpdatedAt,
+        stale: !sourceUpdatedAt || Date.now() - new Date(sourceUpdatedAt).getTime() > maxAgeDays * DAY_MS
+      }
+    };
+  },
+  hit(row) {
+    return {
+      entity_type: ENTITY_TYPES[row.type] || 'unknown',
+      birth_date: partialDate(row.dates_of_birth[0]),
+      country: row.nationalities[0] || null,
+      identifiers: row.identifiers
+        .filter(id => id.number)
+        .map(id => ({ type: id.type || null, value: String(id.number), country: id.country || null }))
+    };
+  }
+});
+
+module.exports = scraper;
+
+if (require.main === module) {
+  runCli(scraper);
+}
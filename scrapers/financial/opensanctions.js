@@ -0,0 +1,109 @@
+/**
+ * Scraper OpenSanctions
+ * Responde desde el índice local importado con financial/lib/openSanctionsIndex.js
+ * (sanciones, PEP y crimen) sin consultar la API en línea.
+ *
+ * La identificación y la fecha de nacimiento de la persona buscada llegan con cada
+ * solicitud (--identification y --birth-date, o identification y birth_date en
+ * --batch) y afinan el puntaje; sin fecha, se toma la del CURP o RFC válido.
+ */
+
+const { defineScraper, runCli } = require('../shared/runtime');
+const { loadConfig } = require('../shared/config');
+const { partialDate } = require('../shared/resultSchema');
+const { detectIdType } = require('../shared/idDocuments');
+const { loadOpenSanctionsStore, riskCategories, ENTITY_URL } = require('./lib/openSanctionsIndex');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Esquemas de FollowTheMoney en el esquema de registros
+const ENTITY_TYPES = {
+  Person: 'person',
+  Company: 'company',
+  Organization: 'organization',
+  PublicBody: 'organization',
+  LegalEntity: 'organization',
+  Vessel: 'vessel',
+  Airplane: 'aircraft'
+};
+
+/**
+ * Fecha de nacimiento de la persona buscada (AAAA, AAAA-MM o AAAA-MM-DD)
+ * @param {{birth_date?: string, identification?: string}} config
+ * @returns {string|null}
+ */
+function subjectBirthDate(config) {
+  const given = partialDate(config.birth_date);
+  if (given || !config.identification) {
+    return given;
+  }
+  const id = detectIdType(config.identification);
+  return id && id.valid && id.details.birth_date ? id.details.birth_date : null;
+}
+
+const scraper = defineScraper({
+  name: 'opensanctions',
+  category: 'financial',
+  type: 'axios',
+  // El índice local responde al instante y cambia con cada importación
+  cacheTtlSeconds: 0,
+  // Figura en varias listas de sanciones; sin resultados el índice no sirve
+  canaryTerm: 'NICOLAS MADURO MOROS',
+  async search({ term, config }) {
+    const store = loadOpenSanctionsStore(config.index_file || undefined);
+    const hits = store.match(
+      { name: term, birthDate: subjectBirthDate(config), identification: config.identification },
+      {
+        minScore: config.min_score !== undefined ? Number(config.min_score) : 80,
+        limit: config.limit || 20
+      }
+    );
+
+    const sourceUpdatedAt = store.meta.source_updated_at;
+    const maxAgeDays = config.max_age_days || loadConfig().openSanctions.maxAgeDays;
+
+    return {
+      data: hits.map(({ entry, matchedName, alias, score, matchedField, reasons }) => ({
+        source_id: entry.id,
+        name: entry.caption,
+        schema: entry.schema,
+        matched_name: matchedName,
+        matched_field: matchedField,
+        is_alias: alias,
+        score,
+        score_reasons: reasons,
+        risk_categories: riskCategories(entry.topics),
+        topics: entry.topics,
+        datasets: entry.datasets,
+        sanctions: entry.sanctions,
+        aliases: entry.aliases,
+        birth_dates: entry.birth_dates,
+        countries: entry.countries,
+        identifiers: entry.identifiers,
+        last_change: entry.last_change,
+        source_url: `${ENTITY_URL}${entry.id}/`
+      })),
+      meta: {
+        source: 'OpenSanctions',
+        entities: store.meta.count,
+        imported_at: store.meta.imported_at,
+        source_updated_at: sourceUpdatedAt,
+        stale: !sourceUpdatedAt || Date.now() - new Date(sourceUpdatedAt).getTime() > maxAgeDays * DAY_MS
+      }
+    };
+  },
+  hit(row) {
+    return {
+      entity_type: ENTITY_TYPES[row.schema] || 'unknown',
+      birth_date: partialDate(row.birth_dates[0]),
+      country: row.countries[0] || null,
+      identifiers: row.identifiers.map(({ type, value }) => ({ type, value: String(value), country: null }))
+    };
+  }
+});
+
+module.exports = scraper;
+
+if (require.main === module) {
+  runCli(scraper);
+}
@@ -0,0 +1,22 @@
+const { defineScraper } = require('../../../shared/runtime');
+
+// Búsquedas en curso y máximo simultáneo, para comprobar el límite de concurrencia del servicio
+const activity = { running: 0, peak: 0 };
+
+// Scraper de prueba que tarda lo indicado en config.delay_ms
+module.exports = defineScraper({
+  name: 'slow-portal',
+  category: 'government',
+  type: 'axios',
+  activity,
+  search: async ({ config }) => {
+    activity.running++;
+    activity.peak = Math.max(activity.peak, activity.running);
+    try {
+      await new Promise(resolve => setTimeout(resolve, config.delay_ms || 50));
+      return [];
+    } finally {
+      activity.running--;
+    }
+  }
+});
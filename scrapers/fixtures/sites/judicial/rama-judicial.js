@@ -0,0 +1,16 @@
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const { defineScraper } = require('../../../shared/runtime');
+
+// Scraper de prueba: lee el fixture local en lugar del portal real
+module.exports = defineScraper({
+  name: 'rama-judicial',
+  category: 'judicial',
+  type: 'axios',
+  async search({ term }) {
+    const html = fs.readFileSync(path.resolve(__dirname, '../../example.html'), 'utf8');
+    const $ = cheerio.load(html);
+    return [{ term, heading: $('h1').text() }];
+  }
+});
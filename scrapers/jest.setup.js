@@ -0,0 +1,2 @@
+// Las pruebas no deben leer ni escribir la caché de resultados del proyecto
+process.env.CACHE_ENABLED = 'false';
@@ -0,0 +1,23 @@
+/**
+ * Scraper 24 Horas
+ * Busca notas que mencionan al candidato y las clasifica con la taxonomía de medios adversos.
+ * config_data: search_url ({TERM}), results y article (selectores), max_articles,
+ * min_name_score, max_distance, taxonomy e include_untagged (ver media/lib/adverseMedia.js).
+ */
+
+const { runCli } = require('../shared/runtime');
+const { createMediaScraper } = require('./lib/adverseMedia');
+
+const scraper = createMediaScraper({
+  name: '24-horas',
+  source: '24 Horas',
+  // Búsqueda de WordPress: un <article> por nota
+  searchUrl: 'https://www.24-horas.mx/?s={TERM}',
+  article: { body: '.entry-content p, article p' }
+});
+
+module.exports = scraper;
+
+if (require.main === module) {
+  runCli(scraper);
+}
@@ -0,0 +1,47 @@
+/**
+ * Scraper Google México (Google Noticias)
+ * ScraperManager nombra el archivo con normalizeFileName('Google México').
+ * Consulta el feed RSS de Google Noticias para México y clasifica el titular y el
+ * resumen de cada nota con la taxonomía de medios adversos; las notas enlazan a
+ * news.google.com, por lo que no se descarga el artículo.
+ * config_data: feed_url ({TERM}), max_articles, min_name_score, max_distance,
+ * taxonomy e include_untagged (ver media/lib/adverseMedia.js).
+ */
+
+const { runCli } = require('../shared/runtime');
+const { defineStaticScraper } = require('../shared/staticPage');
+const { parseRssItems, resolveOptions, assessArticle, articleHit, selectRelevant } = require('./lib/adverseMedia');
+
+const FEED_URL = 'https://news.google.com/rss/search?q={TERM}&hl=es-419&gl=MX&ceid=MX:es-419';
+const SEARCH_URL = 'https://news.google.com/search?q={TERM}&hl=es-419&gl=MX&ceid=MX:es-419';
+
+const fill = (template, term) => template.split('{TERM}').join(encodeURIComponent(`"${term}"`));
+
+const scraper = defineStaticScraper({
+  name: 'google-m-xico',
+  category: 'media',
+  headers: { Accept: 'application/rss+xml, application/xml;q=0.9, */*;q=0.8' },
+  hit: articleHit,
+  async search({ term, client, config }) {
+    const options = resolveOptions(config);
+    const feed = await client.get(fill(config.feed_url || FEED_URL, term));
+    const items = parseRssItems(feed.html).slice(0, options.maxArticles);
+
+    const rows = items.map(item => assessArticle(item, term, options.taxonomy, {
+      ...options,
+      source: item.source || 'Google Noticias'
+    }));
+
+    return {
+      data: selectRelevant(rows, options),
+      direct_link: fill(SEARCH_URL, term),
+      meta: { source: 'Google Noticias', articles_found: items.length, articles_reviewed: rows.length }
+    };
+  }
+});
+
+module.exports = scraper;
+
+if (require.main === module) {
+  runCli(scraper);
+}
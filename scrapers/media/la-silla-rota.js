@@ -0,0 +1,22 @@
+/**
+ * Scraper La Silla Rota
+ * Busca notas que mencionan al candidato y las clasifica con la taxonomía de medios adversos.
+ * config_data: search_url ({TERM}), results y article (selectores), max_articles,
+ * min_name_score, max_distance, taxonomy e include_untagged (ver media/lib/adverseMedia.js).
+ */
+
+const { runCli } = require('../shared/runtime');
+const { createMediaScraper } = require('./lib/adverseMedia');
+
+const scraper = createMediaScraper({
+  name: 'la-silla-rota',
+  source: 'La Silla Rota',
+  searchUrl: 'https://lasillarota.com/buscador/?q={TERM}',
+  article: { body: '.article-body p, article p' }
+});
+
+module.exports = scraper;
+
+if (require.main === module) {
+  runCli(scraper);
+}
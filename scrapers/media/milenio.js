@@ -0,0 +1,23 @@
+/**
+ * Scraper Milenio
+ * Busca notas que mencionan al candidato y las clasifica con la taxonomía de medios adversos.
+ * config_data: search_url ({TERM}), results y article (selectores), max_articles,
+ * min_name_score, max_distance, taxonomy e include_untagged (ver media/lib/adverseMedia.js).
+ */
+
+const { runCli } = require('../shared/runtime');
+const { createMediaScraper } = require('./lib/adverseMedia');
+
+const scraper = createMediaScraper({
+  name: 'milenio',
+  source: 'Milenio',
+  searchUrl: 'https://www.milenio.com/buscador?text={TERM}',
+  results: { item: 'article, .lr-row-news', link: 'h2 a, h3 a, a.lr-row-news__title' },
+  article: { body: '#content-body p, article p' }
+});
+
+module.exports = scraper;
+
+if (require.main === module) {
+  runCli(scraper);
+}
@@ -0,0 +1,24 @@
+/**
+ * Scraper Sol de Quintana Roo
+ * Busca notas que mencionan al candidato y las clasifica con la taxonomía de medios adversos.
+ * config_data: search_url ({TERM}), results y article (selectores), max_articles,
+ * min_name_score, max_distance, taxonomy e include_untagged (ver media/lib/adverseMedia.js).
+ */
+
+const { runCli } = require('../shared/runtime');
+const { createMediaScraper } = require('./lib/adverseMedia');
+
+const scraper = createMediaScraper({
+  name: 'sol-quintana-roo',
+  source: 'El Sol de Quintana Roo',
+  // Portal de la Organización Editorial Mexicana
+  searchUrl: 'https://www.elsoldequintanaroo.com.mx/buscar/?q={TERM}',
+  results: { item: 'article, .news-item', link: 'h2 a, h3 a, a.title' },
+  article: { body: '.news-body p, article p' }
+});
+
+module.exports = scraper;
+
+if (require.main === module) {
+  runCli(scraper);
+}
@@ -0,0 +1,311 @@
+#!/usr/bin/env node
+
+/**
+ * Servicio residente de scrapers
+ * Sistema de Screening de Contratación
+ *
+ * Mantiene los módulos de scrapers cargados y un pool de navegadores, y recibe
+ * trabajos de screening por HTTP local (puerto o socket Unix):
+ *
+ *   POST /jobs       {search_term, sites: ["Rama Judicial", {site_name, category, timeout, config}], wait, no_cache, batch_id}
+ *   GET  /jobs/:id   Estado del trabajo y sobres de resultado por sitio
+ *   GET  /sites      Scrapers registrados
+ *   GET  /health     Estado del servicio y de la cola
+ *
+ * Cada resultado usa el mismo sobre que escribe el runtime en stdout.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { loadConfig } = require('./shared/config');
+const { loadRegistry, normalizeFileName } = require('./shared/registry');
+const { createDeclarativeScraper } = require('./shared/declarative');
+const { createLimiter } = require('./shared/limiter');
+const { runScraper, buildEnvelope } = require('./shared/runtime');
+const { createBrowserPool } = require('./shared/browserPool');
+const { getIdentityManager } = require('./shared/identity');
+
+// Tamaño máximo del cuerpo de una petición (1 MB)
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Crea el administrador de trabajos
+ * @param {{rootDir?: string, concurrency?: number, timeoutMs?: number, headless?: boolean, jobTtlMs?: number,
+ *          browserPool?: Object, deps?: Object}} options
+ * @returns {Object}
+ */
+function createManager(options = {}) {
+  const registry = loadRegistry(options.rootDir);
+  const limiter = createLimiter(options.concurrency || 3);
+  const deps = options.deps || {};
+  const jobTtlMs = options.jobTtlMs || 10 * 60 * 1000;
+  const jobs = new Map();
+  const identities = deps.identities || getIdentityManager();
+  const pool = createBrowserPool({
+    ...(options.browserPool || {}),
+    headless: options.headless !== false,
+    launchBrowser: deps.launchBrowser
+  });
+
+  /**
+   * Elimina trabajos terminados cuya vigencia expiró
+   */
+  const pruneJobs = () => {
+    const now = Date.now();
+    for (const [id, job] of jobs) {
+      if (job.finishedAt && now - job.finishedAt > jobTtlMs) {
+        jobs.delete(id);
+      }
+    }
+  };
+
+  /**
+   * Normaliza la lista de sitios de un trabajo
+   */
+  const normalizeSites = sites => {
+    if (!Array.isArray(sites) || sites.length === 0) {
+      return registry.list().map(site => ({ site_name: site.id, category: site.category }));
+    }
+    return sites.map(site => (typeof site === 'string' ? { site_name: site } : site));
+  };
+
+  /**
+   * Sitio sin módulo propio cuya config_data trae una definición declarativa
+   */
+  const declarativeEntry = site => {
+    if (!site.config || !site.config.results) {
+      return null;
+    }
+    return {
+      scraper: createDeclarativeScraper({
+        name: normalizeFileName(site.site_name),
+        category: site.category || 'unknown',
+        type: site.config.engine === 'cheerio' ? 'axios' : 'puppeteer'
+      })
+    };
+  };
+
+  /**
+   * Ejecuta un sitio dentro del limitador de concurrencia
+   */
+  const runSite = (job, site) => {
+    const entry = registry.resolve(site.site_name, site.category) || declarativeEntry(site);
+
+    if (!entry) {
+      // Mismo nombre que un sitio registrado, para que ScraperManager.php lo encuentre
+      const unknown = { name: normalizeFileName(site.site_name), category: site.category || 'unknown' };
+      return Promise.resolve(buildEnvelope(unknown, job.searchTerm, {
+        error: new Error(`Scraper no registrado: ${site.site_name}`),
+        executionTime: 0
+      }));
+    }
+
+    const timeoutSeconds = Number(site.timeout) || job.timeoutSeconds;
+
+    return limiter.run(() => runScraper(entry.scraper, {
+      searchTerm: job.searchTerm,
+      timeoutMs: timeoutSeconds ? timeoutSeconds * 1000 : options.timeoutMs,
+      headless: options.headless !== false,
+      cache: job.cache,
+      batchId: job.batchId,
+      config: site.config || {}
+    }, { pool, identities, cache: deps.cache }));
+  };
+
+  /**
+   * Registra un trabajo y lo pone en ejecución
+   * @param {{search_term: string, sites?: Array, timeout?: number, no_cache?: boolean, batch_id?: string}} request
+   * @returns {Object} Trabajo creado
+   */
+  const submit = request => {
+    const searchTerm = typeof request.search_term === 'string' ? request.search_term.trim() : '';
+    if (!searchTerm) {
+      throw new Error('search_term es requerido');
+    }
+
+    pruneJobs();
+
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      searchTerm,
+      timeoutSeconds: Number(request.timeout) || null,
+      cache: request.no_cache !== true,
+      batchId: typeof request.batch_id === 'string' && request.batch_id ? request.batch_id : null,
+      sites: normalizeSites(request.sites),
+      results: [],
+      createdAt: Date.now(),
+      finishedAt: null
+    };
+    jobs.set(job.id, job);
+
+    job.status = 'running';
+    job.done = Promise.all(job.sites.map(site => runSite(job, site).then(envelope => {
+      job.results.push(envelope);
+      return envelope;
+    }))).then(() => {
+      job.status = 'completed';
+    }, () => {
+      job.status = 'failed';
+    }).then(() => {
+      job.finishedAt = Date.now();
+      return job;
+    });
+
+    return job;
+  };
+
+  const getJob = id => jobs.get(id) || null;
+
+  /**
+   * Representación pública de un trabajo
+   */
+  const serializeJob = job => ({
+    job_id: job.id,
+    status: job.status,
+    search_term: job.searchTerm,
+    sites_total: job.sites.length,
+    sites_completed: job.results.length,
+    results: job.results,
+    created_at: new Date(job.createdAt).toISOString(),
+    finished_at: job.finishedAt ? new Date(job.finishedAt).toISOString() : null
+  });
+
+  const stats = () => ({
+    active: limiter.activeCount,
+    pending: limiter.pendingCount,
+    jobs: jobs.size,
+    sites: registry.sites.size,
+    browsers: pool.stats(),
+    proxies: identities.stats().proxies
+  });
+
+  const close = () => pool.drain();
+
+  return { submit, getJob, serializeJob, stats, close, registry };
+}
+
+/**
+ * Lee y decodifica el cuerpo JSON de una petición
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<Object>}
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new Error('Cuerpo de la petición demasiado grande'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (error) {
+        reject(new Error('JSON inválido'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Escribe una respuesta JSON
+ */
+function sendJson(res, statusCode, payload) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(payload));
+}
+
+/**
+ * Crea el servidor HTTP del protocolo de trabajos
+ * @param {Object} manager Administrador creado con createManager()
+ * @returns {http.Server}
+ */
+function createServer(manager) {
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+      if (req.method === 'GET' && url.pathname === '/health') {
+        return sendJson(res, 200, { status: 'ok', ...manager.stats() });
+      }
+
+      if (req.method === 'GET' && url.pathname === '/sites') {
+        return sendJson(res, 200, { sites: manager.registry.list() });
+      }
+
+      if (req.method === 'POST' && url.pathname === '/jobs') {
+        const request = await readJsonBody(req);
+        const job = manager.submit(request);
+
+        if (request.wait || url.searchParams.get('wait') === 'true') {
+          await job.done;
+          return sendJson(res, 200, manager.serializeJob(job));
+        }
+        return sendJson(res, 202, manager.serializeJob(job));
+      }
+
+      const jobMatch = url.pathname.match(/^\/jobs\/([0-9a-f-]+)$/);
+      if (req.method === 'GET' && jobMatch) {
+        const job = manager.getJob(jobMatch[1]);
+        if (!job) {
+          return sendJson(res, 404, { error: 'Trabajo no encontrado' });
+        }
+        return sendJson(res, 200, manager.serializeJob(job));
+      }
+
+      return sendJson(res, 404, { error: 'Ruta no encontrada' });
+    } catch (error) {
+      return sendJson(res, 400, { error: error.message });
+    }
+  });
+}
+
+/**
+ * Inicia el servicio con la configuración del .env
+ */
+function main() {
+  const config = loadConfig();
+  const manager = createManager({
+    concurrency: config.maxConcurrentScrapers,
+    timeoutMs: config.timeoutMs,
+    headless: config.puppeteer.headless,
+    jobTtlMs: config.manager.jobTtlMs,
+    browserPool: {
+      size: config.puppeteer.poolSize,
+      maxPagesPerBrowser: config.puppeteer.maxPagesPerBrowser,
+      viewport: config.puppeteer.viewport,
+      timeoutMs: config.puppeteer.timeoutMs
+    }
+  });
+  const server = createServer(manager);
+
+  const onListening = () => {
+    const address = config.manager.socketPath || `${config.manager.host}:${config.manager.port}`;
+    console.log(`Scraper manager escuchando en ${address} (${manager.registry.sites.size} sitios, concurrencia ${config.maxConcurrentScrapers})`);
+  };
+
+  if (config.manager.socketPath) {
+    server.listen(config.manager.socketPath, onListening);
+  } else {
+    server.listen(config.manager.port, config.manager.host, onListening);
+  }
+
+  const shutdown = () => {
+    server.close();
+    manager.close().finally(() => process.exit(0));
+  };
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+}
+
+module.exports = { createManager, createServer };
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,152 @@
+/**
+ * Detección de bloqueos: CAPTCHA, desafíos de WAF, muros de login y HTTP 403
+ * Sin esta revisión un sitio que pide un CAPTCHA o muestra la página de un WAF
+ * se confunde con "sin resultados". El runtime revisa la última página cuando
+ * search() falla o no devuelve registros y reporta blocked o captcha_required,
+ * con una captura, para que el resultado pase a revisión manual.
+ */
+
+const cheerio = require('cheerio');
+
+const BLOCK_STATUSES = ['blocked', 'captcha_required'];
+const ERROR_CODES = { blocked: 'EBLOCKED', captcha_required: 'ECAPTCHA' };
+
+// Palabras de la URL o el título de una página de inicio de sesión
+const LOGIN_PATTERN = /(log-?in|sign-?in|iniciar[-_ ]?sesi[oó]n|inicio[-_ ]?de[-_ ]?sesi[oó]n|autenticaci[oó]n|\bauth\b|\bacceso\b)/i;
+
+/**
+ * Firmas en orden de prioridad: un desafío de Cloudflare con Turnstile cuenta como bloqueo del WAF
+ * test recibe {$, html, url, status, title} y devuelve true si la página coincide
+ */
+const SIGNATURES = [
+  {
+    status: 'blocked',
+    reason: 'cloudflare_challenge',
+    message: 'Desafío de Cloudflare',
+    test: ({ $, html, title }) => /just a moment|attention required!? \| cloudflare/i.test(title)
+      || $('#challenge-form, #cf-challenge-running, #cf-wrapper').length > 0
+      || html.includes('/cdn-cgi/challenge-platform/')
+  },
+  {
+    status: 'blocked',
+    reason: 'akamai',
+    message: 'Acceso denegado por Akamai',
+    test: ({ html, title }) => (/access denied/i.test(title) && /reference #[0-9a-f.]+/i.test(html))
+      || html.includes('errors.edgesuite.net')
+  },
+  {
+    status: 'blocked',
+    reason: 'waf',
+    message: 'Bloqueado por el firewall del sitio',
+    test: ({ html }) => /incapsula incident id|_incapsula_resource|request unsuccessful\. incapsula/i.test(html)
+      || /the requested url was rejected\. please consult with your administrator/i.test(html)
+  },
+  {
+    status: 'captcha_required',
+    reason: 'recaptcha',
+    message: 'El sitio pide un reCAPTCHA',
+    test: ({ $ }) => $('.g-recaptcha').length > 0
+      || $('iframe').toArray().some(frame => /google\.com\/recaptcha|recaptcha\.net\/recaptcha/i.test($(frame).attr('src') || ''))
+  },
+  {
+    status: 'captcha_required',
+    reason: 'hcaptcha',
+    message: 'El sitio pide un hCaptcha',
+    test: ({ $ }) => $('.h-captcha').length > 0
+      || $('iframe').toArray().some(frame => /hcaptcha\.com/i.test($(frame).attr('src') || ''))
+  },
+  {
+    status: 'captcha_required',
+    reason: 'turnstile',
+    message: 'El sitio pide un CAPTCHA de Cloudflare Turnstile',
+    test: ({ $ }) => $('.cf-turnstile').length > 0
+      || $('iframe').toArray().some(frame => /challenges\.cloudflare\.com/i.test($(frame).attr('src') || ''))
+  },
+  {
+    status: 'captcha_required',
+    reason: 'image_captcha',
+    message: 'El sitio pide un CAPTCHA de imagen',
+    test: ({ $ }) => $('input[name*="captcha" i], input[id*="captcha" i], img[src*="captcha" i], img[id*="captcha" i]').length > 0
+  },
+  {
+    status: 'blocked',
+    reason: 'login_wall',
+    message: 'El sitio pide iniciar sesión',
+    test: ({ $, url, title, status }) => status === 401
+      || ($('input[type="password"]').length > 0 && (LOGIN_PATTERN.test(url) || LOGIN_PATTERN.test(title)))
+  },
+  {
+    status: 'blocked',
+    reason: 'http_403',
+    message: 'El sitio respondió HTTP 403 (acceso prohibido)',
+    test: ({ status }) => status === 403
+  }
+];
+
+/**
+ * Texto de un cuerpo de respuesta (string, Buffer o ArrayBuffer); null si es JSON ya interpretado
+ * Las firmas son ASCII, así que el charset real de la página no importa.
+ * @param {*} body
+ * @returns {string|null}
+ */
+function bodyText(body) {
+  if (typeof body === 'string') {
+    return body;
+  }
+  if (Buffer.isBuffer(body) || body instanceof ArrayBuffer) {
+    return Buffer.from(body).toString('latin1');
+  }
+  return null;
+}
+
+/**
+ * Revisa una página o respuesta
+ * @param {{html?: string|Buffer|null, url?: string|null, status?: number|null}} snapshot
+ * @returns {{status: string, reason: string, message: string, url: string|null, http_status: number|null}|null}
+ */
+function detectBlock(snapshot) {
+  const html = bodyText(snapshot.html) || '';
+  const url = snapshot.url || '';
+  const status = typeof snapshot.status === 'number' ? snapshot.status : null;
+  const $ = cheerio.load(html);
+  const title = $('title').first().text().trim();
+
+  const signature = SIGNATURES.find(candidate => candidate.test({ $, html, url, status, title }));
+  if (!signature) {
+    return null;
+  }
+  return {
+    status: signature.status,
+    reason: signature.reason,
+    message: signature.message,
+    url: snapshot.url || null,
+    http_status: status
+  };
+}
+
+/**
+ * Error que el runtime convierte en status blocked o captcha_required
+ * Los scrapers también pueden lanzarlo cuando reconocen un bloqueo propio del sitio.
+ * @param {{status: string, reason: string, message?: string, url?: string|null, http_status?: number|null}} block
+ * @returns {Error}
+ */
+function blockError(block) {
+  if (!BLOCK_STATUSES.includes(block.status)) {
+    throw new Error(`Estado de bloqueo no soportado: ${block.status}`);
+  }
+  const detail = { message: block.message || block.reason, url: null, http_status: null, ...block };
+  const error = new Error(`${detail.message}; requiere revisión manual`);
+  error.code = ERROR_CODES[block.status];
+  error.block = detail;
+  return error;
+}
+
+/**
+ * @param {*} error
+ * @returns {boolean}
+ */
+function isBlockError(error) {
+  return Boolean(error && error.block && Object.values(ERROR_CODES).includes(error.code));
+}
+
+module.exports = { detectBlock, blockError, isBlockError, bodyText, BLOCK_STATUSES };
@@ -0,0 +1,24 @@
+/**
+ * Lanzamiento de navegadores Puppeteer para los scrapers
+ * Sistema de Screening de Contratación
+ */
+
+// Argumentos necesarios para ejecutar Chromium en servidores y entornos CI
+const DEFAULT_ARGS = ['--no-sandbox', '--disable-setuid-sandbox'];
+
+/**
+ * Lanza una instancia de Chromium
+ * Puppeteer se carga de forma diferida para que los scrapers axios no lo requieran.
+ * @param {{headless?: boolean, args?: string[]}} options
+ * @returns {Promise<import('puppeteer').Browser>}
+ */
+async function launchBrowser(options = {}) {
+  const puppeteer = require('puppeteer');
+
+  return puppeteer.launch({
+    headless: options.headless === false ? false : 'new',
+    args: [...DEFAULT_ARGS, ...(options.args || [])]
+  });
+}
+
+module.exports = { launchBrowser, DEFAULT_ARGS };
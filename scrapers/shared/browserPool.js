@@ -0,0 +1,185 @@
+/**
+ * Pool de navegadores Puppeteer reutilizables
+ * Mantiene hasta N instancias de Chromium abiertas; cada búsqueda recibe un
+ * contexto incógnito propio para que cookies y almacenamiento no se compartan
+ * entre candidatos. Los navegadores se reciclan tras servir maxPagesPerBrowser
+ * páginas o cuando se caen.
+ */
+
+const { launchBrowser } = require('./browser');
+
+/**
+ * Crea un pool de navegadores
+ * @param {{size?: number, maxPagesPerBrowser?: number, headless?: boolean, timeoutMs?: number,
+ *          viewport?: {width: number, height: number}, launchBrowser?: Function,
+ *          preparePage?: function(Object): Promise<void>}} options preparePage se ejecuta sobre cada
+ *   página nueva antes de entregarla (p. ej. grabación o reproducción de fixtures)
+ * @returns {{acquire: function(): Promise<Object>, drain: function(): Promise<void>, stats: function(): Object}}
+ */
+function createBrowserPool(options = {}) {
+  const size = Math.max(options.size || 1, 1);
+  const maxPages = Math.max(options.maxPagesPerBrowser || 50, 1);
+  const launch = options.launchBrowser || launchBrowser;
+  const viewport = options.viewport || null;
+  const timeoutMs = options.timeoutMs || null;
+
+  // Entradas: {browser, launching, active, served, retiring}
+  const entries = [];
+  let recycled = 0;
+  let draining = false;
+
+  /**
+   * Cierra y retira un navegador del pool
+   */
+  const retire = async entry => {
+    const index = entries.indexOf(entry);
+    if (index !== -1) {
+      entries.splice(index, 1);
+      recycled++;
+    }
+    if (entry.browser) {
+      await entry.browser.close().catch(() => {});
+    }
+  };
+
+  /**
+   * Lanza un navegador nuevo y lo registra en el pool
+   */
+  const spawn = () => {
+    const entry = { browser: null, launching: null, active: 0, served: 0, retiring: false };
+
+    entry.launching = Promise.resolve(launch({ headless: options.headless !== false }))
+      .then(browser => {
+        entry.browser = browser;
+        if (typeof browser.on === 'function') {
+          // Un navegador caído se descarta; el siguiente acquire lanzará otro
+          browser.on('disconnected', () => {
+            entry.retiring = true;
+            const index = entries.indexOf(entry);
+            if (index !== -1) {
+              entries.splice(index, 1);
+              recycled++;
+            }
+          });
+        }
+        return browser;
+      })
+      .catch(error => {
+        const index = entries.indexOf(entry);
+        if (index !== -1) {
+          entries.splice(index, 1);
+        }
+        throw error;
+      });
+
+    entries.push(entry);
+    return entry;
+  };
+
+  /**
+   * Elige el navegador disponible con menos páginas activas, lanzando uno si hay cupo
+   */
+  const pick = () => {
+    const available = entries.filter(entry => !entry.retiring);
+
+    if (available.length < size) {
+      const idle = available.find(entry => entry.active === 0);
+      return idle || spawn();
+    }
+
+    return available.reduce((best, entry) => (entry.active < best.active ? entry : best));
+  };
+
+  /**
+   * Entrega una página en un contexto incógnito aislado
+   * @param {{contextOptions?: Object}} acquireOptions contextOptions se pasa a createIncognitoBrowserContext
+   *   (p. ej. proxyServer de la identidad asignada)
+   * @returns {Promise<{browser: Object, context: Object, page: Object, release: function(): Promise<void>}>}
+   */
+  const acquire = async (acquireOptions = {}) => {
+    if (draining) {
+      throw new Error('El pool de navegadores se está cerrando');
+    }
+
+    const entry = pick();
+    entry.active++;
+    entry.served++;
+    if (entry.served >= maxPages) {
+      entry.retiring = true;
+    }
+
+    let context = null;
+    try {
+      const browser = await entry.launching;
+      context = await browser.createIncognitoBrowserContext(acquireOptions.contextOptions || {});
+      const page = await context.newPage();
+
+      if (viewport) {
+        await page.setViewport(viewport);
+      }
+      if (timeoutMs) {
+        page.setDefaultTimeout(timeoutMs);
+        page.setDefaultNavigationTimeout(timeoutMs);
+      }
+
+      // Una página que se cae deja el navegador en estado dudoso: reciclarlo
+      page.on('error', () => {
+        entry.retiring = true;
+      });
+
+      if (options.preparePage) {
+        await options.preparePage(page);
+      }
+
+      let released = false;
+      const release = async () => {
+        if (released) {
+          return;
+        }
+        released = true;
+        await context.close().catch(() => {});
+        entry.active--;
+        if (entry.retiring && entry.active === 0) {
+          await retire(entry);
+        }
+      };
+
+      return { browser, context, page, release };
+    } catch (error) {
+      if (context) {
+        await context.close().catch(() => {});
+      }
+      entry.active--;
+      entry.retiring = true;
+      if (entry.active === 0) {
+        await retire(entry);
+      }
+      throw error;
+    }
+  };
+
+  /**
+   * Cierra todos los navegadores del pool
+   */
+  const drain = async () => {
+    draining = true;
+    const pending = entries.splice(0, entries.length);
+    await Promise.all(pending.map(async entry => {
+      const browser = await entry.launching.catch(() => null);
+      if (browser) {
+        await browser.close().catch(() => {});
+      }
+    }));
+    draining = false;
+  };
+
+  const stats = () => ({
+    browsers: entries.length,
+    activePages: entries.reduce((total, entry) => total + entry.active, 0),
+    recycled
+  });
+
+  return { acquire, drain, stats };
+}
+
+module.exports = { createBrowserPool };
@@ -0,0 +1,195 @@
+/**
+ * Caché de resultados de scrapers
+ * Guarda el sobre de cada búsqueda exitosa en archivos JSON bajo
+ * SCRAPER_CACHE_DIR/{site}/{clave}.json. La clave combina categoría, sitio,
+ * término normalizado (mayúsculas, sin acentos) y la configuración del sitio,
+ * de modo que "Juan Pérez" y "JUAN PEREZ" comparten entrada pero un cambio de
+ * config_data no devuelve resultados viejos.
+ *
+ * Vigencia: cache_ttl_seconds en config_data del sitio, luego cacheTtlSeconds
+ * de la definición del scraper y por último CACHE_TTL_SECONDS. Una vigencia 0
+ * desactiva la caché para ese sitio.
+ *
+ * Uso:
+ *   node shared/cache.js clear [--site=...]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { loadConfig } = require('./config');
+const { normalizeName } = require('./nameMatcher');
+
+const CACHE_VERSION = 2;
+// Claves de config que controlan la caché y no cambian el resultado
+const CACHE_CONFIG_KEYS = ['cache_ttl_seconds'];
+
+/**
+ * JSON con las claves de los objetos ordenadas, para que la clave no dependa del orden
+ * @param {*} value
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Clave de caché de una búsqueda
+ * @param {{name: string, category: string}} scraper
+ * @param {string} searchTerm
+ * @param {Object} config
+ * @returns {string} SHA-256 en hexadecimal
+ */
+function cacheKey(scraper, searchTerm, config = {}) {
+  const relevant = Object.fromEntries(Object.entries(config).filter(([key]) => !CACHE_CONFIG_KEYS.includes(key)));
+  return crypto.createHash('sha256')
+    .update(stableStringify([CACHE_VERSION, scraper.category, scraper.name, normalizeName(searchTerm), relevant]))
+    .digest('hex');
+}
+
+/**
+ * Crea una caché en archivos
+ * @param {{dir: string, ttlSeconds?: number, enabled?: boolean, now?: function(): number}} options
+ * @returns {{enabled: boolean, ttlFor: Function, get: Function, set: Function, clear: Function}}
+ */
+function createResultCache(options) {
+  const dir = options.dir;
+  const defaultTtl = options.ttlSeconds !== undefined ? options.ttlSeconds : 3600;
+  const enabled = options.enabled !== false;
+  const now = options.now || Date.now;
+
+  const fileFor = (scraper, key) => path.join(dir, scraper.name, `${key}.json`);
+
+  /**
+   * Vigencia en segundos para el sitio
+   * @param {Object} scraper
+   * @param {Object} config
+   * @returns {number}
+   */
+  const ttlFor = (scraper, config = {}) => {
+    const fromConfig = Number(config.cache_ttl_seconds);
+    if (config.cache_ttl_seconds !== undefined && Number.isFinite(fromConfig)) {
+      return fromConfig;
+    }
+    if (typeof scraper.cacheTtlSeconds === 'number') {
+      return scraper.cacheTtlSeconds;
+    }
+    return defaultTtl;
+  };
+
+  /**
+   * Sobre vigente de una búsqueda anterior, o null
+   * @returns {{envelope: Object, fetched_at: string}|null}
+   */
+  const get = (scraper, searchTerm, config = {}) => {
+    if (!enabled || ttlFor(scraper, config) <= 0) {
+      return null;
+    }
+
+    const file = fileFor(scraper, cacheKey(scraper, searchTerm, config));
+    let entry;
+    try {
+      entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      // Sin entrada o archivo a medio escribir: se trata como ausente
+      return null;
+    }
+
+    if (entry.version !== CACHE_VERSION || Date.parse(entry.expires_at) <= now()) {
+      fs.rmSync(file, { force: true });
+      return null;
+    }
+    return { envelope: entry.envelope, fetched_at: entry.fetched_at };
+  };
+
+  /**
+   * Guarda el sobre de una búsqueda exitosa
+   * @returns {boolean} true si se guardó
+   */
+  const set = (scraper, searchTerm, config, envelope) => {
+    const ttl = ttlFor(scraper, config || {});
+    if (!enabled || ttl <= 0 || envelope.status !== 'completed') {
+      return false;
+    }
+
+    const file = fileFor(scraper, cacheKey(scraper, searchTerm, config || {}));
+    const fetchedAt = envelope.fetched_at || envelope.timestamp;
+    const entry = {
+      version: CACHE_VERSION,
+      site: scraper.name,
+      category: scraper.category,
+      search_term: searchTerm,
+      fetched_at: fetchedAt,
+      expires_at: new Date(Date.parse(fetchedAt) + ttl * 1000).toISOString(),
+      envelope
+    };
+
+    // Escritura atómica: otro proceso puede estar leyendo la misma entrada
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(entry));
+    fs.renameSync(tmpFile, file);
+    return true;
+  };
+
+  /**
+   * Borra las entradas de un sitio o de todos
+   * @param {string} [site] Identificador del archivo del scraper
+   * @returns {number} Entradas borradas
+   */
+  const clear = site => {
+    const sites = site ? [site] : (fs.existsSync(dir) ? fs.readdirSync(dir) : []);
+    let removed = 0;
+    sites.forEach(name => {
+      const siteDir = path.join(dir, name);
+      if (!fs.existsSync(siteDir)) {
+        return;
+      }
+      removed += fs.readdirSync(siteDir).filter(file => file.endsWith('.json')).length;
+      fs.rmSync(siteDir, { recursive: true, force: true });
+    });
+    return removed;
+  };
+
+  return { enabled, ttlFor, get, set, clear };
+}
+
+let defaultCache = null;
+
+/**
+ * Caché del proceso, configurada desde .env
+ * @returns {Object}
+ */
+function getResultCache() {
+  if (!defaultCache) {
+    const { cache } = loadConfig();
+    defaultCache = createResultCache(cache);
+  }
+  return defaultCache;
+}
+
+if (require.main === module) {
+  // runtime.js depende de este módulo; los argumentos se leen aquí para no cargarlo
+  const { normalizeFileName } = require('./registry');
+  const [command, ...rest] = process.argv.slice(2);
+  const siteArg = rest.find(arg => arg.startsWith('--site='));
+
+  if (command !== 'clear') {
+    console.error('Uso: node shared/cache.js clear [--site=<sitio>]');
+    process.exit(1);
+  }
+
+  const site = siteArg ? normalizeFileName(siteArg.slice('--site='.length)) : undefined;
+  const removed = getResultCache().clear(site);
+  console.log(`Entradas de caché borradas: ${removed}`);
+}
+
+module.exports = { createResultCache, getResultCache, cacheKey, stableStringify };
@@ -0,0 +1,124 @@
+/**
+ * Configuración de los scrapers a partir de variables de entorno
+ * Lee el mismo .env de la raíz del proyecto que usa el backend PHP.
+ */
+
+const path = require('path');
+
+const PROJECT_ROOT = path.resolve(__dirname, '../..');
+const ENV_FILE = path.join(PROJECT_ROOT, '.env');
+
+/**
+ * Lee un entero de las variables de entorno
+ * @param {Object} env
+ * @param {string} name
+ * @param {number} defaultValue
+ * @returns {number}
+ */
+function readInt(env, name, defaultValue) {
+  const value = parseInt(env[name], 10);
+  return Number.isFinite(value) ? value : defaultValue;
+}
+
+/**
+ * Lee un booleano de las variables de entorno (true/false, 1/0, yes/no)
+ * @param {Object} env
+ * @param {string} name
+ * @param {boolean} defaultValue
+ * @returns {boolean}
+ */
+function readBool(env, name, defaultValue) {
+  const value = env[name];
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+  return ['true', '1', 'yes', 'on'].includes(String(value).toLowerCase());
+}
+
+/**
+ * Construye la configuración de scrapers
+ * @param {Object} env Variables de entorno (por defecto process.env con .env cargado)
+ * @returns {Object}
+ */
+function loadConfig(env) {
+  if (!env) {
+    require('dotenv').config({ path: ENV_FILE });
+    env = process.env;
+  }
+
+  return {
+    maxConcurrentScrapers: Math.max(readInt(env, 'MAX_CONCURRENT_SCRAPERS', 3), 1),
+    timeoutMs: readInt(env, 'SCRAPER_TIMEOUT_MS', 30000),
+    localDbDir: path.resolve(PROJECT_ROOT, env.LOCAL_DB_DIR || 'uploads/local_databases/'),
+    ofac: {
+      maxAgeDays: readInt(env, 'OFAC_MAX_AGE_DAYS', 7)
+    },
+    scheduler: {
+      enabled: readBool(env, 'RATE_LIMIT_ENABLED', true),
+      requestsPerMinute: readInt(env, 'RATE_LIMIT_REQUESTS_PER_MINUTE', 100),
+      minDelayMs: readInt(env, 'SCRAPER_RATE_LIMIT_DELAY', 2000),
+      retryAttempts: readInt(env, 'SCRAPER_RETRY_ATTEMPTS', 3)
+    },
+    cache: {
+      enabled: readBool(env, 'CACHE_ENABLED', true),
+      ttlSeconds: readInt(env, 'CACHE_TTL_SECONDS', 3600),
+      dir: path.resolve(PROJECT_ROOT, env.SCRAPER_CACHE_DIR || 'temp/scraper_cache')
+    },
+    evidence: {
+      mode: env.EVIDENCE_CAPTURE || 'off',
+      formats: (env.EVIDENCE_FORMATS || 'png,html').split(',').map(item => item.trim()).filter(Boolean),
+      dir: path.resolve(PROJECT_ROOT, env.RESULTS_DIR || 'exports/results/')
+    },
+    health: {
+      reportFile: path.resolve(PROJECT_ROOT, env.SCRAPER_HEALTH_FILE || 'logs/scraper_health.json')
+    },
+    identity: {
+      userAgent: env.SCRAPER_USER_AGENT || null,
+      userAgentsFile: env.USER_AGENTS_FILE ? path.resolve(PROJECT_ROOT, env.USER_AGENTS_FILE) : null,
+      rotateUserAgents: readBool(env, 'ROTATE_USER_AGENTS', true),
+      proxy: {
+        enabled: readBool(env, 'USE_PROXY', false),
+        host: env.PROXY_HOST || '',
+        port: env.PROXY_PORT || '',
+        username: env.PROXY_USERNAME || '',
+        password: env.PROXY_PASSWORD || '',
+        list: (env.PROXY_LIST || '').split(',').map(item => item.trim()).filter(Boolean),
+        maxFailures: Math.max(readInt(env, 'PROXY_MAX_FAILURES', 3), 1),
+        cooldownMs: readInt(env, 'PROXY_COOLDOWN_SECONDS', 300) * 1000,
+        stateFile: path.resolve(PROJECT_ROOT, env.PROXY_STATE_FILE || 'temp/proxy_state.json')
+      }
+    },
+    pagination: {
+      maxPages: Math.max(readInt(env, 'SCRAPER_MAX_PAGES', 5), 1),
+      maxResults: Math.max(readInt(env, 'SCRAPER_MAX_RESULTS', 200), 1)
+    },
+    media: {
+      taxonomyFile: path.resolve(PROJECT_ROOT, env.ADVERSE_MEDIA_TAXONOMY_FILE || 'config/adverse_media_taxonomy.json'),
+      maxArticles: Math.max(readInt(env, 'ADVERSE_MEDIA_MAX_ARTICLES', 10), 1)
+    },
+    openSanctions: {
+      maxAgeDays: readInt(env, 'OPENSANCTIONS_MAX_AGE_DAYS', 7)
+    },
+    icij: {
+      maxConnections: Math.max(readInt(env, 'ICIJ_MAX_CONNECTIONS', 100), 1)
+    },
+    manager: {
+      host: env.SCRAPER_MANAGER_HOST || '127.0.0.1',
+      port: readInt(env, 'SCRAPER_MANAGER_PORT', 3100),
+      socketPath: env.SCRAPER_MANAGER_SOCKET || null,
+      jobTtlMs: readInt(env, 'SCRAPER_MANAGER_JOB_TTL_SECONDS', 600) * 1000
+    },
+    puppeteer: {
+      headless: readBool(env, 'PUPPETEER_HEADLESS', true),
+      timeoutMs: readInt(env, 'PUPPETEER_TIMEOUT', 30000),
+      viewport: {
+        width: readInt(env, 'PUPPETEER_VIEWPORT_WIDTH', 1920),
+        height: readInt(env, 'PUPPETEER_VIEWPORT_HEIGHT', 1080)
+      },
+      poolSize: Math.max(readInt(env, 'BROWSER_POOL_SIZE', 2), 1),
+      maxPagesPerBrowser: Math.max(readInt(env, 'BROWSER_POOL_MAX_PAGES', 50), 1)
+    }
+  };
+}
+
+module.exports = { loadConfig, readInt, readBool, ENV_FILE, PROJECT_ROOT };
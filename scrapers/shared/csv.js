@@ -0,0 +1,136 @@
+/**
+ * Lectura de archivos CSV (RFC 4180)
+ * Soporta campos entre comillas con comas, saltos de línea y comillas escapadas.
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+
+/**
+ * Divide un texto CSV en filas de campos
+ * @param {string} text
+ * @param {string} delimiter
+ * @returns {string[][]}
+ */
+function parseCsv(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Quitar BOM de la primera celda
+  if (rows.length > 0 && rows[0].length > 0) {
+    rows[0][0] = rows[0][0].replace(/^\uFEFF/, '');
+  }
+
+  return rows.filter(fields => !(fields.length === 1 && fields[0] === ''));
+}
+
+/**
+ * Lee un CSV con encabezados y devuelve objetos por fila
+ * @param {string} text
+ * @param {{headers?: string[], delimiter?: string}} options Si se dan headers, el archivo no trae encabezado
+ * @returns {Object<string, string>[]}
+ */
+function parseCsvRecords(text, options = {}) {
+  const rows = parseCsv(text, options.delimiter);
+  const headers = options.headers || rows.shift() || [];
+
+  return rows.map(fields => {
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header] = fields[index] !== undefined ? fields[index] : '';
+    });
+    return record;
+  });
+}
+
+/**
+ * Recorre un CSV grande fila por fila sin cargarlo completo en memoria
+ * Los saltos de línea dentro de comillas se unen antes de interpretar la fila.
+ * @param {string} filePath
+ * @param {function(Object<string, string>): void} onRecord
+ * @param {{headers?: string[], delimiter?: string}} options Si se dan headers, el archivo no trae encabezado
+ * @returns {Promise<number>} Número de registros leídos
+ */
+async function streamCsvRecords(filePath, onRecord, options = {}) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath, { encoding: 'utf8' }),
+    crlfDelay: Infinity
+  });
+
+  let headers = options.headers || null;
+  let pending = '';
+  let count = 0;
+
+  for await (const line of lines) {
+    pending = pending ? `${pending}\n${line}` : line;
+
+    // Comillas impares: la fila continúa en la siguiente línea
+    if ((pending.match(/"/g) || []).length % 2 === 1) {
+      continue;
+    }
+
+    const [fields] = parseCsv(pending, options.delimiter);
+    pending = '';
+    if (!fields) {
+      continue;
+    }
+
+    if (!headers) {
+      headers = fields;
+      continue;
+    }
+
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header] = fields[index] !== undefined ? fields[index] : '';
+    });
+    onRecord(record);
+    count++;
+  }
+
+  return count;
+}
+
+module.exports = { parseCsv, parseCsvRecords, streamCsvRecords };
@@ -0,0 +1,384 @@
+/**
+ * Motor de scrapers declarativos
+ * Ejecuta una definición basada en selectores tomada de scraper_sites.config_data,
+ * de modo que agregar o corregir un sitio sea un cambio de datos:
+ *
+ *   {
+ *     "engine": "puppeteer",                      // o "cheerio" (sin navegador)
+ *     "search_url": "https://sitio/buscar?q={TERM}",
+ *     "form": {"url": "...", "fields": {"#nombre": "{TERM}"}, "submit": "#buscar"},
+ *     "wait_for": "table.resultados",
+ *     "results": {"row": "table.resultados tbody tr", "fields": {"nombre": "td:nth-child(1)",
+ *                 "enlace": {"selector": "a", "attribute": "href"}}},
+ *     "no_results": {"selector": ".sin-resultados", "text": "No se encontraron"},
+ *     "pagination": {"next": "a.siguiente", "max_pages": 3}
+ *   }
+ */
+
+const cheerio = require('cheerio');
+const { assertValid } = require('./schema');
+const { defineScraper, parseFlags, runCli } = require('./runtime');
+const { normalizeFileName } = require('./registry');
+const { createStaticClient } = require('./staticPage');
+const { paginate, resolveLimits, pageUrl, clickNext, scrollForMore } = require('./pagination');
+
+const FIELD_SCHEMA = {
+  anyOf: [
+    { type: 'string', minLength: 1 },
+    {
+      type: 'object',
+      required: ['selector'],
+      properties: {
+        selector: { type: 'string', minLength: 1 },
+        attribute: { type: 'string', minLength: 1 },
+        multiple: { type: 'boolean' }
+      },
+      additionalProperties: false
+    }
+  ]
+};
+
+const DEFINITION_SCHEMA = {
+  type: 'object',
+  required: ['results'],
+  properties: {
+    engine: { enum: ['puppeteer', 'cheerio'] },
+    search_url: { type: 'string', pattern: '^https?://' },
+    form: {
+      type: 'object',
+      required: ['url', 'fields'],
+      properties: {
+        url: { type: 'string', pattern: '^https?://' },
+        method: { enum: ['GET', 'POST'] },
+        fields: { type: 'object', additionalProperties: { type: 'string' } },
+        submit: { type: 'string', minLength: 1 }
+      },
+      additionalProperties: false
+    },
+    wait_for: { type: 'string', minLength: 1 },
+    results: {
+      type: 'object',
+      required: ['row', 'fields'],
+      properties: {
+        row: { type: 'string', minLength: 1 },
+        fields: { type: 'object', additionalProperties: FIELD_SCHEMA }
+      },
+      additionalProperties: false
+    },
+    no_results: {
+      type: 'object',
+      properties: {
+        selector: { type: 'string', minLength: 1 },
+        text: { type: 'string', minLength: 1 }
+      },
+      additionalProperties: false
+    },
+    pagination: {
+      type: 'object',
+      properties: {
+        next: { type: 'string', minLength: 1 },
+        page_url: { type: 'string', pattern: '^https?://' },
+        scroll: { type: 'boolean' },
+        total: { type: 'string', minLength: 1 },
+        max_pages: { type: 'integer', minimum: 1 },
+        max_results: { type: 'integer', minimum: 1 }
+      },
+      additionalProperties: false
+    }
+  }
+};
+
+/**
+ * Valida una definición declarativa y devuelve errores legibles
+ * @param {Object} definition
+ * @param {string} label
+ */
+function validateDefinition(definition, label = 'config_data') {
+  assertValid(DEFINITION_SCHEMA, definition, label);
+
+  if (!definition.search_url && !definition.form) {
+    throw new Error(`${label} inválido: se requiere search_url o form`);
+  }
+  if (Object.keys(definition.results.fields).length === 0) {
+    throw new Error(`${label} inválido: ${label}.results.fields debe definir al menos un campo`);
+  }
+  if (definition.engine === 'cheerio' && definition.form && definition.form.submit) {
+    throw new Error(`${label} inválido: form.submit requiere engine puppeteer; con cheerio el formulario se envía directamente`);
+  }
+
+  const pagination = definition.pagination;
+  if (pagination && !pagination.next && !pagination.page_url && !pagination.scroll) {
+    throw new Error(`${label} inválido: ${label}.pagination requiere next, page_url o scroll`);
+  }
+  if (pagination && pagination.scroll && definition.engine === 'cheerio') {
+    throw new Error(`${label} inválido: pagination.scroll requiere engine puppeteer`);
+  }
+}
+
+/**
+ * Reemplaza {TERM} en una URL (codificado) o en un valor de formulario (literal)
+ */
+function fillTemplate(template, term, encode) {
+  return template.split('{TERM}').join(encode ? encodeURIComponent(term) : term);
+}
+
+/**
+ * Resuelve una URL relativa contra la URL de la página
+ */
+function resolveUrl(value, baseUrl) {
+  try {
+    return new URL(value, baseUrl).toString();
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Extrae un campo de una fila según su definición
+ */
+function extractField($, row, field, baseUrl) {
+  const spec = typeof field === 'string' ? { selector: field } : field;
+  const nodes = $(row).find(spec.selector);
+
+  const read = node => {
+    if (spec.attribute) {
+      const value = $(node).attr(spec.attribute);
+      if (value === undefined) {
+        return null;
+      }
+      return ['href', 'src', 'action'].includes(spec.attribute) ? resolveUrl(value, baseUrl) : value.trim();
+    }
+    return $(node).text().replace(/\s+/g, ' ').trim();
+  };
+
+  if (spec.multiple) {
+    return nodes.toArray().map(read).filter(value => value !== null && value !== '');
+  }
+  return nodes.length > 0 ? read(nodes.first()) : null;
+}
+
+/**
+ * Extrae las filas de resultados de un documento HTML
+ * @param {string} html
+ * @param {Object} definition
+ * @param {string} baseUrl
+ * @returns {{rows: Object[], noResults: boolean, nextUrl: string|null, hasNext?: boolean, total?: string}}
+ *   hasNext: existe el control de pagination.next; total: texto de pagination.total
+ */
+function extractPage(html, definition, baseUrl) {
+  const $ = cheerio.load(html);
+  const marker = definition.no_results;
+
+  if (marker) {
+    const markerFound = (marker.selector && $(marker.selector).length > 0) ||
+      (marker.text && $('body').text().includes(marker.text));
+    if (markerFound) {
+      return { rows: [], noResults: true, nextUrl: null };
+    }
+  }
+
+  const rows = $(definition.results.row).toArray().map(row => {
+    const record = {};
+    Object.entries(definition.results.fields).forEach(([name, field]) => {
+      record[name] = extractField($, row, field, baseUrl);
+    });
+    return record;
+  }).filter(record => Object.values(record).some(value => value !== null && value !== '' &&
+    !(Array.isArray(value) && value.length === 0)));
+
+  const pagination = definition.pagination || {};
+  let nextUrl = null;
+  if (pagination.next) {
+    const href = $(pagination.next).first().attr('href');
+    nextUrl = href ? resolveUrl(href, baseUrl) : null;
+  }
+
+  return {
+    rows,
+    noResults: false,
+    nextUrl,
+    hasNext: pagination.next ? $(pagination.next).length > 0 : false,
+    total: pagination.total ? $(pagination.total).first().text().trim() : undefined
+  };
+}
+
+/**
+ * Topes de la definición: sin pagination se lee solo la primera página
+ * progress (context.progress del runtime) recibe el avance página por página.
+ */
+function definitionLimits(definition, progress) {
+  const limits = resolveLimits(definition);
+  return {
+    maxPages: definition.pagination ? limits.maxPages : 1,
+    maxResults: limits.maxResults,
+    onPage: progress ? page => progress('page', page) : undefined
+  };
+}
+
+/**
+ * Ejecuta la definición con axios + cheerio (páginas estáticas)
+ * http es el cliente del programador (context.http), con espaciado y reintentos;
+ * el cliente de staticPage decodifica el charset y conserva las cookies entre páginas.
+ */
+async function runCheerio(definition, term, timeoutMs, http, progress) {
+  const pagination = definition.pagination || {};
+  const client = createStaticClient(http);
+  let url;
+  let response;
+
+  if (definition.form) {
+    const fields = {};
+    Object.entries(definition.form.fields).forEach(([name, value]) => {
+      fields[name] = fillTemplate(value, term, false);
+    });
+    url = definition.form.url;
+
+    if ((definition.form.method || 'POST') === 'POST') {
+      response = await client.post(url, fields, { timeout: timeoutMs });
+    } else {
+      response = await client.get(url, { params: fields, timeout: timeoutMs });
+    }
+  } else {
+    url = fillTemplate(definition.search_url, term, true);
+    response = await client.get(url, { timeout: timeoutMs });
+  }
+
+  let currentUrl = url;
+  let nextUrl = null;
+  const result = await paginate(async pageNumber => {
+    if (pageNumber > 1) {
+      currentUrl = pagination.page_url ? pageUrl(fillTemplate(pagination.page_url, term, true), pageNumber) : nextUrl;
+      response = await client.get(currentUrl, { timeout: timeoutMs });
+    }
+
+    const page = extractPage(response.html, definition, currentUrl);
+    nextUrl = page.nextUrl;
+    return {
+      rows: page.rows,
+      total: page.total,
+      more: !page.noResults && Boolean(pagination.page_url || page.nextUrl)
+    };
+  }, definitionLimits(definition, progress));
+
+  return { ...result, direct_link: definition.search_url ? url : null };
+}
+
+/**
+ * Ejecuta la definición en una página de Puppeteer
+ * goto y schedule vienen del contexto del runtime para respetar el límite por dominio.
+ */
+async function runPuppeteer(definition, term, context) {
+  const { page, goto, schedule } = context;
+  const pagination = definition.pagination || {};
+  let directLink = null;
+
+  if (definition.form) {
+    await goto(definition.form.url, { waitUntil: 'domcontentloaded' });
+
+    for (const [selector, value] of Object.entries(definition.form.fields)) {
+      await page.waitForSelector(selector);
+      await page.$eval(selector, element => {
+        element.value = '';
+      });
+      await page.type(selector, fillTemplate(value, term, false));
+    }
+
+    if (definition.form.submit) {
+      await schedule(definition.form.url, () => Promise.all([
+        page.waitForNavigation({ waitUntil: 'domcontentloaded' }).catch(() => null),
+        page.click(definition.form.submit)
+      ]));
+    }
+  } else {
+    directLink = fillTemplate(definition.search_url, term, true);
+    await goto(directLink, { waitUntil: 'domcontentloaded' });
+  }
+
+  const result = await paginate(async pageNumber => {
+    if (pageNumber > 1 && pagination.page_url) {
+      await goto(pageUrl(fillTemplate(pagination.page_url, term, true), pageNumber), { waitUntil: 'domcontentloaded' });
+    } else if (pageNumber > 1 && pagination.next && !(await clickNext(context, pagination.next, { rows: definition.results.row }))) {
+      return null;
+    }
+    // Con scroll los elementos nuevos ya se cargaron al comprobar si había más
+
+    if (definition.wait_for) {
+      await page.waitForSelector(definition.wait_for).catch(() => null);
+    }
+
+    const extracted = extractPage(await page.content(), definition, page.url());
+    let more = false;
+    if (!extracted.noResults && pagination.scroll) {
+      more = await scrollForMore(page, definition.results.row);
+    } else if (!extracted.noResults) {
+      more = Boolean(pagination.page_url) || extracted.hasNext;
+    }
+    return { rows: extracted.rows, total: extracted.total, more };
+  }, definitionLimits(definition, context.progress));
+
+  return { ...result, direct_link: directLink };
+}
+
+/**
+ * Crea un scraper cuya lógica es una definición declarativa
+ * La definición base (opcional) se combina con config_data recibido en --config.
+ * @param {{name: string, category: string, type?: string, definition?: Object}} options
+ * @returns {Object} Scraper listo para el runtime
+ */
+function createDeclarativeScraper(options) {
+  const base = options.definition || null;
+  if (base && base.results) {
+    validateDefinition(base, `${options.name}.definition`);
+  }
+
+  return defineScraper({
+    name: options.name,
+    category: options.category,
+    type: options.type || (base && base.engine === 'cheerio' ? 'axios' : 'puppeteer'),
+    async search(context) {
+      const definition = { ...(base || {}), ...context.config };
+      validateDefinition(definition);
+
+      if (context.page) {
+        return runPuppeteer(definition, context.term, context);
+      }
+      return runCheerio(definition, context.term, context.timeoutMs, context.http, context.progress);
+    }
+  });
+}
+
+/**
+ * Punto de entrada para sitios sin módulo propio:
+ *   node shared/declarative.js --site-name="Rama Judicial" --category=judicial --search-term=... --config=...
+ */
+function main() {
+  const flags = parseFlags(process.argv.slice(2));
+  let engine = 'puppeteer';
+
+  try {
+    const config = typeof flags.config === 'string' ? JSON.parse(flags.config) : {};
+    const definition = typeof config === 'string' ? JSON.parse(config) : config;
+    engine = definition.engine || engine;
+  } catch (error) {
+    // runCli reportará el JSON inválido en el sobre
+  }
+
+  const scraper = createDeclarativeScraper({
+    name: normalizeFileName(flags.siteName || 'declarativo'),
+    category: typeof flags.category === 'string' ? flags.category : 'unknown',
+    type: engine === 'cheerio' ? 'axios' : 'puppeteer'
+  });
+
+  runCli(scraper);
+}
+
+module.exports = {
+  createDeclarativeScraper,
+  validateDefinition,
+  extractPage,
+  DEFINITION_SCHEMA
+};
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,443 @@
+/**
+ * Índice en disco para las listas que se consultan sin red (OFAC, OpenSanctions, ICIJ Offshore Leaks)
+ * Un solo archivo: una línea JSON de cabecera (metadatos y posición de cada tabla)
+ * seguida de tablas hash. Cada clave cae en un bucket y los registros de un bucket
+ * quedan contiguos como líneas `"clave"\tvalor` en JSON, así que una consulta lee
+ * solo los buckets de sus claves con fs.readSync por posición.
+ * La importación tampoco retiene los registros: los vuelca a archivos temporales y
+ * al cerrar los reparte en sus buckets.
+ * Sobre estas tablas, addNames()/searchNames() replican la búsqueda de nameIndex.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeName: foldName, tokenize, phoneticKey, compareNames } = require('./nameMatcher');
+const { foldIdentifier } = require('./nameIndex');
+
+const FORMAT_VERSION = 1;
+const CHUNK_SIZE = 1024 * 1024;
+const OFFSET_BYTES = 8;
+const READ_SIZE = 64 * 1024;
+
+/**
+ * Hash FNV-1a de 32 bits
+ * @param {string} key
+ * @returns {number}
+ */
+function hashKey(key) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Escritura con búfer sobre un descriptor abierto
+ */
+function bufferedWriter(fd) {
+  const buffer = Buffer.allocUnsafe(CHUNK_SIZE);
+  let used = 0;
+
+  const flush = () => {
+    if (used > 0) {
+      fs.writeSync(fd, buffer, 0, used);
+      used = 0;
+    }
+  };
+
+  return {
+    write(bytes) {
+      if (used + bytes.length > CHUNK_SIZE) {
+        flush();
+      }
+      if (bytes.length > CHUNK_SIZE) {
+        fs.writeSync(fd, bytes);
+      } else {
+        bytes.copy(buffer, used);
+        used += bytes.length;
+      }
+    },
+    flush
+  };
+}
+
+/**
+ * Recorre los registros volcados en un archivo temporal ([hash][largo][línea])
+ * @param {string} file
+ * @param {function(number, Buffer): void} callback
+ */
+function forEachSpilled(file, callback) {
+  const fd = fs.openSync(file, 'r');
+  let pending = Buffer.alloc(0);
+  try {
+    const chunk = Buffer.allocUnsafe(CHUNK_SIZE);
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, chunk, 0, CHUNK_SIZE, null)) > 0) {
+      let data = pending.length > 0 ? Buffer.concat([pending, chunk.subarray(0, bytesRead)]) : chunk.subarray(0, bytesRead);
+      let position = 0;
+      while (data.length - position >= 8) {
+        const length = data.readUInt32LE(position + 4);
+        if (data.length - position - 8 < length) {
+          break;
+        }
+        callback(data.readUInt32LE(position), data.subarray(position + 8, position + 8 + length));
+        position += 8 + length;
+      }
+      data = data.subarray(position);
+      pending = Buffer.from(data);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Reparte los registros volcados en una tabla hash: offsets de los buckets y datos
+ * @param {string} spillFile
+ * @param {number} count Registros volcados
+ * @param {string} tableFile
+ * @returns {number} Cantidad de buckets
+ */
+function buildTable(spillFile, count, tableFile) {
+  let buckets = 1;
+  while (buckets < count) {
+    buckets *= 2;
+  }
+
+  const sizes = new Float64Array(buckets);
+  forEachSpilled(spillFile, (hash, line) => {
+    sizes[hash & (buckets - 1)] += line.length;
+  });
+
+  const offsets = Buffer.alloc((buckets + 1) * OFFSET_BYTES);
+  const cursors = new Float64Array(buckets);
+  let total = 0;
+  for (let bucket = 0; bucket < buckets; bucket++) {
+    offsets.writeDoubleLE(total, bucket * OFFSET_BYTES);
+    cursors[bucket] = offsets.length + total;
+    total += sizes[bucket];
+  }
+  offsets.writeDoubleLE(total, buckets * OFFSET_BYTES);
+
+  const fd = fs.openSync(tableFile, 'w');
+  try {
+    fs.writeSync(fd, offsets, 0, offsets.length, 0);
+    // Cada registro va al final de lo ya escrito en su bucket: conserva el orden de llegada
+    forEachSpilled(spillFile, (hash, line) => {
+      const bucket = hash & (buckets - 1);
+      fs.writeSync(fd, line, 0, line.length, cursors[bucket]);
+      cursors[bucket] += line.length;
+    });
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  return buckets;
+}
+
+/**
+ * Copia un archivo al final de un descriptor abierto
+ */
+function appendFile(fd, file) {
+  const input = fs.openSync(file, 'r');
+  try {
+    const chunk = Buffer.allocUnsafe(CHUNK_SIZE);
+    let bytesRead;
+    while ((bytesRead = fs.readSync(input, chunk, 0, CHUNK_SIZE, null)) > 0) {
+      fs.writeSync(fd, chunk, 0, bytesRead);
+    }
+  } finally {
+    fs.closeSync(input);
+  }
+}
+
+/**
+ * Crea un índice en disco; el archivo final solo aparece (por rename) al cerrar,
+ * de modo que una consulta en curso nunca ve un índice a medio escribir
+ * @param {string} file
+ * @returns {{table: function(string): {add: function(string, *): void}, finish: function(Object): void, abort: function(): void}}
+ */
+function createIndexWriter(file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const workDir = fs.mkdtempSync(`${file}.tmp-`);
+  const tables = new Map();
+
+  const table = name => {
+    if (!tables.has(name)) {
+      const spillFile = path.join(workDir, `${name}.spill`);
+      const fd = fs.openSync(spillFile, 'w');
+      const entry = { spillFile, fd, writer: bufferedWriter(fd), count: 0 };
+
+      entry.add = (key, value) => {
+        const line = Buffer.from(`${JSON.stringify(key)}\t${JSON.stringify(value)}\n`, 'utf8');
+        const header = Buffer.allocUnsafe(8);
+        header.writeUInt32LE(hashKey(key), 0);
+        header.writeUInt32LE(line.length, 4);
+        entry.writer.write(header);
+        entry.writer.write(line);
+        entry.count++;
+      };
+      tables.set(name, entry);
+    }
+    return { add: tables.get(name).add };
+  };
+
+  const abort = () => {
+    tables.forEach(entry => {
+      try {
+        fs.closeSync(entry.fd);
+      } catch (error) {
+        // ya cerrado
+      }
+    });
+    fs.rmSync(workDir, { recursive: true, force: true });
+  };
+
+  /**
+   * Reparte las tablas y escribe el índice con los metadatos en la cabecera
+   * @param {Object} meta
+   */
+  const finish = meta => {
+    try {
+      const layout = {};
+      let position = 0;
+      const parts = [];
+      for (const [name, entry] of tables) {
+        entry.writer.flush();
+        fs.closeSync(entry.fd);
+        const tableFile = path.join(workDir, `${name}.table`);
+        const buckets = buildTable(entry.spillFile, entry.count, tableFile);
+        fs.rmSync(entry.spillFile);
+        layout[name] = { offset: position, buckets, records: entry.count };
+        position += fs.statSync(tableFile).size;
+        parts.push(tableFile);
+      }
+
+      const indexFile = path.join(workDir, 'index');
+      const fd = fs.openSync(indexFile, 'w');
+      try {
+        fs.writeSync(fd, `${JSON.stringify({ format: FORMAT_VERSION, meta, tables: layout })}\n`);
+        parts.forEach(part => appendFile(fd, part));
+      } finally {
+        fs.closeSync(fd);
+      }
+      fs.renameSync(indexFile, file);
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  };
+
+  return { table, finish, abort };
+}
+
+/**
+ * Lee la línea de cabecera del índice
+ * @returns {{header: Object, dataStart: number}}
+ */
+function readHeader(fd, file) {
+  const chunks = [];
+  const chunk = Buffer.allocUnsafe(64 * 1024);
+  let position = 0;
+  for (;;) {
+    const bytesRead = fs.readSync(fd, chunk, 0, chunk.length, position);
+    const newline = chunk.subarray(0, bytesRead).indexOf(0x0a);
+    if (newline >= 0) {
+      chunks.push(Buffer.from(chunk.subarray(0, newline)));
+      position += newline + 1;
+      break;
+    }
+    if (bytesRead === 0) {
+      throw new Error(`Índice sin cabecera: ${file}`);
+    }
+    chunks.push(Buffer.from(chunk.subarray(0, bytesRead)));
+    position += bytesRead;
+  }
+
+  let header;
+  try {
+    header = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch (error) {
+    throw new Error(`Cabecera de índice inválida: ${file}`);
+  }
+  return { header, dataStart: position };
+}
+
+/**
+ * Abre un índice creado con createIndexWriter()
+ * El descriptor queda abierto hasta close(); las consultas no cargan el archivo.
+ * @param {string} file
+ * @returns {{meta: Object, format: number, lookup: function(string, string): Array, values: function(string, string): IterableIterator<string>, close: function(): void}}
+ */
+function openIndex(file) {
+  const fd = fs.openSync(file, 'r');
+  let parsed;
+  try {
+    parsed = readHeader(fd, file);
+  } catch (error) {
+    fs.closeSync(fd);
+    throw error;
+  }
+  const { header, dataStart } = parsed;
+
+  const bucketRange = (tableName, key) => {
+    const table = (header.tables || {})[tableName];
+    if (!table) {
+      return null;
+    }
+    const base = dataStart + table.offset;
+    const bucket = hashKey(key) & (table.buckets - 1);
+    const bounds = Buffer.alloc(OFFSET_BYTES * 2);
+    fs.readSync(fd, bounds, 0, bounds.length, base + bucket * OFFSET_BYTES);
+    const dataBase = base + (table.buckets + 1) * OFFSET_BYTES;
+    return { start: dataBase + bounds.readDoubleLE(0), end: dataBase + bounds.readDoubleLE(OFFSET_BYTES) };
+  };
+
+  /**
+   * Recorre los valores guardados con esa clave, sin interpretar (texto JSON), en
+   * orden de importación; lee el bucket por bloques para poder cortar a mitad de
+   * camino (un intermediario con cientos de miles de relaciones)
+   * @param {string} tableName
+   * @param {string} key
+   * @returns {IterableIterator<string>}
+   */
+  function* values(tableName, key) {
+    const range = bucketRange(tableName, key);
+    if (!range) {
+      return;
+    }
+    const prefix = `${JSON.stringify(key)}\t`;
+    const chunk = Buffer.allocUnsafe(Math.min(READ_SIZE, Math.max(range.end - range.start, 1)));
+    let pending = Buffer.alloc(0);
+    for (let position = range.start; position < range.end;) {
+      const bytesRead = fs.readSync(fd, chunk, 0, Math.min(chunk.length, range.end - position), position);
+      if (bytesRead === 0) {
+        throw new Error(`Índice truncado: ${file}`);
+      }
+      position += bytesRead;
+      // Se decodifica hasta el último \n: un bloque puede cortar un carácter UTF-8
+      const data = Buffer.concat([pending, chunk.subarray(0, bytesRead)]);
+      const complete = data.lastIndexOf(0x0a) + 1;
+      pending = Buffer.from(data.subarray(complete));
+      for (const line of data.toString('utf8', 0, complete).split('\n')) {
+        if (line.startsWith(prefix)) {
+          yield line.slice(prefix.length);
+        }
+      }
+    }
+  }
+
+  /**
+   * Valores guardados con esa clave, en orden de importación
+   * @param {string} tableName
+   * @param {string} key
+   * @returns {Array}
+   */
+  const lookup = (tableName, key) => Array.from(values(tableName, key), value => JSON.parse(value));
+
+  return {
+    // Un índice NDJSON anterior trae los metadatos sueltos en la primera línea
+    meta: header.meta || header,
+    format: header.format,
+    lookup,
+    values,
+    close: () => fs.closeSync(fd)
+  };
+}
+
+/**
+ * Agrega los nombres e identificaciones de una entrada a las tablas names e ids
+ * @param {ReturnType<createIndexWriter>} writer
+ * @param {string} ref Clave de la entrada en su propia tabla
+ * @param {{name: string, alias: boolean}[]} names
+ * @param {string[]} identifiers
+ */
+function addNames(writer, ref, names, identifiers = []) {
+  names.forEach(({ name, alias }) => {
+    const folded = foldName(name);
+    if (!folded) {
+      return;
+    }
+    // Candidatos por clave fonética: GONSALEZ encuentra GONZALEZ
+    new Set(tokenize(folded).map(phoneticKey)).forEach(key => {
+      writer.table('names').add(key, [ref, name, alias ? 1 : 0]);
+    });
+  });
+
+  new Set(identifiers.map(foldIdentifier)).forEach(folded => {
+    if (folded.length >= 4) {
+      writer.table('ids').add(folded, ref);
+    }
+  });
+}
+
+/**
+ * Busca por nombre o identificación como createNameIndex().search()
+ * @param {ReturnType<openIndex>} index
+ * @param {string} term
+ * @param {{minScore?: number, limit?: number, score?: function(string, string): number}} options
+ * @returns {{ref: string, matchedName: string|null, alias: boolean, score: number, matchedField: string}[]}
+ */
+function searchNames(index, term, options = {}) {
+  const minScore = options.minScore !== undefined ? options.minScore : 80;
+  const limit = options.limit || 20;
+  const score = options.score || ((query, name) => compareNames(query, name).score);
+  const best = new Map();
+
+  const keep = (ref, hit) => {
+    const current = best.get(ref);
+    if (!current || hit.score > current.score) {
+      best.set(ref, hit);
+    }
+  };
+
+  const folded = foldIdentifier(term);
+  if (folded.length >= 4) {
+    index.lookup('ids', folded).forEach(ref => {
+      keep(ref, { matchedName: null, alias: false, score: 100, matchedField: 'identification' });
+    });
+  }
+
+  // Un candidato debe compartir al menos la mitad de las claves fonéticas de la
+  // consulta: JUAN CARLOS PEREZ GOMEZ no puntúa contra cada JUAN de la lista
+  const query = foldName(term);
+  const keys = Array.from(new Set(tokenize(query).map(phoneticKey)));
+  const required = Math.ceil(keys.length / 2);
+  const shared = new Map();
+  // Los nombres repetidos (THE BEARER, mismas razones sociales) se puntúan una vez
+  const scores = new Map();
+  keys.forEach(key => {
+    for (const value of index.values('names', key)) {
+      shared.set(value, (shared.get(value) || 0) + 1);
+    }
+  });
+
+  shared.forEach((count, value) => {
+    if (count < required) {
+      return;
+    }
+    const [ref, name, alias] = JSON.parse(value);
+    const candidate = foldName(name);
+    if (!scores.has(candidate)) {
+      scores.set(candidate, score(query, candidate));
+    }
+    const similarity = scores.get(candidate);
+    if (similarity >= minScore) {
+      keep(ref, { matchedName: name, alias: Boolean(alias), score: similarity, matchedField: alias ? 'alias' : 'name' });
+    }
+  });
+
+  return Array.from(best.entries())
+    .map(([ref, hit]) => ({ ref, ...hit }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+module.exports = {
+  createIndexWriter,
+  openIndex,
+  addNames,
+  searchNames,
+  hashKey
+};
@@ -0,0 +1,135 @@
+/**
+ * Evidencia de lo que mostró un sitio al momento del screening
+ * Guarda captura de página completa (PNG), PDF y/o el HTML de la página de
+ * resultados en RESULTS_DIR/{lote}/{sitio}/, con SHA-256 por archivo y un
+ * JSON de acompañamiento (URL, término, fecha y hashes) para auditoría.
+ *
+ * EVIDENCE_CAPTURE: off (por defecto), hits (solo si hubo resultados) o all.
+ * config_data del sitio puede cambiarlo con "evidence": "off" | "hits" | "all".
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { loadConfig, PROJECT_ROOT } = require('./config');
+const { normalizeName } = require('./nameMatcher');
+
+const EVIDENCE_MODES = ['off', 'hits', 'all'];
+const EVIDENCE_FORMATS = ['png', 'pdf', 'html'];
+// Carpeta de las búsquedas individuales, que no pertenecen a un lote
+const INDIVIDUAL_BATCH = 'individual';
+
+/**
+ * Segmento de ruta seguro a partir de un identificador externo
+ * @param {string} value
+ * @returns {string}
+ */
+function safeSegment(value) {
+  return String(value).replace(/[^A-Za-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || 'sin-nombre';
+}
+
+/**
+ * Directorio de evidencia de un sitio dentro de un lote
+ * @param {string} root RESULTS_DIR
+ * @param {string|null} batchId
+ * @param {string} site Identificador del archivo del scraper
+ * @returns {string}
+ */
+function evidenceDir(root, batchId, site) {
+  return path.join(root, safeSegment(batchId || INDIVIDUAL_BATCH), safeSegment(site));
+}
+
+/**
+ * Opciones de evidencia para una ejecución: .env y, encima, config_data del sitio
+ * @param {{mode: string, formats: string[], dir: string}} defaults
+ * @param {Object} config
+ * @returns {{mode: string, formats: string[], dir: string}}
+ */
+function resolveEvidenceOptions(defaults, config = {}) {
+  const mode = config.evidence !== undefined ? String(config.evidence) : defaults.mode;
+  if (!EVIDENCE_MODES.includes(mode)) {
+    throw new Error(`Modo de evidencia no soportado: ${mode}`);
+  }
+
+  const formats = (Array.isArray(config.evidence_formats) ? config.evidence_formats : defaults.formats)
+    .map(format => String(format).trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = formats.find(format => !EVIDENCE_FORMATS.includes(format));
+  if (unknown) {
+    throw new Error(`Formato de evidencia no soportado: ${unknown}`);
+  }
+
+  return { mode, formats, dir: defaults.dir };
+}
+
+/**
+ * Captura la página actual y guarda los archivos con su hash
+ * @param {Object} page Página de Puppeteer
+ * @param {{dir: string, site: string, searchTerm: string, formats: string[], label?: string,
+ *          projectRoot?: string, now?: function(): number}} options
+ * @returns {Promise<{site: string, search_term: string, url: string, label: string|null, captured_at: string,
+ *          files: Array<{type: string, path: string, sha256: string, bytes: number}>, manifest: string}>}
+ *   Rutas relativas a la raíz del proyecto
+ */
+async function captureEvidence(page, options) {
+  const now = options.now || Date.now;
+  const projectRoot = options.projectRoot || PROJECT_ROOT;
+  const capturedAt = new Date(now()).toISOString();
+  const stamp = capturedAt.replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  const termSlug = normalizeName(options.searchTerm).toLowerCase().replace(/ /g, '-').slice(0, 60) || 'busqueda';
+  const baseName = [stamp, termSlug, options.label ? safeSegment(options.label) : null].filter(Boolean).join('-');
+  const relative = file => path.relative(projectRoot, file).split(path.sep).join('/');
+
+  fs.mkdirSync(options.dir, { recursive: true });
+
+  const files = [];
+  for (const format of options.formats) {
+    let buffer;
+    if (format === 'png') {
+      buffer = await page.screenshot({ fullPage: true, type: 'png' });
+    } else if (format === 'pdf') {
+      buffer = await page.pdf({ format: 'A4', printBackground: true });
+    } else {
+      buffer = Buffer.from(await page.content(), 'utf8');
+    }
+
+    const file = path.join(options.dir, `${baseName}.${format}`);
+    fs.writeFileSync(file, buffer);
+    files.push({
+      type: format,
+      path: relative(file),
+      sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+      bytes: buffer.length
+    });
+  }
+
+  const manifestFile = path.join(options.dir, `${baseName}.json`);
+  const record = {
+    site: options.site,
+    search_term: options.searchTerm,
+    url: page.url(),
+    label: options.label || null,
+    captured_at: capturedAt,
+    files
+  };
+  fs.writeFileSync(manifestFile, `${JSON.stringify(record, null, 2)}\n`);
+
+  return { ...record, manifest: relative(manifestFile) };
+}
+
+/**
+ * Opciones de evidencia definidas en .env
+ * @returns {{mode: string, formats: string[], dir: string}}
+ */
+function getEvidenceDefaults() {
+  return loadConfig().evidence;
+}
+
+module.exports = {
+  captureEvidence,
+  resolveEvidenceOptions,
+  evidenceDir,
+  getEvidenceDefaults,
+  EVIDENCE_MODES,
+  EVIDENCE_FORMATS
+};
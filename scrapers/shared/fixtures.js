@@ -0,0 +1,601 @@
+/**
+ * Grabación y reproducción de fixtures de scrapers
+ * record visita el sitio real y guarda en scrapers/fixtures/{site}/{escenario}/
+ * cada respuesta (HTML, XHR/JSON, scripts) junto con la secuencia de peticiones
+ * y el resultado esperado. replay sirve esas respuestas por interceptación de
+ * peticiones de Puppeteer (o con un adapter de axios para scrapers axios), de
+ * modo que Jest ejecuta los scrapers sin red y de forma determinista.
+ *
+ * Uso:
+ *   node shared/fixtures.js record --site="Rama Judicial" --category=judicial --search-term="Juan Perez" [--scenario=...] [--accept]
+ *   node shared/fixtures.js check [--site=...] [--category=...]
+ *
+ * Al volver a grabar, el resultado nuevo se compara con el esperado anterior y
+ * se listan los campos que el extractor dejó de llenar. Con regresiones el
+ * esperado no se actualiza (salvo --accept) y la reproducción en Jest falla.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { runScraper, parseFlags, parseConfig } = require('./runtime');
+const { loadRegistry, normalizeFileName, SCRAPERS_ROOT } = require('./registry');
+const { HIT_SCHEMA } = require('./resultSchema');
+
+const FIXTURE_VERSION = 1;
+const FIXTURES_ROOT = path.join(SCRAPERS_ROOT, 'fixtures');
+const MANIFEST_FILE = 'manifest.json';
+const EXPECTED_FILE = 'expected.json';
+
+// Tipos de recurso cuyo cuerpo se guarda; el resto se registra en la secuencia y se aborta al reproducir
+const STORED_TYPES = ['document', 'xhr', 'fetch', 'script', 'axios'];
+// Parámetros que cambian en cada visita (anti-caché) y no deben impedir la coincidencia
+const VOLATILE_PARAMS = ['_', 'nocache', 'timestamp'];
+// Campos calculados por el runtime, no por el extractor: el puntaje y los del esquema de registros,
+// que se deducen de los campos extraídos
+const DERIVED_FIELDS = ['similarity', 'similarity_explanation', ...HIT_SCHEMA.required];
+// Grabar o reproducir no debe dejar evidencia en exports/results
+const NO_EVIDENCE = { mode: 'off', formats: [], dir: '' };
+// Cabeceras que no aplican a un cuerpo ya decodificado
+const DROPPED_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding'];
+
+/**
+ * Directorio de un escenario grabado
+ * @param {string} site Identificador del archivo del scraper (normalizeFileName)
+ * @param {string} scenario
+ * @param {string} fixturesDir
+ * @returns {string}
+ */
+function scenarioDir(site, scenario, fixturesDir = FIXTURES_ROOT) {
+  return path.join(fixturesDir, site, scenario);
+}
+
+/**
+ * Clave de coincidencia de una petición: método, URL sin parámetros volátiles y cuerpo
+ * @param {string} method
+ * @param {string} url
+ * @param {string|null} postData
+ * @returns {string}
+ */
+function requestKey(method, url, postData) {
+  let normalized = url;
+  try {
+    const parsed = new URL(url);
+    VOLATILE_PARAMS.forEach(param => parsed.searchParams.delete(param));
+    parsed.hash = '';
+    normalized = parsed.toString();
+  } catch (error) {
+    // URL relativa o inválida: se compara tal cual
+  }
+  return `${String(method || 'GET').toUpperCase()} ${normalized} ${postData || ''}`;
+}
+
+/**
+ * Extensión del archivo de cuerpo según content-type
+ */
+function bodyExtension(contentType) {
+  if (/html/i.test(contentType)) return 'html';
+  if (/json/i.test(contentType)) return 'json';
+  if (/javascript|ecmascript/i.test(contentType)) return 'js';
+  if (/xml/i.test(contentType)) return 'xml';
+  return 'txt';
+}
+
+/**
+ * Cabeceras a reproducir
+ */
+function replayHeaders(headers) {
+  return Object.fromEntries(Object.entries(headers || {})
+    .filter(([name]) => !DROPPED_HEADERS.includes(name.toLowerCase())));
+}
+
+/**
+ * Graba las peticiones de páginas Puppeteer y de axios
+ * @returns {{attach: function(Object): Promise<void>, axiosAdapter: function(Object): Function,
+ *           requests: Object[], write: function(string, Object): Promise<Object>}}
+ */
+function createRecorder() {
+  const requests = [];
+  const bodies = new Map();
+  const byRequest = new Map();
+
+  const track = entry => {
+    entry.seq = requests.length + 1;
+    requests.push(entry);
+    return entry;
+  };
+
+  /**
+   * Observa una página (preparePage del pool)
+   */
+  const attach = async page => {
+    page.on('request', request => {
+      byRequest.set(request, track({
+        method: request.method(),
+        url: request.url(),
+        post_data: request.postData() || null,
+        resource_type: request.resourceType(),
+        status: null,
+        headers: {},
+        body_file: null
+      }));
+    });
+
+    page.on('response', response => {
+      const entry = byRequest.get(response.request());
+      if (!entry) {
+        return;
+      }
+      entry.status = response.status();
+      entry.headers = response.headers();
+
+      // Las redirecciones no tienen cuerpo; el navegador pide el destino como otra petición
+      if (STORED_TYPES.includes(entry.resource_type) && (entry.status < 300 || entry.status >= 400)) {
+        bodies.set(entry, Promise.resolve()
+          .then(() => response.buffer())
+          .catch(() => null));
+      }
+    });
+
+    page.on('requestfailed', request => {
+      const entry = byRequest.get(request);
+      if (entry) {
+        const failure = request.failure();
+        entry.error = failure ? failure.errorText : 'failed';
+      }
+    });
+  };
+
+  /**
+   * Adapter de axios que delega en el original y guarda cada respuesta
+   * @param {Function} originalAdapter
+   * @returns {Function}
+   */
+  const axiosAdapter = originalAdapter => async config => {
+    const url = axios.getUri(config);
+    const entry = track({
+      method: String(config.method || 'get').toUpperCase(),
+      url,
+      post_data: typeof config.data === 'string' ? config.data : (config.data ? JSON.stringify(config.data) : null),
+      resource_type: 'axios',
+      status: null,
+      headers: {},
+      body_file: null
+    });
+
+    try {
+      const response = await originalAdapter({ ...config, responseType: 'arraybuffer' });
+      entry.status = response.status;
+      entry.headers = { ...response.headers };
+      bodies.set(entry, Promise.resolve(Buffer.from(response.data)));
+      return decodeAxiosResponse(response, config);
+    } catch (error) {
+      if (error.response) {
+        entry.status = error.response.status;
+        entry.headers = { ...error.response.headers };
+        bodies.set(entry, Promise.resolve(Buffer.from(error.response.data || '')));
+        error.response = decodeAxiosResponse(error.response, config);
+      } else {
+        entry.error = error.message;
+      }
+      throw error;
+    }
+  };
+
+  /**
+   * Escribe el manifiesto y los cuerpos en el directorio del escenario
+   * @param {string} dir
+   * @param {Object} meta site, category, search_term, config
+   * @returns {Promise<Object>} Manifiesto escrito
+   */
+  const write = async (dir, meta) => {
+    fs.rmSync(path.join(dir, 'responses'), { recursive: true, force: true });
+    fs.mkdirSync(path.join(dir, 'responses'), { recursive: true });
+
+    for (const entry of requests) {
+      const body = bodies.has(entry) ? await bodies.get(entry) : null;
+      if (body) {
+        const contentType = entry.headers['content-type'] || '';
+        entry.body_file = path.posix.join('responses',
+          `${String(entry.seq).padStart(3, '0')}-${entry.resource_type}.${bodyExtension(contentType)}`);
+        fs.writeFileSync(path.join(dir, entry.body_file), body);
+      }
+    }
+
+    const manifest = {
+      version: FIXTURE_VERSION,
+      ...meta,
+      recorded_at: new Date().toISOString(),
+      requests
+    };
+    fs.writeFileSync(path.join(dir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+    return manifest;
+  };
+
+  return { attach, axiosAdapter, requests, write };
+}
+
+/**
+ * Convierte el cuerpo binario grabado al tipo de respuesta que pidió el scraper
+ * (el JSON lo interpreta después transformResponse de axios)
+ */
+function decodeAxiosResponse(response, config) {
+  const buffer = Buffer.from(response.data || '');
+  return { ...response, data: config.responseType === 'arraybuffer' ? buffer : buffer.toString('utf8'), config };
+}
+
+/**
+ * Sirve las respuestas grabadas de un escenario
+ * @param {string} dir
+ * @returns {{attach: function(Object): Promise<void>, axiosAdapter: function(Object): Promise<Object>,
+ *           manifest: Object, misses: Object[], served: number}}
+ */
+function createReplayer(dir) {
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`No existe la grabación ${manifestPath}`);
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  if (manifest.version !== FIXTURE_VERSION) {
+    throw new Error(`Versión de fixture no soportada: ${manifest.version}. Vuelva a grabar`);
+  }
+
+  // Cola por clave: peticiones repetidas se sirven en el orden grabado y la última se reutiliza
+  const queues = new Map();
+  manifest.requests
+    .filter(entry => entry.status !== null && STORED_TYPES.includes(entry.resource_type))
+    .forEach(entry => {
+      const key = requestKey(entry.method, entry.url, entry.post_data);
+      if (!queues.has(key)) {
+        queues.set(key, []);
+      }
+      queues.get(key).push(entry);
+    });
+
+  const state = { manifest, misses: [], served: 0 };
+
+  const take = (method, url, postData) => {
+    const queue = queues.get(requestKey(method, url, postData));
+    if (!queue) {
+      return null;
+    }
+    state.served++;
+    return queue.length > 1 ? queue.shift() : queue[0];
+  };
+
+  const readBody = entry => (entry.body_file ? fs.readFileSync(path.join(dir, entry.body_file)) : Buffer.alloc(0));
+
+  /**
+   * Activa la interceptación en una página (preparePage del pool)
+   */
+  state.attach = async page => {
+    await page.setRequestInterception(true);
+    page.on('request', request => {
+      const entry = take(request.method(), request.url(), request.postData() || null);
+
+      if (entry) {
+        request.respond({
+          status: entry.status,
+          headers: replayHeaders(entry.headers),
+          contentType: entry.headers['content-type'],
+          body: readBody(entry)
+        });
+        return;
+      }
+
+      if (STORED_TYPES.includes(request.resourceType())) {
+        state.misses.push({ method: request.method(), url: request.url(), resource_type: request.resourceType() });
+        request.respond({ status: 404, contentType: 'text/plain', body: 'No grabado' });
+      } else {
+        request.abort();
+      }
+    });
+  };
+
+  /**
+   * Adapter de axios que responde desde la grabación
+   */
+  state.axiosAdapter = async config => {
+    const method = String(config.method || 'get').toUpperCase();
+    const url = axios.getUri(config);
+    const postData = typeof config.data === 'string' ? config.data : (config.data ? JSON.stringify(config.data) : null);
+    const entry = take(method, url, postData);
+
+    if (!entry) {
+      state.misses.push({ method, url, resource_type: 'axios' });
+      const error = new Error(`Petición no grabada: ${method} ${url}`);
+      error.code = 'ERR_NOT_RECORDED';
+      throw error;
+    }
+
+    const response = decodeAxiosResponse({
+      data: readBody(entry),
+      status: entry.status,
+      statusText: '',
+      headers: entry.headers,
+      request: {}
+    }, config);
+
+    const validate = config.validateStatus || (status => status >= 200 && status < 300);
+    if (!validate(entry.status)) {
+      const error = new Error(`Request failed with status code ${entry.status}`);
+      error.response = response;
+      error.config = config;
+      throw error;
+    }
+    return response;
+  };
+
+  return state;
+}
+
+/**
+ * Cuenta, por campo, cuántos registros lo traen con valor
+ */
+function fieldCoverage(rows) {
+  const coverage = {};
+  rows.forEach(row => {
+    Object.entries(row && typeof row === 'object' ? row : {}).forEach(([field, value]) => {
+      if (DERIVED_FIELDS.includes(field)) {
+        return;
+      }
+      const filled = value !== null && value !== undefined && value !== ''
+        && !(Array.isArray(value) && value.length === 0);
+      coverage[field] = (coverage[field] || 0) + (filled ? 1 : 0);
+    });
+  });
+  return coverage;
+}
+
+/**
+ * Compara el resultado esperado con el obtenido e indica qué extractores fallaron
+ * @param {Object[]} expected
+ * @param {Object[]} actual
+ * @returns {{ok: boolean, expected_rows: number, actual_rows: number, broken_fields: string[], degraded_fields: Object[]}}
+ */
+function compareOutputs(expected, actual) {
+  const before = fieldCoverage(expected);
+  const after = fieldCoverage(actual);
+  const brokenFields = [];
+  const degradedFields = [];
+
+  Object.entries(before).forEach(([field, count]) => {
+    if (count === 0) {
+      return;
+    }
+    if (!after[field]) {
+      brokenFields.push(field);
+    } else if (after[field] < count) {
+      degradedFields.push({ field, expected: count, actual: after[field] });
+    }
+  });
+
+  return {
+    ok: brokenFields.length === 0 && degradedFields.length === 0 && actual.length >= expected.length,
+    expected_rows: expected.length,
+    actual_rows: actual.length,
+    broken_fields: brokenFields,
+    degraded_fields: degradedFields
+  };
+}
+
+/**
+ * Quita los campos calculados por el runtime para comparar solo lo extraído
+ * @param {Object[]} rows
+ * @returns {Object[]}
+ */
+function stripDerived(rows) {
+  return rows.map(row => (row && typeof row === 'object'
+    ? Object.fromEntries(Object.entries(row).filter(([field]) => !DERIVED_FIELDS.includes(field)))
+    : row));
+}
+
+/**
+ * Ejecuta un scraper con un adapter de axios temporal como predeterminado
+ */
+async function withAxiosAdapter(adapter, run) {
+  const previous = axios.defaults.adapter;
+  axios.defaults.adapter = adapter;
+  try {
+    return await run();
+  } finally {
+    axios.defaults.adapter = previous;
+  }
+}
+
+/**
+ * Graba un escenario visitando el sitio real
+ * @param {Object} scraper
+ * @param {{site: string, searchTerm: string, scenario?: string, config?: Object, headless?: boolean,
+ *          timeoutMs?: number, accept?: boolean, fixturesDir?: string, launchBrowser?: Function}} options
+ * @returns {Promise<{envelope: Object, dir: string, manifest: Object, comparison: Object|null, expectedUpdated: boolean}>}
+ */
+async function recordScenario(scraper, options) {
+  const scenario = options.scenario || normalizeFileName(options.searchTerm);
+  const dir = scenarioDir(options.site, scenario, options.fixturesDir);
+  const recorder = createRecorder();
+  const originalAdapter = axios.getAdapter(axios.defaults.adapter);
+
+  const envelope = await withAxiosAdapter(recorder.axiosAdapter(originalAdapter), () => runScraper(scraper, {
+    searchTerm: options.searchTerm,
+    config: options.config || {},
+    headless: options.headless,
+    timeoutMs: options.timeoutMs
+  }, { launchBrowser: options.launchBrowser, preparePage: recorder.attach, cache: null, evidence: NO_EVIDENCE }));
+
+  if (!envelope.success) {
+    throw new Error(`La grabación falló (${envelope.status}): ${envelope.error}`);
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+  const manifest = await recorder.write(dir, {
+    site: options.site,
+    category: scraper.category,
+    scenario,
+    search_term: options.searchTerm,
+    config: options.config || {}
+  });
+
+  const expectedPath = path.join(dir, EXPECTED_FILE);
+  const data = stripDerived(envelope.data);
+  let comparison = null;
+  if (fs.existsSync(expectedPath)) {
+    comparison = compareOutputs(JSON.parse(fs.readFileSync(expectedPath, 'utf8')).data, data);
+  }
+
+  const expectedUpdated = !comparison || comparison.ok || Boolean(options.accept);
+  if (expectedUpdated) {
+    fs.writeFileSync(expectedPath, JSON.stringify({ results_count: data.length, data }, null, 2));
+  }
+
+  return { envelope, dir, manifest, comparison, expectedUpdated };
+}
+
+/**
+ * Reproduce un escenario grabado sin red
+ * @param {Object} scraper
+ * @param {string} dir Directorio del escenario
+ * @param {{launchBrowser?: Function, headless?: boolean, timeoutMs?: number}} options
+ * @returns {Promise<{envelope: Object, data: Object[], expected: Object[], comparison: Object, misses: Object[]}>}
+ */
+async function replayScenario(scraper, dir, options = {}) {
+  const replayer = createReplayer(dir);
+  const { manifest } = replayer;
+
+  const envelope = await withAxiosAdapter(replayer.axiosAdapter, () => runScraper(scraper, {
+    searchTerm: manifest.search_term,
+    config: manifest.config || {},
+    headless: options.headless,
+    timeoutMs: options.timeoutMs
+  }, { launchBrowser: options.launchBrowser, preparePage: replayer.attach, cache: null, evidence: NO_EVIDENCE }));
+
+  const expectedPath = path.join(dir, EXPECTED_FILE);
+  const expected = fs.existsSync(expectedPath) ? JSON.parse(fs.readFileSync(expectedPath, 'utf8')).data : [];
+  const data = stripDerived(envelope.data);
+
+  return { envelope, data, expected, comparison: compareOutputs(expected, data), misses: replayer.misses };
+}
+
+/**
+ * Lista los escenarios grabados
+ * @param {string} fixturesDir
+ * @returns {{site: string, category: string, scenario: string, dir: string}[]}
+ */
+function listRecordings(fixturesDir = FIXTURES_ROOT) {
+  if (!fs.existsSync(fixturesDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(fixturesDir, { withFileTypes: true })
+    .filter(siteEntry => siteEntry.isDirectory())
+    .flatMap(siteEntry => fs.readdirSync(path.join(fixturesDir, siteEntry.name), { withFileTypes: true })
+      .filter(entry => entry.isDirectory()
+        && fs.existsSync(path.join(fixturesDir, siteEntry.name, entry.name, MANIFEST_FILE)))
+      .map(entry => {
+        const dir = path.join(fixturesDir, siteEntry.name, entry.name);
+        const manifest = JSON.parse(fs.readFileSync(path.join(dir, MANIFEST_FILE), 'utf8'));
+        return { site: manifest.site, category: manifest.category, scenario: manifest.scenario || entry.name, dir };
+      }));
+}
+
+/**
+ * Imprime un resumen legible de la comparación
+ */
+function describeComparison(label, comparison) {
+  if (comparison.ok) {
+    return `✓ ${label}: ${comparison.actual_rows} registro(s) como se esperaba`;
+  }
+  const lines = [`✗ ${label}: ${comparison.actual_rows} de ${comparison.expected_rows} registro(s)`];
+  comparison.broken_fields.forEach(field => lines.push(`    extractor roto: ${field} (sin valores)`));
+  comparison.degraded_fields.forEach(({ field, expected, actual }) => {
+    lines.push(`    extractor degradado: ${field} (${actual} de ${expected})`);
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Línea de comandos: record | check
+ */
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const flags = parseFlags(rest);
+  const registry = loadRegistry();
+
+  if (command === 'record') {
+    if (typeof flags.site !== 'string' || typeof flags.searchTerm !== 'string') {
+      throw new Error('Uso: node shared/fixtures.js record --site=<sitio> --category=<categoría> --search-term=<término>');
+    }
+    const site = registry.resolve(flags.site, flags.category);
+    if (!site) {
+      throw new Error(`No hay scraper para ${flags.site}`);
+    }
+
+    const result = await recordScenario(site.scraper, {
+      site: site.id,
+      searchTerm: flags.searchTerm,
+      scenario: typeof flags.scenario === 'string' ? flags.scenario : undefined,
+      config: parseConfig(flags.config),
+      headless: flags.headless !== 'false' && flags.headless !== false,
+      accept: flags.accept === true
+    });
+
+    console.log(`Grabadas ${result.manifest.requests.length} peticiones en ${path.relative(SCRAPERS_ROOT, result.dir)}`);
+    if (result.comparison) {
+      console.log(describeComparison(`${site.id}/${path.basename(result.dir)}`, result.comparison));
+    }
+    if (!result.expectedUpdated) {
+      console.log('expected.json no se actualizó; corrija el extractor o use --accept');
+      return 1;
+    }
+    return 0;
+  }
+
+  if (command === 'check') {
+    let failures = 0;
+    for (const recording of listRecordings()) {
+      if ((flags.site && recording.site !== normalizeFileName(String(flags.site)))
+        || (flags.category && recording.category !== flags.category)) {
+        continue;
+      }
+      const site = registry.sites.get(`${recording.category}/${recording.site}`);
+      if (!site) {
+        console.log(`✗ ${recording.site}/${recording.scenario}: scraper no encontrado`);
+        failures++;
+        continue;
+      }
+
+      const { comparison, misses } = await replayScenario(site.scraper, recording.dir);
+      console.log(describeComparison(`${recording.site}/${recording.scenario}`, comparison));
+      misses.forEach(miss => console.log(`    petición no grabada: ${miss.method} ${miss.url}`));
+      if (!comparison.ok) {
+        failures++;
+      }
+    }
+    return failures > 0 ? 1 : 0;
+  }
+
+  throw new Error('Comandos: record | check');
+}
+
+module.exports = {
+  createRecorder,
+  createReplayer,
+  recordScenario,
+  replayScenario,
+  compareOutputs,
+  listRecordings,
+  requestKey,
+  scenarioDir,
+  FIXTURES_ROOT,
+  NO_EVIDENCE
+};
+
+if (require.main === module) {
+  main()
+    .then(code => process.exit(code))
+    .catch(error => {
+      console.error(error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,279 @@
+/**
+ * Chequeo de salud de los scrapers (canario)
+ * Para cada scraper registrado reproduce sus fixtures grabados y verifica que
+ * los extractores sigan llenando los campos del resultado esperado. Con
+ * --canary además consulta el sitio real con un término que debe devolver
+ * resultados (canaryTerm de la definición del scraper o --canary-term).
+ *
+ * El reporte (SCRAPER_HEALTH_FILE) guarda por sitio estado, latencia y último
+ * error; progress.php lo expone al tablero en action=system_status. Los
+ * sitios que no se revisaron en esta ejecución conservan su entrada anterior.
+ *
+ * Uso:
+ *   node shared/healthCheck.js [--site=...] [--category=...] [--canary] [--canary-term="..."] [--report=...]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { runScraper, parseFlags } = require('./runtime');
+const { loadConfig } = require('./config');
+const { loadRegistry, normalizeFileName } = require('./registry');
+const { replayScenario, listRecordings, FIXTURES_ROOT, NO_EVIDENCE } = require('./fixtures');
+
+const REPORT_VERSION = 1;
+// Orden de gravedad para combinar los chequeos de un sitio
+const SEVERITY = { healthy: 0, warning: 1, error: 2 };
+
+/**
+ * Reproduce un fixture y clasifica la comparación con el resultado esperado
+ * @param {Object} scraper
+ * @param {{scenario: string, dir: string}} recording
+ * @param {Object} options
+ * @returns {Promise<{type: string, scenario: string, status: string, latency_ms: number|null, error: string|null}>}
+ */
+async function checkFixture(scraper, recording, options) {
+  const check = { type: 'fixture', scenario: recording.scenario, status: 'healthy', latency_ms: null, error: null };
+
+  let replay;
+  try {
+    replay = await replayScenario(scraper, recording.dir, {
+      launchBrowser: options.launchBrowser,
+      timeoutMs: options.timeoutMs
+    });
+  } catch (error) {
+    return { ...check, status: 'error', error: error.message };
+  }
+
+  const { envelope, comparison, misses } = replay;
+  check.latency_ms = envelope.execution_time;
+  if (misses.length > 0) {
+    check.unrecorded_requests = misses.length;
+  }
+
+  if (!envelope.success) {
+    return { ...check, status: 'error', error: envelope.error || `La reproducción terminó en ${envelope.status}` };
+  }
+
+  if (comparison.broken_fields.length > 0 || (comparison.expected_rows > 0 && comparison.actual_rows === 0)) {
+    const fields = comparison.broken_fields.length > 0 ? comparison.broken_fields.join(', ') : 'todos';
+    return {
+      ...check,
+      status: 'error',
+      error: `Extractores sin valores (${fields}): ${comparison.actual_rows} de ${comparison.expected_rows} registro(s)`
+    };
+  }
+
+  if (!comparison.ok) {
+    const degraded = comparison.degraded_fields.map(({ field, expected, actual }) => `${field} ${actual} de ${expected}`);
+    return {
+      ...check,
+      status: 'warning',
+      error: `Extracción incompleta: ${comparison.actual_rows} de ${comparison.expected_rows} registro(s)`
+        + (degraded.length > 0 ? ` (${degraded.join(', ')})` : '')
+    };
+  }
+
+  return check;
+}
+
+/**
+ * Consulta el sitio real con el término canario; sin resultados se considera roto
+ * @param {Object} scraper
+ * @param {string} term
+ * @param {Object} options
+ * @returns {Promise<{type: string, term: string, status: string, latency_ms: number|null, error: string|null}>}
+ */
+async function checkCanary(scraper, term, options) {
+  const envelope = await runScraper(scraper, { searchTerm: term, timeoutMs: options.timeoutMs }, {
+    ...options.deps,
+    launchBrowser: options.launchBrowser,
+    cache: null,
+    evidence: NO_EVIDENCE
+  });
+
+  const check = {
+    type: 'canary',
+    term,
+    status: 'healthy',
+    latency_ms: envelope.execution_time,
+    results_count: envelope.results_count,
+    error: null
+  };
+
+  if (!envelope.success) {
+    return { ...check, status: 'error', error: envelope.error || `La consulta terminó en ${envelope.status}` };
+  }
+  if (envelope.results_count === 0) {
+    return { ...check, status: 'error', error: `El término canario "${term}" no devolvió resultados` };
+  }
+  return check;
+}
+
+/**
+ * Combina los chequeos de un sitio con su entrada del reporte anterior
+ * @param {{id: string, category: string, scraper: Object}} entry
+ * @param {Object[]} checks
+ * @param {Object|undefined} previous
+ * @param {string} checkedAt
+ * @returns {Object}
+ */
+function summarizeSite(entry, checks, previous, checkedAt) {
+  const status = checks.length === 0
+    ? 'unknown'
+    : checks.reduce((worst, check) => (SEVERITY[check.status] > SEVERITY[worst] ? check.status : worst), 'healthy');
+
+  // La latencia del sitio real pesa más que la de una reproducción local
+  const canary = checks.find(check => check.type === 'canary');
+  const latencies = checks.map(check => check.latency_ms).filter(value => typeof value === 'number');
+  const latency = canary && typeof canary.latency_ms === 'number'
+    ? canary.latency_ms
+    : (latencies.length > 0 ? Math.max(...latencies) : null);
+
+  const failing = checks.find(check => check.status !== 'healthy');
+  const failed = Boolean(failing);
+
+  return {
+    site: entry.id,
+    category: entry.category,
+    type: entry.scraper.type,
+    status,
+    latency_ms: latency,
+    checked_at: checkedAt,
+    last_ok_at: status === 'healthy' ? checkedAt : (previous ? previous.last_ok_at || null : null),
+    last_error: failed ? failing.error : (previous ? previous.last_error || null : null),
+    last_error_at: failed ? checkedAt : (previous ? previous.last_error_at || null : null),
+    checks
+  };
+}
+
+/**
+ * Totales por estado; un sitio con advertencias sigue funcionando
+ * @param {Object[]} sites
+ * @returns {{total: number, healthy: number, warning: number, error: number, unknown: number, working: number}}
+ */
+function summarize(sites) {
+  const summary = { total: sites.length, healthy: 0, warning: 0, error: 0, unknown: 0, working: 0 };
+  sites.forEach(site => {
+    summary[site.status]++;
+  });
+  summary.working = summary.healthy + summary.warning;
+  return summary;
+}
+
+/**
+ * Lee el reporte anterior; si no existe o está dañado se empieza de cero
+ * @param {string} file
+ * @returns {Object|null}
+ */
+function readReport(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Escribe el reporte de forma atómica: PHP puede estar leyéndolo
+ * @param {string} file
+ * @param {Object} report
+ */
+function writeReport(file, report) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpFile, `${JSON.stringify(report, null, 2)}\n`);
+  fs.renameSync(tmpFile, file);
+}
+
+/**
+ * Ejecuta el chequeo de los scrapers registrados
+ * @param {{registry?: Object, fixturesDir?: string, site?: string, category?: string, canary?: boolean,
+ *          canaryTerm?: string, timeoutMs?: number, launchBrowser?: Function, deps?: Object,
+ *          previous?: Object|null, now?: function(): number}} options
+ * @returns {Promise<Object>} Reporte con summary y sites
+ */
+async function runHealthCheck(options = {}) {
+  const registry = options.registry || loadRegistry();
+  const now = options.now || Date.now;
+  const startedAt = now();
+  const recordings = listRecordings(options.fixturesDir || FIXTURES_ROOT);
+  const previousSites = new Map(((options.previous && options.previous.sites) || [])
+    .map(site => [`${site.category}/${site.site}`, site]));
+  const wanted = options.site ? normalizeFileName(options.site) : null;
+
+  const sites = [];
+  for (const [key, entry] of registry.sites) {
+    if ((wanted && entry.id !== wanted) || (options.category && entry.category !== options.category)) {
+      // Fuera del filtro: se conserva lo que decía el reporte anterior
+      if (previousSites.has(key)) {
+        sites.push(previousSites.get(key));
+      }
+      continue;
+    }
+
+    const checks = [];
+    for (const recording of recordings) {
+      if (recording.site === entry.id && recording.category === entry.category) {
+        checks.push(await checkFixture(entry.scraper, recording, options));
+      }
+    }
+
+    const canaryTerm = options.canaryTerm || entry.scraper.canaryTerm;
+    if (options.canary && canaryTerm) {
+      checks.push(await checkCanary(entry.scraper, canaryTerm, options));
+    }
+
+    sites.push(summarizeSite(entry, checks, previousSites.get(key), new Date(now()).toISOString()));
+  }
+
+  return {
+    version: REPORT_VERSION,
+    generated_at: new Date(now()).toISOString(),
+    duration_ms: now() - startedAt,
+    summary: summarize(sites),
+    sites
+  };
+}
+
+/**
+ * Línea de comandos: revisa, imprime un resumen y escribe el reporte
+ */
+async function main() {
+  const flags = parseFlags(process.argv.slice(2));
+  const reportFile = typeof flags.report === 'string' ? path.resolve(flags.report) : loadConfig().health.reportFile;
+
+  const report = await runHealthCheck({
+    site: typeof flags.site === 'string' ? flags.site : undefined,
+    category: typeof flags.category === 'string' ? flags.category : undefined,
+    canary: flags.canary === true || typeof flags.canaryTerm === 'string',
+    canaryTerm: typeof flags.canaryTerm === 'string' ? flags.canaryTerm : undefined,
+    previous: readReport(reportFile)
+  });
+
+  const icons = { healthy: '✓', warning: '!', error: '✗', unknown: '?' };
+  report.sites.forEach(site => {
+    const latency = site.latency_ms !== null ? ` ${site.latency_ms}ms` : '';
+    console.log(`${icons[site.status]} ${site.category}/${site.site}: ${site.status}${latency}`);
+    site.checks.filter(check => check.error).forEach(check => {
+      console.log(`    ${check.type === 'canary' ? 'canario' : check.scenario}: ${check.error}`);
+    });
+  });
+
+  writeReport(reportFile, report);
+  const { summary } = report;
+  // Un sitio sin fixtures ni canario no está probado, no roto
+  console.log(`${summary.working} de ${summary.total} sitio(s) funcionando, ${summary.error} con error, `
+    + `${summary.unknown} sin probar; reporte en ${reportFile}`);
+  return summary.error > 0 ? 1 : 0;
+}
+
+module.exports = { runHealthCheck, checkFixture, checkCanary, summarize, readReport, writeReport };
+
+if (require.main === module) {
+  main()
+    .then(code => process.exit(code))
+    .catch(error => {
+      console.error(error.message);
+      process.exit(1);
+    });
+}
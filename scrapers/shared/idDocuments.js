@@ -0,0 +1,352 @@
+/**
+ * Validación de documentos de identidad de Colombia, México y Panamá
+ * Sin dependencias: se usa desde los scrapers (require) y desde el navegador
+ * (<script src="../scrapers/shared/idDocuments.js">, expone window.IdDocuments).
+ *
+ * validateId() revisa formato y dígito verificador de cédula de ciudadanía,
+ * NIT, CURP, RFC y cédula panameña, y devuelve el número normalizado y lo que
+ * el documento codifica (fecha de nacimiento, sexo, estado, provincia).
+ * detectIdType() y classifySearchTerm() deciden si un texto es un documento
+ * o un nombre.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.IdDocuments = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const TYPES = {
+    cedula_co: 'Cédula de ciudadanía (CO)',
+    nit: 'NIT (CO)',
+    curp: 'CURP (MX)',
+    rfc: 'RFC (MX)',
+    cedula_pa: 'Cédula (PA)'
+  };
+
+  // Pesos de la DIAN para el dígito de verificación, desde el último dígito del NIT
+  const NIT_WEIGHTS = [3, 7, 13, 17, 19, 23, 29, 37, 41, 43, 47, 53, 59, 67, 71];
+
+  // Valor de cada carácter en los dígitos verificadores de RENAPO y el SAT
+  const CURP_CHARS = '0123456789ABCDEFGHIJKLMNÑOPQRSTUVWXYZ';
+  const RFC_CHARS = '0123456789ABCDEFGHIJKLMN&OPQRSTUVWXYZ Ñ';
+
+  const CURP_PATTERN = /^([A-ZÑ][AEIOUX][A-ZÑ]{2})(\d{2})(\d{2})(\d{2})([HMX])([A-Z]{2})([B-DF-HJ-NP-TV-ZÑ]{3})([A-Z\d])(\d)$/;
+  const RFC_PATTERN = /^([A-ZÑ&]{3,4})(\d{2})(\d{2})(\d{2})([A-Z\d]{2})([A\d])$/;
+  const PANAMA_PATTERN = /^((?:[1-9]|1[0-3])(?:AV|PI)?|PE|E|N)-(\d{1,4})-(\d{1,6})$/;
+
+  // Entidades federativas del CURP; NE = nacido en el extranjero
+  const CURP_STATES = ['AS', 'BC', 'BS', 'CC', 'CL', 'CM', 'CS', 'CH', 'DF', 'DG', 'GT', 'GR', 'HG', 'JC', 'MC',
+    'MN', 'MS', 'NT', 'NL', 'OC', 'PL', 'QT', 'QR', 'SP', 'SL', 'SR', 'TC', 'TS', 'TL', 'VZ', 'YN', 'ZS', 'NE'];
+  const CURP_SEX = { H: 'male', M: 'female', X: 'non_binary' };
+
+  // RFC genéricos del SAT: público en general y extranjeros
+  const GENERIC_RFC = ['XAXX010101000', 'XEXX010101000'];
+
+  const PANAMA_PROVINCES = {
+    1: 'Bocas del Toro', 2: 'Coclé', 3: 'Colón', 4: 'Chiriquí', 5: 'Darién', 6: 'Herrera', 7: 'Los Santos',
+    8: 'Panamá', 9: 'Veraguas', 10: 'Guna Yala', 11: 'Emberá-Wounaan', 12: 'Ngäbe-Buglé', 13: 'Panamá Oeste'
+  };
+  const PANAMA_PREFIXES = { PE: 'Panameño nacido en el extranjero', E: 'Extranjero residente', N: 'Naturalizado' };
+
+  /**
+   * Mayúsculas, sin espacios ni signos salvo los que se indiquen
+   * @param {string} value
+   * @param {RegExp} keep Caracteres que se conservan
+   * @returns {string}
+   */
+  function clean(value, keep = /[^A-Z0-9Ñ&]/g) {
+    return String(value || '').trim().toUpperCase().replace(keep, '');
+  }
+
+  /**
+   * Fecha AAAA-MM-DD si existe en el calendario
+   * @returns {string|null}
+   */
+  function calendarDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+      return null;
+    }
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Siglo de un año de dos dígitos que no puede estar en el futuro (RFC)
+   */
+  function pastYear(twoDigits) {
+    const current = new Date().getUTCFullYear();
+    const year = 2000 + twoDigits;
+    return year > current ? year - 100 : year;
+  }
+
+  function result(type, valid, normalized, errors, details = {}) {
+    return { type, label: TYPES[type], valid, normalized, errors, details };
+  }
+
+  /**
+   * Dígito de verificación de un NIT
+   * @param {string} base Dígitos del NIT sin el dígito de verificación
+   * @returns {number}
+   */
+  function nitCheckDigit(base) {
+    const digits = String(base).replace(/\D/g, '');
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      sum += Number(digits[digits.length - 1 - i]) * NIT_WEIGHTS[i];
+    }
+    const remainder = sum % 11;
+    return remainder > 1 ? 11 - remainder : remainder;
+  }
+
+  /**
+   * Dígito verificador (posición 18) de un CURP
+   * @param {string} curp Al menos los primeros 17 caracteres
+   * @returns {number}
+   */
+  function curpCheckDigit(curp) {
+    let sum = 0;
+    for (let i = 0; i < 17; i++) {
+      sum += CURP_CHARS.indexOf(curp[i]) * (18 - i);
+    }
+    return (10 - (sum % 10)) % 10;
+  }
+
+  /**
+   * Dígito verificador de la homoclave de un RFC
+   * Las personas morales (12 caracteres) se completan con un espacio al inicio.
+   * @param {string} rfc RFC completo o sin el último carácter
+   * @returns {string}
+   */
+  function rfcCheckDigit(rfc) {
+    const body = rfc.length === 12 || rfc.length === 13 ? rfc.slice(0, -1) : rfc;
+    const padded = body.length === 11 ? ` ${body}` : body;
+    let sum = 0;
+    for (let i = 0; i < 12; i++) {
+      sum += RFC_CHARS.indexOf(padded[i]) * (13 - i);
+    }
+    const digit = 11 - (sum % 11);
+    if (digit === 11) return '0';
+    if (digit === 10) return 'A';
+    return String(digit);
+  }
+
+  /**
+   * Cédula de ciudadanía colombiana: solo formato (no tiene dígito verificador)
+   * Las antiguas tienen hasta 8 dígitos; las expedidas desde 2003, 10 y empiezan por 1.
+   */
+  function validateCedulaCo(value) {
+    const normalized = String(value || '').replace(/[\s.,-]/g, '');
+    const errors = [];
+    if (!/^\d+$/.test(normalized)) {
+      errors.push('La cédula solo lleva dígitos');
+    } else if (normalized.length < 5 || normalized.length > 10) {
+      errors.push('La cédula tiene entre 5 y 10 dígitos');
+    } else if (normalized[0] === '0') {
+      errors.push('La cédula no empieza por 0');
+    } else if (normalized.length === 10 && normalized[0] !== '1') {
+      errors.push('Una cédula de 10 dígitos empieza por 1');
+    } else if (normalized.length === 9) {
+      errors.push('No hay cédulas de 9 dígitos (¿es un NIT sin dígito de verificación?)');
+    }
+    return result('cedula_co', errors.length === 0, normalized, errors);
+  }
+
+  /**
+   * NIT con dígito de verificación ("900.123.456-7"); sin él, se calcula
+   */
+  function validateNit(value) {
+    const text = String(value || '').trim().replace(/[\s.,]/g, '');
+    const match = text.match(/^(\d+)(?:-(\d))?$/);
+    if (!match) {
+      return result('nit', false, text, ['El NIT solo lleva dígitos y un guion antes del dígito de verificación']);
+    }
+
+    const [, base, given] = match;
+    const checkDigit = nitCheckDigit(base);
+    const errors = [];
+    if (base.length < 5 || base.length > 15) {
+      errors.push('El NIT tiene entre 5 y 15 dígitos sin el de verificación');
+    } else if (given !== undefined && Number(given) !== checkDigit) {
+      errors.push(`Dígito de verificación incorrecto: es ${checkDigit}`);
+    }
+
+    return result('nit', errors.length === 0, `${base}-${checkDigit}`, errors, {
+      check_digit: checkDigit,
+      check_digit_provided: given !== undefined
+    });
+  }
+
+  /**
+   * CURP: estructura, fecha, entidad y dígito verificador
+   * details trae birth_date, sex (male, female, non_binary) y state (NE si nació en el extranjero).
+   */
+  function validateCurp(value) {
+    const normalized = clean(value);
+    const match = normalized.match(CURP_PATTERN);
+    if (!match) {
+      return result('curp', false, normalized, [normalized.length === 18
+        ? 'La CURP no tiene la estructura de RENAPO'
+        : 'La CURP tiene 18 caracteres']);
+    }
+
+    const [, , yy, mm, dd, sex, state, , differentiator, verifier] = match;
+    // El carácter 17 es dígito para nacidos antes de 2000 y letra desde 2000
+    const year = (/\d/.test(differentiator) ? 1900 : 2000) + Number(yy);
+    const birthDate = calendarDate(year, Number(mm), Number(dd));
+    const errors = [];
+
+    if (!birthDate) {
+      errors.push('La fecha de nacimiento de la CURP no existe');
+    }
+    if (!CURP_STATES.includes(state)) {
+      errors.push(`Entidad federativa desconocida: ${state}`);
+    }
+    if (Number(verifier) !== curpCheckDigit(normalized)) {
+      errors.push('Dígito verificador incorrecto');
+    }
+
+    return result('curp', errors.length === 0, normalized, errors, {
+      birth_date: birthDate,
+      sex: CURP_SEX[sex],
+      state
+    });
+  }
+
+  /**
+   * RFC de persona física (13) o moral (12): fecha y dígito verificador de la homoclave
+   * details trae person (fisica, moral), la fecha de nacimiento o de constitución y generic.
+   */
+  function validateRfc(value) {
+    const normalized = clean(value);
+    if (GENERIC_RFC.includes(normalized)) {
+      return result('rfc', true, normalized, [], { person: 'fisica', generic: true });
+    }
+
+    const match = normalized.match(RFC_PATTERN);
+    if (!match || (normalized.length !== 12 && normalized.length !== 13)) {
+      return result('rfc', false, normalized, [normalized.length === 12 || normalized.length === 13
+        ? 'El RFC no tiene la estructura del SAT'
+        : 'El RFC tiene 13 caracteres (persona física) o 12 (persona moral)']);
+    }
+
+    const [, , yy, mm, dd, , verifier] = match;
+    const person = normalized.length === 13 ? 'fisica' : 'moral';
+    const date = calendarDate(pastYear(Number(yy)), Number(mm), Number(dd));
+    const errors = [];
+
+    if (!date) {
+      errors.push('La fecha del RFC no existe');
+    }
+    if (verifier !== rfcCheckDigit(normalized)) {
+      errors.push('Dígito verificador de la homoclave incorrecto');
+    }
+
+    return result('rfc', errors.length === 0, normalized, errors, {
+      person,
+      [person === 'fisica' ? 'birth_date' : 'incorporation_date']: date,
+      generic: false
+    });
+  }
+
+  /**
+   * Cédula panameña: provincia o prefijo (PE, E, N, AV, PI), tomo y asiento
+   */
+  function validateCedulaPa(value) {
+    const normalized = String(value || '').trim().toUpperCase().replace(/\s*[-\s]\s*/g, '-');
+    const match = normalized.match(PANAMA_PATTERN);
+    if (!match) {
+      return result('cedula_pa', false, normalized, ['La cédula panameña tiene la forma provincia-tomo-asiento (8-123-456)']);
+    }
+
+    const [, prefix, volume, entry] = match;
+    const province = parseInt(prefix, 10);
+    return result('cedula_pa', true, `${prefix}-${Number(volume)}-${Number(entry)}`, [], {
+      province: PANAMA_PROVINCES[province] || null,
+      category: PANAMA_PREFIXES[prefix] || (/AV$/.test(prefix) ? 'Antes de la vigencia'
+        : /PI$/.test(prefix) ? 'Panameño indígena' : 'Panameño')
+    });
+  }
+
+  const VALIDATORS = {
+    cedula_co: validateCedulaCo,
+    nit: validateNit,
+    curp: validateCurp,
+    rfc: validateRfc,
+    cedula_pa: validateCedulaPa
+  };
+
+  /**
+   * Valida un documento de un tipo conocido
+   * @param {string} value
+   * @param {string} type cedula_co, nit, curp, rfc o cedula_pa
+   * @returns {{type: string, label: string, valid: boolean, normalized: string, errors: string[], details: Object}}
+   */
+  function validateId(value, type) {
+    const validator = VALIDATORS[type];
+    if (!validator) {
+      throw new Error(`Tipo de documento no soportado: ${type}`);
+    }
+    return validator(value);
+  }
+
+  /**
+   * Reconoce el tipo de documento por su forma y lo valida
+   * Un NIT se distingue de una cédula por el guion del dígito de verificación o por
+   * tener 9 dígitos (empresas, 8xx y 9xx); diez dígitos que empiezan por 8 o 9 y
+   * cuyo último dígito verifica los nueve anteriores también son un NIT.
+   * @param {string} value
+   * @returns {Object|null} Resultado de validateId o null si no parece un documento
+   */
+  function detectIdType(value) {
+    const text = String(value || '').trim().toUpperCase();
+    const compact = clean(text);
+
+    if (compact.length === 18 && /^[A-ZÑ]{4}\d{6}[HMX]/.test(compact)) {
+      return validateCurp(compact);
+    }
+    if ((compact.length === 12 || compact.length === 13) && /^[A-ZÑ&]{3,4}\d{6}/.test(compact)) {
+      return validateRfc(compact);
+    }
+    if (/^(?:\d{1,2}(?:AV|PI)?|PE|E|N)\s*-\s*\d{1,4}\s*-\s*\d{1,6}$/.test(text)) {
+      return validateCedulaPa(text);
+    }
+
+    const digitsOnly = text.replace(/[\s.,]/g, '');
+    if (/^\d+-\d$/.test(digitsOnly)) {
+      return validateNit(digitsOnly);
+    }
+    if (!/^\d+$/.test(digitsOnly)) {
+      return null;
+    }
+    if (/^[89]\d{8}$/.test(digitsOnly)) {
+      return validateNit(digitsOnly);
+    }
+    if (/^[89]\d{9}$/.test(digitsOnly) && nitCheckDigit(digitsOnly.slice(0, 9)) === Number(digitsOnly[9])) {
+      return validateNit(`${digitsOnly.slice(0, 9)}-${digitsOnly[9]}`);
+    }
+    return digitsOnly.length >= 5 ? validateCedulaCo(digitsOnly) : null;
+  }
+
+  /**
+   * Decide si un término de búsqueda es un nombre o una identificación
+   * @param {string} term
+   * @returns {{kind: string, id: Object|null}} kind es name o identification; id, el resultado de detectIdType
+   */
+  function classifySearchTerm(term) {
+    const id = /\d/.test(String(term || '')) ? detectIdType(term) : null;
+    return { kind: id ? 'identification' : 'name', id };
+  }
+
+  return {
+    validateId,
+    detectIdType,
+    classifySearchTerm,
+    nitCheckDigit,
+    curpCheckDigit,
+    rfcCheckDigit,
+    TYPES
+  };
+}));
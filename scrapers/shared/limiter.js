@@ -0,0 +1,52 @@
+/**
+ * Limitador de concurrencia para tareas asíncronas
+ * Se implementa aquí porque p-queue 7 es solo ESM y los scrapers usan CommonJS.
+ */
+
+/**
+ * Crea un limitador que ejecuta como máximo `concurrency` tareas a la vez
+ * @param {number} concurrency
+ * @returns {{run: function(Function): Promise, activeCount: number, pendingCount: number}}
+ */
+function createLimiter(concurrency) {
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`Concurrencia inválida: ${concurrency}`);
+  }
+
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) {
+      return;
+    }
+
+    const { task, resolve, reject } = queue.shift();
+    active++;
+
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return {
+    run(task) {
+      return new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+      });
+    },
+    get activeCount() {
+      return active;
+    },
+    get pendingCount() {
+      return queue.length;
+    }
+  };
+}
+
+module.exports = { createLimiter };
@@ -0,0 +1,111 @@
+/**
+ * Índice en memoria de nombres e identificaciones, para listas que caben en memoria;
+ * las que se consultan sin red (OFAC, OpenSanctions, ICIJ) usan diskIndex.js.
+ * Cada entrada aporta uno o más nombres (principal y alias) e identificaciones,
+ * y search() devuelve las entradas candidatas con su puntaje (0-100).
+ * El puntaje por defecto es compareNames() de nameMatcher.js.
+ */
+
+const { normalizeName: foldName, tokenize, phoneticKey, compareNames } = require('./nameMatcher');
+
+/**
+ * Normaliza un número de identificación (solo letras y dígitos)
+ * @param {string} value
+ * @returns {string}
+ */
+function foldIdentifier(value) {
+  return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Construye un índice sobre una lista de entradas
+ * @param {Object[]} entries
+ * @param {{names: function(Object): {name: string, alias: boolean}[], identifiers?: function(Object): string[],
+ *          score?: function(string, string): number}} accessors score permite reemplazar el algoritmo de similitud
+ * @returns {{search: function(string, Object=): Object[], size: number}}
+ */
+function createNameIndex(entries, accessors) {
+  const tokenMap = new Map();
+  const idMap = new Map();
+  const names = [];
+  const score = accessors.score || ((query, name) => compareNames(query, name).score);
+
+  entries.forEach((entry, entryIndex) => {
+    accessors.names(entry).forEach(({ name, alias }) => {
+      const folded = foldName(name);
+      if (!folded) {
+        return;
+      }
+
+      // Candidatos por clave fonética: GONSALEZ encuentra GONZALEZ
+      const nameIndex = names.push({ entryIndex, name, folded, alias: Boolean(alias) }) - 1;
+      new Set(tokenize(folded).map(phoneticKey)).forEach(key => {
+        if (!tokenMap.has(key)) {
+          tokenMap.set(key, []);
+        }
+        tokenMap.get(key).push(nameIndex);
+      });
+    });
+
+    (accessors.identifiers ? accessors.identifiers(entry) : []).forEach(identifier => {
+      const folded = foldIdentifier(identifier);
+      if (folded.length >= 4) {
+        if (!idMap.has(folded)) {
+          idMap.set(folded, []);
+        }
+        idMap.get(folded).push(entryIndex);
+      }
+    });
+  });
+
+  /**
+   * Busca por nombre o identificación
+   * @param {string} term
+   * @param {{minScore?: number, limit?: number}} options
+   * @returns {{entry: Object, matchedName: string|null, alias: boolean, score: number, matchedField: string}[]}
+   */
+  const search = (term, options = {}) => {
+    const minScore = options.minScore !== undefined ? options.minScore : 80;
+    const limit = options.limit || 20;
+    const best = new Map();
+
+    const keep = (entryIndex, hit) => {
+      const current = best.get(entryIndex);
+      if (!current || hit.score > current.score) {
+        best.set(entryIndex, hit);
+      }
+    };
+
+    (idMap.get(foldIdentifier(term)) || []).forEach(entryIndex => {
+      keep(entryIndex, { matchedName: null, alias: false, score: 100, matchedField: 'identification' });
+    });
+
+    const query = foldName(term);
+    const candidates = new Set();
+    tokenize(query).forEach(token => {
+      (tokenMap.get(phoneticKey(token)) || []).forEach(nameIndex => candidates.add(nameIndex));
+    });
+
+    candidates.forEach(nameIndex => {
+      const candidate = names[nameIndex];
+      const value = score(query, candidate.folded);
+      if (value >= minScore) {
+        keep(candidate.entryIndex, {
+          matchedName: candidate.name,
+          alias: candidate.alias,
+          score: value,
+          matchedField: candidate.alias ? 'alias' : 'name'
+        });
+      }
+    });
+
+    return Array.from(best.entries())
+      .map(([entryIndex, hit]) => ({ entry: entries[entryIndex], ...hit }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  };
+
+  return { search, size: entries.length };
+}
+
+module.exports = { createNameIndex, foldName, foldIdentifier };
@@ -0,0 +1,300 @@
+/**
+ * Comparación de nombres en español
+ * Sin dependencias: se usa desde los scrapers (require) y desde el navegador
+ * (<script src="../scrapers/shared/nameMatcher.js">, expone window.NameMatcher).
+ *
+ * compareNames() alinea los tokens de ambos nombres sin importar el orden
+ * (apellidos compuestos invertidos, iniciales, partículas) y combina
+ * Levenshtein, Jaro-Winkler y una clave fonética en un puntaje 0-100
+ * comparable con min_similarity de la búsqueda.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.NameMatcher = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // Partículas que no aportan a la identidad del nombre
+  const PARTICLES = ['DE', 'DEL', 'LA', 'LAS', 'LOS', 'Y', 'E'];
+
+  // Puntaje de un token según cómo coincidió
+  const PHONETIC_TOKEN_SCORE = 0.95;
+  const INITIAL_TOKEN_SCORE = 0.9;
+  const FUZZY_TOKEN_MIN = 0.85;
+
+  const round = value => Math.round(value * 100) / 100;
+
+  /**
+   * Mayúsculas, sin acentos ni ñ, sin signos y con espacios simples
+   * @param {string} value
+   * @returns {string}
+   */
+  function normalizeName(value) {
+    return String(value || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toUpperCase()
+      .replace(/[^A-Z0-9]+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Tokens del nombre sin partículas (de, del, la, y...)
+   * Si el nombre solo tiene partículas se conservan.
+   * @param {string} value
+   * @returns {string[]}
+   */
+  function tokenize(value) {
+    const tokens = normalizeName(value).split(' ').filter(Boolean);
+    const meaningful = tokens.filter(token => !PARTICLES.includes(token));
+    return meaningful.length > 0 ? meaningful : tokens;
+  }
+
+  /**
+   * Distancia de edición de Levenshtein
+   * @param {string} a
+   * @param {string} b
+   * @returns {number}
+   */
+  function levenshtein(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  /**
+   * Similitud de Levenshtein normalizada (0-100)
+   * @param {string} a
+   * @param {string} b
+   * @returns {number}
+   */
+  function levenshteinSimilarity(a, b) {
+    const longest = Math.max(a.length, b.length);
+    return longest === 0 ? 100 : round((1 - levenshtein(a, b) / longest) * 100);
+  }
+
+  /**
+   * Similitud de Jaro-Winkler (0-1)
+   * @param {string} a
+   * @param {string} b
+   * @returns {number}
+   */
+  function jaroWinkler(a, b) {
+    if (a === b) return 1;
+    if (!a.length || !b.length) return 0;
+
+    const window = Math.max(Math.floor(Math.max(a.length, b.length) / 2) - 1, 0);
+    const aMatches = new Array(a.length).fill(false);
+    const bMatches = new Array(b.length).fill(false);
+    let matches = 0;
+
+    for (let i = 0; i < a.length; i++) {
+      const end = Math.min(i + window + 1, b.length);
+      for (let j = Math.max(0, i - window); j < end; j++) {
+        if (!bMatches[j] && a[i] === b[j]) {
+          aMatches[i] = bMatches[j] = true;
+          matches++;
+          break;
+        }
+      }
+    }
+    if (matches === 0) return 0;
+
+    let transpositions = 0;
+    let k = 0;
+    for (let i = 0; i < a.length; i++) {
+      if (!aMatches[i]) continue;
+      while (!bMatches[k]) k++;
+      if (a[i] !== b[k]) transpositions++;
+      k++;
+    }
+
+    const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+    let prefix = 0;
+    while (prefix < 4 && a[prefix] === b[prefix]) prefix++;
+    return jaro + prefix * 0.1 * (1 - jaro);
+  }
+
+  /**
+   * Clave fonética en español para un token normalizado
+   * Unifica B/V, S/Z/C(e,i), K/C/QU, J/G(e,i), Y/LL, H muda y letras dobles.
+   * @param {string} token
+   * @returns {string}
+   */
+  function phoneticKey(token) {
+    return normalizeName(token).replace(/ /g, '')
+      .replace(/PH/g, 'F')
+      .replace(/CH/g, '#')
+      .replace(/LL/g, 'Y')
+      .replace(/QU(?=[EI])/g, 'K')
+      .replace(/C(?=[EI])/g, 'S')
+      .replace(/[CQ]/g, 'K')
+      .replace(/G(?=[EI])/g, 'J')
+      .replace(/GU(?=[EI])/g, 'G')
+      .replace(/Z/g, 'S')
+      .replace(/X/g, 'KS')
+      .replace(/V/g, 'B')
+      .replace(/W/g, 'U')
+      .replace(/H/g, '')
+      .replace(/Y(?![AEIOU])/g, 'I')
+      .replace(/(.)\1+/g, '$1')
+      .replace(/#/g, 'CH');
+  }
+
+  /**
+   * Compara dos tokens: exacto, fonético, inicial o aproximado
+   * @returns {{score: number, type: string}}
+   */
+  function compareTokens(a, b) {
+    if (a === b) {
+      return { score: 1, type: 'exact' };
+    }
+    if (a.length === 1 || b.length === 1) {
+      return a[0] === b[0] ? { score: INITIAL_TOKEN_SCORE, type: 'initial' } : { score: 0, type: 'none' };
+    }
+    if (phoneticKey(a) === phoneticKey(b)) {
+      return { score: PHONETIC_TOKEN_SCORE, type: 'phonetic' };
+    }
+    const similarity = Math.min(a.length, b.length) > 3 ? jaroWinkler(a, b) : 0;
+    return similarity >= FUZZY_TOKEN_MIN ? { score: similarity, type: 'fuzzy' } : { score: 0, type: 'none' };
+  }
+
+  /**
+   * Empareja cada token con su mejor par del otro nombre (cualquier orden)
+   * @returns {{query: string, candidate: string, queryIndex: number, candidateIndex: number, score: number, type: string}[]}
+   */
+  function alignTokens(queryTokens, candidateTokens) {
+    const pairs = [];
+    queryTokens.forEach((query, queryIndex) => {
+      candidateTokens.forEach((candidate, candidateIndex) => {
+        const result = compareTokens(query, candidate);
+        if (result.score > 0) {
+          pairs.push({ query, candidate, queryIndex, candidateIndex, ...result });
+        }
+      });
+    });
+
+    const usedQuery = new Set();
+    const usedCandidate = new Set();
+    return pairs
+      .sort((a, b) => b.score - a.score)
+      .filter(pair => {
+        if (usedQuery.has(pair.queryIndex) || usedCandidate.has(pair.candidateIndex)) {
+          return false;
+        }
+        usedQuery.add(pair.queryIndex);
+        usedCandidate.add(pair.candidateIndex);
+        return true;
+      })
+      .sort((a, b) => a.queryIndex - b.queryIndex);
+  }
+
+  const TYPE_LABELS = {
+    exact: 'exacto',
+    phonetic: 'fonético',
+    initial: 'inicial',
+    fuzzy: 'aproximado'
+  };
+
+  /**
+   * Compara dos nombres completos
+   * @param {string} query Nombre buscado
+   * @param {string} candidate Nombre encontrado
+   * @returns {{score: number, components: Object, matches: Object[], explanation: string[]}}
+   */
+  function compareNames(query, candidate) {
+    const queryTokens = tokenize(query);
+    const candidateTokens = tokenize(candidate);
+    const queryText = queryTokens.join(' ');
+    const candidateText = candidateTokens.join(' ');
+
+    if (!queryText || !candidateText) {
+      return {
+        score: 0,
+        components: { tokens: 0, levenshtein: 0, jaro_winkler: 0, phonetic: 0 },
+        matches: [],
+        explanation: ['nombre vacío']
+      };
+    }
+
+    const matches = alignTokens(queryTokens, candidateTokens);
+    const total = queryTokens.length + candidateTokens.length;
+    const tokens = round((2 * matches.reduce((sum, pair) => sum + pair.score, 0) / total) * 100);
+
+    const queryKeys = queryTokens.map(phoneticKey);
+    const candidateKeys = candidateTokens.map(phoneticKey);
+    const phoneticOverlap = queryKeys.filter(key => {
+      const index = candidateKeys.indexOf(key);
+      if (index === -1) return false;
+      candidateKeys.splice(index, 1);
+      return true;
+    }).length;
+
+    const components = {
+      tokens,
+      levenshtein: levenshteinSimilarity(queryText, candidateText),
+      jaro_winkler: round(jaroWinkler(queryText, candidateText) * 100),
+      phonetic: round((2 * phoneticOverlap / total) * 100)
+    };
+
+    // La alineación de tokens tolera orden y apellidos faltantes; la comparación
+    // de cadenas completas cubre errores que cruzan tokens (MARIAJOSE). Se toma
+    // la menor de las dos métricas porque Jaro-Winkler premia prefijos comunes.
+    const wholeString = Math.min(components.levenshtein, components.jaro_winkler);
+    const score = Math.max(tokens, wholeString);
+
+    const explanation = matches.map(pair => (pair.type === 'exact'
+      ? `${pair.query} = ${pair.candidate}`
+      : `${pair.query} ~ ${pair.candidate} (${TYPE_LABELS[pair.type]})`));
+
+    queryTokens
+      .filter((_, index) => !matches.some(pair => pair.queryIndex === index))
+      .forEach(token => explanation.push(`${token} sin correspondencia`));
+    candidateTokens
+      .filter((_, index) => !matches.some(pair => pair.candidateIndex === index))
+      .forEach(token => explanation.push(`${token} no buscado`));
+
+    const reordered = matches.some((pair, index) => index > 0 && pair.candidateIndex < matches[index - 1].candidateIndex);
+    if (reordered) {
+      explanation.push('orden de nombres distinto');
+    }
+    if (wholeString > tokens) {
+      explanation.push('puntaje por similitud del texto completo');
+    }
+
+    return {
+      score,
+      components,
+      matches: matches.map(({ query: q, candidate: c, type, score: value }) => ({
+        query: q, candidate: c, type, score: round(value * 100)
+      })),
+      explanation
+    };
+  }
+
+  return {
+    normalizeName,
+    tokenize,
+    levenshtein,
+    levenshteinSimilarity,
+    jaroWinkler,
+    phoneticKey,
+    compareTokens,
+    compareNames,
+    PARTICLES
+  };
+}));
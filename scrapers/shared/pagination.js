@@ -0,0 +1,214 @@
+/**
+ * Recorrido de resultados paginados con tope por sitio
+ * Un apellido común puede dar decenas de páginas en un portal judicial. paginate()
+ * pide página por página hasta que no haya más, se alcance el tope de páginas o
+ * de registros, descarta filas repetidas entre páginas y devuelve la información
+ * de paginación que el runtime publica en el sobre (truncated, reported_total).
+ *
+ * Estrategias: botón "siguiente" (clickNext), número de página en la URL
+ * (pageUrl) y scroll infinito (scrollForMore); cada scraper arma loadPage con
+ * la que use su sitio.
+ */
+
+const { loadConfig } = require('./config');
+
+// Espera máxima a que "siguiente" cambie la página, sea navegando o reemplazando la tabla
+const NEXT_PAGE_TIMEOUT_MS = 10000;
+
+// Frases con el total que informa el sitio, en orden de preferencia
+const TOTAL_PATTERNS = [
+  // "Mostrando 1 - 10 de 245 registros"; en "Página 1 de 25 (245 resultados)" aplica la siguiente
+  /\b(?:de|of)\s+(\d{1,3}(?:[.,\s]\d{3})+|\d+)\s*(?:resultados|registros|coincidencias|elementos|procesos|expedientes|entries|results)\b/i,
+  // "Se encontraron 1.234 resultados"
+  /(\d{1,3}(?:[.,]\d{3})+|\d+)\s+(?:resultados|registros|coincidencias|procesos|expedientes|results)\b/i,
+  // "Total: 57", "Total de registros: 57"
+  /\btotal(?:\s+de\s+[a-záéíóú]+)?\s*[:=]?\s*(\d{1,3}(?:[.,]\d{3})+|\d+)/i
+];
+
+/**
+ * Total de resultados que informa el sitio en un texto
+ * @param {string|number|null} value
+ * @returns {number|null}
+ */
+function parseReportedTotal(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  const text = String(value || '').replace(/\s+/g, ' ');
+  for (const pattern of TOTAL_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      return parseInt(match[1].replace(/[.,\s]/g, ''), 10);
+    }
+  }
+  return null;
+}
+
+/**
+ * Topes de la ejecución: config_data (max_pages, max_results o pagination.*) sobre .env
+ * @param {Object} config config_data del sitio
+ * @returns {{maxPages: number, maxResults: number}}
+ */
+function resolveLimits(config = {}) {
+  const defaults = loadConfig().pagination;
+  const nested = config.pagination && typeof config.pagination === 'object' ? config.pagination : {};
+  const pick = (value, fallback) => {
+    const number = parseInt(value, 10);
+    return Number.isFinite(number) && number > 0 ? number : fallback;
+  };
+
+  return {
+    maxPages: pick(nested.max_pages ?? config.max_pages, defaults.maxPages),
+    maxResults: pick(nested.max_results ?? config.max_results, defaults.maxResults)
+  };
+}
+
+/**
+ * Recorre las páginas de resultados
+ * loadPage(n) devuelve {rows, more, total}: more indica si hay otra página y total, el número o
+ * texto con el total del sitio. Una página sin filas nuevas termina el recorrido.
+ * @param {function(number): Promise<{rows: Object[], more?: boolean, total?: number|string|null}>} loadPage
+ * @param {{maxPages?: number, maxResults?: number, key?: function(Object): string,
+ *          onPage?: function({page: number, pages: number|null, rows: Object[], reported_total: number|null}): void}} options
+ *   key identifica una fila para descartar repetidas (por defecto, la fila completa); onPage recibe el avance
+ *   tras cada página (normalmente context.progress('page', ...) del runtime)
+ * @returns {Promise<{data: Object[], pagination: {pages: number, truncated: boolean, reported_total: number|null}}>}
+ */
+async function paginate(loadPage, options = {}) {
+  const maxPages = options.maxPages || Infinity;
+  const maxResults = options.maxResults || Infinity;
+  const key = options.key || (row => JSON.stringify(row));
+  const rows = [];
+  const seen = new Set();
+  let reportedTotal = null;
+  let truncated = false;
+  let pages = 0;
+
+  for (let pageNumber = 1; pageNumber <= maxPages; pageNumber++) {
+    const page = await loadPage(pageNumber);
+    if (!page) {
+      break;
+    }
+    pages = pageNumber;
+
+    if (reportedTotal === null && page.total !== undefined && page.total !== null) {
+      reportedTotal = parseReportedTotal(page.total);
+    }
+
+    let added = 0;
+    for (const row of page.rows || []) {
+      const rowKey = key(row);
+      if (seen.has(rowKey)) {
+        continue;
+      }
+      if (rows.length >= maxResults) {
+        truncated = true;
+        break;
+      }
+      seen.add(rowKey);
+      rows.push(row);
+      added++;
+    }
+
+    if (options.onPage) {
+      options.onPage({
+        page: pageNumber,
+        pages: Number.isFinite(maxPages) ? maxPages : null,
+        rows,
+        reported_total: reportedTotal
+      });
+    }
+
+    if (truncated || added === 0 || !page.more) {
+      break;
+    }
+    if (pageNumber === maxPages || rows.length >= maxResults) {
+      truncated = true;
+      break;
+    }
+  }
+
+  return { data: rows, pagination: { pages, truncated, reported_total: reportedTotal } };
+}
+
+/**
+ * URL de la página n a partir de una plantilla con {PAGE}
+ * @param {string} template
+ * @param {number} pageNumber
+ * @returns {string}
+ */
+function pageUrl(template, pageNumber) {
+  return String(template).split('{PAGE}').join(String(pageNumber));
+}
+
+/**
+ * Primera fila y cantidad de filas de la página, para notar que cambiaron (se ejecuta en el navegador)
+ */
+function rowsSnapshot(rowSelector) {
+  const rows = document.querySelectorAll(rowSelector);
+  return { count: rows.length, first: rows.length > 0 ? rows[0].textContent : null };
+}
+
+/**
+ * Pulsa el botón "siguiente" en Puppeteer y espera la página nueva
+ * Los paginadores AJAX (UpdatePanel de ASP.NET, DataTables) reemplazan la tabla sin navegar, así que
+ * la navegación compite con el cambio de la primera fila o de la cantidad de filas.
+ * @param {{page: Object, schedule: Function}} context Contexto de search()
+ * @param {string} selector
+ * @param {{rows?: string, timeoutMs?: number}} options rows: selector de cada resultado (por defecto, el body)
+ * @returns {Promise<boolean>} false si el botón no existe, está deshabilitado o la página no cambió
+ */
+async function clickNext({ page, schedule }, selector, options = {}) {
+  const button = await page.$(selector);
+  if (!button) {
+    return false;
+  }
+  const disabled = await page.$eval(selector, element => element.disabled
+    || element.getAttribute('aria-disabled') === 'true'
+    || /\bdisabled\b/.test(element.className || ''));
+  if (disabled) {
+    return false;
+  }
+
+  const rowSelector = options.rows || 'body';
+  const timeout = options.timeoutMs || NEXT_PAGE_TIMEOUT_MS;
+  const before = await page.evaluate(rowsSnapshot, rowSelector);
+
+  return schedule(page.url(), async () => {
+    const changed = Promise.any([
+      page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout }),
+      page.waitForFunction((itemSelector, previous) => {
+        const rows = document.querySelectorAll(itemSelector);
+        return rows.length !== previous.count || (rows.length > 0 ? rows[0].textContent : null) !== previous.first;
+      }, { timeout }, rowSelector, before)
+    ]).then(() => true, () => false);
+    await page.click(selector);
+    return changed;
+  });
+}
+
+/**
+ * Baja al final de la página y espera a que se carguen más elementos (scroll infinito)
+ * @param {Object} page Página de Puppeteer
+ * @param {string} itemSelector Selector de cada resultado
+ * @param {{timeoutMs?: number}} options
+ * @returns {Promise<boolean>} true si aparecieron elementos nuevos
+ */
+async function scrollForMore(page, itemSelector, options = {}) {
+  const before = await page.$$eval(itemSelector, items => items.length);
+  await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+  try {
+    await page.waitForFunction(
+      (selector, count) => document.querySelectorAll(selector).length > count,
+      { timeout: options.timeoutMs || 5000 },
+      itemSelector,
+      before
+    );
+    return true;
+  } catch (error) {
+    // No llegaron más elementos: fin de la lista
+    return false;
+  }
+}
+
+module.exports = { paginate, parseReportedTotal, resolveLimits, pageUrl, clickNext, scrollForMore };
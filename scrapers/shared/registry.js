@@ -0,0 +1,89 @@
+/**
+ * Registro de scrapers de sitio
+ * Descubre los módulos en scrapers/{category}/{site}.js con la misma convención
+ * de nombres que ScraperManager::getScraperFile.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CATEGORIES = ['government', 'financial', 'judicial', 'database', 'media'];
+const SCRAPERS_ROOT = path.resolve(__dirname, '..');
+
+/**
+ * Normaliza un nombre de sitio igual que ScraperManager::normalizeFileName
+ * @param {string|null|undefined} name
+ * @returns {string}
+ */
+function normalizeFileName(name) {
+  if (name === null || name === undefined) {
+    return '';
+  }
+
+  return String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Carga los scrapers registrados bajo rootDir
+ * @param {string} rootDir Directorio que contiene las carpetas de categoría
+ * @returns {{sites: Map<string, Object>, resolve: function(string, string=): Object|null, list: function(): Object[]}}
+ */
+function loadRegistry(rootDir = SCRAPERS_ROOT) {
+  const sites = new Map();
+
+  CATEGORIES.forEach(category => {
+    const categoryDir = path.join(rootDir, category);
+    if (!fs.existsSync(categoryDir)) {
+      return;
+    }
+
+    fs.readdirSync(categoryDir)
+      .filter(file => file.endsWith('.js'))
+      .sort()
+      .forEach(file => {
+        const filePath = path.join(categoryDir, file);
+        const scraper = require(filePath);
+
+        if (!scraper || typeof scraper.search !== 'function') {
+          return;
+        }
+
+        const id = path.basename(file, '.js');
+        sites.set(`${category}/${id}`, { id, category, filePath, scraper });
+      });
+  });
+
+  /**
+   * Busca un sitio por "category/id", por id o por site_name de la base de datos
+   */
+  const resolve = (siteName, category) => {
+    const id = normalizeFileName(String(siteName).split('/').pop());
+    const wantedCategory = category || (String(siteName).includes('/') ? String(siteName).split('/')[0] : null);
+
+    if (wantedCategory) {
+      return sites.get(`${wantedCategory}/${id}`) || null;
+    }
+
+    for (const entry of sites.values()) {
+      if (entry.id === id) {
+        return entry;
+      }
+    }
+    return null;
+  };
+
+  const list = () => Array.from(sites.values()).map(({ id, category, filePath, scraper }) => ({
+    id,
+    category,
+    type: scraper.type,
+    file: path.relative(rootDir, filePath)
+  }));
+
+  return { sites, resolve, list };
+}
+
+module.exports = { loadRegistry, normalizeFileName, CATEGORIES, SCRAPERS_ROOT };
@@ -0,0 +1,166 @@
+/**
+ * Esquema común de los registros de sitios externos
+ * Cada elemento de data lleva los campos de schemas/external-hit.v1.json
+ * (entity_type, full_name, aliases, identifiers, birth_date, country,
+ * source_url, source_record_id, snippet, matched_fields) además de los propios
+ * del sitio. toHit() los completa a partir de los nombres habituales de los
+ * scrapers o de la función hit(row) del scraper, y partitionHits() revisa el
+ * resultado antes de escribir el sobre: los registros que no cumplen el
+ * esquema se descartan con sus errores en lugar de llegar rotos al frontend,
+ * y el sobre solo termina como failed si no queda ninguno válido.
+ */
+
+const { validate } = require('./schema');
+const HIT_SCHEMA = require('./schemas/external-hit.v1.json');
+
+const HIT_SCHEMA_VERSION = 1;
+// Errores que se informan como máximo en el sobre
+const MAX_REPORTED_ERRORS = 20;
+
+const MONTHS = {
+  JAN: 1, ENE: 1, FEB: 2, MAR: 3, APR: 4, ABR: 4, MAY: 5, JUN: 6,
+  JUL: 7, AUG: 8, AGO: 8, SEP: 9, SET: 9, OCT: 10, NOV: 11, DEC: 12, DIC: 12
+};
+
+/**
+ * Fecha de nacimiento en la forma del esquema (AAAA, AAAA-MM o AAAA-MM-DD)
+ * Acepta ISO, DD/MM/AAAA y "12 Jan 1960" (OFAC); cualquier otra forma da null.
+ * @param {string|null|undefined} value
+ * @returns {string|null}
+ */
+function partialDate(value) {
+  const text = String(value || '').trim().toUpperCase();
+  const pad = number => String(number).padStart(2, '0');
+  let match = text.match(/^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?(?:$|[T\s])/);
+  if (match) {
+    return [match[1], match[2], match[3]].filter(Boolean).join('-');
+  }
+  match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (match) {
+    return `${match[3]}-${pad(match[2])}-${pad(match[1])}`;
+  }
+  match = text.match(/^(?:(\d{1,2})\s+)?([A-Z]{3})[A-Z]*\.?\s+(\d{4})$/);
+  if (match && MONTHS[match[2]]) {
+    return [match[3], pad(MONTHS[match[2]]), match[1] && pad(match[1])].filter(Boolean).join('-');
+  }
+  return null;
+}
+
+/**
+ * Primer valor de texto entre varias claves del registro
+ */
+function firstString(row, keys) {
+  const key = keys.find(candidate => typeof row[candidate] === 'string' && row[candidate].trim());
+  return key ? row[key].trim() : null;
+}
+
+/**
+ * Enlace absoluto http(s); los javascript:__doPostBack(...) de los GridView de ASP.NET y las rutas relativas dan null
+ * @param {*} value
+ * @returns {string|null}
+ */
+function httpUrl(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  try {
+    const url = new URL(value.trim());
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Campos comunes deducidos de los nombres habituales; los que el registro ya trae se respetan,
+ * salvo birth_date y source_url, que se llevan a la forma del esquema o quedan en null
+ * @param {Object} row
+ * @returns {Object}
+ */
+function defaultHit(row) {
+  const has = key => row[key] !== undefined;
+  const id = has('source_id') && row.source_id !== null ? String(row.source_id) : null;
+
+  return {
+    entity_type: has('entity_type') ? row.entity_type : 'unknown',
+    full_name: has('full_name') ? row.full_name : firstString(row, ['name', 'nombre', 'razon_social', 'matched_name']),
+    aliases: has('aliases') ? row.aliases : [],
+    identifiers: has('identifiers') ? row.identifiers : [],
+    birth_date: has('birth_date') && row.birth_date !== null ? partialDate(row.birth_date) : null,
+    country: has('country') ? row.country : null,
+    source_url: httpUrl(has('source_url') ? row.source_url : firstString(row, ['url', 'link', 'enlace'])),
+    source_record_id: has('source_record_id') ? row.source_record_id : id,
+    snippet: has('snippet') ? row.snippet : firstString(row, ['paragraph', 'description', 'descripcion', 'remarks']),
+    matched_fields: has('matched_fields') ? row.matched_fields
+      : (typeof row.matched_field === 'string' ? [row.matched_field] : [])
+  };
+}
+
+/**
+ * Registro con los campos del esquema: los del sitio, los deducidos y los de hit(row)
+ * @param {*} row Elemento de data devuelto por search()
+ * @param {function(Object): Object} [mapper] hit(row) del scraper
+ * @returns {*} El registro completado, o el valor tal cual si no es un objeto
+ */
+function toHit(row, mapper) {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    return row;
+  }
+  return { ...row, ...defaultHit(row), ...(mapper ? mapper(row) : {}) };
+}
+
+/**
+ * Revisa los registros de un sobre contra el esquema de registros
+ * @param {Array} hits
+ * @returns {string[]} Errores con la ruta de cada campo (data[0].birth_date: ...); vacío si cumple
+ */
+function validateHits(hits) {
+  const errors = [];
+  hits.forEach((hit, index) => errors.push(...validate(HIT_SCHEMA, hit, `data[${index}]`)));
+  return errors;
+}
+
+/**
+ * Separa los registros que cumplen el esquema de los que no
+ * @param {Array} hits
+ * @returns {{valid: Array, invalid: number, errors: string[]}} errors con la ruta de cada campo
+ *   según la posición original del registro (data[3].birth_date: ...)
+ */
+function partitionHits(hits) {
+  const valid = [];
+  const errors = [];
+  let invalid = 0;
+  hits.forEach((hit, index) => {
+    const hitErrors = validate(HIT_SCHEMA, hit, `data[${index}]`);
+    if (hitErrors.length === 0) {
+      valid.push(hit);
+    } else {
+      invalid++;
+      errors.push(...hitErrors);
+    }
+  });
+  return { valid, invalid, errors: errors.slice(0, MAX_REPORTED_ERRORS) };
+}
+
+/**
+ * Error que el runtime convierte en un sobre failed con validation_errors
+ * @param {string[]} errors
+ * @returns {Error}
+ */
+function schemaError(errors) {
+  const error = new Error(`La salida no cumple el esquema de registros v${HIT_SCHEMA_VERSION} `
+    + `(${errors.length} error(es)): ${errors[0]}`);
+  error.code = 'ESCHEMA';
+  error.validationErrors = errors.slice(0, MAX_REPORTED_ERRORS);
+  return error;
+}
+
+module.exports = {
+  toHit,
+  validateHits,
+  partitionHits,
+  schemaError,
+  partialDate,
+  HIT_SCHEMA,
+  HIT_SCHEMA_VERSION
+};
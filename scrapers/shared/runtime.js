@@ -0,0 +1,976 @@
+/**
+ * Runtime compartido de scrapers
+ * Implementa el contrato CLI que usa ScraperManager (PHP):
+ *
+ *   node scrapers/{category}/{site}.js --search-term=... --timeout=30 --headless=true --config={...}
+ *
+ * y garantiza que cada ejecución escriba exactamente un sobre JSON en stdout
+ * con has_results, results_count, data y direct_link. Con --batch lee una
+ * solicitud NDJSON por línea de stdin y escribe un sobre NDJSON por solicitud.
+ * En stderr publica eventos de progreso, uno JSON por línea, y ante SIGTERM o
+ * SIGINT cierra el navegador y entrega lo obtenido con status partial.
+ */
+
+const readline = require('readline');
+const axios = require('axios');
+const { createBrowserPool } = require('./browserPool');
+const { loadConfig } = require('./config');
+const { compareNames } = require('./nameMatcher');
+const { getScheduler } = require('./scheduler');
+const { getResultCache } = require('./cache');
+const { captureEvidence, resolveEvidenceOptions, evidenceDir, getEvidenceDefaults } = require('./evidence');
+const { getIdentityManager, applyToAxios, applyToPage, browserContextOptions, describeIdentity } = require('./identity');
+const { detectBlock, blockError, isBlockError } = require('./blockDetection');
+const { resolveLimits } = require('./pagination');
+const { toHit, partitionHits, schemaError, HIT_SCHEMA_VERSION } = require('./resultSchema');
+
+const SCRAPER_TYPES = ['puppeteer', 'axios'];
+const DEFAULT_TIMEOUT_SECONDS = 30;
+// Margen para escribir el sobre antes de que PHP termine el proceso por timeout
+const TIMEOUT_MARGIN_MS = 500;
+// Tiempo reservado para revisar si la página es un bloqueo o CAPTCHA y capturarla
+const BLOCK_CHECK_MS = 1500;
+// Espera máxima para cerrar el navegador y escribir el sobre tras SIGTERM o SIGINT
+const CANCEL_GRACE_MS = 5000;
+// Campos de un registro que contienen el nombre a comparar, en orden de preferencia
+const NAME_FIELDS = ['matched_name', 'full_name', 'name', 'nombre', 'razon_social'];
+
+/**
+ * Opciones de navegador definidas en .env (viewport, timeout, tamaño del pool)
+ * @returns {Object}
+ */
+function getPuppeteerDefaults() {
+  const { puppeteer } = loadConfig();
+  return {
+    viewport: puppeteer.viewport,
+    timeoutMs: puppeteer.timeoutMs,
+    maxPagesPerBrowser: puppeteer.maxPagesPerBrowser
+  };
+}
+
+/**
+ * Convierte argumentos --clave=valor / --clave valor / --clave / --no-clave en un objeto camelCase
+ * @param {string[]} argv
+ * @returns {Object<string, string|boolean>}
+ */
+function parseFlags(argv) {
+  const flags = {};
+
+  argv.forEach((arg, index) => {
+    if (!arg.startsWith('--')) {
+      return;
+    }
+
+    const body = arg.slice(2);
+    const separator = body.indexOf('=');
+    let key = separator === -1 ? body : body.slice(0, separator);
+    let value = separator === -1 ? true : body.slice(separator + 1);
+
+    if (separator === -1 && key.startsWith('no-')) {
+      key = key.slice(3);
+      value = false;
+    } else if (separator === -1 && index + 1 < argv.length && !argv[index + 1].startsWith('--')) {
+      // Forma de npm run ... -- --category judicial: el valor llega como argumento aparte
+      value = argv[index + 1];
+    }
+
+    const camelKey = key.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+    flags[camelKey] = value;
+  });
+
+  return flags;
+}
+
+/**
+ * Interpreta el JSON de --config
+ * ScraperManager codifica config_data, que PostgreSQL ya entrega como texto JSON,
+ * por lo que el valor puede llegar doblemente codificado.
+ * @param {string|boolean|undefined} raw
+ * @returns {Object}
+ */
+function parseConfig(raw) {
+  if (raw === undefined || raw === true || raw === '') {
+    return {};
+  }
+
+  let config;
+  try {
+    config = JSON.parse(raw);
+    if (typeof config === 'string') {
+      config = JSON.parse(config);
+    }
+  } catch (error) {
+    throw new Error(`--config no es JSON válido: ${error.message}`);
+  }
+
+  if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('--config debe ser un objeto JSON');
+  }
+
+  return config;
+}
+
+/**
+ * Agrega a config los datos de la persona buscada que llegan con cada solicitud
+ * (--identification/--birth-date o identification/birth_date en --batch); priman
+ * sobre config_data del sitio. Quedan en la clave de la caché como el resto de config.
+ * @param {Object} config
+ * @param {{identification?: *, birth_date?: *}} subject
+ * @returns {Object}
+ */
+function withSubject(config, subject) {
+  const merged = { ...config };
+  ['identification', 'birth_date'].forEach(key => {
+    if (typeof subject[key] === 'string' || typeof subject[key] === 'number') {
+      const value = String(subject[key]).trim();
+      if (value) {
+        merged[key] = value;
+      }
+    }
+  });
+  return merged;
+}
+
+/**
+ * Convierte argumentos de línea de comandos en opciones de ejecución
+ * @param {string[]} argv
+ * @returns {{searchTerm: string, timeoutMs: number, headless: boolean, cache: boolean, batchId: string|null,
+ *            config: Object, flags: Object}}
+ */
+function parseArgs(argv) {
+  const flags = parseFlags(argv);
+
+  const searchTerm = typeof flags.searchTerm === 'string' ? flags.searchTerm.trim() : '';
+  // En modo lote los términos llegan por stdin
+  if (!searchTerm && !flags.batch) {
+    throw new Error('Falta el argumento --search-term');
+  }
+
+  const timeoutSeconds = flags.timeout === undefined ? DEFAULT_TIMEOUT_SECONDS : Number(flags.timeout);
+  if (!Number.isFinite(timeoutSeconds) || timeoutSeconds <= 0) {
+    throw new Error(`--timeout inválido: ${flags.timeout}`);
+  }
+
+  return {
+    searchTerm,
+    timeoutMs: timeoutSeconds * 1000,
+    headless: flags.headless !== false && flags.headless !== 'false',
+    cache: flags.cache !== false && flags.cache !== 'false',
+    batchId: typeof flags.batchId === 'string' && flags.batchId ? flags.batchId : null,
+    config: withSubject(parseConfig(flags.config), { identification: flags.identification, birth_date: flags.birthDate }),
+    flags
+  };
+}
+
+/**
+ * Valida y normaliza la definición de un scraper de sitio
+ * @param {{name: string, category: string, type?: string, search: Function, cacheTtlSeconds?: number,
+ *          canaryTerm?: string, hit?: Function, login?: Function}} definition
+ *   canaryTerm: término que siempre debe dar resultados, para shared/healthCheck.js --canary;
+ *   hit(row): campos del esquema de registros (shared/resultSchema.js) que no se deducen de los nombres habituales;
+ *   login(context): inicia sesión en el sitio antes de la primera búsqueda; en --batch se ejecuta una vez por lote
+ * @returns {Object}
+ */
+function defineScraper(definition) {
+  if (!definition || typeof definition.name !== 'string' || !definition.name) {
+    throw new Error('El scraper debe definir name');
+  }
+  if (typeof definition.category !== 'string' || !definition.category) {
+    throw new Error(`El scraper ${definition.name} debe definir category`);
+  }
+  if (typeof definition.search !== 'function') {
+    throw new Error(`El scraper ${definition.name} debe definir search()`);
+  }
+  if (definition.hit !== undefined && typeof definition.hit !== 'function') {
+    throw new Error(`hit del scraper ${definition.name} debe ser una función`);
+  }
+  if (definition.login !== undefined && typeof definition.login !== 'function') {
+    throw new Error(`login del scraper ${definition.name} debe ser una función`);
+  }
+
+  const type = definition.type || 'puppeteer';
+  if (!SCRAPER_TYPES.includes(type)) {
+    throw new Error(`Tipo de scraper no soportado: ${type}`);
+  }
+
+  return Object.freeze({ ...definition, type });
+}
+
+/**
+ * Rechaza la promesa si no se resuelve dentro del tiempo indicado
+ * @param {Promise} promise
+ * @param {number} ms
+ * @returns {Promise}
+ */
+function withTimeout(promise, ms) {
+  let timer;
+
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Timeout después de ${ms}ms`);
+      error.code = 'ETIMEOUT';
+      reject(error);
+    }, ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * URL final de una respuesta de axios (tras redirecciones, en Node)
+ * @param {Object} response
+ * @returns {string|null}
+ */
+function responseUrl(response) {
+  const res = response.request && response.request.res;
+  return (res && res.responseUrl) || (response.config ? axios.getUri(response.config) : null);
+}
+
+/**
+ * HTML de un cuerpo de respuesta para guardarlo como evidencia
+ * @param {*} body
+ * @returns {string}
+ */
+function bodyHtml(body) {
+  if (typeof body === 'string') {
+    return body;
+  }
+  if (Buffer.isBuffer(body) || body instanceof ArrayBuffer) {
+    return Buffer.from(body).toString('utf8');
+  }
+  return JSON.stringify(body === undefined ? null : body);
+}
+
+/**
+ * Normaliza lo que devuelve search(): un arreglo de registros o {data, direct_link, meta, pagination}
+ * meta lleva información de la fuente (p. ej. fecha de actualización de una lista local);
+ * pagination, lo que devuelve shared/pagination.js paginate() ({pages, truncated, reported_total}).
+ * @param {Array|Object|null|undefined} output
+ * @returns {{data: Array, direct_link: string|null, meta: Object, pagination: Object|null}}
+ */
+function normalizeOutput(output) {
+  if (Array.isArray(output)) {
+    return { data: output, direct_link: null, meta: {}, pagination: null };
+  }
+
+  const data = output && output.data !== undefined ? output.data : [];
+  if (!Array.isArray(data)) {
+    throw new Error('search() debe devolver data como arreglo');
+  }
+
+  return {
+    data,
+    direct_link: (output && output.direct_link) || null,
+    meta: (output && output.meta) || {},
+    pagination: (output && output.pagination) || null
+  };
+}
+
+/**
+ * Aplica el tope de registros del sitio (max_results) a cualquier scraper, pagine o no
+ * @param {{data: Array, pagination: Object|null}} normalized
+ * @param {number} maxResults
+ * @returns {{data: Array, pagination: Object|null}}
+ */
+function capResults(normalized, maxResults) {
+  if (normalized.data.length <= maxResults) {
+    return normalized;
+  }
+  return {
+    ...normalized,
+    data: normalized.data.slice(0, maxResults),
+    pagination: { pages: null, reported_total: null, ...normalized.pagination, truncated: true }
+  };
+}
+
+/**
+ * Agrega similarity (0-100, comparable con min_similarity) y su explicación a
+ * cada registro que tenga un campo de nombre y no traiga ya su propio puntaje.
+ * Los términos sin letras (identificaciones) no se puntúan.
+ * @param {Array} data
+ * @param {string} searchTerm
+ * @returns {Array}
+ */
+function scoreResults(data, searchTerm) {
+  if (!/[a-zñ]/i.test(searchTerm || '')) {
+    return data;
+  }
+
+  return data.map(row => {
+    if (!row || typeof row !== 'object' || typeof row.similarity === 'number') {
+      return row;
+    }
+    const field = NAME_FIELDS.find(key => typeof row[key] === 'string' && row[key].trim());
+    if (!field) {
+      return row;
+    }
+
+    const comparison = compareNames(searchTerm, row[field]);
+    return { ...row, similarity: comparison.score, similarity_explanation: comparison.explanation };
+  });
+}
+
+/**
+ * Construye el sobre JSON que interpreta ScraperManager::waitForScraperResult
+ * @param {Object} scraper
+ * @param {string} searchTerm
+ * @param {{data?: Array, direct_link?: string|null, meta?: Object, network?: Object, identity?: Object,
+ *          evidence?: Array, invalid?: {count: number, errors: string[]}, error?: Error|null,
+ *          executionTime: number}} outcome network son las peticiones,
+ *   reintentos y espera del programador; identity, el user-agent y proxy usados; evidence, las capturas guardadas.
+ *   Un error de shared/blockDetection.js da status blocked o captcha_required y el detalle en block.
+ *   pagination da truncated (se dejaron registros sin recorrer por el tope), reported_total (el total que
+ *   informa el sitio) y pages_fetched; results_count es siempre el número de registros entregados.
+ *   invalid son los registros descartados por no cumplir el esquema: invalid_results los cuenta y
+ *   validation_errors da sus campos; si no quedó ninguno válido, el error de shared/resultSchema.js da failed;
+ *   uno de cancelError() da status partial con los registros obtenidos antes de la señal
+ * @returns {Object}
+ */
+function buildEnvelope(scraper, searchTerm, outcome) {
+  const data = outcome.data || [];
+  const error = outcome.error || null;
+  const similarities = data.map(row => row && row.similarity).filter(value => typeof value === 'number');
+  const pagination = outcome.pagination || {};
+
+  let status = 'completed';
+  if (isBlockError(error)) {
+    status = error.block.status;
+  } else if (error && error.code === 'ECANCELED') {
+    status = 'partial';
+  } else if (error) {
+    status = error.code === 'ETIMEOUT' ? 'timeout' : 'failed';
+  }
+  const timestamp = new Date().toISOString();
+
+  return {
+    success: !error,
+    status,
+    site: scraper.name,
+    category: scraper.category,
+    search_term: searchTerm,
+    schema_version: HIT_SCHEMA_VERSION,
+    has_results: data.length > 0,
+    results_count: data.length,
+    truncated: pagination.truncated === true,
+    reported_total: typeof pagination.reported_total === 'number' ? pagination.reported_total : null,
+    pages_fetched: typeof pagination.pages === 'number' ? pagination.pages : null,
+    data,
+    max_similarity: similarities.length > 0 ? Math.max(...similarities) : null,
+    direct_link: outcome.direct_link || null,
+    meta: outcome.meta || {},
+    network: outcome.network || { requests: 0, retries: 0, wait_ms: 0, rate_limited: 0 },
+    identity: outcome.identity || null,
+    evidence: outcome.evidence || [],
+    block: isBlockError(error) ? error.block : null,
+    invalid_results: outcome.invalid ? outcome.invalid.count : 0,
+    validation_errors: error && error.validationErrors ? error.validationErrors
+      : (outcome.invalid ? outcome.invalid.errors : []),
+    execution_time: outcome.executionTime,
+    timestamp,
+    cached: false,
+    fetched_at: timestamp,
+    error: error ? error.message : null
+  };
+}
+
+/**
+ * Error de una ejecución interrumpida por SIGTERM o SIGINT
+ * @param {string} [signal]
+ * @returns {Error}
+ */
+function cancelError(signal) {
+  const error = new Error(`Ejecución cancelada${typeof signal === 'string' ? ` por ${signal}` : ''}`);
+  error.code = 'ECANCELED';
+  return error;
+}
+
+/**
+ * Eventos de progreso de una ejecución
+ * emit(stage, details) avisa a onProgress con {event: 'progress', site, search_term, stage, ...details,
+ * elapsed_ms, at}. details.rows, los registros obtenidos hasta el momento, no se publica (solo su número
+ * en results): queda en state para el sobre partial si la ejecución se cancela.
+ * @param {Object} scraper
+ * @param {{searchTerm: string}} options
+ * @param {function(Object): void} [onProgress]
+ * @returns {{emit: function(string, Object=): void, state: {rows: Object[], pages: number|null,
+ *            reported_total: number|null}}}
+ */
+function createProgress(scraper, options, onProgress) {
+  const startTime = Date.now();
+  const state = { rows: [], pages: null, reported_total: null };
+
+  const emit = (stage, details = {}) => {
+    const { rows, ...rest } = details;
+    if (Array.isArray(rows)) {
+      state.rows = rows;
+    }
+    if (stage === 'page' && typeof rest.page === 'number') {
+      state.pages = rest.page;
+    }
+    if (typeof rest.reported_total === 'number') {
+      state.reported_total = rest.reported_total;
+    }
+    if (!onProgress) {
+      return;
+    }
+    try {
+      onProgress({
+        event: 'progress',
+        site: scraper.name,
+        search_term: options.searchTerm,
+        stage,
+        ...rest,
+        ...(Array.isArray(rows) ? { results: rows.length } : {}),
+        elapsed_ms: Date.now() - startTime,
+        at: new Date().toISOString()
+      });
+    } catch (error) {
+      // Un canal de progreso roto no debe interrumpir la búsqueda
+    }
+  };
+
+  return { emit, state };
+}
+
+/**
+ * Pool de un solo navegador para una ejecución o un lote
+ */
+function createOwnPool(headless, deps) {
+  return createBrowserPool({
+    ...getPuppeteerDefaults(),
+    size: 1,
+    headless,
+    launchBrowser: deps.launchBrowser,
+    preparePage: deps.preparePage
+  });
+}
+
+/**
+ * Sesión de un sitio: la página (contexto incógnito), la identidad, si ya se inició sesión y el
+ * state que search() y login() guardan entre búsquedas. Una ejecución suelta usa una nueva;
+ * el modo lote la comparte entre todas sus solicitudes.
+ * @returns {{lease: Object|null, identity: Object|null, loggedIn: boolean, state: Object}}
+ */
+function createSiteSession() {
+  return { lease: null, identity: null, loggedIn: false, state: {} };
+}
+
+/**
+ * Cierra la página de una sesión de sitio y la deja como nueva
+ * @param {Object} siteSession
+ */
+async function resetSiteSession(siteSession) {
+  const { lease } = siteSession;
+  Object.assign(siteSession, createSiteSession());
+  if (lease) {
+    await lease.release();
+  }
+}
+
+/**
+ * Visita el sitio y arma el sobre (sin caché)
+ * deps.signal (AbortSignal) cancela la ejecución: el sobre sale con status partial.
+ */
+async function fetchEnvelope(scraper, options, deps, progress) {
+  const startTime = Date.now();
+  const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_SECONDS * 1000;
+  const headless = options.headless !== false;
+  const ownsPool = !deps.pool && scraper.type === 'puppeteer';
+  const pool = deps.pool || (ownsPool ? createOwnPool(headless, deps) : null);
+  // Sin sesión compartida (--batch) la página se devuelve al pool al terminar
+  const sharedSession = Boolean(deps.siteSession);
+  const siteSession = deps.siteSession || createSiteSession();
+  let leasePromise = null;
+  let lease = null;
+  // Solo una búsqueda sin errores ni bloqueo deja la sesión lista para la siguiente
+  let healthy = false;
+  const session = (deps.scheduler || getScheduler()).createSession();
+  const identities = deps.identities || getIdentityManager();
+  const identity = siteSession.identity || identities.assign();
+  siteSession.identity = identity;
+  applyToAxios(session.http, identity);
+  const evidence = [];
+  let evidenceOptions = null;
+  // Última respuesta vista, para reconocer un bloqueo: {url, status, html}
+  let lastResponse = null;
+  let lastNavigationStatus = null;
+
+  session.http.interceptors.request.use(request => {
+    progress.emit('navigating', { url: axios.getUri(request) });
+    return request;
+  });
+  session.http.interceptors.response.use(response => {
+    lastResponse = { url: responseUrl(response), status: response.status, html: response.data };
+    return response;
+  }, error => {
+    if (error.response) {
+      lastResponse = { url: responseUrl(error.response), status: error.response.status, html: error.response.data };
+    }
+    return Promise.reject(error);
+  });
+
+  // schedule/goto/http pasan por el programador: espaciado por dominio y reintentos
+  const context = {
+    term: options.searchTerm,
+    config: options.config || {},
+    headless,
+    timeoutMs,
+    browser: null,
+    page: null,
+    schedule: session.schedule,
+    goto: async (url, gotoOptions) => {
+      progress.emit('navigating', { url });
+      const response = await session.schedule(url, () => context.page.goto(url, gotoOptions));
+      lastNavigationStatus = response && typeof response.status === 'function' ? response.status() : null;
+      return response;
+    },
+    http: session.http,
+    state: siteSession.state,
+    // progress('page', {page: 2, pages: 5, rows}): avisa en qué va la búsqueda (ver createProgress)
+    progress: progress.emit,
+    captureEvidence: label => capture(label)
+  };
+
+  /**
+   * Guarda la evidencia de la página actual; un fallo queda registrado sin interrumpir la búsqueda
+   */
+  const capture = async label => {
+    if (!context.page || !evidenceOptions || evidenceOptions.mode === 'off') {
+      return null;
+    }
+    try {
+      const record = await captureEvidence(context.page, {
+        dir: evidenceDir(evidenceOptions.dir, options.batchId, scraper.name),
+        site: scraper.name,
+        searchTerm: options.searchTerm,
+        formats: evidenceOptions.formats,
+        label
+      });
+      evidence.push(record);
+      return record;
+    } catch (error) {
+      evidence.push({ captured_at: new Date().toISOString(), error: `No se pudo guardar la evidencia: ${error.message}` });
+      return null;
+    }
+  };
+
+  /**
+   * ¿La última página es un CAPTCHA, un desafío de WAF, un muro de login o un 403?
+   * Si lo es, guarda la captura (aunque EVIDENCE_CAPTURE esté en off) y devuelve el error de bloqueo.
+   * @param {Error|null} cause Error de search(), si lo hubo
+   * @returns {Promise<Error|null>}
+   */
+  const checkBlocked = async cause => {
+    try {
+      let snapshot = lastResponse;
+      if (context.page) {
+        snapshot = { url: context.page.url(), status: lastNavigationStatus, html: await context.page.content() };
+      }
+      const detected = isBlockError(cause) ? cause.block : (snapshot ? detectBlock(snapshot) : null);
+      if (!detected) {
+        return null;
+      }
+
+      if (context.page || snapshot) {
+        const defaults = evidenceOptions || deps.evidence || getEvidenceDefaults();
+        // En axios no hay navegador: se guarda el HTML de la respuesta
+        const target = context.page || {
+          url: () => snapshot.url,
+          content: async () => bodyHtml(snapshot.html)
+        };
+        const record = await captureEvidence(target, {
+          dir: evidenceDir(defaults.dir, options.batchId, scraper.name),
+          site: scraper.name,
+          searchTerm: options.searchTerm,
+          formats: context.page ? ['png', 'html'] : ['html'],
+          label: detected.status
+        }).catch(error => ({ captured_at: new Date().toISOString(), error: `No se pudo guardar la evidencia: ${error.message}` }));
+        evidence.push(record);
+      }
+
+      return isBlockError(cause) ? cause : blockError(detected);
+    } catch (error) {
+      // Sin página que revisar (navegador cerrado, respuesta sin cuerpo): se informa el error original
+      return isBlockError(cause) ? cause : null;
+    }
+  };
+
+  const execute = async () => {
+    progress.emit('starting');
+    if (scraper.type === 'puppeteer') {
+      evidenceOptions = resolveEvidenceOptions(deps.evidence || getEvidenceDefaults(), context.config);
+      if (siteSession.lease) {
+        lease = siteSession.lease;
+      } else {
+        leasePromise = pool.acquire({ contextOptions: browserContextOptions(identity) });
+        lease = await leasePromise;
+        await applyToPage(lease.page, identity);
+      }
+      lease.page.setDefaultTimeout(timeoutMs);
+      context.browser = lease.browser;
+      context.page = lease.page;
+    }
+    if (scraper.login && !siteSession.loggedIn) {
+      progress.emit('login');
+      await scraper.login(context);
+      siteSession.loggedIn = true;
+    }
+    progress.emit('searching');
+    const output = await scraper.search(context);
+    progress.emit('extracting', { rows: normalizeOutput(output).data });
+
+    // Si el scraper no capturó por su cuenta, se guarda la página final (la de resultados)
+    if (evidenceOptions && evidenceOptions.mode !== 'off' && evidence.length === 0
+      && (evidenceOptions.mode === 'all' || normalizeOutput(output).data.length > 0)) {
+      await capture();
+    }
+    return output;
+  };
+
+  // SIGTERM o SIGINT: se deja de esperar a search() y el navegador se cierra en finally
+  let stopListening = () => {};
+  const cancelled = deps.signal ? new Promise((resolve, reject) => {
+    const onAbort = () => reject(cancelError(deps.signal.reason));
+    if (deps.signal.aborted) {
+      onAbort();
+      return;
+    }
+    deps.signal.addEventListener('abort', onAbort, { once: true });
+    stopListening = () => deps.signal.removeEventListener('abort', onAbort);
+  }) : null;
+  if (cancelled) {
+    cancelled.catch(() => {});
+  }
+
+  try {
+    const running = cancelled ? Promise.race([execute(), cancelled]) : execute();
+    const output = await withTimeout(running, Math.max(timeoutMs - TIMEOUT_MARGIN_MS - BLOCK_CHECK_MS, 1));
+    const normalized = capResults(normalizeOutput(output), resolveLimits(context.config).maxResults);
+    identities.report(identity, null);
+
+    // Cero registros puede ser una página de bloqueo y no una búsqueda sin coincidencias
+    const blocked = normalized.data.length === 0
+      ? await withTimeout(checkBlocked(null), BLOCK_CHECK_MS).catch(() => null)
+      : null;
+    if (blocked) {
+      return buildEnvelope(scraper, options.searchTerm, {
+        error: blocked,
+        network: session.stats(),
+        identity: describeIdentity(identity),
+        evidence,
+        executionTime: Date.now() - startTime
+      });
+    }
+
+    healthy = true;
+
+    // Cada registro se completa con los campos comunes y se valida antes de escribir el sobre;
+    // los que no cumplen se descartan y el sitio solo falla si no queda ninguno
+    const hits = partitionHits(normalized.data.map(row => toHit(row, scraper.hit)));
+    if (hits.invalid > 0 && hits.valid.length === 0) {
+      return buildEnvelope(scraper, options.searchTerm, {
+        error: schemaError(hits.errors),
+        network: session.stats(),
+        identity: describeIdentity(identity),
+        evidence,
+        executionTime: Date.now() - startTime
+      });
+    }
+
+    return buildEnvelope(scraper, options.searchTerm, {
+      ...normalized,
+      data: scoreResults(hits.valid, options.searchTerm),
+      invalid: { count: hits.invalid, errors: hits.errors },
+      network: session.stats(),
+      identity: describeIdentity(identity),
+      evidence,
+      executionTime: Date.now() - startTime
+    });
+  } catch (caught) {
+    if (caught.code === 'ECANCELED') {
+      // Lo que el scraper llegó a reportar con progress(): registros y páginas recorridas
+      const hits = partitionHits(progress.state.rows.map(row => toHit(row, scraper.hit)));
+      return buildEnvelope(scraper, options.searchTerm, {
+        error: caught,
+        data: scoreResults(hits.valid, options.searchTerm),
+        invalid: { count: hits.invalid, errors: hits.errors },
+        pagination: { pages: progress.state.pages, truncated: true, reported_total: progress.state.reported_total },
+        network: session.stats(),
+        identity: describeIdentity(identity),
+        evidence,
+        executionTime: Date.now() - startTime
+      });
+    }
+    const error = (await withTimeout(checkBlocked(caught), BLOCK_CHECK_MS).catch(() => null)) || caught;
+    identities.report(identity, error);
+    return buildEnvelope(scraper, options.searchTerm, {
+      error,
+      network: session.stats(),
+      identity: describeIdentity(identity),
+      evidence,
+      executionTime: Date.now() - startTime
+    });
+  } finally {
+    stopListening();
+    session.close();
+    if (sharedSession && healthy) {
+      siteSession.lease = lease;
+    } else if (sharedSession) {
+      // Tras un error, timeout o bloqueo el lote sigue con una página, identidad y login nuevos
+      siteSession.lease = lease;
+      await resetSiteSession(siteSession);
+    } else if (lease) {
+      await lease.release();
+    }
+    if (!lease && leasePromise) {
+      // La página llegó después del timeout: devolverla al pool cuando exista
+      leasePromise.then(late => late.release(), () => {});
+    }
+    if (ownsPool) {
+      await pool.drain();
+    }
+  }
+}
+
+/**
+ * Ejecuta un scraper y devuelve siempre un sobre, incluso si falla
+ * Un resultado vigente en caché se devuelve con cached: true y el fetched_at de
+ * la visita original; options.cache false (--no-cache) fuerza la visita y
+ * actualiza la entrada.
+ * @param {Object} scraper Definición creada con defineScraper()
+ * @param {{searchTerm: string, timeoutMs?: number, headless?: boolean, cache?: boolean, batchId?: string|null,
+ *          config?: Object}} options batchId agrupa la evidencia en RESULTS_DIR/{lote}/
+ * @param {{pool?: Object, launchBrowser?: Function, preparePage?: Function, scheduler?: Object,
+ *          identities?: Object, cache?: Object|null, evidence?: Object, onProgress?: Function,
+ *          signal?: AbortSignal}} deps pool es un pool compartido de
+ *   navegadores (no se cierra al terminar); sin él se usa un pool de un solo navegador, al que se pasan
+ *   launchBrowser y preparePage. scheduler es el programador por dominio, identities el administrador de
+ *   user-agents y proxies, cache la caché de resultados (cache null la desactiva) y evidence las opciones
+ *   de captura {mode, formats, dir}; por defecto, los del proceso y .env. onProgress recibe los eventos
+ *   de progreso (ver createProgress) y signal cancela la ejecución con status partial.
+ * @returns {Promise<Object>}
+ */
+async function runScraper(scraper, options, deps = {}) {
+  const startTime = Date.now();
+  const cache = deps.cache === undefined ? getResultCache() : deps.cache;
+  const config = options.config || {};
+  const progress = createProgress(scraper, options, deps.onProgress);
+
+  const hit = cache && options.cache !== false ? cache.get(scraper, options.searchTerm, config) : null;
+  if (hit) {
+    progress.emit('finished', { status: hit.envelope.status, results: hit.envelope.results_count, cached: true });
+    return {
+      ...hit.envelope,
+      search_term: options.searchTerm,
+      execution_time: Date.now() - startTime,
+      timestamp: new Date().toISOString(),
+      cached: true,
+      fetched_at: hit.fetched_at
+    };
+  }
+
+  const envelope = await fetchEnvelope(scraper, options, deps, progress);
+  if (cache) {
+    try {
+      cache.set(scraper, options.searchTerm, config, envelope);
+    } catch (error) {
+      // Una caché que no se puede escribir no debe hacer fallar la búsqueda
+    }
+  }
+  progress.emit('finished', { status: envelope.status, results: envelope.results_count, cached: false });
+  return envelope;
+}
+
+/**
+ * Convierte una línea NDJSON de --batch en opciones de runScraper
+ * @param {string} line {"id": ..., "term": "...", "identification"?: "...", "birth_date"?: "...",
+ *                      "options"?: {timeout?, cache?, config?}}
+ * @param {Object} defaults Opciones de la línea de comandos
+ * @returns {{id: *, options: Object}}
+ */
+function parseBatchRequest(line, defaults) {
+  let request;
+  try {
+    request = JSON.parse(line);
+  } catch (error) {
+    throw new Error(`Solicitud no es JSON válido: ${error.message}`);
+  }
+  if (request === null || typeof request !== 'object' || Array.isArray(request)) {
+    throw new Error('La solicitud debe ser un objeto JSON');
+  }
+
+  const id = request.id === undefined ? null : request.id;
+  const requestOptions = request.options || {};
+  const term = typeof request.term === 'string' ? request.term.trim() : '';
+  const timeoutSeconds = requestOptions.timeout === undefined ? null : Number(requestOptions.timeout);
+
+  const invalid = message => Object.assign(new Error(message), { requestId: id });
+  if (!term) {
+    throw invalid('Falta term en la solicitud');
+  }
+  if (timeoutSeconds !== null && (!Number.isFinite(timeoutSeconds) || timeoutSeconds <= 0)) {
+    throw invalid(`timeout inválido: ${requestOptions.timeout}`);
+  }
+
+  const config = withSubject({ ...defaults.config, ...(requestOptions.config || {}) }, request);
+
+  return {
+    id,
+    options: {
+      ...defaults,
+      searchTerm: term,
+      timeoutMs: timeoutSeconds === null ? defaults.timeoutMs : timeoutSeconds * 1000,
+      cache: requestOptions.cache === undefined ? defaults.cache : requestOptions.cache !== false,
+      config
+    }
+  };
+}
+
+/**
+ * Modo lote: una solicitud NDJSON por línea de input y un sobre NDJSON por solicitud en output,
+ * escrito en cuanto termina y con el id de la solicitud. Las solicitudes se atienden en orden y
+ * comparten navegador, página, identidad y login, así que el arranque y el inicio de sesión se
+ * pagan una vez por lote; tras un error, timeout o bloqueo la siguiente empieza con una sesión nueva.
+ * Los eventos de progreso llevan el id de la solicitud. Si deps.signal se activa, la solicitud en curso
+ * sale con status partial y las siguientes no se atienden.
+ * @param {Object} scraper
+ * @param {Object} defaults Opciones de parseArgs (timeout, headless, cache, batchId, config)
+ * @param {{input: NodeJS.ReadableStream, output: NodeJS.WritableStream, stderr?: NodeJS.WritableStream,
+ *          deps?: Object}} io
+ * @returns {Promise<{requests: number, failed: number}>}
+ */
+async function runBatch(scraper, defaults, io) {
+  const deps = io.deps || {};
+  const ownsPool = !deps.pool && scraper.type === 'puppeteer';
+  const pool = deps.pool || (ownsPool ? createOwnPool(defaults.headless !== false, deps) : null);
+  const siteSession = createSiteSession();
+  const lines = readline.createInterface({ input: io.input, crlfDelay: Infinity });
+  const summary = { requests: 0, failed: 0 };
+  // Cancelado mientras espera la siguiente solicitud: se deja de leer stdin
+  const stopReading = () => lines.close();
+  if (deps.signal) {
+    deps.signal.addEventListener('abort', stopReading, { once: true });
+  }
+
+  try {
+    for await (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+      if (deps.signal && deps.signal.aborted) {
+        break;
+      }
+
+      let id = null;
+      let envelope;
+      try {
+        const request = parseBatchRequest(line, defaults);
+        id = request.id;
+        const onProgress = deps.onProgress ? event => deps.onProgress({ id, ...event }) : undefined;
+        envelope = await runScraper(scraper, request.options, { ...deps, pool, siteSession, onProgress });
+      } catch (error) {
+        id = error.requestId === undefined ? id : error.requestId;
+        envelope = buildEnvelope(scraper, '', { error, executionTime: 0 });
+      }
+
+      summary.requests += 1;
+      if (!envelope.success) {
+        summary.failed += 1;
+        if (io.stderr) {
+          io.stderr.write(`[${scraper.name}] ${id === null ? '' : `${id}: `}${envelope.error}\n`);
+        }
+      }
+      await new Promise(resolve => io.output.write(`${JSON.stringify({ id, ...envelope })}\n`, resolve));
+    }
+  } finally {
+    if (deps.signal) {
+      deps.signal.removeEventListener('abort', stopReading);
+    }
+    await resetSiteSession(siteSession);
+    if (ownsPool) {
+      await pool.drain();
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Punto de entrada CLI de un scraper de sitio
+ * Escribe el sobre en stdout y termina con código distinto de cero si falló. Con --batch
+ * atiende las solicitudes de stdin (ver runBatch) y termina con código distinto de cero si alguna falló.
+ * Los eventos de progreso salen en stderr, uno JSON por línea (--no-progress los omite). SIGTERM o
+ * SIGINT cancelan la búsqueda: el navegador se cierra y el sobre sale con status partial; una segunda
+ * señal, o CANCEL_GRACE_MS sin terminar, cierran el proceso sin esperar.
+ * @param {Object} scraper
+ * @param {{argv?: string[], stdin?: NodeJS.ReadableStream, stdout?: NodeJS.WritableStream,
+ *          stderr?: NodeJS.WritableStream, exit?: Function, signals?: NodeJS.EventEmitter, deps?: Object}} io
+ *   signals es el emisor de SIGTERM y SIGINT (por defecto, process)
+ * @returns {Promise<Object>} Sobre generado (en --batch, el resumen {requests, failed})
+ */
+async function runCli(scraper, io = {}) {
+  const argv = io.argv || process.argv.slice(2);
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+  const exit = io.exit || (code => process.exit(code));
+  const signals = io.signals || process;
+  const controller = new AbortController();
+
+  const onSignal = signal => {
+    if (controller.signal.aborted) {
+      exit(1);
+      return;
+    }
+    stderr.write(`[${scraper.name}] ${signal}: cerrando el navegador y entregando resultados parciales\n`);
+    controller.abort(signal);
+    setTimeout(() => exit(1), CANCEL_GRACE_MS).unref();
+  };
+  signals.on('SIGTERM', onSignal);
+  signals.on('SIGINT', onSignal);
+
+  let envelope;
+  try {
+    const options = parseArgs(argv);
+    const deps = {
+      ...io.deps,
+      signal: controller.signal,
+      onProgress: options.flags.progress === false ? undefined : event => stderr.write(`${JSON.stringify(event)}\n`)
+    };
+    if (options.flags.batch) {
+      const summary = await runBatch(scraper, options, { input: io.stdin || process.stdin, output: stdout, stderr, deps });
+      exit(summary.failed > 0 ? 1 : 0);
+      return summary;
+    }
+    envelope = await runScraper(scraper, options, deps);
+  } catch (error) {
+    envelope = buildEnvelope(scraper, '', { error, executionTime: 0 });
+  } finally {
+    signals.removeListener('SIGTERM', onSignal);
+    signals.removeListener('SIGINT', onSignal);
+  }
+
+  if (envelope.error) {
+    stderr.write(`[${scraper.name}] ${envelope.error}\n`);
+  }
+
+  await new Promise(resolve => stdout.write(`${JSON.stringify(envelope)}\n`, resolve));
+  exit(envelope.success ? 0 : 1);
+
+  return envelope;
+}
+
+module.exports = {
+  parseArgs,
+  parseFlags,
+  parseConfig,
+  defineScraper,
+  withTimeout,
+  scoreResults,
+  buildEnvelope,
+  runScraper,
+  runBatch,
+  runCli,
+  cancelError,
+  SCRAPER_TYPES,
+  DEFAULT_TIMEOUT_SECONDS
+};
@@ -0,0 +1,339 @@
+/**
+ * Generador y verificación de la convención de archivos de scrapers
+ * ScraperManager::getScraperFile busca scrapers/{category}/{normalizeFileName(site_name)}.js;
+ * "new" crea ese módulo ya conectado al runtime, la carpeta de fixtures y un
+ * esqueleto de prueba en __tests__/. "lint" recibe las filas de scraper_sites
+ * (JSON en --sites o stdin; backend/workers/lint_scrapers.php las envía desde
+ * la base) y lista los sitios sin archivo o con un archivo mal nombrado.
+ *
+ * Uso:
+ *   node shared/scaffold.js new --category judicial --site "Rama Judicial" [--type axios] [--force]
+ *   node shared/scaffold.js lint [--sites=sitios.json]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseFlags, SCRAPER_TYPES } = require('./runtime');
+const { normalizeFileName, CATEGORIES, SCRAPERS_ROOT } = require('./registry');
+
+// Carpetas de soporte que no contienen scrapers de sitio
+const SUPPORT_DIRS = ['shared', '__tests__', 'fixtures', 'node_modules'];
+
+/**
+ * Clave para detectar archivos mal nombrados: sin acentos, mayúsculas ni separadores
+ * @param {string} name
+ * @returns {string}
+ */
+function looseKey(name) {
+  return String(name).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Cadena JS entre comillas simples
+ */
+function quote(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Módulo del scraper conectado al runtime compartido; los de tipo axios usan la base de páginas estáticas
+ */
+function moduleTemplate({ siteName, id, category, type }) {
+  if (type === 'axios') {
+    return `/**
+ * Scraper ${siteName}
+ * TODO: describir la consulta (URL, formulario y columnas de resultados).
+ */
+
+const { runCli } = require('../shared/runtime');
+const { defineStaticScraper } = require('../shared/staticPage');
+
+// TODO: URL de la consulta; config_data.search_url la reemplaza
+const SEARCH_URL = '';
+
+const scraper = defineStaticScraper({
+  name: ${quote(id)},
+  category: ${quote(category)},
+  async search({ term, client, config }) {
+    // TODO: si el sitio usa un formulario (ASP.NET), cargarlo y enviarlo con page.submit('form', {...})
+    const page = await client.get(config.search_url || SEARCH_URL, { params: { q: term } });
+
+    // TODO: ajustar el selector de la tabla de resultados
+    return { data: page.table('table'), direct_link: page.url };
+  }
+});
+
+module.exports = scraper;
+
+if (require.main === module) {
+  runCli(scraper);
+}
+`;
+  }
+
+  return `/**
+ * Scraper ${siteName}
+ * TODO: describir la consulta (URL, formulario y columnas de resultados).
+ */
+
+const cheerio = require('cheerio');
+const { defineScraper, runCli } = require('../shared/runtime');
+
+// TODO: URL de la consulta; config_data.search_url la reemplaza
+const SEARCH_URL = '';
+
+const scraper = defineScraper({
+  name: ${quote(id)},
+  category: ${quote(category)},
+  type: 'puppeteer',
+  async search({ term, page, goto, config }) {
+    await goto(config.search_url || SEARCH_URL, { waitUntil: 'networkidle2' });
+
+    // TODO: ajustar los selectores del formulario y de la tabla de resultados
+    await page.type('input[type="text"]', term);
+    await Promise.all([
+      page.waitForNavigation({ waitUntil: 'networkidle2' }),
+      page.click('button[type="submit"], input[type="submit"]')
+    ]);
+
+    const $ = cheerio.load(await page.content());
+    const data = $('table tbody tr').toArray().map(row => ({
+      nombre: $(row).find('td').eq(0).text().trim()
+    }));
+
+    return { data, direct_link: page.url() };
+  }
+});
+
+module.exports = scraper;
+
+if (require.main === module) {
+  runCli(scraper);
+}
+`;
+}
+
+/**
+ * Esqueleto de prueba: convención de nombres y escenarios grabados del sitio
+ */
+function testTemplate({ siteName, id, category }) {
+  const recordCommand = `npm run record-fixture -- --site="${siteName.replace(/"/g, '\\"')}" --category=${category} --search-term="..."`;
+
+  return `const { normalizeFileName } = require('../shared/registry');
+const { listRecordings } = require('../shared/fixtures');
+const scraper = require('../${category}/${id}');
+
+const SITE_NAME = ${quote(siteName)};
+
+describe(${quote(`${siteName} scraper`)}, () => {
+  it('should be named as ScraperManager expects', () => {
+    expect(scraper.name).toBe(normalizeFileName(SITE_NAME));
+    expect(scraper.category).toBe(${quote(category)});
+  });
+
+  // Los escenarios grabados se reproducen en __tests__/recordings.test.js
+  if (!listRecordings().some(recording => recording.site === scraper.name)) {
+    it.todo(${quote(`grabar un escenario: ${recordCommand}`)});
+  }
+});
+`;
+}
+
+/**
+ * Crea el módulo, la carpeta de fixtures y el esqueleto de prueba de un sitio
+ * @param {{site: string, category: string, type?: string, force?: boolean, rootDir?: string}} options
+ * @returns {{id: string, files: string[]}} Rutas creadas, relativas a rootDir
+ */
+function createScraper(options) {
+  const rootDir = options.rootDir || SCRAPERS_ROOT;
+  const type = options.type || 'puppeteer';
+  const siteName = String(options.site || '').trim();
+  const id = normalizeFileName(siteName);
+
+  if (!id) {
+    throw new Error('Uso: npm run new-scraper -- --category <categoría> --site "<nombre del sitio>"');
+  }
+  if (!CATEGORIES.includes(options.category)) {
+    throw new Error(`Categoría no válida: ${options.category} (use ${CATEGORIES.join(', ')})`);
+  }
+  if (!SCRAPER_TYPES.includes(type)) {
+    throw new Error(`Tipo de scraper no soportado: ${type} (use ${SCRAPER_TYPES.join(', ')})`);
+  }
+
+  const vars = { siteName, id, category: options.category, type };
+  const files = [
+    [path.join(options.category, `${id}.js`), moduleTemplate(vars)],
+    [path.join('fixtures', id, '.gitkeep'), ''],
+    [path.join('__tests__', `${id}.test.js`), testTemplate(vars)]
+  ];
+
+  const existing = files.map(([file]) => file).filter(file => fs.existsSync(path.join(rootDir, file)));
+  if (existing.length > 0 && !options.force) {
+    throw new Error(`Ya existe ${existing.join(', ')}; use --force para reemplazar`);
+  }
+
+  files.forEach(([file, contents]) => {
+    fs.mkdirSync(path.dirname(path.join(rootDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(rootDir, file), contents);
+  });
+
+  return { id, files: files.map(([file]) => file.split(path.sep).join('/')) };
+}
+
+/**
+ * Archivos .js de sitio: los de las carpetas de categoría y los que quedaron fuera de ellas
+ * @param {string} rootDir
+ * @returns {{file: string, category: string|null, id: string}[]}
+ */
+function listModuleFiles(rootDir) {
+  return fs.readdirSync(rootDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && !SUPPORT_DIRS.includes(entry.name))
+    .flatMap(entry => fs.readdirSync(path.join(rootDir, entry.name))
+      .filter(file => file.endsWith('.js'))
+      .sort()
+      .map(file => ({
+        file: `${entry.name}/${file}`,
+        category: CATEGORIES.includes(entry.name) ? entry.name : null,
+        id: path.basename(file, '.js')
+      })));
+}
+
+/**
+ * ¿El archivo exporta un scraper de defineScraper con el nombre y categoría esperados?
+ * @returns {string|null} Descripción del problema
+ */
+function inspectModule(filePath, id, category) {
+  let scraper;
+  try {
+    scraper = require(filePath);
+  } catch (error) {
+    return `no se puede cargar: ${error.message}`;
+  }
+  if (!scraper || typeof scraper.search !== 'function') {
+    return 'no exporta un scraper de defineScraper';
+  }
+  if (scraper.name !== id || scraper.category !== category) {
+    return `define name '${scraper.name}' y category '${scraper.category}'; se esperaba '${id}' y '${category}'`;
+  }
+  return null;
+}
+
+/**
+ * Compara las filas de scraper_sites con los archivos de scrapers
+ * @param {Array<{site_name: string, category: string, scraper_type?: string, config_data?: Object|string}>} sites
+ * @param {{rootDir?: string}} options
+ * @returns {{issues: Object[], unclaimed: Object[]}}
+ *   issues: sitios con problema (missing, misnamed, invalid); unclaimed: archivos que ningún sitio usa
+ */
+function lintSites(sites, options = {}) {
+  const rootDir = options.rootDir || SCRAPERS_ROOT;
+  const modules = listModuleFiles(rootDir);
+  const claimed = new Set();
+  const issues = [];
+
+  sites.forEach(site => {
+    // Los enlaces directos no ejecutan ningún archivo
+    if (site.scraper_type === 'direct_link') {
+      return;
+    }
+
+    const id = normalizeFileName(site.site_name);
+    const expected = `${site.category}/${id}.js`;
+    const base = { site_name: site.site_name, category: site.category, expected };
+
+    if (!CATEGORIES.includes(site.category)) {
+      issues.push({ ...base, problem: 'invalid', message: `categoría desconocida: ${site.category}` });
+      return;
+    }
+
+    if (fs.existsSync(path.join(rootDir, expected))) {
+      claimed.add(expected);
+      const problem = inspectModule(path.join(rootDir, expected), id, site.category);
+      if (problem) {
+        issues.push({ ...base, problem: 'invalid', message: problem });
+      }
+      return;
+    }
+
+    let configData = site.config_data;
+    if (typeof configData === 'string') {
+      try {
+        configData = JSON.parse(configData);
+      } catch (error) {
+        configData = null;
+      }
+    }
+    // Sin archivo pero con definición declarativa: ScraperManager usa shared/declarative.js
+    if (configData && typeof configData === 'object' && configData.results) {
+      return;
+    }
+
+    const found = modules
+      .filter(module => looseKey(module.id) === looseKey(site.site_name) || module.id === id)
+      .map(module => module.file);
+    found.forEach(file => claimed.add(file));
+
+    issues.push(found.length > 0
+      ? { ...base, problem: 'misnamed', found, message: `renombrar ${found.join(', ')} a ${expected}` }
+      : { ...base, problem: 'missing', message: `falta ${expected}` });
+  });
+
+  const unclaimed = modules
+    .filter(module => !claimed.has(module.file))
+    .map(module => ({
+      file: module.file,
+      problem: module.category ? 'orphan' : 'outside_convention',
+      message: module.category
+        ? 'ningún sitio de scraper_sites usa este archivo'
+        : `fuera de las carpetas de categoría (${CATEGORIES.join(', ')})`
+    }));
+
+  return { issues, unclaimed };
+}
+
+/**
+ * Línea de comandos: new | lint
+ */
+function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const flags = parseFlags(rest);
+
+  if (command === 'new') {
+    const { id, files } = createScraper({
+      site: typeof flags.site === 'string' ? flags.site : '',
+      category: flags.category,
+      type: typeof flags.type === 'string' ? flags.type : undefined,
+      force: flags.force === true
+    });
+    files.forEach(file => console.log(`creado ${file}`));
+    console.log(`Sitio ${id}: complete los TODO de ${files[0]} y grabe un escenario con npm run record-fixture`);
+    return 0;
+  }
+
+  if (command === 'lint') {
+    const input = typeof flags.sites === 'string' && flags.sites !== '-'
+      ? fs.readFileSync(flags.sites, 'utf8')
+      : fs.readFileSync(0, 'utf8');
+    const { issues, unclaimed } = lintSites(JSON.parse(input));
+
+    issues.forEach(issue => console.log(`✗ ${issue.site_name} (${issue.problem}): ${issue.message}`));
+    unclaimed.forEach(entry => console.log(`! ${entry.file} (${entry.problem}): ${entry.message}`));
+    if (issues.length === 0 && unclaimed.length === 0) {
+      console.log('Todos los sitios tienen su scraper con el nombre esperado');
+    }
+    return issues.length > 0 ? 1 : 0;
+  }
+
+  throw new Error('Comandos: new | lint');
+}
+
+module.exports = { createScraper, lintSites };
+
+if (require.main === module) {
+  try {
+    process.exit(main());
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
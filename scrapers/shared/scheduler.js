@@ -0,0 +1,271 @@
+/**
+ * Programador de peticiones por dominio
+ * Espacia las peticiones a cada dominio (cubeta de tokens con
+ * RATE_LIMIT_REQUESTS_PER_MINUTE y retraso mínimo SCRAPER_RATE_LIMIT_DELAY),
+ * reintenta 429, 5xx y timeouts de navegación con backoff exponencial y jitter
+ * (SCRAPER_RETRY_ATTEMPTS) y respeta Retry-After para todo el dominio.
+ *
+ * El estado por dominio vive en el programador, así que en el servicio
+ * residente lo comparten todas las búsquedas; cada ejecución de scraper abre
+ * una sesión que cuenta sus peticiones, reintentos y tiempo de espera.
+ */
+
+const axios = require('axios');
+const { createLimiter } = require('./limiter');
+const { loadConfig } = require('./config');
+
+// Errores de red que vale la pena reintentar
+const RETRYABLE_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+const RETRYABLE_NAVIGATION = /net::ERR_(TIMED_OUT|CONNECTION_RESET|CONNECTION_CLOSED|CONNECTION_REFUSED|EMPTY_RESPONSE)/;
+
+/**
+ * Convierte Retry-After (segundos o fecha HTTP) a milisegundos
+ * @param {string|number|undefined} value
+ * @param {number} now
+ * @returns {number|null}
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(seconds * 1000, 0);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - now, 0);
+}
+
+/**
+ * Determina si un estado HTTP debe reintentarse
+ */
+function isRetryableStatus(status) {
+  return status === 429 || (status >= 500 && status <= 599);
+}
+
+/**
+ * Motivo de reintento de un error lanzado por axios o Puppeteer, o null
+ * @param {Error} error
+ * @param {number} now
+ * @returns {{reason: string, retryAfterMs: number|null}|null}
+ */
+function classifyError(error, now) {
+  if (error && error.response && isRetryableStatus(error.response.status)) {
+    const headers = error.response.headers || {};
+    return { reason: `HTTP ${error.response.status}`, retryAfterMs: parseRetryAfter(headers['retry-after'], now) };
+  }
+  if (error && (error.name === 'TimeoutError' || RETRYABLE_CODES.includes(error.code)
+    || RETRYABLE_NAVIGATION.test(error.message || ''))) {
+    return { reason: error.code || error.name, retryAfterMs: null };
+  }
+  return null;
+}
+
+/**
+ * Motivo de reintento de una respuesta de Puppeteer (page.goto no lanza en 429/5xx), o null
+ */
+function classifyResult(result, now) {
+  if (result && typeof result.status === 'function' && typeof result.headers === 'function') {
+    const status = result.status();
+    if (isRetryableStatus(status)) {
+      return { reason: `HTTP ${status}`, retryAfterMs: parseRetryAfter(result.headers()['retry-after'], now) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Crea un programador
+ * @param {{requestsPerMinute?: number, minDelayMs?: number, retryAttempts?: number, baseDelayMs?: number,
+ *          maxDelayMs?: number, maxRetryAfterMs?: number, burst?: number,
+ *          now?: function(): number, sleep?: function(number): Promise<void>, random?: function(): number}} options
+ *   requestsPerMinute 0 desactiva la cubeta; now/sleep/random permiten pruebas deterministas
+ * @returns {{createSession: function(): Object, domainStats: function(): Object}}
+ */
+function createScheduler(options = {}) {
+  const requestsPerMinute = options.requestsPerMinute !== undefined ? options.requestsPerMinute : 60;
+  const minDelayMs = options.minDelayMs || 0;
+  const retryAttempts = options.retryAttempts !== undefined ? options.retryAttempts : 3;
+  const baseDelayMs = options.baseDelayMs || 1000;
+  const maxDelayMs = options.maxDelayMs || 30000;
+  const maxRetryAfterMs = options.maxRetryAfterMs || 120000;
+  const burst = Math.max(options.burst || 1, 1);
+  const now = options.now || Date.now;
+  const sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+  const random = options.random || Math.random;
+  const tokensPerMs = requestsPerMinute > 0 ? requestsPerMinute / 60000 : null;
+
+  // Estado por dominio: {queue, tokens, refilledAt, lastRequestAt, blockedUntil, requests, retries}
+  const domains = new Map();
+
+  const domainOf = url => {
+    try {
+      return new URL(url).host.toLowerCase();
+    } catch (error) {
+      return 'local';
+    }
+  };
+
+  const getDomain = host => {
+    if (!domains.has(host)) {
+      domains.set(host, {
+        queue: createLimiter(1),
+        tokens: burst,
+        refilledAt: now(),
+        lastRequestAt: -Infinity,
+        blockedUntil: 0,
+        requests: 0,
+        retries: 0
+      });
+    }
+    return domains.get(host);
+  };
+
+  /**
+   * Espera el turno del dominio; devuelve los milisegundos esperados
+   */
+  const acquireSlot = async domain => {
+    let waited = 0;
+    for (;;) {
+      const current = now();
+      let bucketWait = 0;
+      if (tokensPerMs) {
+        domain.tokens = Math.min(burst, domain.tokens + (current - domain.refilledAt) * tokensPerMs);
+        domain.refilledAt = current;
+        bucketWait = domain.tokens >= 1 ? 0 : Math.ceil((1 - domain.tokens) / tokensPerMs);
+      }
+
+      const wait = Math.max(
+        0,
+        domain.blockedUntil - current,
+        domain.lastRequestAt + minDelayMs - current,
+        bucketWait
+      );
+
+      if (wait === 0) {
+        domain.tokens -= 1;
+        domain.lastRequestAt = current;
+        domain.requests++;
+        return waited;
+      }
+      await sleep(wait);
+      waited += wait;
+    }
+  };
+
+  /**
+   * Retraso del reintento n (1, 2, ...): exponencial con jitter entre la mitad y el total
+   */
+  const backoff = attempt => {
+    const ceiling = Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs);
+    return Math.round(ceiling / 2 + random() * ceiling / 2);
+  };
+
+  /**
+   * Abre una sesión (una ejecución de scraper)
+   * @returns {{schedule: function(string, Function): Promise, http: Object, stats: function(): Object, close: function(): void}}
+   */
+  const createSession = () => {
+    const stats = { requests: 0, retries: 0, wait_ms: 0, rate_limited: 0 };
+    let closed = false;
+
+    /**
+     * Ejecuta task() cuando el dominio de url lo permita, con reintentos
+     * @param {string} url
+     * @param {function(): Promise} task
+     * @returns {Promise}
+     */
+    const schedule = async (url, task) => {
+      const domain = getDomain(domainOf(url));
+
+      for (let attempt = 1; ; attempt++) {
+        if (closed) {
+          throw new Error('La ejecución del scraper terminó');
+        }
+
+        const waited = await domain.queue.run(() => acquireSlot(domain));
+        stats.wait_ms += waited;
+        stats.requests++;
+
+        let result;
+        let error = null;
+        let failure;
+        try {
+          result = await task();
+          failure = classifyResult(result, now());
+        } catch (caught) {
+          error = caught;
+          failure = classifyError(caught, now());
+        }
+
+        if (!failure) {
+          if (error) throw error;
+          return result;
+        }
+
+        if (failure.reason === 'HTTP 429') {
+          stats.rate_limited++;
+        }
+        const exhausted = attempt > retryAttempts || closed
+          || (failure.retryAfterMs !== null && failure.retryAfterMs > maxRetryAfterMs);
+        if (exhausted) {
+          if (error) throw error;
+          return result;
+        }
+
+        stats.retries++;
+        domain.retries++;
+        if (failure.retryAfterMs !== null) {
+          // Retry-After frena todo el dominio, no solo esta petición
+          domain.blockedUntil = Math.max(domain.blockedUntil, now() + failure.retryAfterMs);
+        } else {
+          const delay = backoff(attempt);
+          await sleep(delay);
+          stats.wait_ms += delay;
+        }
+      }
+    };
+
+    // Cliente axios cuyas peticiones pasan por el programador
+    const innerAdapter = axios.getAdapter(axios.defaults.adapter);
+    const http = axios.create({
+      adapter: config => schedule(axios.getUri(config), () => innerAdapter(config))
+    });
+
+    return {
+      schedule,
+      http,
+      stats: () => ({ ...stats }),
+      close: () => {
+        closed = true;
+      }
+    };
+  };
+
+  const domainStats = () => Object.fromEntries(Array.from(domains.entries()).map(([host, domain]) => [
+    host,
+    { requests: domain.requests, retries: domain.retries, blocked_until: domain.blockedUntil || null }
+  ]));
+
+  return { createSession, domainStats };
+}
+
+let defaultScheduler = null;
+
+/**
+ * Programador del proceso, configurado desde .env
+ * @returns {Object}
+ */
+function getScheduler() {
+  if (!defaultScheduler) {
+    const { scheduler } = loadConfig();
+    defaultScheduler = createScheduler({
+      requestsPerMinute: scheduler.enabled ? scheduler.requestsPerMinute : 0,
+      minDelayMs: scheduler.enabled ? scheduler.minDelayMs : 0,
+      retryAttempts: scheduler.retryAttempts
+    });
+  }
+  return defaultScheduler;
+}
+
+module.exports = { createScheduler, getScheduler, parseRetryAfter, classifyError };
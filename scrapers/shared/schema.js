@@ -0,0 +1,128 @@
+/**
+ * Validador mínimo de JSON Schema
+ * Cubre el subconjunto que usan las definiciones de scrapers: type, enum, const,
+ * required, properties, additionalProperties, items, minItems, minLength,
+ * minimum, maximum, pattern, format uri y anyOf. Devuelve errores con la ruta del campo.
+ */
+
+/**
+ * Tipo JSON de un valor
+ * @param {*} value
+ * @returns {string}
+ */
+function jsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Verifica si un valor cumple un tipo de JSON Schema
+ */
+function matchesType(value, type) {
+  const actual = jsonType(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * Valida un valor contra un esquema
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} path Ruta para los mensajes de error
+ * @returns {string[]} Lista de errores (vacía si es válido)
+ */
+function validate(schema, value, path = '$') {
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${path}: debe ser de tipo ${types.join(' o ')}`);
+      return errors;
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push(`${path}: debe ser ${JSON.stringify(schema.const)}`);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: debe ser uno de ${schema.enum.join(', ')}`);
+  }
+
+  if (schema.anyOf && !schema.anyOf.some(option => validate(option, value, path).length === 0)) {
+    errors.push(`${path}: no coincide con ninguna de las formas permitidas`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: no puede estar vacío`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path}: no cumple el formato ${schema.pattern}`);
+    }
+    if (schema.format === 'uri' && !/^https?:\/\/\S+$/i.test(value)) {
+      errors.push(`${path}: debe ser una URL absoluta`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: debe ser mayor o igual a ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: debe ser menor o igual a ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: debe tener al menos ${schema.minItems} elemento(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validate(schema.items, item, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (jsonType(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key}: es requerido`);
+      }
+    });
+
+    const properties = schema.properties || {};
+    Object.keys(value).forEach(key => {
+      if (properties[key]) {
+        errors.push(...validate(properties[key], value[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key}: propiedad no permitida`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(schema.additionalProperties, value[key], `${path}.${key}`));
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Valida y lanza un error con todos los problemas encontrados
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} label Nombre del documento validado, para el mensaje
+ */
+function assertValid(schema, value, label) {
+  const errors = validate(schema, value, label);
+  if (errors.length > 0) {
+    const error = new Error(`${label} inválido: ${errors.join('; ')}`);
+    error.validationErrors = errors;
+    throw error;
+  }
+}
+
+module.exports = { validate, assertValid };
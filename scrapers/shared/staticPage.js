@@ -0,0 +1,438 @@
+/**
+ * Base para scrapers de páginas estáticas (tipo axios)
+ * Evita el costo de Puppeteer en sitios que responden HTML sin JavaScript:
+ * descarga con el cliente del programador (context.http), decodifica el
+ * charset declarado (muchos portales sirven ISO-8859-1), conserva las cookies
+ * de sesión entre peticiones, envía formularios ASP.NET con sus campos ocultos
+ * (__VIEWSTATE, __EVENTVALIDATION) y convierte tablas en registros.
+ *
+ *   const scraper = defineStaticScraper({
+ *     name: 'sic-colombia-registro',
+ *     category: 'database',
+ *     async search({ term, client }) {
+ *       const form = await client.get('https://portal/Consulta.aspx');
+ *       const results = await form.submit('#form1', { txtNombre: term }, { submitter: '#btnBuscar' });
+ *       return { data: results.table('#gvResultados'), direct_link: null };
+ *     }
+ *   });
+ */
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { defineScraper } = require('./runtime');
+
+// Alias de charset que TextDecoder no reconoce con el nombre que usan los portales
+const CHARSET_ALIASES = { latin1: 'iso-8859-1', 'iso8859-1': 'iso-8859-1', 'iso_8859-1': 'iso-8859-1' };
+// Controles cuyo valor no se envía salvo que sean el botón pulsado
+const BUTTON_TYPES = ['submit', 'button', 'image', 'reset', 'file'];
+
+/**
+ * Charset de la respuesta: cabecera Content-Type y, si no lo dice, la etiqueta meta
+ * @param {string|undefined} contentType
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function detectCharset(contentType, buffer) {
+  const fromHeader = /charset=["']?([\w.:-]+)/i.exec(contentType || '');
+  // La etiqueta meta debe estar en los primeros bytes y en ASCII, así que latin1 basta para leerla
+  const head = buffer.subarray(0, 2048).toString('latin1');
+  const fromMeta = /<meta[^>]+charset=["']?([\w.:-]+)/i.exec(head);
+  const charset = ((fromHeader && fromHeader[1]) || (fromMeta && fromMeta[1]) || 'utf-8').toLowerCase();
+  return CHARSET_ALIASES[charset] || charset;
+}
+
+/**
+ * Decodifica el cuerpo según su charset; uno desconocido se lee como UTF-8
+ * @param {Buffer} buffer
+ * @param {string|undefined} contentType
+ * @returns {{html: string, charset: string}}
+ */
+function decodeBody(buffer, contentType) {
+  const charset = detectCharset(contentType, buffer);
+  try {
+    return { html: new TextDecoder(charset).decode(buffer), charset };
+  } catch (error) {
+    return { html: buffer.toString('utf8'), charset: 'utf-8' };
+  }
+}
+
+// Tablas de singleByteTable() por charset
+const singleByteTables = new Map();
+
+/**
+ * Bytes de cada carácter en un charset de un byte (ISO-8859-1, windows-1252...), o null si no es de un byte
+ * @param {string} charset
+ * @returns {Map<string, number>|null}
+ */
+function singleByteTable(charset) {
+  if (!singleByteTables.has(charset)) {
+    let table = null;
+    if (!/^utf-?8$/.test(charset)) {
+      try {
+        const decoder = new TextDecoder(charset);
+        const chars = Array.from({ length: 256 }, (_, byte) => decoder.decode(Uint8Array.of(byte)));
+        // Un charset de varios bytes no decodifica cada byte a un solo carácter
+        if (chars.every(char => char.length === 1 && char !== '\ufffd')) {
+          table = new Map(chars.map((char, byte) => [char, byte]).reverse());
+        }
+      } catch (error) {
+        table = null;
+      }
+    }
+    singleByteTables.set(charset, table);
+  }
+  return singleByteTables.get(charset);
+}
+
+/**
+ * Codifica campos como application/x-www-form-urlencoded en el charset de la página, como el navegador:
+ * en ISO-8859-1 "PÉREZ" va como P%C9REZ, y lo que el charset no tiene como referencia &#NNNN;
+ * Los charsets de varios bytes distintos de UTF-8 se envían en UTF-8.
+ * @param {Object<string, string>} fields
+ * @param {string} [charset]
+ * @returns {string}
+ */
+function encodeForm(fields, charset = 'utf-8') {
+  const table = singleByteTable(String(charset).toLowerCase());
+  if (!table) {
+    return new URLSearchParams(fields).toString();
+  }
+
+  const encode = value => Array.from(String(value)).map(char => {
+    if (/[A-Za-z0-9*\-._]/.test(char)) {
+      return char;
+    }
+    if (char === ' ') {
+      return '+';
+    }
+    if (table.has(char)) {
+      return `%${table.get(char).toString(16).toUpperCase().padStart(2, '0')}`;
+    }
+    return encodeURIComponent(`&#${char.codePointAt(0)};`);
+  }).join('');
+
+  return Object.entries(fields).map(([name, value]) => `${encode(name)}=${encode(value ?? '')}`).join('&');
+}
+
+/**
+ * Cookies por host; suficiente para la sesión de ASP.NET, sin rutas ni expiración
+ * @returns {{header: function(string): string|null, store: function(string, string[]|string|undefined): void}}
+ */
+function createCookieJar() {
+  const hosts = new Map();
+
+  const header = url => {
+    const cookies = hosts.get(new URL(url).host);
+    if (!cookies || cookies.size === 0) {
+      return null;
+    }
+    return Array.from(cookies.entries()).map(([name, value]) => `${name}=${value}`).join('; ');
+  };
+
+  const store = (url, setCookie) => {
+    if (!setCookie) {
+      return;
+    }
+    const host = new URL(url).host;
+    if (!hosts.has(host)) {
+      hosts.set(host, new Map());
+    }
+    (Array.isArray(setCookie) ? setCookie : [setCookie]).forEach(line => {
+      const [pair] = String(line).split(';');
+      const separator = pair.indexOf('=');
+      if (separator > 0) {
+        hosts.get(host).set(pair.slice(0, separator).trim(), pair.slice(separator + 1).trim());
+      }
+    });
+  };
+
+  return { header, store };
+}
+
+/**
+ * Clave de columna a partir del encabezado: "Número de Identificación" -> numero_de_identificacion
+ * @param {string} header
+ * @returns {string}
+ */
+function columnKey(header) {
+  return String(header)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Convierte una tabla HTML en registros
+ * Los encabezados salen de thead o de la primera fila con th; columns los reemplaza
+ * (arreglo por posición, u objeto encabezado -> nombre). Las filas vacías o de ancho completo se descartan.
+ * @param {Function} $ Documento de cheerio
+ * @param {string} selector
+ * @param {{columns?: string[]|Object<string, string>, headerRow?: number}} options
+ * @returns {Object<string, string>[]}
+ */
+function parseTable($, selector, options = {}) {
+  const table = $(selector).first();
+  if (table.length === 0) {
+    return [];
+  }
+
+  const cellText = cell => $(cell).text().replace(/\s+/g, ' ').trim();
+  // Solo las filas de esta tabla, no las de tablas anidadas
+  const rows = table.find('tr').toArray().filter(row => $(row).closest('table').is(table));
+
+  const headerIndex = options.headerRow !== undefined
+    ? options.headerRow
+    : rows.findIndex(row => $(row).children('th').length > 0);
+  const headers = headerIndex >= 0 && rows[headerIndex]
+    ? $(rows[headerIndex]).children('th, td').toArray().map(cellText)
+    : [];
+
+  let keys;
+  if (Array.isArray(options.columns)) {
+    keys = options.columns;
+  } else if (options.columns) {
+    const byHeader = Object.fromEntries(Object.entries(options.columns).map(([header, name]) => [columnKey(header), name]));
+    keys = headers.map(header => byHeader[columnKey(header)] || null);
+  } else {
+    keys = headers.map((header, index) => columnKey(header) || `columna_${index + 1}`);
+  }
+
+  // Filas de ancho completo (paginador de GridView, "No se encontraron registros") no son registros
+  const isRecordRow = row => {
+    const cells = $(row).children('td');
+    if (cells.length === 0 || cells.find('table').length > 0) {
+      return false;
+    }
+    return !(cells.length === 1 && Number(cells.attr('colspan')) > 1);
+  };
+
+  return rows
+    .filter((row, index) => index !== headerIndex && isRecordRow(row))
+    .map(row => {
+      const record = {};
+      $(row).children('td').toArray().forEach((cell, index) => {
+        const key = index < keys.length ? keys[index] : `columna_${index + 1}`;
+        if (key) {
+          record[key] = cellText(cell);
+        }
+      });
+      return record;
+    })
+    .filter(record => Object.values(record).some(value => value !== ''));
+}
+
+/**
+ * Campos de un formulario tal como los enviaría el navegador, incluidos los ocultos
+ * @param {Function} $
+ * @param {string} selector
+ * @param {string} baseUrl
+ * @returns {{action: string, method: string, charset: string|null, fields: Object<string, string>}}
+ *   charset: el de accept-charset, si el formulario lo declara
+ */
+function readForm($, selector, baseUrl) {
+  const form = $(selector).first();
+  if (form.length === 0) {
+    throw new Error(`No se encontró el formulario ${selector} en ${baseUrl}`);
+  }
+
+  const fields = {};
+  form.find('input[name], select[name], textarea[name]').each((_, element) => {
+    const control = $(element);
+    const name = control.attr('name');
+    const tag = element.tagName.toLowerCase();
+    const type = (control.attr('type') || 'text').toLowerCase();
+
+    if (control.is('[disabled]')) {
+      return;
+    }
+    if (tag === 'select') {
+      const selected = control.find('option[selected]').first();
+      const option = selected.length > 0 ? selected : control.find('option').first();
+      fields[name] = option.length > 0 ? (option.attr('value') ?? option.text().trim()) : '';
+    } else if (tag === 'textarea') {
+      fields[name] = control.text();
+    } else if (BUTTON_TYPES.includes(type)) {
+      return;
+    } else if (type === 'checkbox' || type === 'radio') {
+      if (control.is('[checked]')) {
+        fields[name] = control.attr('value') ?? 'on';
+      }
+    } else {
+      fields[name] = control.attr('value') ?? '';
+    }
+  });
+
+  // accept-charset puede listar varios; el navegador usa el primero que conoce
+  const acceptCharset = (form.attr('accept-charset') || '').split(/[\s,]+/).filter(Boolean)[0];
+
+  return {
+    action: new URL(form.attr('action') || baseUrl, baseUrl).toString(),
+    method: (form.attr('method') || 'GET').toUpperCase(),
+    charset: acceptCharset ? acceptCharset.toLowerCase() : null,
+    fields
+  };
+}
+
+/**
+ * Cliente de páginas estáticas sobre un cliente axios (normalmente context.http)
+ * @param {Object} http Instancia de axios
+ * @param {{headers?: Object, cookies?: Object}} options headers para todas las peticiones; cookies, un
+ *   almacén de createCookieJar() que se quiera conservar entre clientes
+ * @returns {{get: Function, post: Function, request: Function, cookies: Object}}
+ */
+function createStaticClient(http, options = {}) {
+  const cookies = options.cookies || createCookieJar();
+
+  /**
+   * Pide una página y la devuelve decodificada y cargada en cheerio
+   * @param {{method?: string, url: string, params?: Object, data?: string, headers?: Object, timeout?: number}} config
+   * @returns {Promise<Object>} Página (ver createPage)
+   */
+  const request = async config => {
+    const url = axios.getUri({ url: config.url, params: config.params });
+    const cookieHeader = cookies.header(url);
+    const response = await http.request({
+      method: config.method || 'GET',
+      url: config.url,
+      params: config.params,
+      data: config.data,
+      timeout: config.timeout,
+      responseType: 'arraybuffer',
+      headers: {
+        Accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8',
+        ...options.headers,
+        ...(cookieHeader ? { Cookie: cookieHeader } : {}),
+        ...config.headers
+      }
+    });
+
+    // Tras una redirección axios deja la URL final en la respuesta de Node
+    const finalUrl = (response.request && response.request.res && response.request.res.responseUrl) || url;
+    cookies.store(url, response.headers['set-cookie']);
+    if (finalUrl !== url) {
+      cookies.store(finalUrl, response.headers['set-cookie']);
+    }
+
+    const { html, charset } = decodeBody(Buffer.from(response.data || ''), response.headers['content-type']);
+    return createPage(client, { url: finalUrl, status: response.status, headers: response.headers, html, charset });
+  };
+
+  const get = (url, config = {}) => request({ ...config, method: 'GET', url });
+
+  // charset: el de la página del formulario; los campos se codifican en él como lo haría el navegador
+  const post = (url, fields, config = {}) => {
+    const { charset, ...rest } = config;
+    return request({
+      ...rest,
+      method: 'POST',
+      url,
+      data: encodeForm(fields, charset),
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...config.headers }
+    });
+  };
+
+  const client = { request, get, post, cookies };
+  return client;
+}
+
+/**
+ * Página descargada: HTML, documento de cheerio y atajos para tablas y formularios
+ */
+function createPage(client, { url, status, headers, html, charset }) {
+  const $ = cheerio.load(html);
+
+  /**
+   * Envía un formulario de la página con sus campos ocultos y los valores dados
+   * @param {string} selector
+   * @param {Object<string, string>} values Nombre del campo -> valor
+   * @param {{submitter?: string, timeout?: number}} options submitter: botón pulsado (ASP.NET lo necesita)
+   */
+  const submit = (selector, values = {}, options = {}) => {
+    const form = readForm($, selector, url);
+    const fields = { ...form.fields, ...values };
+
+    if (options.submitter) {
+      const button = $(options.submitter).first();
+      if (button.length === 0) {
+        throw new Error(`No se encontró el botón ${options.submitter} en ${url}`);
+      }
+      if (button.attr('name')) {
+        fields[button.attr('name')] = button.attr('value') ?? '';
+      }
+    }
+
+    // Los campos van en el charset de accept-charset o, si no lo declara, en el de la página
+    const formCharset = form.charset || charset;
+    if (form.method === 'POST') {
+      return client.post(form.action, fields, { charset: formCharset, timeout: options.timeout, headers: { Referer: url } });
+    }
+    // Como en el navegador, la consulta del formulario reemplaza la que traiga action
+    const target = new URL(form.action);
+    target.search = encodeForm(fields, formCharset);
+    return client.get(target.toString(), { timeout: options.timeout, headers: { Referer: url } });
+  };
+
+  /**
+   * Equivalente a __doPostBack('target', 'argument') de ASP.NET (paginación de GridView, enlaces)
+   */
+  const postBack = (eventTarget, eventArgument = '', values = {}, options = {}) => submit(
+    options.form || 'form',
+    { ...values, __EVENTTARGET: eventTarget, __EVENTARGUMENT: eventArgument },
+    options
+  );
+
+  return {
+    url,
+    status,
+    headers,
+    charset,
+    html,
+    $,
+    table: (selector, options) => parseTable($, selector, options),
+    form: selector => readForm($, selector, url),
+    submit,
+    postBack
+  };
+}
+
+/**
+ * Define un scraper de páginas estáticas: tipo axios con client en el contexto de search()
+ * @param {{name: string, category: string, search: Function, cacheTtlSeconds?: number, canaryTerm?: string,
+ *          headers?: Object}} definition
+ * @returns {Object}
+ */
+function defineStaticScraper(definition) {
+  const { search, headers, ...rest } = definition;
+  if (typeof search !== 'function') {
+    throw new Error(`El scraper ${definition.name} debe definir search()`);
+  }
+
+  // Las cookies viven en context.state: en --batch la sesión del portal sigue abierta entre términos
+  const client = context => {
+    if (!context.state.cookies) {
+      context.state.cookies = createCookieJar();
+    }
+    return createStaticClient(context.http, { headers, cookies: context.state.cookies });
+  };
+
+  return defineScraper({
+    ...rest,
+    type: 'axios',
+    ...(rest.login ? { login: context => rest.login({ ...context, client: client(context) }) } : {}),
+    search: context => search({ ...context, client: client(context) })
+  });
+}
+
+module.exports = {
+  defineStaticScraper,
+  createStaticClient,
+  createCookieJar,
+  parseTable,
+  readForm,
+  decodeBody,
+  detectCharset,
+  encodeForm,
+  columnKey
+};
@@ -6,6 +6,7 @@ use PHPUnit\Framework\TestCase;
 use ScreeningApp\Database;
 use Dotenv\Dotenv;
 use PDO;
+use PHPUnit\Framework\MockObject\MockObject;
 
 class DatabaseTest extends TestCase
 {
@@ -51,4 +52,60 @@ class DatabaseTest extends TestCase
             }
         }
     }
+
+    public function testSaveExternalResultsKeepsEvidenceAndBlockInResultsData(): void
+    {
+        $evidence = [['reason' => 'blocked', 'files' => [['type' => 'screenshot', 'path' => 'lote-1/ofac.png']]]];
+        $block = ['reason' => 'captcha_required', 'status' => 403];
+
+        $row = $this->saveExternalResult([
+            'site_name' => 'ofac',
+            'site_category' => 'financial',
+            'search_query' => 'Juan Pérez',
+            'results_data' => [['full_name' => 'JUAN PEREZ']],
+            'scraper_status' => 'captcha_required',
+            'evidence' => $evidence,
+            'block' => $block
+        ]);
+
+        $stored = Database::decodeExternalResultsData($row['results_data']);
+        $this->assertSame([['full_name' => 'JUAN PEREZ']], $stored['data']);
+        $this->assertSame($evidence, $stored['evidence']);
+        $this->assertSame($block, $stored['block']);
+    }
+
+    public function testDecodeExternalResultsDataReadsRowsSavedWithoutEvidence(): void
+    {
+        // Antes results_data guardaba solo la lista de filas
+        $this->assertSame(
+            ['data' => [['full_name' => 'JUAN PEREZ']], 'evidence' => [], 'block' => null],
+            Database::decodeExternalResultsData('[{"full_name": "JUAN PEREZ"}]')
+        );
+        $this->assertSame(['data' => [], 'evidence' => [], 'block' => null], Database::decodeExternalResultsData(null));
+        $this->assertSame(['data' => [], 'evidence' => [], 'block' => null], Database::decodeExternalResultsData('{"data"'));
+    }
+
+    /**
+     * Guarda un resultado con saveExternalResults y devuelve la fila que llega a bulkInsert
+     * @param array<string, mixed> $result
+     * @return array<string, mixed>
+     */
+    private function saveExternalResult(array $result): array
+    {
+        /** @var array<string, mixed> $row */
+        $row = [];
+        /** @var Database&MockObject $db */
+        $db = $this->createPartialMock(Database::class, ['bulkInsert', 'close']);
+        $db->expects($this->once())->method('bulkInsert')->willReturnCallback(
+            function (string $table, array $columns, array $data) use (&$row): bool {
+                $this->assertSame('external_results', $table);
+                $this->assertCount(1, $data);
+                $row = array_combine($columns, $data[0]);
+                return true;
+            }
+        );
+
+        $this->assertTrue($db->saveExternalResults('42', [$result]));
+        return $row;
+    }
 }
@@ -0,0 +1,116 @@
+<?php
+
+namespace ScreeningApp\Tests;
+
+use PHPUnit\Framework\TestCase;
+use ScreeningApp\ScraperActivity;
+
+class ScraperActivityTest extends TestCase
+{
+    private string $resultsDir;
+
+    protected function setUp(): void
+    {
+        $this->resultsDir = sys_get_temp_dir() . '/scraper-activity-' . uniqid();
+    }
+
+    protected function tearDown(): void
+    {
+        $this->removeDir($this->resultsDir);
+    }
+
+    public function testRecordKeepsTheLastEventOfEachSite(): void
+    {
+        $activity = new ScraperActivity($this->resultsDir);
+
+        $activity->record('lote-1', 'rama-judicial', ['id' => 42, 'search_term' => 'Juan Pérez', 'stage' => 'searching']);
+        $activity->record('lote-1', 'ofac', ['id' => 42, 'search_term' => 'Juan Pérez', 'stage' => 'navigating', 'url' => 'https://sanctionssearch.ofac.treas.gov/']);
+        $activity->record('lote-1', 'rama-judicial', ['id' => 42, 'search_term' => 'Juan Pérez', 'stage' => 'page', 'page' => 2, 'pages' => 5]);
+
+        $sites = array_column($activity->read('lote-1'), null, 'site_name');
+
+        $this->assertCount(2, $sites);
+        $this->assertSame('42', $sites['rama-judicial']['search_id']);
+        $this->assertSame('Juan Pérez', $sites['rama-judicial']['search_term']);
+        $this->assertSame('page', $sites['rama-judicial']['stage']);
+        $this->assertSame(2, $sites['rama-judicial']['page']);
+        $this->assertSame(5, $sites['rama-judicial']['pages']);
+        $this->assertSame('https://sanctionssearch.ofac.treas.gov/', $sites['ofac']['url']);
+        $this->assertNull($sites['ofac']['page']);
+        $this->assertTrue($sites['ofac']['running']);
+        $this->assertFalse($sites['ofac']['stalled']);
+
+        // El archivo se guarda sin escapar los acentos
+        $file = $this->resultsDir . '/lote-1/scraper-activity.json';
+        $this->assertFileExists($file);
+        $this->assertStringContainsString('Juan Pérez', (string)file_get_contents($file));
+    }
+
+    public function testReadMarksRunningSitesWithoutRecentEventsAsStalled(): void
+    {
+        $idle = ScraperActivity::STALLED_AFTER_SECONDS + 30;
+        $this->writeActivity('lote-2', [
+            'rama-judicial' => ['site_name' => 'rama-judicial', 'stage' => 'searching', 'updated_at' => date('c', time() - $idle)],
+            'ofac' => ['site_name' => 'ofac', 'stage' => 'finished', 'status' => 'completed', 'updated_at' => date('c', time() - $idle)],
+            'interpol' => ['site_name' => 'interpol', 'stage' => 'extracting', 'updated_at' => date('c')]
+        ]);
+
+        $sites = array_column((new ScraperActivity($this->resultsDir))->read('lote-2'), null, 'site_name');
+
+        $this->assertTrue($sites['rama-judicial']['running']);
+        $this->assertTrue($sites['rama-judicial']['stalled']);
+        $this->assertGreaterThanOrEqual($idle, $sites['rama-judicial']['idle_seconds']);
+
+        // Un sitio terminado no se detiene aunque no tenga eventos nuevos
+        $this->assertFalse($sites['ofac']['running']);
+        $this->assertFalse($sites['ofac']['stalled']);
+
+        $this->assertTrue($sites['interpol']['running']);
+        $this->assertFalse($sites['interpol']['stalled']);
+        $this->assertLessThan(ScraperActivity::STALLED_AFTER_SECONDS, $sites['interpol']['idle_seconds']);
+    }
+
+    public function testReadReturnsNothingForMissingOrUnreadableFiles(): void
+    {
+        $activity = new ScraperActivity($this->resultsDir);
+        $this->assertSame([], $activity->read('sin-actividad'));
+
+        mkdir($this->resultsDir . '/lote-3', 0775, true);
+        file_put_contents($this->resultsDir . '/lote-3/scraper-activity.json', '{"rama-judicial": {"stage"');
+        $this->assertSame([], $activity->read('lote-3'));
+    }
+
+    public function testBatchIdCannotLeaveTheResultsDirectory(): void
+    {
+        $activity = new ScraperActivity($this->resultsDir . '/');
+
+        $activity->record('../../etc', 'ofac', ['stage' => 'searching']);
+        $activity->record('///', 'ofac', ['stage' => 'searching']);
+
+        $this->assertFileExists($this->resultsDir . '/etc/scraper-activity.json');
+        $this->assertFileExists($this->resultsDir . '/sin-nombre/scraper-activity.json');
+        $this->assertCount(1, $activity->read('../../etc'));
+    }
+
+    /**
+     * Escribe el archivo de actividad de un lote como lo dejaría record()
+     * @param array<string, array<string, mixed>> $activity
+     */
+    private function writeActivity(string $batchId, array $activity): void
+    {
+        mkdir("{$this->resultsDir}/{$batchId}", 0775, true);
+        file_put_contents("{$this->resultsDir}/{$batchId}/scraper-activity.json", (string)json_encode($activity));
+    }
+
+    private function removeDir(string $dir): void
+    {
+        if (!is_dir($dir)) {
+            return;
+        }
+        foreach (array_diff((array)scandir($dir), ['.', '..']) as $entry) {
+            $path = "{$dir}/{$entry}";
+            is_dir($path) ? $this->removeDir($path) : unlink($path);
+        }
+        rmdir($dir);
+    }
+}
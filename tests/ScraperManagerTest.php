@@ -0,0 +1,80 @@
+<?php
+
+namespace ScreeningApp\Tests;
+
+use PHPUnit\Framework\MockObject\MockObject;
+use PHPUnit\Framework\TestCase;
+use ReflectionClass;
+use ReflectionMethod;
+use ScreeningApp\Database;
+use ScreeningApp\ScraperManager;
+
+class ScraperManagerTest extends TestCase
+{
+    public function testEnvelopeSimilarityIsSavedAsSimilarityScore(): void
+    {
+        $result = $this->mapEnvelope([
+            'status' => 'completed',
+            'has_results' => true,
+            'results_count' => 1,
+            'data' => [['full_name' => 'JUAN PEREZ GOMEZ', 'similarity' => 80]],
+            'max_similarity' => 80
+        ]);
+
+        $this->assertSame(80.0, $result['similarity_score']);
+        $this->assertSame(80.0, $this->saveExternalResult($result)['similarity_score']);
+    }
+
+    public function testEnvelopeWithoutSimilaritySavesNull(): void
+    {
+        $result = $this->mapEnvelope(['status' => 'completed', 'has_results' => false, 'results_count' => 0, 'data' => []]);
+
+        $this->assertNull($result['similarity_score']);
+        $this->assertNull($this->saveExternalResult($result)['similarity_score']);
+    }
+
+    public function testServiceSiteKeyMatchesTheEnvelopeOfTheSameSite(): void
+    {
+        $manager = (new ReflectionClass(ScraperManager::class))->newInstanceWithoutConstructor();
+        $method = new ReflectionMethod(ScraperManager::class, 'serviceSiteKey');
+
+        // Sitio de la base y sobre del servicio (nombre normalizado por normalizeFileName)
+        $this->assertSame($method->invoke($manager, 'government', 'Portal No Existe'), $method->invoke($manager, 'government', 'portal-no-existe'));
+        $this->assertNotSame($method->invoke($manager, 'government', 'Registro'), $method->invoke($manager, 'judicial', 'Registro'));
+    }
+
+    /**
+     * Llama al método privado mapScraperEnvelope() sin pasar por el constructor, que se conecta a la base
+     * @param array<string, mixed> $envelope
+     * @return array<string, mixed>
+     */
+    private function mapEnvelope(array $envelope): array
+    {
+        $manager = (new ReflectionClass(ScraperManager::class))->newInstanceWithoutConstructor();
+        $method = new ReflectionMethod(ScraperManager::class, 'mapScraperEnvelope');
+
+        /** @var array<string, mixed> $result */
+        $result = $method->invoke($manager, $envelope, ['site_name' => 'ofac', 'category' => 'financial'], 'Juan Pérez', 120.0);
+        return $result;
+    }
+
+    /**
+     * Guarda un resultado con saveExternalResults y devuelve la fila que llega a bulkInsert
+     * @param array<string, mixed> $result
+     * @return array<string, mixed>
+     */
+    private function saveExternalResult(array $result): array
+    {
+        /** @var array<string, mixed> $row */
+        $row = [];
+        /** @var Database&MockObject $db */
+        $db = $this->createPartialMock(Database::class, ['bulkInsert', 'close']);
+        $db->method('bulkInsert')->willReturnCallback(function (string $table, array $columns, array $data) use (&$row): bool {
+            $row = array_combine($columns, $data[0]);
+            return true;
+        });
+
+        $db->saveExternalResults('42', [$result]);
+        return $row;
+    }
+}
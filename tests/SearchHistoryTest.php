@@ -0,0 +1,213 @@
+<?php
+
+namespace ScreeningApp\Tests;
+
+use Exception;
+use PDO;
+use PDOStatement;
+use PHPUnit\Framework\Attributes\DataProvider;
+use PHPUnit\Framework\TestCase;
+use ReflectionMethod;
+use ScreeningApp\Database;
+use ScreeningApp\SearchHistory;
+
+class SearchHistoryTest extends TestCase
+{
+    public function testParseIdSplitsTypeAndKey(): void
+    {
+        $this->assertSame(['batch', '12'], SearchHistory::parseId('batch:12'));
+        $this->assertSame(['individual', 'a1b2'], SearchHistory::parseId('individual:a1b2'));
+        // Solo el primer ":" separa el tipo
+        $this->assertSame(['candidate', '7:1'], SearchHistory::parseId('candidate:7:1'));
+    }
+
+    /**
+     * @return array<string, array{0: string}>
+     */
+    public static function invalidIds(): array
+    {
+        return [
+            'sin tipo' => ['12'],
+            'tipo desconocido' => ['search:12'],
+            'sin id' => ['batch:'],
+            'vacío' => [''],
+            'mayúsculas' => ['Batch:12']
+        ];
+    }
+
+    #[DataProvider('invalidIds')]
+    public function testParseIdRejectsUnknownTypesAndEmptyKeys(string $id): void
+    {
+        $this->expectException(Exception::class);
+        $this->expectExceptionMessage('Identificador de búsqueda inválido');
+
+        SearchHistory::parseId($id);
+    }
+
+    public function testBuildWhereTurnsKnownFiltersIntoPlaceholders(): void
+    {
+        [$where, $params] = $this->buildWhere([
+            'type' => 'individual',
+            'status' => 'failed',
+            'date' => 'week',
+            'q' => ' 50%_off '
+        ]);
+
+        $this->assertSame(
+            "WHERE type = ? AND status = ? AND date >= NOW() - INTERVAL '7 days' AND (name ILIKE ? OR identification ILIKE ?)",
+            $where
+        );
+        // Los comodines de LIKE del texto se escapan
+        $this->assertSame(['individual', 'failed', '%50\\%\\_off%', '%50\\%\\_off%'], $params);
+    }
+
+    public function testBuildWhereIgnoresValuesOutsideTheWhitelist(): void
+    {
+        [$where, $params] = $this->buildWhere([
+            'type' => "batch' OR '1'='1",
+            'status' => 'cancelled',
+            'date' => "month'; DROP TABLE search_batches; --",
+            'q' => '   ',
+            'sort' => 'name; DELETE FROM individual_searches'
+        ]);
+
+        $this->assertSame('', $where);
+        $this->assertSame([], $params);
+
+        // La lista de candidatos no se filtra por tipo: "candidate" no está entre los aceptados
+        $this->assertSame(['', []], $this->buildWhere(['type' => 'candidate']));
+    }
+
+    public function testDeleteRemovesResultsBeforeTheSearchesThatOwnThem(): void
+    {
+        /** @var array<int, array{0: string, 1: array<int, mixed>}> $queries */
+        $queries = [];
+        $connection = $this->createMock(PDO::class);
+        $connection->expects($this->once())->method('beginTransaction')->willReturn(true);
+        $connection->expects($this->once())->method('commit')->willReturn(true);
+        $connection->expects($this->never())->method('rollBack');
+
+        $db = $this->createMock(Database::class);
+        $db->method('getConnection')->willReturn($connection);
+        $db->method('query')->willReturnCallback(function (string $sql, array $params = []) use (&$queries): PDOStatement {
+            $queries[] = [preg_replace('/\s+/', ' ', $sql), $params];
+            $statement = $this->createMock(PDOStatement::class);
+            $statement->method('rowCount')->willReturn(count($params));
+            return $statement;
+        });
+
+        $deleted = (new SearchHistory($db))->delete(['batch:7', 'candidate:9', 'individual:3', 'batch:8']);
+
+        // Dos lotes, un candidato y una búsqueda individual
+        $this->assertSame(4, $deleted);
+        $this->assertSame([
+            ['DELETE FROM search_results WHERE bulk_search_id IN (SELECT id FROM bulk_searches WHERE batch_id::text IN (?, ?))', ['7', '8']],
+            ['DELETE FROM external_results WHERE bulk_search_id IN (SELECT id FROM bulk_searches WHERE batch_id::text IN (?, ?))', ['7', '8']],
+            ['DELETE FROM bulk_searches WHERE batch_id::text IN (?, ?)', ['7', '8']],
+            ['DELETE FROM search_batches WHERE id::text IN (?, ?)', ['7', '8']],
+            ['DELETE FROM search_results WHERE bulk_search_id::text IN (?)', ['9']],
+            ['DELETE FROM external_results WHERE bulk_search_id::text IN (?)', ['9']],
+            ['DELETE FROM bulk_searches WHERE id::text IN (?)', ['9']],
+            ['DELETE FROM individual_searches WHERE id::text IN (?)', ['3']]
+        ], $queries);
+    }
+
+    public function testDeleteRollsBackWhenAStatementFails(): void
+    {
+        $connection = $this->createMock(PDO::class);
+        $connection->expects($this->once())->method('beginTransaction')->willReturn(true);
+        $connection->expects($this->never())->method('commit');
+        $connection->expects($this->once())->method('rollBack')->willReturn(true);
+
+        $calls = 0;
+        $db = $this->createMock(Database::class);
+        $db->method('getConnection')->willReturn($connection);
+        $db->method('query')->willReturnCallback(function () use (&$calls): PDOStatement {
+            if (++$calls === 2) {
+                throw new Exception('violates foreign key constraint');
+            }
+            return $this->createMock(PDOStatement::class);
+        });
+
+        $this->expectException(Exception::class);
+        $this->expectExceptionMessage('violates foreign key constraint');
+
+        (new SearchHistory($db))->delete(['batch:7']);
+    }
+
+    public function testDeleteRejectsInvalidIdsBeforeOpeningATransaction(): void
+    {
+        $db = $this->createMock(Database::class);
+        $db->expects($this->never())->method('getConnection');
+        $db->expects($this->never())->method('query');
+
+        $this->expectException(Exception::class);
+
+        (new SearchHistory($db))->delete(['batch:7', 'results:3']);
+    }
+
+    public function testDetailReturnsTheEvidenceStoredWithEachExternalResult(): void
+    {
+        $evidence = [['url' => 'https://sanctionssearch.ofac.treas.gov/', 'files' => [['type' => 'png', 'path' => 'lote-1/ofac/captura.png']]]];
+        $external = [
+            [
+                'site_name' => 'ofac', 'site_category' => 'financial', 'has_results' => 't', 'results_count' => '1',
+                'results_data' => Database::encodeExternalResultsData([
+                    'results_data' => [['full_name' => 'JUAN PEREZ']],
+                    'evidence' => $evidence,
+                    'block' => null
+                ])
+            ],
+            // Guardado antes de que results_data llevara la evidencia
+            ['site_name' => 'interpol', 'site_category' => 'police', 'has_results' => 'f', 'results_count' => '0', 'results_data' => '[]']
+        ];
+        $row = [
+            'id' => 'candidate:9', 'type' => 'candidate', 'name' => 'Juan Pérez', 'identification' => null, 'date' => null,
+            'status' => 'completed', 'local_matches' => 0, 'external_matches' => 1, 'execution_time' => null,
+            'records_processed' => 1, 'batch_id' => '7'
+        ];
+
+        $db = $this->createMock(Database::class);
+        $db->method('query')->willReturnOnConsecutiveCalls(
+            $this->statement(fetch: $row),
+            $this->statement(fetchAll: []),
+            $this->statement(fetchAll: $external)
+        );
+
+        $detail = (new SearchHistory($db))->detail('candidate:9');
+        $results = array_column($detail['externalResults'], null, 'site_name');
+
+        $this->assertSame([['full_name' => 'JUAN PEREZ']], $results['ofac']['results_data']);
+        $this->assertSame($evidence, $results['ofac']['evidence']);
+        $this->assertNull($results['ofac']['block']);
+        $this->assertSame([], $results['interpol']['results_data']);
+        $this->assertSame([], $results['interpol']['evidence']);
+    }
+
+    /**
+     * Sentencia simulada que devuelve una fila o todas las filas de una consulta
+     * @param array<string, mixed>|false $fetch
+     * @param array<int, array<string, mixed>> $fetchAll
+     */
+    private function statement(array|false $fetch = false, array $fetchAll = []): PDOStatement
+    {
+        $statement = $this->createMock(PDOStatement::class);
+        $statement->method('fetch')->willReturn($fetch);
+        $statement->method('fetchAll')->willReturn($fetchAll);
+        return $statement;
+    }
+
+    /**
+     * Llama al método privado buildWhere() con una base simulada
+     * @param array<string, mixed> $filters
+     * @return array{0: string, 1: array<int, string>}
+     */
+    private function buildWhere(array $filters): array
+    {
+        $method = new ReflectionMethod(SearchHistory::class, 'buildWhere');
+
+        /** @var array{0: string, 1: array<int, string>} $result */
+        $result = $method->invoke(new SearchHistory($this->createMock(Database::class)), $filters);
+        return $result;
+    }
+}